@@ -0,0 +1,111 @@
+/**
+ * Unit tests for aiCacheService
+ * Tests blob SHA calculation, cache keys and hit/miss accounting
+ */
+
+jest.mock('../../src/config/db', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../src/config/db');
+const {
+  computeBlobSha,
+  buildCacheKey,
+  getCachedAnalysis,
+  storeCachedAnalysis,
+  purgeAssignmentCache,
+  getAICacheStats
+} = require('../../src/services/aiCacheService');
+
+describe('aiCacheService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.AI_CACHE_ENABLED;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('computeBlobSha', () => {
+    it('should match the Git blob SHA', () => {
+      // git hash-object van "hello\\n"
+      expect(computeBlobSha('hello\n')).toBe('ce013625030ba8dba906f756967f9e9ca394464a');
+    });
+  });
+
+  describe('buildCacheKey', () => {
+    const base = { blobSha: 'abc', settingsHash: 'def', model: 'openai/gpt-5-mini', promptVersion: '1' };
+
+    it('should be deterministic', () => {
+      expect(buildCacheKey(base)).toBe(buildCacheKey({ ...base }));
+    });
+
+    it('should change with model or prompt version', () => {
+      expect(buildCacheKey(base)).not.toBe(buildCacheKey({ ...base, model: 'mock/mock-fixture' }));
+      expect(buildCacheKey(base)).not.toBe(buildCacheKey({ ...base, promptVersion: '2' }));
+    });
+  });
+
+  describe('getCachedAnalysis', () => {
+    it('should return the cached result and count a hit', async () => {
+      const before = await getAICacheStatsWithoutDb();
+
+      db.query.mockResolvedValueOnce({ rows: [{ feedback: [{ content: 'A' }], criteria_scores: [] }] });
+      const result = await getCachedAnalysis('key');
+
+      db.query.mockResolvedValueOnce({ rows: [{ total_entries: '1', total_hits: '1' }] });
+      const after = await getAICacheStats();
+
+      expect(result).toEqual({ feedback: [{ content: 'A' }], criteriaScores: [] });
+      expect(after.hits).toBe(before.hits + 1);
+      expect(after.totalEntries).toBe(1);
+    });
+
+    it('should count a miss when nothing is cached', async () => {
+      const before = await getAICacheStatsWithoutDb();
+
+      db.query.mockResolvedValueOnce({ rows: [] });
+      const result = await getCachedAnalysis('key');
+
+      const after = await getAICacheStatsWithoutDb();
+
+      expect(result).toBeNull();
+      expect(after.misses).toBe(before.misses + 1);
+    });
+
+    it('should treat database errors as a miss', async () => {
+      db.query.mockRejectedValueOnce(new Error('connection refused'));
+
+      await expect(getCachedAnalysis('key')).resolves.toBeNull();
+    });
+
+    it('should skip the database when the cache is disabled', async () => {
+      process.env.AI_CACHE_ENABLED = 'false';
+
+      await expect(getCachedAnalysis('key')).resolves.toBeNull();
+      await storeCachedAnalysis({ cacheKey: 'key' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('purgeAssignmentCache', () => {
+    it('should delete entries of the assignment and its settings hash', async () => {
+      db.query.mockResolvedValueOnce({ rowCount: 3 });
+
+      const deleted = await purgeAssignmentCache(5, 'hash');
+
+      expect(deleted).toBe(3);
+      expect(db.query.mock.calls[0][1]).toEqual([5, 'hash']);
+    });
+  });
+
+  /**
+   * Lees de tellers zonder database totals
+   */
+  async function getAICacheStatsWithoutDb() {
+    db.query.mockRejectedValueOnce(new Error('no db'));
+    return getAICacheStats();
+  }
+});
@@ -0,0 +1,135 @@
+/**
+ * Unit tests for aiScheduler
+ * Tests the concurrency and token limits, priority ordering and pausing when the provider pushes back
+ */
+
+const { createScheduler, getAnalysisPriority } = require('../../src/services/aiScheduler');
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+};
+
+const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+describe('aiScheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2025-03-10T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('createScheduler', () => {
+    it('should limit concurrency and start higher priorities first', async () => {
+      const scheduler = createScheduler({ maxConcurrent: 1 });
+      const started = [];
+      const blocker = deferred();
+
+      const first = scheduler.schedule(() => { started.push('busy'); return blocker.promise; });
+      const tasks = ['reanalysis', 'background', 'deadline_first', 'first'].map(priority =>
+        scheduler.schedule(async () => { started.push(priority); return priority; }, { priority })
+      );
+
+      await flush();
+      expect(started).toEqual(['busy']);
+      expect(scheduler.getStats()).toMatchObject({ running: 1, queued: { deadline_first: 1, first: 1, reanalysis: 1, background: 1 } });
+
+      blocker.resolve('done');
+      await Promise.all([first, ...tasks]);
+      expect(started).toEqual(['busy', 'deadline_first', 'first', 'reanalysis', 'background']);
+    });
+
+    it('should wait for the token window and count the actual usage', async () => {
+      const scheduler = createScheduler({ maxConcurrent: 5, tokensPerMinute: 1000 });
+      const started = [];
+
+      await scheduler.schedule(async () => { started.push('a'); return { usage: { total_tokens: 900 } }; }, { tokens: 500 });
+      const second = scheduler.schedule(async () => { started.push('b'); return {}; }, { tokens: 300 });
+
+      await flush();
+      expect(started).toEqual(['a']);
+      expect(scheduler.getStats().tokens_last_minute).toBe(900);
+
+      jest.advanceTimersByTime(60000);
+      await second;
+      expect(started).toEqual(['a', 'b']);
+    });
+
+    it('should let an oversized request run alone', async () => {
+      const scheduler = createScheduler({ tokensPerMinute: 1000 });
+
+      await expect(scheduler.schedule(async () => 'big', { tokens: 5000 })).resolves.toBe('big');
+    });
+
+    it('should pause for the Retry-After of the provider and retry the request', async () => {
+      const onPause = jest.fn();
+      const scheduler = createScheduler({ maxConcurrent: 2, onPause });
+      const rateLimited = Object.assign(new Error('Too Many Requests'), {
+        response: { status: 429, headers: { 'retry-after': '20' } }
+      });
+      const task = jest.fn()
+        .mockRejectedValueOnce(rateLimited)
+        .mockResolvedValueOnce('ok');
+
+      const result = scheduler.schedule(task);
+      await flush();
+      expect(onPause).toHaveBeenCalledWith(20000, rateLimited);
+
+      // Ook andere requests wachten tot de pauze voorbij is
+      const other = jest.fn().mockResolvedValue('other');
+      const otherResult = scheduler.schedule(other);
+      jest.advanceTimersByTime(19000);
+      await flush();
+      expect(task).toHaveBeenCalledTimes(1);
+      expect(other).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1000);
+      await expect(result).resolves.toBe('ok');
+      await expect(otherResult).resolves.toBe('other');
+    });
+
+    it('should reject with a RATE_LIMITED error when the provider keeps pushing back', async () => {
+      const scheduler = createScheduler();
+      const rateLimited = Object.assign(new Error('Too Many Requests'), {
+        response: { status: 429, headers: { 'retry-after': '5' } }
+      });
+      const task = jest.fn().mockRejectedValue(rateLimited);
+
+      const result = scheduler.schedule(task);
+      const outcome = result.catch(error => error);
+      for (let pause = 0; pause < 3; pause++) {
+        await flush();
+        jest.advanceTimersByTime(5000);
+      }
+
+      const error = await outcome;
+      expect(task).toHaveBeenCalledTimes(4);
+      expect(error.code).toBe('RATE_LIMITED');
+      expect(error.cause).toBe(rateLimited);
+    });
+
+    it('should reject other errors without retrying', async () => {
+      const scheduler = createScheduler();
+      const task = jest.fn().mockRejectedValue(Object.assign(new Error('Bad Request'), { response: { status: 400 } }));
+
+      await expect(scheduler.schedule(task)).rejects.toThrow('Bad Request');
+      expect(task).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getAnalysisPriority', () => {
+    const now = new Date('2025-03-10T12:00:00Z');
+
+    it('should put first analyses and near-deadline assignments first', () => {
+      expect(getAnalysisPriority({ isFirstAnalysis: true, dueDate: '2025-03-10T20:00:00Z', now })).toBe('deadline_first');
+      expect(getAnalysisPriority({ isFirstAnalysis: false, dueDate: '2025-03-10T08:00:00Z', now })).toBe('deadline_reanalysis');
+      expect(getAnalysisPriority({ isFirstAnalysis: true, dueDate: '2025-03-20T12:00:00Z', now })).toBe('first');
+      expect(getAnalysisPriority({ isFirstAnalysis: false, dueDate: null, now })).toBe('reanalysis');
+    });
+  });
+});
@@ -7,17 +7,34 @@ const axios = require('axios');
 
 // Mock axios before importing
 jest.mock('axios');
+// AI result cache gebruikt de database, in deze tests altijd een miss
+jest.mock('../../src/services/aiCacheService', () => ({
+  computeBlobSha: jest.fn(() => 'blob-sha'),
+  buildCacheKey: jest.fn(() => 'cache-key'),
+  getCachedAnalysis: jest.fn().mockResolvedValue(null),
+  storeCachedAnalysis: jest.fn().mockResolvedValue()
+}));
+const aiCacheService = require('../../src/services/aiCacheService');
+// Usage boekhouding schrijft naar de database
+jest.mock('../../src/services/usageService', () => ({
+  recordUsage: jest.fn(async ({ usage }) => (usage ? { ...usage, estimated_cost: 0 } : null))
+}));
+const usageService = require('../../src/services/usageService');
+const { withRetry, isOpenAIRetryable } = require('../../src/utils/retry');
 
 const {
   buildSystemPrompt,
   buildUserPrompt,
   parseAIResponse,
+  validateAIResponse,
+  buildResponseSchema,
   calculateScore,
   analyzeFile,
   analyzeFiles,
   FEEDBACK_TYPES,
   SEVERITY_MAP,
-  OPENAI_MODEL
+  OPENAI_MODEL,
+  PROMPT_VERSION
 } = require('../../src/services/aiService');
 
 describe('aiService', () => {
@@ -25,12 +42,38 @@ describe('aiService', () => {
     jest.clearAllMocks();
     // Set up environment variable for tests
     process.env.OPENAI_API_KEY = 'test-api-key';
+    // Linter bevindingen enkel in de tests die ze expliciet aanzetten
+    process.env.STATIC_ANALYSIS_ENABLED = 'false';
   });
 
   afterEach(() => {
     delete process.env.OPENAI_API_KEY;
+    delete process.env.STATIC_ANALYSIS_ENABLED;
   });
 
+  const rubricCriteria = [
+    {
+      id: 'readability',
+      title: 'Leesbaarheid',
+      description: null,
+      weight: 60,
+      levels: [
+        { id: 'good', label: 'Goed', score: 100, descriptor: null },
+        { id: 'poor', label: 'Zwak', score: 40, descriptor: null }
+      ]
+    },
+    {
+      id: 'testing',
+      title: 'Testen',
+      description: null,
+      weight: 40,
+      levels: [
+        { id: 'good', label: 'Goed', score: 100, descriptor: null },
+        { id: 'poor', label: 'Zwak', score: 0, descriptor: null }
+      ]
+    }
+  ];
+
   // ==========================================
   // buildSystemPrompt - Pure function tests
   // ==========================================
@@ -74,6 +117,15 @@ describe('aiService', () => {
       expect(prompt).toContain('Guidelines content');
     });
 
+    it('should include structured rubric criteria and object response format', () => {
+      const prompt = buildSystemPrompt({ rubric: 'Oude rubric', rubric_criteria: rubricCriteria });
+
+      expect(prompt).toContain('BEOORDELINGSRUBRIC VOOR DEZE OPDRACHT');
+      expect(prompt).toContain('readability: Leesbaarheid (gewicht 60%)');
+      expect(prompt).toContain('criteria_scores');
+      expect(prompt).not.toContain('Oude rubric');
+    });
+
     it('should handle null course settings', () => {
       const prompt = buildSystemPrompt(null);
       expect(prompt).toContain('code reviewer');
@@ -83,6 +135,49 @@ describe('aiService', () => {
       const prompt = buildSystemPrompt(undefined);
       expect(prompt).toContain('code reviewer');
     });
+
+    it('should build the prompt in the configured feedback language', () => {
+      const prompt = buildSystemPrompt({ feedback_language: 'en', rubric_criteria: rubricCriteria });
+
+      expect(prompt).toContain('Be written in English');
+      expect(prompt).toContain('GRADING RUBRIC FOR THIS ASSIGNMENT');
+      expect(prompt).toContain('readability: Leesbaarheid (weight 60%)');
+      expect(prompt).not.toContain('BEOORDELINGSRUBRIC');
+    });
+
+    it('should list the custom feedback categories of the assignment', () => {
+      const prompt = buildSystemPrompt({
+        feedback_categories: [
+          { id: 'recursion', label: 'Recursie', description: 'Basisgevallen en recursieve stappen' },
+          { id: 'sql_injection', label: 'sql_injection', description: 'Queries met ongefilterde invoer' }
+        ]
+      });
+
+      expect(prompt).toContain('- recursion: Recursie - Basisgevallen en recursieve stappen');
+      expect(prompt).toContain('- sql_injection: Queries met ongefilterde invoer');
+      expect(prompt).toContain('"type": "recursion"');
+      expect(prompt).not.toContain('best_practices');
+      expect(prompt).not.toContain('"type": "naming"');
+    });
+
+    it('should fall back to Dutch for unsupported languages', () => {
+      const prompt = buildSystemPrompt({ feedback_language: 'de' });
+      expect(prompt).toContain('constructieve, educatieve feedback');
+    });
+
+    it('should fill a prompt template from the database', () => {
+      const prompt = buildSystemPrompt({
+        ai_guidelines: 'Focus op leesbaarheid',
+        prompt_template: {
+          version: 2,
+          system_prompt: 'Wees kort.\n\n{{rubric}}\n\n{{guidelines}}\n\n{{response_format}}'
+        }
+      });
+
+      expect(prompt.startsWith('Wees kort.\n\nSPECIFIEKE INSTRUCTIES VOOR DEZE CURSUS:\nFocus op leesbaarheid\n\nRESPONS FORMAT:')).toBe(true);
+      expect(prompt).not.toContain('constructieve, educatieve feedback');
+      expect(prompt).not.toMatch(/\n{3,}/);
+    });
   });
 
   // ==========================================
@@ -112,6 +207,22 @@ describe('aiService', () => {
       expect(prompt).toContain('BESTAND: empty.js');
       expect(prompt).toContain('```javascript');
     });
+
+    it('should use the labels of the feedback language', () => {
+      const prompt = buildUserPrompt('main.py', 'print("hello")', 'python', null, 'fr');
+
+      expect(prompt).toContain('FICHIER: main.py');
+      expect(prompt).not.toContain('BESTAND');
+    });
+
+    it('should fill a prompt template from the database', () => {
+      const prompt = buildUserPrompt('main.py', 'x = "{{file}}"', 'python', null, null, {
+        version: 2,
+        user_prompt: '{{file}}\n{{code}}'
+      });
+
+      expect(prompt).toBe('BESTAND: main.py\nCODE:\n```python\nx = "{{file}}"\n```');
+    });
   });
 
   // ==========================================
@@ -138,6 +249,17 @@ describe('aiService', () => {
       expect(result[0].line_number).toBe(5);
     });
 
+    it('should map unknown types to the first custom category', () => {
+      const response = JSON.stringify([
+        { type: 'sql_injection', severity: 'high', content: 'Query met invoer' },
+        { type: 'code_quality', severity: 'low', content: 'Algemeen' }
+      ]);
+
+      const result = parseAIResponse(response, 'db.js', null, ['recursion', 'sql_injection']);
+
+      expect(result.map(item => item.type)).toEqual(['sql_injection', 'recursion']);
+    });
+
     it('should parse JSON in markdown code block', () => {
       const response = '```json\n[{"type": "naming", "severity": "low", "content": "Bad name"}]\n```';
 
@@ -246,6 +368,22 @@ describe('aiService', () => {
       expect(result).toEqual([]);
     });
 
+    it('should parse feedback from rubric object response and validate criterion_id', () => {
+      const response = JSON.stringify({
+        feedback: [
+          { type: 'naming', severity: 'low', content: 'A', criterion_id: 'readability' },
+          { type: 'naming', severity: 'low', content: 'B', criterion_id: 'unknown' }
+        ],
+        criteria_scores: []
+      });
+
+      const result = parseAIResponse(response, 'test.js', rubricCriteria);
+
+      expect(result).toHaveLength(2);
+      expect(result[0].criterion_id).toBe('readability');
+      expect(result[1].criterion_id).toBeNull();
+    });
+
     it('should return empty array for empty string', () => {
       const result = parseAIResponse('', 'test.js');
 
@@ -286,6 +424,77 @@ describe('aiService', () => {
     });
   });
 
+  // ==========================================
+  // validateAIResponse - Pure function tests
+  // ==========================================
+  describe('validateAIResponse', () => {
+    it('should accept a valid feedback array', () => {
+      const response = JSON.stringify([
+        { type: 'naming', severity: 'low', line_number: 3, content: 'Naam', suggestion: null }
+      ]);
+
+      const result = validateAIResponse(response);
+
+      expect(result.valid).toBe(true);
+      expect(result.value.feedback).toHaveLength(1);
+    });
+
+    it('should report schema violations per item', () => {
+      const response = JSON.stringify([
+        { type: 'style', severity: 'info', line_number: '3', content: 'Naam' },
+        { type: 'naming', severity: 'low' }
+      ]);
+
+      const { valid, errors } = validateAIResponse(response);
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual(expect.arrayContaining([
+        expect.stringContaining('$.feedback[0].type: ongeldige waarde "style"'),
+        expect.stringContaining('$.feedback[0].severity: ongeldige waarde "info"'),
+        '$.feedback[0].line_number: verwacht integer of null, kreeg string',
+        '$.feedback[1].content: verplicht veld ontbreekt'
+      ]));
+    });
+
+    it('should validate types against the custom categories', () => {
+      const response = JSON.stringify([
+        { type: 'recursion', severity: 'low', content: 'Basisgeval ontbreekt' },
+        { type: 'naming', severity: 'low', content: 'Naam' }
+      ]);
+
+      const { valid, errors } = validateAIResponse(response, null, ['recursion', 'sql_injection']);
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([expect.stringContaining('$.feedback[1].type: ongeldige waarde "naming"')]);
+    });
+
+    it('should reject invalid JSON and empty responses', () => {
+      expect(validateAIResponse('geen json').errors).toEqual(['Antwoord is geen geldige JSON']);
+      expect(validateAIResponse(null).errors).toEqual(['Leeg antwoord']);
+    });
+
+    it('should require criteria scores with valid criteria when a rubric is used', () => {
+      const response = JSON.stringify({
+        feedback: [],
+        criteria_scores: [{ criterion_id: 'unknown', level: 'good' }]
+      });
+
+      const { valid, errors } = validateAIResponse(response, rubricCriteria);
+
+      expect(valid).toBe(false);
+      expect(errors[0]).toContain('$.criteria_scores[0].criterion_id');
+    });
+
+    it('should build a strict schema for structured output', () => {
+      const schema = buildResponseSchema(rubricCriteria, { strict: true });
+      const item = schema.properties.feedback.items;
+
+      expect(schema.additionalProperties).toBe(false);
+      expect(item.required).toEqual(['type', 'severity', 'line_number', 'end_line', 'content', 'suggestion', 'criterion_id']);
+      expect(item.properties.criterion_id.enum).toEqual(['readability', 'testing', null]);
+    });
+  });
+
   // ==========================================
   // calculateScore - Pure function tests
   // ==========================================
@@ -351,6 +560,12 @@ describe('aiService', () => {
       expect(calculateScore(feedback)).toBe(98);
     });
 
+    it('should not deduct points for linter findings', () => {
+      const lintFindings = Array.from({ length: 40 }, () => ({ severity: 'medium', reviewer: 'linter' }));
+      expect(calculateScore(lintFindings)).toBe(100);
+      expect(calculateScore([...lintFindings, { severity: 'high' }])).toBe(90);
+    });
+
     it('should round score to integer', () => {
       // With standard penalties, scores should always be integers
       const feedback = [{ severity: 'low' }, { severity: 'low' }, { severity: 'low' }];
@@ -488,6 +703,104 @@ describe('aiService', () => {
       expect(result.summary.by_severity.high).toBe(1);
     });
 
+    it('should stop before the next file when the analysis is cancelled', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          choices: [{
+            message: {
+              content: JSON.stringify([
+                { type: 'naming', severity: 'low', content: 'Feedback 1' }
+              ])
+            }
+          }]
+        }
+      });
+      const isCancelled = jest.fn()
+        .mockResolvedValueOnce(false)
+        .mockResolvedValueOnce(true);
+
+      const files = [
+        { path: 'file1.js', content: 'const a = 1;', language: 'javascript' },
+        { path: 'file2.js', content: 'const b = 2;', language: 'javascript' }
+      ];
+
+      const result = await analyzeFiles(files, {}, { isCancelled });
+
+      expect(result.success).toBe(false);
+      expect(result.cancelled).toBe(true);
+      expect(result.summary.files_analyzed).toBe(1);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should validate line numbers against the file and add code excerpts', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          choices: [{
+            message: {
+              content: JSON.stringify([
+                { type: 'naming', severity: 'low', line_number: 2, end_line: 9, content: 'Naam b' },
+                { type: 'naming', severity: 'low', line_number: 40, content: 'Gebruik geen `var c`' },
+                { type: 'security', severity: 'high', line_number: 41, content: 'Onbekend' }
+              ])
+            }
+          }]
+        }
+      });
+
+      const files = [{ path: 'anchor.js', content: 'const a = 1;\nconst b = 2;\nvar c = 3;\n', language: 'javascript' }];
+
+      const result = await analyzeFiles(files, {});
+
+      expect(result.feedback[0]).toMatchObject({
+        file_path: 'anchor.js',
+        line_number: 2,
+        end_line: 3,
+        line_status: 'valid',
+        code_excerpt: 'const a = 1;\nconst b = 2;\nvar c = 3;',
+        excerpt_start_line: 1
+      });
+      expect(result.feedback[1]).toMatchObject({ line_number: 3, end_line: 3, line_status: 'reanchored' });
+      expect(result.feedback[2]).toMatchObject({ line_number: null, line_status: 'out_of_range', code_excerpt: null });
+      expect(result.summary.out_of_range_lines).toBe(1);
+    });
+
+    it('should merge linter findings, send them to the AI and drop AI duplicates', async () => {
+      process.env.STATIC_ANALYSIS_ENABLED = 'true';
+      axios.post.mockResolvedValueOnce({
+        data: {
+          choices: [{
+            message: {
+              content: JSON.stringify([
+                { type: 'best_practices', severity: 'low', line_number: 2, content: 'Gebruik ===' },
+                { type: 'structure', severity: 'medium', line_number: 1, content: 'Splits de functie op' }
+              ])
+            }
+          }]
+        }
+      });
+
+      const files = [{ path: 'lint.js', content: 'export function f(a) {\n  return a == 1;\n}\n', language: 'javascript' }];
+
+      const result = await analyzeFiles(files, {});
+
+      expect(result.feedback).toHaveLength(2);
+      expect(result.feedback[0]).toMatchObject({
+        reviewer: 'linter',
+        type: 'best_practices',
+        line_number: 2,
+        line_status: 'valid',
+        file_path: 'lint.js'
+      });
+      expect(result.feedback[0].content).toContain('(eqeqeq)');
+      expect(result.feedback[1]).toMatchObject({ type: 'structure', line_number: 1 });
+      expect(result.summary).toMatchObject({ lint_findings: 1, lint_duplicates_removed: 1 });
+
+      const userPrompt = axios.post.mock.calls[0][1].messages[1].content;
+      expect(userPrompt).toContain('STATISCHE ANALYSE');
+      expect(userPrompt).toContain('- regel 2:');
+      expect(aiCacheService.buildCacheKey.mock.calls[0][0].promptVersion).toMatch(/:eslint@\d+$/);
+    });
+
     it('should skip files without content', async () => {
       axios.post.mockResolvedValueOnce({
         data: {
@@ -541,6 +854,251 @@ describe('aiService', () => {
       expect(result.summary.by_type.security).toBe(1);
     });
 
+    it('should aggregate rubric criteria scores across files', async () => {
+      const mockRubricResponse = (readability, testing) => ({
+        data: {
+          choices: [{
+            message: {
+              content: JSON.stringify({
+                feedback: [],
+                criteria_scores: [
+                  { criterion_id: 'readability', level: readability, justification: 'ok' },
+                  { criterion_id: 'testing', level: testing }
+                ]
+              })
+            }
+          }]
+        }
+      });
+
+      axios.post
+        .mockResolvedValueOnce(mockRubricResponse('good', 'poor'))
+        .mockResolvedValueOnce(mockRubricResponse('poor', 'poor'));
+
+      const files = [
+        { path: 'file1.js', content: 'code1', language: 'javascript' },
+        { path: 'file2.js', content: 'code2', language: 'javascript' }
+      ];
+
+      const result = await analyzeFiles(files, { rubric_criteria: rubricCriteria });
+
+      expect(result.criteria_scores).toEqual([
+        { criterion_id: 'readability', level: 'good', score: 70, justification: 'file1.js: ok\nfile2.js: ok' },
+        { criterion_id: 'testing', level: 'poor', score: 0, justification: '' }
+      ]);
+    });
+
+    it('should not return criteria scores without structured rubric', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { choices: [{ message: { content: '[]' } }] }
+      });
+
+      const result = await analyzeFiles([{ path: 'a.js', content: 'x', language: 'javascript' }], {});
+
+      expect(result.criteria_scores).toBeUndefined();
+    });
+
+    it('should use the provider configured in the settings', async () => {
+      const files = [
+        { path: 'file.js', content: 'var a = 1;', language: 'javascript' }
+      ];
+
+      const result = await analyzeFiles(files, { llm_provider: 'mock' });
+
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(result.summary.provider).toBe('mock');
+      expect(result.feedback).toHaveLength(1);
+      expect(result.feedback[0].type).toBe('best_practices');
+    });
+
+    it('should analyze large files in chunks and map line numbers back', async () => {
+      const line = '  const value = input.items.map(item => item.value * 2).filter(Boolean);';
+      const functions = Array.from({ length: 40 }, (_, i) =>
+        [`function handler${i}(input) {`, ...Array(8).fill(line), '}', ''].join('\n'));
+      const content = functions.join('\n');
+
+      axios.post.mockResolvedValue({
+        data: {
+          choices: [{
+            message: {
+              content: JSON.stringify([
+                { type: 'naming', severity: 'low', line_number: 2, content: 'Fragment opmerking' },
+                { type: 'documentation', severity: 'low', line_number: null, content: 'Geen JSDoc' }
+              ])
+            }
+          }]
+        }
+      });
+
+      const result = await analyzeFiles([{ path: 'big.js', content, language: 'javascript' }], {});
+      const calls = axios.post.mock.calls.length;
+      const userPrompt = axios.post.mock.calls[1][1].messages[1].content;
+
+      expect(calls).toBeGreaterThan(1);
+      expect(userPrompt).toContain(`deel 2 van ${calls}`);
+      // Eén opmerking per fragment (verschillende regels) + één samengevoegde documentatie opmerking
+      expect(result.feedback.filter(f => f.type === 'documentation')).toHaveLength(1);
+      expect(result.feedback.find(f => f.type === 'naming').line_number).toBe(2);
+      expect(new Set(result.feedback.filter(f => f.type === 'naming').map(f => f.line_number)).size)
+        .toBe(result.feedback.filter(f => f.type === 'naming').length);
+
+      axios.post.mockReset();
+    });
+
+    it('should use cached results instead of calling the provider', async () => {
+      aiCacheService.getCachedAnalysis.mockResolvedValueOnce({
+        feedback: [{ type: 'naming', severity: 'low', content: 'Cached', file_path: 'other.js' }],
+        criteriaScores: []
+      });
+
+      const result = await analyzeFiles([{ path: 'file.js', content: 'code', language: 'javascript' }], {});
+
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(result.feedback[0].file_path).toBe('file.js');
+      expect(result.summary.cache_hits).toBe(1);
+      expect(aiCacheService.storeCachedAnalysis).not.toHaveBeenCalled();
+    });
+
+    it('should store successful analyses but not failed ones', async () => {
+      axios.post
+        .mockRejectedValueOnce(new Error('API error'))
+        .mockResolvedValueOnce({
+          data: { choices: [{ message: { content: JSON.stringify([{ type: 'naming', severity: 'low', content: 'A' }]) } }] }
+        });
+
+      const files = [
+        { path: 'file1.js', content: 'code1', language: 'javascript' },
+        { path: 'file2.js', content: 'code2', language: 'javascript' }
+      ];
+
+      const result = await analyzeFiles(files, { assignment_id: 7 });
+
+      expect(result.summary.cache_misses).toBe(2);
+      expect(aiCacheService.storeCachedAnalysis).toHaveBeenCalledTimes(1);
+      const stored = aiCacheService.storeCachedAnalysis.mock.calls[0][0];
+      expect(stored.assignmentId).toBe(7);
+      expect(stored.feedback[0]).not.toHaveProperty('file_path');
+    });
+
+    it('should retry a transient provider error instead of marking the file incomplete', async () => {
+      const unavailable = Object.assign(new Error('Service Unavailable'), { response: { status: 503, data: {} } });
+      axios.post
+        .mockRejectedValueOnce(unavailable)
+        .mockResolvedValueOnce({
+          data: { choices: [{ message: { content: JSON.stringify([{ type: 'naming', severity: 'low', content: 'A' }]) } }] }
+        });
+      const onRetry = jest.fn();
+
+      // Zoals submissionProcessingService de analyse uitvoert
+      const result = await withRetry(
+        () => analyzeFiles([{ path: 'file1.js', content: 'code1', language: 'javascript' }], {}),
+        { maxRetries: 2, initialDelay: 1, shouldRetry: isOpenAIRetryable, onRetry }
+      );
+
+      expect(onRetry).toHaveBeenCalledWith(unavailable, 1, 1);
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(result.success).toBe(true);
+      expect(result.summary.incomplete_files).toEqual([]);
+      expect(result.feedback).toHaveLength(1);
+    });
+
+    it('should propagate a rate limit from the scheduler instead of marking the file incomplete', async () => {
+      const rateLimited = Object.assign(new Error('AI provider rate limit after 3 retries'), { code: 'RATE_LIMITED' });
+      axios.post.mockRejectedValueOnce(rateLimited);
+
+      await expect(
+        analyzeFiles([{ path: 'file1.js', content: 'code1', language: 'javascript' }], {})
+      ).rejects.toBe(rateLimited);
+    });
+
+    it('should still mark the file incomplete for a provider error that does not go away', async () => {
+      axios.post.mockRejectedValueOnce(Object.assign(new Error('Bad Request'), { response: { status: 400, data: {} } }));
+
+      const result = await analyzeFiles([{ path: 'file1.js', content: 'code1', language: 'javascript' }], {});
+
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(result.summary.incomplete_files).toHaveLength(1);
+    });
+
+    it('should record the prompt version and keep cache entries per template', async () => {
+      axios.post.mockResolvedValue({ data: { choices: [{ message: { content: '[]' } }] } });
+      const files = [{ path: 'file1.js', content: 'code1', language: 'javascript' }];
+
+      const builtin = await analyzeFiles(files, {});
+      const templated = await analyzeFiles(files, {
+        prompt_template: { version: 2, system_prompt: '{{response_format}}', user_prompt: '{{code}}' }
+      });
+
+      expect(builtin.summary.prompt_version).toBe(`builtin-${PROMPT_VERSION}`);
+      expect(templated.summary.prompt_version).toBe('template-2');
+      const [builtinKey, templateKey] = aiCacheService.buildCacheKey.mock.calls.map(([args]) => args.promptVersion);
+      expect(builtinKey).not.toContain('template');
+      expect(templateKey).toContain('template-2');
+
+      axios.post.mockReset();
+    });
+
+    it('should send the validation errors back to the model and use the repaired response', async () => {
+      axios.post
+        .mockResolvedValueOnce({
+          data: { choices: [{ message: { content: JSON.stringify([{ type: 'style', severity: 'low', content: 'A' }]) } }] }
+        })
+        .mockResolvedValueOnce({
+          data: { choices: [{ message: { content: JSON.stringify([{ type: 'naming', severity: 'low', content: 'A' }]) } }] }
+        });
+
+      const result = await analyzeFiles([{ path: 'file.js', content: 'code', language: 'javascript' }], {});
+      const repairPrompt = axios.post.mock.calls[1][1].messages[1].content;
+
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(repairPrompt).toContain('VALIDATIEFOUTEN');
+      expect(repairPrompt).toContain('$.feedback[0].type');
+      expect(result.incomplete).toBe(false);
+      expect(result.feedback[0].type).toBe('naming');
+    });
+
+    it('should mark a file as incomplete when the response stays invalid', async () => {
+      axios.post.mockResolvedValue({
+        data: { choices: [{ message: { content: 'Sorry, ik kan dit niet analyseren.' } }] }
+      });
+
+      const result = await analyzeFiles([{ path: 'file.js', content: 'code', language: 'javascript' }], {});
+
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(result.incomplete).toBe(true);
+      expect(result.summary.incomplete_files).toEqual(['file.js']);
+      expect(result.analyzed_files[0].status).toBe('incomplete');
+      expect(result.analyzed_files[0].notes[0]).toContain('Antwoord is geen geldige JSON');
+      expect(aiCacheService.storeCachedAnalysis).not.toHaveBeenCalled();
+
+      axios.post.mockReset();
+    });
+
+    it('should request structured output from providers that support it', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { choices: [{ message: { content: '{"feedback": []}' } }] }
+      });
+
+      const result = await analyzeFiles([{ path: 'file.js', content: 'code', language: 'javascript' }], {});
+      const body = axios.post.mock.calls[0][1];
+
+      expect(body.response_format.type).toBe('json_schema');
+      expect(body.response_format.json_schema.strict).toBe(true);
+      expect(result.analyzed_files[0].status).toBe('complete');
+    });
+
+    it('should not request structured output when disabled', async () => {
+      process.env.AI_STRUCTURED_OUTPUT = 'false';
+      axios.post.mockResolvedValueOnce({
+        data: { choices: [{ message: { content: '[]' } }] }
+      });
+
+      await analyzeFiles([{ path: 'file.js', content: 'code', language: 'javascript' }], {});
+
+      expect(axios.post.mock.calls[0][1].response_format).toBeUndefined();
+      delete process.env.AI_STRUCTURED_OUTPUT;
+    });
+
     it('should continue on individual file errors', async () => {
       axios.post
         .mockRejectedValueOnce(new Error('API error'))
@@ -567,6 +1125,33 @@ describe('aiService', () => {
       expect(result.summary.files_analyzed).toBe(2); // Both counted
       expect(result.feedback).toHaveLength(1); // Only successful one has feedback
     });
+
+    it('should record token usage per call and sum it in the summary', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          model: 'gpt-5-mini',
+          choices: [{ message: { content: '[]' } }],
+          usage: { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 }
+        }
+      });
+
+      const result = await analyzeFiles(
+        [{ path: 'file.js', content: 'code', language: 'javascript' }],
+        { course_id: 3, assignment_id: 7 },
+        { submissionId: 11 }
+      );
+
+      expect(usageService.recordUsage).toHaveBeenCalledWith(expect.objectContaining({
+        courseId: 3,
+        assignmentId: 7,
+        submissionId: 11,
+        provider: 'openai',
+        stage: 'file',
+        filePath: 'file.js'
+      }));
+      expect(result.summary.usage.calls).toBe(1);
+      expect(result.summary.usage.total_tokens).toBe(150);
+    });
   });
 
   // ==========================================
@@ -0,0 +1,175 @@
+/**
+ * Unit tests for architectureReviewService
+ * Tests README detection, tree listing, prompt building, parsing and the review with the mock provider
+ */
+
+jest.mock('../../src/services/aiCacheService', () => ({
+  computeBlobSha: jest.requireActual('../../src/services/aiCacheService').computeBlobSha,
+  buildCacheKey: jest.requireActual('../../src/services/aiCacheService').buildCacheKey,
+  getCachedAnalysis: jest.fn().mockResolvedValue(null),
+  storeCachedAnalysis: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../../src/config/db', () => ({
+  query: jest.fn()
+}));
+
+const { getCachedAnalysis, storeCachedAnalysis } = require('../../src/services/aiCacheService');
+const {
+  findReadmePath,
+  buildTreeListing,
+  buildFileSummaries,
+  buildArchitectureUserPrompt,
+  parseArchitectureResponse,
+  reviewArchitecture,
+  ARCHITECTURE_FEEDBACK_TYPE
+} = require('../../src/services/architectureReviewService');
+
+describe('architectureReviewService', () => {
+  const treeFiles = [
+    { path: 'src/index.js' },
+    { path: 'src/routes/users.js' },
+    { path: 'docs/README.md' },
+    { path: 'README.md' },
+    { path: 'node_modules/express/index.js' },
+    { path: 'package-lock.json' }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('findReadmePath', () => {
+    it('should prefer the README in the repository root', () => {
+      expect(findReadmePath(treeFiles)).toBe('README.md');
+    });
+
+    it('should return null without README', () => {
+      expect(findReadmePath([{ path: 'src/index.js' }])).toBeNull();
+    });
+  });
+
+  describe('buildTreeListing', () => {
+    it('should leave out excluded paths', () => {
+      const { paths, truncated } = buildTreeListing(treeFiles);
+
+      expect(paths).toEqual(['README.md', 'docs/README.md', 'src/index.js', 'src/routes/users.js']);
+      expect(truncated).toBe(false);
+    });
+  });
+
+  describe('buildFileSummaries', () => {
+    it('should combine outlines with feedback counts', () => {
+      const summaries = buildFileSummaries(
+        [
+          { path: 'src/index.js', outline: { lines: 40, declarations: ['start'] } },
+          { path: 'src/routes/users.js' }
+        ],
+        [{ file_path: 'src/index.js' }, { file_path: 'src/index.js' }]
+      );
+
+      expect(summaries).toEqual([
+        { path: 'src/index.js', lines: 40, declarations: ['start'], feedback_count: 2 },
+        { path: 'src/routes/users.js', lines: null, declarations: [], feedback_count: 0 }
+      ]);
+    });
+  });
+
+  describe('buildArchitectureUserPrompt', () => {
+    it('should include the tree, summaries and README', () => {
+      const prompt = buildArchitectureUserPrompt({
+        treePaths: ['src/index.js'],
+        treeTruncated: false,
+        fileSummaries: [{ path: 'src/index.js', lines: 40, declarations: ['start'], feedback_count: 1 }],
+        readme: '# Project'
+      });
+
+      expect(prompt).toContain('src/index.js (40 regels, 1 feedback items; declaraties: start)');
+      expect(prompt).toContain('# Project');
+    });
+
+    it('should mention a missing README', () => {
+      const prompt = buildArchitectureUserPrompt({ treePaths: [], treeTruncated: false, fileSummaries: [], readme: null });
+
+      expect(prompt).toContain('Geen README gevonden.');
+    });
+
+    it('should use the feedback language', () => {
+      const prompt = buildArchitectureUserPrompt({
+        treePaths: ['src/index.js'],
+        treeTruncated: false,
+        fileSummaries: [{ path: 'src/index.js', lines: 40, declarations: [], feedback_count: 2 }],
+        readme: null,
+        language: 'en'
+      });
+
+      expect(prompt).toContain('src/index.js (40 lines, 2 feedback items)');
+      expect(prompt).toContain('No README found.');
+    });
+  });
+
+  describe('parseArchitectureResponse', () => {
+    it('should store items without file path and with the architecture type', () => {
+      const items = parseArchitectureResponse('```json\n[{"severity": "HIGH", "content": "Alles in één map", "suggestion": "Splits op"}]\n```');
+
+      expect(items).toEqual([{
+        file_path: null,
+        type: ARCHITECTURE_FEEDBACK_TYPE,
+        severity: 'high',
+        line_number: null,
+        content: 'Alles in één map',
+        suggestion: 'Splits op',
+        criterion_id: null
+      }]);
+    });
+
+    it('should return null for invalid JSON', () => {
+      expect(parseArchitectureResponse('geen json')).toBeNull();
+    });
+  });
+
+  describe('reviewArchitecture', () => {
+    const courseSettings = { assignment_id: 3, llm_provider: 'mock', architecture_review: true };
+
+    it('should produce project-wide feedback with the mock provider and cache it', async () => {
+      const result = await reviewArchitecture({
+        treeFiles: [{ path: 'src/index.js' }],
+        analyzedFiles: [{ path: 'src/index.js' }],
+        feedback: [],
+        readme: null,
+        courseSettings
+      });
+
+      expect(result.cached).toBe(false);
+      expect(result.feedback).toHaveLength(2);
+      expect(result.feedback.every(item => item.file_path === null && item.type === 'architecture')).toBe(true);
+      expect(storeCachedAnalysis).toHaveBeenCalledWith(expect.objectContaining({
+        assignmentId: 3,
+        promptVersion: 'architecture:1'
+      }));
+    });
+
+    it('should return cached feedback without calling the provider', async () => {
+      const cachedItem = { file_path: null, type: 'architecture', severity: 'low', content: 'Gecached' };
+      getCachedAnalysis.mockResolvedValueOnce({ feedback: [cachedItem], criteriaScores: [] });
+
+      const result = await reviewArchitecture({
+        treeFiles: [{ path: 'README.md' }],
+        analyzedFiles: [],
+        feedback: [],
+        readme: '# Project',
+        courseSettings
+      });
+
+      expect(result).toEqual({ feedback: [cachedItem], cached: true });
+      expect(storeCachedAnalysis).not.toHaveBeenCalled();
+    });
+  });
+});
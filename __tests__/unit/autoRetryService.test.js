@@ -0,0 +1,167 @@
+/**
+ * Unit tests for autoRetryService
+ * Tests the backoff per error code, the retry schedule, planning retries and notifying permanent failures
+ */
+
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+jest.mock('../../src/services/sseManager', () => ({ broadcast: jest.fn() }));
+jest.mock('../../src/services/notificationService', () => ({ emitSubmissionFailed: jest.fn() }));
+jest.mock('../../src/services/jobTypes', () => ({ enqueueSubmissionAnalysis: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const db = require('../../src/config/db');
+const sseManager = require('../../src/services/sseManager');
+const notificationService = require('../../src/services/notificationService');
+const { enqueueSubmissionAnalysis } = require('../../src/services/jobTypes');
+const {
+  planRetry,
+  runDueRetries,
+  getRetrySchedule,
+  getRetryDelayMinutes
+} = require('../../src/services/autoRetryService');
+
+const failedSubmission = (overrides = {}) => ({
+  id: 12,
+  user_id: 4,
+  assignment_id: 7,
+  course_id: 3,
+  status: 'failed',
+  error_code: 'AI_ERROR',
+  error_message: 'AI analysis error: timeout',
+  auto_retry_count: 0,
+  feedback_language: 'en',
+  ...overrides
+});
+
+describe('autoRetryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getRetryDelayMinutes', () => {
+    it('should back off exponentially per error code', () => {
+      expect(getRetryDelayMinutes('GITHUB_ERROR', 0)).toBe(5);
+      expect(getRetryDelayMinutes('GITHUB_ERROR', 2)).toBe(20);
+      expect(getRetryDelayMinutes('AI_ERROR', 1)).toBe(20);
+      expect(getRetryDelayMinutes('AI_ERROR', 10)).toBe(360);
+    });
+
+    it('should not retry permanent errors', () => {
+      expect(getRetryDelayMinutes('INVALID_URL', 0)).toBeNull();
+      expect(getRetryDelayMinutes('NO_FILES', 0)).toBeNull();
+      expect(getRetryDelayMinutes('TIMEOUT', 0)).toBeNull();
+    });
+  });
+
+  describe('getRetrySchedule', () => {
+    it('should list the remaining attempts', () => {
+      const nextRetryAt = new Date('2025-03-10T12:20:00Z');
+
+      expect(getRetrySchedule(failedSubmission({ auto_retry_count: 1, next_retry_at: nextRetryAt }), 3)).toEqual({
+        retryable: true,
+        attempts: 1,
+        max_attempts: 3,
+        next_retry_at: nextRetryAt,
+        remaining_delays: [20, 40],
+        permanently_failed: false,
+        permanently_failed_at: null
+      });
+    });
+
+    it('should report a permanent failure without remaining attempts', () => {
+      const schedule = getRetrySchedule(failedSubmission({ error_code: 'NO_FILES', retry_exhausted_at: '2025-03-10T12:00:00Z' }), 3);
+
+      expect(schedule).toMatchObject({ retryable: false, remaining_delays: [], permanently_failed: true });
+    });
+  });
+
+  describe('planRetry', () => {
+    it('should schedule the next attempt with the backoff of the error code', async () => {
+      const nextRetryAt = new Date('2025-03-10T12:20:00Z');
+      db.query
+        .mockResolvedValueOnce({ rows: [failedSubmission({ auto_retry_count: 1 })] })
+        .mockResolvedValueOnce({ rows: [{ next_retry_at: nextRetryAt }] });
+
+      const result = await planRetry(12, { maxAttempts: 3 });
+
+      expect(result).toEqual({ action: 'scheduled', next_retry_at: nextRetryAt });
+      expect(db.query.mock.calls[1][1]).toEqual([12, 20]);
+      expect(sseManager.broadcast).not.toHaveBeenCalled();
+    });
+
+    it('should notify the student and the teachers when the attempts are spent', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [failedSubmission({ auto_retry_count: 3 })] })
+        .mockResolvedValueOnce({ rows: [{ id: 12 }] });
+
+      const result = await planRetry(12, { maxAttempts: 3 });
+
+      expect(result).toEqual({ action: 'exhausted' });
+      expect(db.query.mock.calls[1][0]).toContain('retry_exhausted_at = NOW()');
+      expect(sseManager.broadcast).toHaveBeenCalledWith(12, 'analysis_failed', expect.objectContaining({
+        reason: 'AI_ERROR',
+        message: expect.stringContaining('(AI_ERROR)'),
+        attempts: 3
+      }));
+      expect(notificationService.emitSubmissionFailed).toHaveBeenCalledWith(3, {
+        submissionId: 12,
+        studentId: 4,
+        assignmentId: 7,
+        errorCode: 'AI_ERROR',
+        errorMessage: 'AI analysis error: timeout',
+        attempts: 3
+      });
+    });
+
+    it('should fail a permanent error right away', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [failedSubmission({ error_code: 'INVALID_URL' })] })
+        .mockResolvedValueOnce({ rows: [{ id: 12 }] });
+
+      expect(await planRetry(12)).toEqual({ action: 'exhausted' });
+      expect(notificationService.emitSubmissionFailed).toHaveBeenCalled();
+    });
+
+    it('should do nothing when the submission is not failed or already planned', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await planRetry(12)).toEqual({ action: 'none' });
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('runDueRetries', () => {
+    it('should queue the due attempts', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 12, commit_sha: 'abc1234', branch: 'main', github_url: 'https://github.com/student/shop', error_code: 'AI_ERROR', auto_retry_count: 2 }]
+      });
+      enqueueSubmissionAnalysis.mockResolvedValue({ id: 55 });
+
+      expect(await runDueRetries()).toEqual({ queued: 1 });
+      expect(db.query.mock.calls[0][0]).toContain('FOR UPDATE SKIP LOCKED');
+      expect(enqueueSubmissionAnalysis).toHaveBeenCalledWith({
+        submissionId: 12,
+        commitSha: 'abc1234',
+        branch: 'main',
+        repoFullName: 'student/shop',
+        trigger: 'auto_retry'
+      });
+    });
+
+    it('should put the attempt back when it cannot be queued', async () => {
+      db.query
+        .mockResolvedValueOnce({
+          rows: [{ id: 12, commit_sha: 'abc1234', branch: 'main', github_url: 'https://github.com/student/shop', error_code: 'AI_ERROR', auto_retry_count: 1 }]
+        })
+        .mockResolvedValueOnce({ rows: [] });
+      enqueueSubmissionAnalysis.mockRejectedValue(new Error('Connection lost'));
+
+      expect(await runDueRetries()).toEqual({ queued: 0 });
+      expect(db.query.mock.calls[1][0]).toContain('auto_retry_count = auto_retry_count - 1');
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Unit tests for autograderService
+ * Tests test suite validation, storage, feedback from test results and the combined score
+ */
+
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+
+const db = require('../../src/config/db');
+const {
+  validateTestSuite,
+  saveTestSuite,
+  buildTestFeedback,
+  calculateTestScore,
+  combineScores,
+  MAX_TEST_FEEDBACK_ITEMS
+} = require('../../src/services/autograderService');
+
+const suite = { runner: 'jest', timeout_seconds: 60, memory_mb: 512, weight: 40 };
+
+const runResult = (overrides = {}) => ({
+  status: 'passed',
+  tests: [],
+  passed: 0,
+  failed: 0,
+  skipped: 0,
+  total: 0,
+  duration_ms: 100,
+  output: null,
+  ...overrides
+});
+
+describe('autograderService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateTestSuite', () => {
+    it('should apply defaults to a valid suite', () => {
+      const result = validateTestSuite({
+        runner: 'pytest',
+        files: [{ path: 'tests/test_calc.py', content: 'def test_ok():\n    assert True\n', extra: 'ignored' }]
+      });
+
+      expect(result).toEqual({
+        valid: true,
+        errors: [],
+        suite: {
+          runner: 'pytest',
+          files: [{ path: 'tests/test_calc.py', content: 'def test_ok():\n    assert True\n' }],
+          weight: 0,
+          timeout_seconds: 60,
+          memory_mb: 512
+        }
+      });
+    });
+
+    it('should reject unknown runners, unsafe paths and out of range limits', () => {
+      const result = validateTestSuite({
+        runner: 'mocha',
+        files: [
+          { path: '../escape.test.js', content: '' },
+          { path: 'a.test.js', content: 42 },
+          { path: 'b.test.js', content: '' },
+          { path: 'b.test.js', content: '' }
+        ],
+        weight: 150,
+        timeoutSeconds: 1,
+        memoryMb: 4096
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.suite).toBeNull();
+      expect(result.errors).toEqual([
+        'runner moet een van jest, pytest zijn',
+        'files[0].path moet een relatief pad binnen het project zijn',
+        'files[1].content moet een string zijn',
+        'files[3].path komt meerdere keren voor: b.test.js',
+        'weight moet een geheel getal tussen 0 en 100 zijn',
+        'timeoutSeconds moet een geheel getal tussen 5 en 300 zijn',
+        'memoryMb moet een geheel getal tussen 128 en 2048 zijn'
+      ]);
+    });
+
+    it('should require at least one file', () => {
+      expect(validateTestSuite({ runner: 'jest', files: [] }).valid).toBe(false);
+      expect(validateTestSuite(null).errors).toEqual(['Test suite moet een object zijn']);
+    });
+  });
+
+  describe('saveTestSuite', () => {
+    it('should upsert the suite for the assignment', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, assignment_id: 7 }] });
+
+      const saved = await saveTestSuite(7, { ...suite, files: [{ path: 'a.test.js', content: 'x' }] }, 3);
+
+      expect(saved).toEqual({ id: 1, assignment_id: 7 });
+      expect(db.query.mock.calls[0][0]).toContain('ON CONFLICT (assignment_id) DO UPDATE');
+      expect(db.query.mock.calls[0][1]).toEqual([7, 'jest', '[{"path":"a.test.js","content":"x"}]', 40, 60, 512, 3]);
+    });
+  });
+
+  describe('buildTestFeedback', () => {
+    it('should create one high severity item per failed test', () => {
+      const feedback = buildTestFeedback(runResult({
+        status: 'failed',
+        tests: [
+          { name: 'sum adds', status: 'passed', message: null },
+          { name: 'sum handles negatives', status: 'failed', message: 'Expected: -2\nReceived: 0' }
+        ],
+        passed: 1,
+        failed: 1,
+        total: 2
+      }), suite, 'en');
+
+      expect(feedback).toEqual([{
+        reviewer: 'autograder',
+        type: 'tests',
+        file_path: null,
+        line_number: null,
+        end_line: null,
+        criterion_id: null,
+        severity: 'high',
+        content: 'Test failed: sum handles negatives',
+        suggestion: 'Expected: -2\nReceived: 0'
+      }]);
+    });
+
+    it('should summarize failed tests beyond the maximum', () => {
+      const tests = Array.from({ length: MAX_TEST_FEEDBACK_ITEMS + 3 }, (_, i) => ({ name: `test ${i}`, status: 'failed', message: null }));
+      const feedback = buildTestFeedback(runResult({ status: 'failed', tests, failed: tests.length, total: tests.length }), suite, 'nl');
+
+      expect(feedback).toHaveLength(MAX_TEST_FEEDBACK_ITEMS + 1);
+      expect(feedback[MAX_TEST_FEEDBACK_ITEMS].content).toBe('Nog 3 andere tests faalden');
+    });
+
+    it('should report a timeout as one critical item with the output', () => {
+      const feedback = buildTestFeedback(runResult({ status: 'timeout', output: 'RUNS sum.test.js' }), suite, 'nl');
+
+      expect(feedback).toHaveLength(1);
+      expect(feedback[0]).toMatchObject({ severity: 'critical', suggestion: 'RUNS sum.test.js' });
+      expect(feedback[0].content).toContain('60 seconden');
+    });
+
+    it('should not give feedback when the server cannot run the tests', () => {
+      expect(buildTestFeedback(runResult({ status: 'error', runner_unavailable: true }), suite, 'nl')).toEqual([]);
+      expect(buildTestFeedback(null, suite, 'nl')).toEqual([]);
+    });
+  });
+
+  describe('calculateTestScore', () => {
+    it('should return the percentage of passed tests, ignoring skipped tests', () => {
+      expect(calculateTestScore(runResult({ status: 'failed', passed: 3, failed: 1, skipped: 2, total: 6 }))).toBe(75);
+    });
+
+    it('should count a timeout as 0', () => {
+      expect(calculateTestScore(runResult({ status: 'timeout' }))).toBe(0);
+    });
+
+    it('should not count runs without results', () => {
+      expect(calculateTestScore(runResult({ status: 'error', runner_unavailable: true }))).toBeNull();
+      expect(calculateTestScore(runResult({ status: 'error', output: 'crash' }))).toBeNull();
+      expect(calculateTestScore(runResult({ skipped: 2, total: 2 }))).toBeNull();
+    });
+  });
+
+  describe('combineScores', () => {
+    it('should weigh the test score into the AI score', () => {
+      expect(combineScores(80, 50, 40)).toBe(68);
+      expect(combineScores(80, 50, 100)).toBe(50);
+    });
+
+    it('should keep the AI score without weight or test score', () => {
+      expect(combineScores(80, 50, 0)).toBe(80);
+      expect(combineScores(80, null, 40)).toBe(80);
+      expect(combineScores(80, 50, undefined)).toBe(80);
+    });
+
+    it('should keep no score for an incomplete analysis', () => {
+      expect(combineScores(null, 100, 40)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Unit tests for chunkingService
+ * Tests token estimation, chunking on function boundaries, line mapping, merging and file outlines
+ */
+
+const {
+  estimateTokens,
+  chunkContent,
+  mapLineNumber,
+  mergeChunkFeedback,
+  summarizeContent
+} = require('../../src/services/chunkingService');
+
+/**
+ * Genereer een JavaScript bestand met een aantal functies van vaste lengte
+ */
+function generateFunctions(count, bodyLines = 8) {
+  const lines = [];
+  for (let i = 0; i < count; i++) {
+    lines.push(`function handler${i}(input) {`);
+    for (let j = 0; j < bodyLines; j++) {
+      lines.push(`  const value${j} = input.items.map(item => item.value * ${j}).filter(Boolean);`);
+    }
+    lines.push('}');
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+describe('chunkingService', () => {
+  describe('estimateTokens', () => {
+    it('should estimate tokens from the text length', () => {
+      expect(estimateTokens('')).toBe(0);
+      expect(estimateTokens(null)).toBe(0);
+      expect(estimateTokens('a'.repeat(35))).toBe(10);
+    });
+  });
+
+  describe('chunkContent', () => {
+    it('should keep small files in one chunk', () => {
+      const result = chunkContent('const a = 1;\nconst b = 2;', { language: 'javascript' });
+
+      expect(result.chunks).toHaveLength(1);
+      expect(result.chunks[0]).toEqual(expect.objectContaining({ startLine: 1, endLine: 2 }));
+      expect(result.trimmed).toBe(false);
+    });
+
+    it('should split large files on function boundaries with overlap', () => {
+      const content = generateFunctions(20);
+      const result = chunkContent(content, { language: 'javascript', maxTokens: 800, overlapLines: 2, maxChunks: 50 });
+      const lines = content.split('\n');
+
+      expect(result.chunks.length).toBeGreaterThan(1);
+      expect(result.trimmed).toBe(false);
+      expect(result.chunks[result.chunks.length - 1].endLine).toBe(lines.length);
+
+      for (let i = 0; i < result.chunks.length - 1; i++) {
+        const chunk = result.chunks[i];
+        // Fragment stopt net voor een nieuwe functie
+        expect(lines[chunk.endLine]).toMatch(/^function handler/);
+        // Volgend fragment overlapt met het vorige
+        expect(result.chunks[i + 1].startLine).toBe(chunk.endLine - 1);
+        expect(estimateTokens(chunk.content)).toBeLessThanOrEqual(800);
+      }
+    });
+
+    it('should trim files that need more than the maximum number of chunks', () => {
+      const content = generateFunctions(40);
+      const result = chunkContent(content, { language: 'javascript', maxTokens: 500, overlapLines: 0, maxChunks: 2 });
+
+      expect(result.chunks).toHaveLength(2);
+      expect(result.trimmed).toBe(true);
+      expect(result.analyzedLines).toBe(result.chunks[1].endLine);
+      expect(result.analyzedLines).toBeLessThan(result.totalLines);
+    });
+
+    it('should hard-split content without boundaries', () => {
+      const content = Array.from({ length: 400 }, (_, i) => `    value_${i} = compute(value_${i - 1})`).join('\n');
+      const result = chunkContent(content, { language: 'unknown', maxTokens: 500, overlapLines: 5, maxChunks: 50 });
+
+      expect(result.chunks.length).toBeGreaterThan(1);
+      expect(result.trimmed).toBe(false);
+    });
+  });
+
+  describe('mapLineNumber', () => {
+    const chunk = { startLine: 101, endLine: 150 };
+
+    it('should map chunk-relative line numbers to the original file', () => {
+      expect(mapLineNumber(1, chunk)).toBe(101);
+      expect(mapLineNumber(50, chunk)).toBe(150);
+    });
+
+    it('should drop line numbers outside the chunk', () => {
+      expect(mapLineNumber(0, chunk)).toBeNull();
+      expect(mapLineNumber(51, chunk)).toBeNull();
+      expect(mapLineNumber(null, chunk)).toBeNull();
+    });
+  });
+
+  describe('mergeChunkFeedback', () => {
+    it('should merge items on the same line and keep the highest severity', () => {
+      const result = mergeChunkFeedback([
+        { type: 'naming', severity: 'low', line_number: 10, content: 'Naam x', suggestion: null },
+        { type: 'naming', severity: 'medium', line_number: 10, content: 'Slechte naam', suggestion: 'Hernoem' }
+      ]);
+
+      expect(result).toEqual([
+        { type: 'naming', severity: 'medium', line_number: 10, content: 'Naam x', suggestion: 'Hernoem' }
+      ]);
+    });
+
+    it('should merge repeated file-level remarks', () => {
+      const result = mergeChunkFeedback([
+        { type: 'documentation', severity: 'low', line_number: null, content: 'Geen JSDoc  aanwezig' },
+        { type: 'documentation', severity: 'low', line_number: 120, content: 'geen jsdoc aanwezig' }
+      ]);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].line_number).toBe(120);
+    });
+
+    it('should keep different remarks', () => {
+      const result = mergeChunkFeedback([
+        { type: 'naming', severity: 'low', line_number: 10, content: 'A' },
+        { type: 'security', severity: 'high', line_number: 10, content: 'B' },
+        { type: 'naming', severity: 'low', line_number: 11, content: 'C' }
+      ]);
+
+      expect(result).toHaveLength(3);
+    });
+  });
+
+  describe('summarizeContent', () => {
+    it('should list top-level declarations and the line count', () => {
+      const content = [
+        "const express = require('express');",
+        'function handler(req, res) {',
+        '}',
+        'class Store {',
+        '  load() {',
+        '  }',
+        '}',
+        "router.get('/items', handler);"
+      ].join('\n');
+
+      expect(summarizeContent(content, 'javascript')).toEqual({
+        lines: 8,
+        declarations: ['handler', 'Store', 'load', 'GET /items']
+      });
+    });
+
+    it('should use the language family patterns', () => {
+      const content = 'class Repo:\n    def save(self):\n        pass';
+
+      expect(summarizeContent(content, 'python').declarations).toEqual(['Repo', 'save']);
+    });
+  });
+});
@@ -0,0 +1,309 @@
+/**
+ * Unit tests for docentController.createTeacherFeedback, updateTeacherFeedback and deleteTeacherFeedback
+ * Tests validation, access to the course of the submission and that only teacher feedback can be changed
+ */
+
+// Mock database before importing
+jest.mock('../../src/config/db', () => ({
+  query: jest.fn()
+}));
+jest.mock('../../src/services/cachingService', () => ({
+  invalidateAssignmentCache: jest.fn(),
+  invalidateCourseCache: jest.fn(),
+  invalidateCacheKey: jest.fn()
+}));
+jest.mock('../../src/services/sseManager', () => ({
+  broadcast: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  emitFeedbackAdded: jest.fn()
+}));
+
+const db = require('../../src/config/db');
+const sseManager = require('../../src/services/sseManager');
+const notificationService = require('../../src/services/notificationService');
+const {
+  createTeacherFeedback,
+  updateTeacherFeedback,
+  deleteTeacherFeedback
+} = require('../../src/controllers/docentController');
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('docentController teacher feedback', () => {
+  const teacher = { id: 2, role: 'teacher' };
+  const assignmentRow = { id: 10, course_id: 4, has_access: true };
+  const submissionRow = { id: 1, assignment_id: 10, user_id: 5, status: 'completed', ai_score: 70, manual_score: null, commit_sha: 'abc123' };
+  const feedbackRow = {
+    id: 3,
+    submission_id: 1,
+    content: 'Gebruik een duidelijkere naam',
+    reviewer: 'teacher',
+    severity: 'medium',
+    line_number: 12,
+    suggestion: null,
+    type: 'naming',
+    file_path: 'src/index.js',
+    author_id: 2,
+    created_at: '2025-03-10T12:00:00Z',
+    updated_at: '2025-03-10T12:00:00Z'
+  };
+
+  let consoleLogSpy;
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  describe('createTeacherFeedback', () => {
+    const createReq = (body, params = {}) => ({
+      params: { assignmentId: '10', studentId: '5', ...params },
+      body,
+      user: teacher
+    });
+
+    it('should add teacher feedback to the latest submission and notify the student', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [assignmentRow] })  // Assignment with access
+        .mockResolvedValueOnce({ rows: [submissionRow] })  // Latest submission
+        .mockResolvedValueOnce({ rows: [feedbackRow] });   // Insert feedback
+      const res = createRes();
+
+      await createTeacherFeedback(createReq({
+        content: '  Gebruik een duidelijkere naam ',
+        severity: 'medium',
+        type: 'naming',
+        lineNumber: 12,
+        filePath: 'src/index.js'
+      }), res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].feedback).toMatchObject({ id: 3, reviewer: 'teacher', authorId: 2 });
+      const [insertQuery, insertParams] = db.query.mock.calls[2];
+      expect(insertQuery).toContain("VALUES ($1, $2, 'teacher'");
+      expect(insertParams).toEqual([1, 'Gebruik een duidelijkere naam', 'medium', 12, null, 'naming', 'src/index.js', 2]);
+      expect(sseManager.broadcast).toHaveBeenCalledWith(1, 'feedback_updated', expect.objectContaining({ action: 'added' }));
+      expect(notificationService.emitFeedbackAdded).toHaveBeenCalledWith(4, expect.objectContaining({ submissionId: 1, studentId: 5 }));
+    });
+
+    it('should reject feedback without content', async () => {
+      const res = createRes();
+
+      await createTeacherFeedback(createReq({ content: '   ' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Content is required' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid severity, line number or submissionId', async () => {
+      const invalidBodies = [
+        { content: 'Ok', severity: 'urgent' },
+        { content: 'Ok', lineNumber: 0 },
+        { content: 'Ok', submissionId: '1' }
+      ];
+
+      for (const body of invalidBodies) {
+        const res = createRes();
+        await createTeacherFeedback(createReq(body), res);
+        expect(res.status).toHaveBeenCalledWith(400);
+      }
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject a non-numeric assignmentId', async () => {
+      const res = createRes();
+
+      await createTeacherFeedback(createReq({ content: 'Ok' }, { assignmentId: 'abc' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an assignment of a course the teacher does not teach', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...assignmentRow, has_access: false }] });
+      const res = createRes();
+
+      await createTeacherFeedback(createReq({ content: 'Ok' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Assignment not found' });
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 for a submissionId that is not part of the assignment', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [assignmentRow] })
+        .mockResolvedValueOnce({ rows: [] });
+      const res = createRes();
+
+      await createTeacherFeedback(createReq({ content: 'Ok', submissionId: 99 }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Submission not found for this student' });
+      expect(db.query.mock.calls[1][1]).toEqual([10, 5, 99]);
+      expect(sseManager.broadcast).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateTeacherFeedback', () => {
+    const updateReq = (body, params = {}) => ({
+      params: { assignmentId: '10', studentId: '5', feedbackId: '3', ...params },
+      body,
+      user: teacher
+    });
+
+    it('should update only the provided fields', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, submission_id: 1, reviewer: 'teacher' }] }) // Feedback lookup
+        .mockResolvedValueOnce({ rows: [assignmentRow] })
+        .mockResolvedValueOnce({ rows: [submissionRow] })
+        .mockResolvedValueOnce({ rows: [{ ...feedbackRow, severity: 'high' }] });            // Update
+      const res = createRes();
+
+      await updateTeacherFeedback(updateReq({ severity: 'high' }), res);
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].feedback.severity).toBe('high');
+      const [updateQuery, updateParams] = db.query.mock.calls[3];
+      expect(updateQuery).toContain('SET severity = $1, updated_at = NOW()');
+      expect(updateParams).toEqual(['high', 3]);
+      expect(sseManager.broadcast).toHaveBeenCalledWith(1, 'feedback_updated', expect.objectContaining({ action: 'updated' }));
+      expect(notificationService.emitFeedbackAdded).not.toHaveBeenCalled();
+    });
+
+    it('should reject an update without fields', async () => {
+      const res = createRes();
+
+      await updateTeacherFeedback(updateReq({}), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'No fields provided to update' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject empty content', async () => {
+      const res = createRes();
+
+      await updateTeacherFeedback(updateReq({ content: '' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to edit AI feedback', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 3, submission_id: 1, reviewer: 'ai' }] });
+      const res = createRes();
+
+      await updateTeacherFeedback(updateReq({ content: 'Aangepast' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Forbidden: Only teacher feedback can be modified' });
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 for feedback that is not on the student\'s submissions', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+      const res = createRes();
+
+      await updateTeacherFeedback(updateReq({ content: 'Aangepast' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Feedback not found' });
+      expect(db.query.mock.calls[0][1]).toEqual([3, 10, 5]);
+    });
+
+    it('should return 404 when the teacher does not teach the course of the submission', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, submission_id: 1, reviewer: 'teacher' }] })
+        .mockResolvedValueOnce({ rows: [{ ...assignmentRow, has_access: false }] });
+      const res = createRes();
+
+      await updateTeacherFeedback(updateReq({ content: 'Aangepast' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Assignment not found' });
+      expect(db.query).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('deleteTeacherFeedback', () => {
+    const deleteReq = (params = {}) => ({
+      params: { assignmentId: '10', studentId: '5', feedbackId: '3', ...params },
+      body: {},
+      user: teacher
+    });
+
+    it('should delete teacher feedback and notify the student', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, submission_id: 1, reviewer: 'teacher' }] })
+        .mockResolvedValueOnce({ rows: [assignmentRow] })
+        .mockResolvedValueOnce({ rows: [submissionRow] })
+        .mockResolvedValueOnce({ rows: [feedbackRow] });
+      const res = createRes();
+
+      await deleteTeacherFeedback(deleteReq(), res);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Feedback successfully deleted' }));
+      expect(db.query.mock.calls[3][1]).toEqual([3]);
+      expect(sseManager.broadcast).toHaveBeenCalledWith(1, 'feedback_updated', expect.objectContaining({
+        action: 'deleted',
+        feedback: { id: 3 }
+      }));
+    });
+
+    it('should refuse to delete AI feedback', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 3, submission_id: 1, reviewer: 'ai' }] });
+      const res = createRes();
+
+      await deleteTeacherFeedback(deleteReq(), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 for unknown feedback', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+      const res = createRes();
+
+      await deleteTeacherFeedback(deleteReq(), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Feedback not found' });
+    });
+
+    it('should return 404 when the teacher does not teach the course of the submission', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 3, submission_id: 1, reviewer: 'teacher' }] })
+        .mockResolvedValueOnce({ rows: [{ ...assignmentRow, has_access: false }] });
+      const res = createRes();
+
+      await deleteTeacherFeedback(deleteReq(), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(db.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject a non-numeric feedbackId', async () => {
+      const res = createRes();
+
+      await deleteTeacherFeedback(deleteReq({ feedbackId: 'abc' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for feedbackAnchorService
+ * Tests line range validation, re-anchoring and code excerpts
+ */
+
+const {
+  anchorFeedback,
+  buildExcerpt,
+  extractCodeFragments
+} = require('../../src/services/feedbackAnchorService');
+
+describe('feedbackAnchorService', () => {
+  const content = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n');
+
+  describe('anchorFeedback', () => {
+    it('should keep a valid line and clamp the end of the range to the file', () => {
+      const [item] = anchorFeedback([{ line_number: 18, end_line: 25, content: 'x' }], content);
+
+      expect(item).toMatchObject({
+        line_number: 18,
+        end_line: 20,
+        line_status: 'valid',
+        code_excerpt: 'line 16\nline 17\nline 18\nline 19\nline 20',
+        excerpt_start_line: 16
+      });
+    });
+
+    it('should use the start line when the end line is missing or before the start', () => {
+      const [single, reversed] = anchorFeedback([
+        { line_number: 5, content: 'x' },
+        { line_number: 5, end_line: 2, content: 'x' }
+      ], content);
+
+      expect(single.end_line).toBe(5);
+      expect(reversed.end_line).toBe(5);
+    });
+
+    it('should re-anchor lines past the end of the file using quoted code', () => {
+      const [item] = anchorFeedback([{ line_number: 99, content: 'De functie `line 7` is te lang' }], content);
+
+      expect(item).toMatchObject({ line_number: 7, end_line: 7, line_status: 'reanchored', excerpt_start_line: 5 });
+    });
+
+    it('should flag lines that cannot be re-anchored', () => {
+      const [pastEnd, zero] = anchorFeedback([
+        { line_number: 99, content: 'Variabele \'x\' is onduidelijk' },
+        { line_number: 0, content: 'Geen code' }
+      ], content);
+
+      expect(pastEnd).toMatchObject({ line_number: null, end_line: null, line_status: 'out_of_range', code_excerpt: null });
+      expect(zero.line_status).toBe('out_of_range');
+    });
+
+    it('should retry items already flagged while chunking', () => {
+      const [item] = anchorFeedback([{ line_number: null, line_status: 'out_of_range', content: '`line 12`' }], content);
+
+      expect(item).toMatchObject({ line_number: 12, line_status: 'reanchored' });
+    });
+
+    it('should leave items without line number without status', () => {
+      const [item] = anchorFeedback([{ line_number: null, content: 'Algemeen' }], content);
+
+      expect(item).toMatchObject({ line_number: null, line_status: null, code_excerpt: null });
+    });
+  });
+
+  describe('buildExcerpt', () => {
+    it('should cap long ranges and long lines', () => {
+      const lines = Array.from({ length: 40 }, () => 'a'.repeat(250));
+      const { code_excerpt, excerpt_start_line } = buildExcerpt(lines, 10, 30);
+      const excerptLines = code_excerpt.split('\n');
+
+      expect(excerpt_start_line).toBe(8);
+      expect(excerptLines).toHaveLength(12);
+      expect(excerptLines[0]).toHaveLength(201);
+    });
+  });
+
+  describe('extractCodeFragments', () => {
+    it('should ignore fragments that are too short', () => {
+      expect(extractCodeFragments('Hernoem \'x\' naar `userCount` in \'getUser()\'')).toEqual(['userCount', 'getUser()']);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Unit tests for feedbackCategoryService
+ * Tests validation and normalization of teacher-defined feedback categories
+ */
+
+const { validateFeedbackCategories, MAX_CATEGORIES } = require('../../src/services/feedbackCategoryService');
+
+describe('feedbackCategoryService', () => {
+  describe('validateFeedbackCategories', () => {
+    it('should accept and normalize valid categories', () => {
+      const result = validateFeedbackCategories([
+        { id: ' Recursion ', label: ' Recursie ', description: 'Basisgevallen en recursieve stappen ' },
+        { id: 'sql_injection', description: 'Queries met ongefilterde invoer' }
+      ]);
+
+      expect(result.valid).toBe(true);
+      expect(result.categories).toEqual([
+        { id: 'recursion', label: 'Recursie', description: 'Basisgevallen en recursieve stappen' },
+        { id: 'sql_injection', label: 'sql_injection', description: 'Queries met ongefilterde invoer' }
+      ]);
+    });
+
+    it('should reject an empty or oversized list', () => {
+      expect(validateFeedbackCategories([]).valid).toBe(false);
+      expect(validateFeedbackCategories('recursion').valid).toBe(false);
+
+      const tooMany = Array.from({ length: MAX_CATEGORIES + 1 }, (_, i) => ({ id: `c${i}`, description: 'x' }));
+      expect(validateFeedbackCategories(tooMany).errors).toEqual([`Maximaal ${MAX_CATEGORIES} categorieën toegestaan`]);
+    });
+
+    it('should report invalid, duplicate and reserved ids', () => {
+      const result = validateFeedbackCategories([
+        { id: 'met spatie', description: 'x' },
+        { id: 'naming', description: 'x' },
+        { id: 'NAMING', description: 'x' },
+        { id: 'architecture', description: 'x' }
+      ]);
+
+      expect(result.valid).toBe(false);
+      expect(result.categories).toBeNull();
+      expect(result.errors).toEqual([
+        'Categorie 1: id is verplicht (letters, cijfers, _ of -)',
+        "Categorie 3: id 'naming' komt meerdere keren voor",
+        "Categorie 4: id 'architecture' is gereserveerd"
+      ]);
+    });
+
+    it('should require a description', () => {
+      const result = validateFeedbackCategories([{ id: 'recursion', label: 'Recursie' }]);
+
+      expect(result.errors).toEqual(['Categorie 1: beschrijving is verplicht']);
+    });
+  });
+});
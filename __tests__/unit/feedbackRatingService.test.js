@@ -0,0 +1,74 @@
+/**
+ * Unit tests for feedbackRatingService
+ * Tests rating summaries and grouped rating statistics
+ */
+
+jest.mock('../../src/config/db', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../src/config/db');
+const { toRatingSummary, getFeedbackRatingStats } = require('../../src/services/feedbackRatingService');
+
+describe('feedbackRatingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('toRatingSummary', () => {
+    it('should convert counts and compute the helpful rate', () => {
+      expect(toRatingSummary({ total: '8', helpful: '6', not_helpful: '1', incorrect: '1' })).toEqual({
+        total: 8,
+        helpful: 6,
+        not_helpful: 1,
+        incorrect: 1,
+        helpful_rate: 0.75
+      });
+    });
+
+    it('should return an empty summary without ratings', () => {
+      expect(toRatingSummary(undefined)).toEqual({
+        total: 0,
+        helpful: 0,
+        not_helpful: 0,
+        incorrect: 0,
+        helpful_rate: null
+      });
+    });
+  });
+
+  describe('getFeedbackRatingStats', () => {
+    it('should group by feedback type within an assignment', async () => {
+      db.query.mockResolvedValue({
+        rows: [{ key: 'security', total: '4', helpful: '1', not_helpful: '0', incorrect: '3' }]
+      });
+
+      const stats = await getFeedbackRatingStats({ assignmentId: 10, groupBy: 'type' });
+
+      expect(stats).toEqual([
+        { key: 'security', total: 4, helpful: 1, not_helpful: 0, incorrect: 3, helpful_rate: 0.25 }
+      ]);
+      const [query, params] = db.query.mock.calls[0];
+      expect(query).toContain('GROUP BY COALESCE(fr.feedback_type');
+      expect(params).toEqual([10, null]);
+    });
+
+    it('should return a single total without groupBy', async () => {
+      db.query.mockResolvedValue({ rows: [{ total: '0', helpful: '0', not_helpful: '0', incorrect: '0' }] });
+
+      const stats = await getFeedbackRatingStats({ promptVersions: ['builtin-3'] });
+
+      expect(stats).toEqual([{ total: 0, helpful: 0, not_helpful: 0, incorrect: 0, helpful_rate: null }]);
+      expect(db.query.mock.calls[0][0]).not.toContain('GROUP BY');
+      expect(db.query.mock.calls[0][1]).toEqual([null, ['builtin-3']]);
+    });
+
+    it('should ignore unknown group columns', async () => {
+      db.query.mockResolvedValue({ rows: [{ total: '1', helpful: '1', not_helpful: '0', incorrect: '0' }] });
+
+      await getFeedbackRatingStats({ groupBy: 'f.id; DROP TABLE feedback' });
+
+      expect(db.query.mock.calls[0][0]).not.toContain('DROP');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Unit tests for fileSelectionService
+ * Tests glob matching, selection validation and file selection per assignment
+ */
+
+const {
+  globToRegExp,
+  validateFileSelection,
+  filterToRoot,
+  selectFiles,
+  DEFAULT_MAX_FILES
+} = require('../../src/services/fileSelectionService');
+
+describe('fileSelectionService', () => {
+  const tree = [
+    'README.md',
+    'src/index.js',
+    'src/utils/math.js',
+    'tests/index.test.js',
+    'lib/legacy.js',
+    'assets/logo.png',
+    'node_modules/express/index.js',
+    'packages/api/src/server.js',
+    'packages/api/README.md'
+  ].map(path => ({ path, size: 100 }));
+
+  // ==========================================
+  // globToRegExp
+  // ==========================================
+  describe('globToRegExp', () => {
+    it('should match ** across folders and * within one folder', () => {
+      expect(globToRegExp('src/**').test('src/utils/math.js')).toBe(true);
+      expect(globToRegExp('src/*.js').test('src/utils/math.js')).toBe(false);
+      expect(globToRegExp('src/**/*.js').test('src/index.js')).toBe(true);
+    });
+
+    it('should match patterns without a slash on the file name at any depth', () => {
+      expect(globToRegExp('*.test.js').test('tests/unit/index.test.js')).toBe(true);
+      expect(globToRegExp('*.test.js').test('index.js')).toBe(false);
+    });
+
+    it('should treat a trailing slash as the whole folder', () => {
+      expect(globToRegExp('tests/').test('tests/index.test.js')).toBe(true);
+    });
+
+    it('should escape regular expression characters', () => {
+      expect(globToRegExp('src/a+b.js').test('src/a+b.js')).toBe(true);
+      expect(globToRegExp('src/a.js').test('src/abjs')).toBe(false);
+    });
+  });
+
+  // ==========================================
+  // validateFileSelection
+  // ==========================================
+  describe('validateFileSelection', () => {
+    it('should normalize a valid selection and fill in defaults', () => {
+      const result = validateFileSelection({ root: '/packages/api/', include: [' src/** '] });
+
+      expect(result.valid).toBe(true);
+      expect(result.selection).toEqual({
+        root: 'packages/api',
+        include: ['src/**'],
+        exclude: [],
+        priority: [],
+        max_files: DEFAULT_MAX_FILES
+      });
+    });
+
+    it('should report invalid fields', () => {
+      const result = validateFileSelection({ root: '../secret', include: 'src/**', exclude: [''], max_files: 0, limit: 5 });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        "Onbekend veld 'limit'",
+        "root mag geen '..' bevatten",
+        'include moet een array van patronen zijn',
+        'exclude[0]: moet een niet-leeg patroon van maximaal 200 tekens zijn',
+        'max_files moet een geheel getal tussen 1 en 100 zijn'
+      ]);
+    });
+
+    it('should reject non-objects', () => {
+      expect(validateFileSelection(['src/**']).valid).toBe(false);
+    });
+  });
+
+  // ==========================================
+  // selectFiles
+  // ==========================================
+  describe('selectFiles', () => {
+    it('should keep the tree order and the global filter by default', () => {
+      const { selected, skipped, maxFiles } = selectFiles(tree);
+
+      expect(maxFiles).toBe(DEFAULT_MAX_FILES);
+      expect(selected.map(f => f.path)).toEqual([
+        'README.md',
+        'src/index.js',
+        'src/utils/math.js',
+        'tests/index.test.js',
+        'lib/legacy.js',
+        'packages/api/src/server.js',
+        'packages/api/README.md'
+      ]);
+      expect(skipped).toEqual([
+        { path: 'assets/logo.png', reason: 'unsupported_extension' },
+        { path: 'node_modules/express/index.js', reason: 'excluded_path' }
+      ]);
+    });
+
+    it('should apply include and exclude patterns with the reason for each skipped file', () => {
+      const { selected, skipped } = selectFiles(tree, { include: ['src/**', 'tests/**'], exclude: ['*.test.js'] });
+
+      expect(selected.map(f => f.path)).toEqual(['src/index.js', 'src/utils/math.js']);
+      expect(skipped).toEqual(expect.arrayContaining([
+        { path: 'tests/index.test.js', reason: 'excluded_by_pattern', pattern: '*.test.js' },
+        { path: 'lib/legacy.js', reason: 'not_included' }
+      ]));
+    });
+
+    it('should order by priority and skip files over the limit', () => {
+      const { selected, skipped } = selectFiles(tree, { priority: ['tests/**', 'src/**'], max_files: 2 });
+
+      expect(selected.map(f => f.path)).toEqual(['tests/index.test.js', 'src/index.js']);
+      expect(skipped).toEqual(expect.arrayContaining([
+        { path: 'src/utils/math.js', reason: 'max_files' },
+        { path: 'README.md', reason: 'max_files' }
+      ]));
+    });
+
+    it('should only select files below the root and match patterns relative to it', () => {
+      const { selected, skipped } = selectFiles(tree, { root: 'packages/api', include: ['src/**'] });
+
+      expect(selected.map(f => f.path)).toEqual(['packages/api/src/server.js']);
+      expect(skipped).toEqual(expect.arrayContaining([
+        { path: 'src/index.js', reason: 'outside_root' },
+        { path: 'packages/api/README.md', reason: 'not_included' }
+      ]));
+    });
+  });
+
+  describe('filterToRoot', () => {
+    it('should keep only files below the root', () => {
+      expect(filterToRoot(tree, { root: 'packages/api' }).map(f => f.path))
+        .toEqual(['packages/api/src/server.js', 'packages/api/README.md']);
+      expect(filterToRoot(tree, null)).toBe(tree);
+    });
+  });
+});
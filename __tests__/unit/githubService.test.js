@@ -13,6 +13,7 @@ const {
   parseGitHubUrl,
   validateGitHubUrl,
   filterCodeFiles,
+  getCodeFileSkipReason,
   detectLanguage,
   checkRepositoryAccess,
   getLatestCommitSha,
@@ -299,6 +300,18 @@ describe('githubService', () => {
 
   // ==========================================
   // detectLanguage - Pure function tests
+  describe('getCodeFileSkipReason', () => {
+    it('should return null for code files', () => {
+      expect(getCodeFileSkipReason('src/index.js')).toBeNull();
+    });
+
+    it('should explain why a file is not a code file', () => {
+      expect(getCodeFileSkipReason('node_modules/express/index.js')).toBe('excluded_path');
+      expect(getCodeFileSkipReason('package-lock.json')).toBe('excluded_path');
+      expect(getCodeFileSkipReason('assets/logo.png')).toBe('unsupported_extension');
+    });
+  });
+
   // ==========================================
   describe('detectLanguage', () => {
     it('should detect JavaScript', () => {
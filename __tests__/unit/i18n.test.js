@@ -0,0 +1,81 @@
+/**
+ * Unit tests for i18n
+ * Tests language resolution, Accept-Language parsing and message lookup
+ */
+
+const {
+  normalizeLanguage,
+  resolveLanguage,
+  parseAcceptLanguage,
+  getRequestLanguage,
+  t
+} = require('../../src/utils/i18n');
+
+describe('i18n', () => {
+  describe('normalizeLanguage', () => {
+    it('should reduce regional tags to a supported language', () => {
+      expect(normalizeLanguage('en-GB')).toBe('en');
+      expect(normalizeLanguage(' FR_be ')).toBe('fr');
+    });
+
+    it('should return null for unsupported or invalid values', () => {
+      expect(normalizeLanguage('de')).toBeNull();
+      expect(normalizeLanguage(undefined)).toBeNull();
+    });
+  });
+
+  describe('resolveLanguage', () => {
+    it('should pick the first supported candidate', () => {
+      expect(resolveLanguage(null, 'de', 'fr', 'en')).toBe('fr');
+    });
+
+    it('should fall back to Dutch', () => {
+      expect(resolveLanguage(null, undefined)).toBe('nl');
+    });
+  });
+
+  describe('parseAcceptLanguage', () => {
+    it('should prefer the highest quality supported language', () => {
+      expect(parseAcceptLanguage('de-DE,de;q=0.9,fr;q=0.5,en;q=0.8')).toBe('en');
+    });
+
+    it('should keep header order for equal quality', () => {
+      expect(parseAcceptLanguage('fr, en')).toBe('fr');
+    });
+
+    it('should ignore languages with q=0', () => {
+      expect(parseAcceptLanguage('en;q=0, nl;q=0.1')).toBe('nl');
+    });
+
+    it('should return null without a supported language', () => {
+      expect(parseAcceptLanguage('de, es')).toBeNull();
+      expect(parseAcceptLanguage(undefined)).toBeNull();
+    });
+  });
+
+  describe('getRequestLanguage', () => {
+    it('should let ?lang= take precedence over Accept-Language', () => {
+      const req = { query: { lang: 'fr' }, headers: { 'accept-language': 'en' } };
+      expect(getRequestLanguage(req)).toBe('fr');
+    });
+
+    it('should use Accept-Language without ?lang=', () => {
+      expect(getRequestLanguage({ query: {}, headers: { 'accept-language': 'en-US' } })).toBe('en');
+    });
+  });
+
+  describe('t', () => {
+    it('should translate and interpolate placeholders', () => {
+      expect(t('api.enrolled', 'en', { course: 'Web' })).toBe('Successfully enrolled in Web');
+      expect(t('status.excellent', 'nl')).toBe('Uitstekend');
+    });
+
+    it('should fall back to Dutch for unknown languages', () => {
+      expect(t('status.onTrack', 'de')).toBe('Goed op weg');
+    });
+
+    it('should return the key for unknown messages', () => {
+      expect(t('api.doesNotExist', 'en')).toBe('api.doesNotExist');
+    });
+  });
+});
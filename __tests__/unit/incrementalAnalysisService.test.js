@@ -0,0 +1,132 @@
+/**
+ * Unit tests for incrementalAnalysisService
+ * Tests settings hashing and the full vs. incremental analysis plan
+ */
+
+const { hashAnalysisSettings, planAnalysis } = require('../../src/services/incrementalAnalysisService');
+
+describe('incrementalAnalysisService', () => {
+  // ==========================================
+  // hashAnalysisSettings
+  // ==========================================
+  describe('hashAnalysisSettings', () => {
+    it('should be stable for the same settings', () => {
+      const settings = { rubric: 'R', ai_guidelines: 'G' };
+
+      expect(hashAnalysisSettings(settings)).toBe(hashAnalysisSettings({ ...settings }));
+      expect(hashAnalysisSettings(settings)).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('should change when a relevant setting changes', () => {
+      expect(hashAnalysisSettings({ rubric: 'A' })).not.toBe(hashAnalysisSettings({ rubric: 'B' }));
+      expect(hashAnalysisSettings({ llm_provider: 'openai' })).not.toBe(hashAnalysisSettings({ llm_provider: 'mock' }));
+    });
+
+    it('should change when another prompt template is active', () => {
+      const settings = { rubric: 'R' };
+      const builtin = hashAnalysisSettings({ ...settings, prompt_template: null });
+      const template3 = hashAnalysisSettings({ ...settings, prompt_template: { version: 3, system_prompt: 'S' } });
+      const template4 = hashAnalysisSettings({ ...settings, prompt_template: { version: 4, system_prompt: 'S' } });
+
+      expect(template3).not.toBe(builtin);
+      expect(template4).not.toBe(template3);
+      expect(hashAnalysisSettings(settings)).toBe(builtin);
+    });
+
+    it('should ignore unrelated fields and treat null settings as empty', () => {
+      expect(hashAnalysisSettings({ title: 'X' })).toBe(hashAnalysisSettings(null));
+    });
+  });
+
+  // ==========================================
+  // planAnalysis
+  // ==========================================
+  describe('planAnalysis', () => {
+    const settingsHash = hashAnalysisSettings({});
+    const selectedPaths = ['a.js', 'b.js', 'c.js'];
+    const previous = {
+      last_analyzed_sha: 'old',
+      analysis_settings_hash: settingsHash,
+      analyzed_files: [{ path: 'a.js' }, { path: 'b.js' }],
+      feedback: [{ file_path: 'a.js' }]
+    };
+    const comparison = {
+      success: true,
+      truncated: false,
+      files: [
+        { path: 'a.js', status: 'modified' },
+        { path: 'old.js', status: 'removed' }
+      ]
+    };
+
+    it('should re-analyze only changed and previously unanalyzed files', () => {
+      const plan = planAnalysis({ selectedPaths, commitSha: 'new', settingsHash, previous, comparison });
+
+      expect(plan.mode).toBe('incremental');
+      expect(plan.analyzePaths).toEqual(['a.js', 'c.js']);
+      expect(plan.carryOverPaths).toEqual(['b.js']);
+    });
+
+    it('should run a full analysis without previous analysis', () => {
+      const plan = planAnalysis({ selectedPaths, commitSha: 'new', settingsHash, previous: null, comparison: null });
+
+      expect(plan).toEqual({
+        mode: 'full',
+        reason: 'no_previous_analysis',
+        analyzePaths: selectedPaths,
+        carryOverPaths: []
+      });
+    });
+
+    it('should run a full analysis when settings changed', () => {
+      const plan = planAnalysis({ selectedPaths, commitSha: 'new', settingsHash: 'other', previous, comparison });
+
+      expect(plan.mode).toBe('full');
+      expect(plan.reason).toBe('settings_changed');
+    });
+
+    it('should run a full analysis when re-analyzing the same commit', () => {
+      const plan = planAnalysis({ selectedPaths, commitSha: 'old', settingsHash, previous, comparison });
+
+      expect(plan.reason).toBe('same_commit');
+    });
+
+    it('should run a full analysis when old feedback has no file path', () => {
+      const legacy = { ...previous, feedback: [{ file_path: null }] };
+      const plan = planAnalysis({ selectedPaths, commitSha: 'new', settingsHash, previous: legacy, comparison });
+
+      expect(plan.reason).toBe('unanchored_feedback');
+    });
+
+    it('should re-analyze files whose previous analysis was incomplete', () => {
+      const withIncomplete = {
+        ...previous,
+        analyzed_files: [{ path: 'a.js' }, { path: 'b.js', status: 'incomplete' }]
+      };
+      const plan = planAnalysis({ selectedPaths, commitSha: 'new', settingsHash, previous: withIncomplete, comparison });
+
+      expect(plan.analyzePaths).toContain('b.js');
+      expect(plan.carryOverPaths).not.toContain('b.js');
+    });
+
+    it('should not treat architecture feedback as unanchored', () => {
+      const withArchitecture = {
+        ...previous,
+        feedback: [...previous.feedback, { file_path: null, type: 'architecture' }]
+      };
+      const plan = planAnalysis({ selectedPaths, commitSha: 'new', settingsHash, previous: withArchitecture, comparison });
+
+      expect(plan.mode).toBe('incremental');
+    });
+
+    it('should run a full analysis when the comparison failed or was truncated', () => {
+      expect(planAnalysis({
+        selectedPaths, commitSha: 'new', settingsHash, previous, comparison: { success: false }
+      }).reason).toBe('compare_failed');
+
+      expect(planAnalysis({
+        selectedPaths, commitSha: 'new', settingsHash, previous, comparison: { ...comparison, truncated: true }
+      }).reason).toBe('too_many_changes');
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Unit tests for jobQueueService
+ * Tests enqueueing with dedupe keys, claiming, retries with backoff and the dead-letter state
+ */
+
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+
+const db = require('../../src/config/db');
+const {
+  enqueueJob,
+  claimJob,
+  failJob,
+  deferJob,
+  releaseExpiredJobs,
+  requeueDeadJob,
+  abandonRunningJobs,
+  getJobCounts,
+  getRetryDelay
+} = require('../../src/services/jobQueueService');
+
+describe('jobQueueService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('enqueueJob', () => {
+    it('should insert the job and merge into a queued job with the same dedupe key', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 5, status: 'queued' }] });
+
+      const job = await enqueueJob('analyze_submission', { submission_id: 12 }, { dedupeKey: 'submission:12', replacePayload: false });
+
+      expect(job).toEqual({ id: 5, status: 'queued' });
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("ON CONFLICT (dedupe_key) WHERE status = 'queued' DO UPDATE");
+      expect(params).toEqual(['analyze_submission', '{"submission_id":12}', 'submission:12', 0, 3, 0, false, false, null]);
+    });
+
+    it('should push back the run time of a queued job when debouncing, up to the maximum delay', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 5, status: 'queued' }] });
+
+      await enqueueJob('analyze_submission', { submission_id: 12 }, {
+        dedupeKey: 'submission:12',
+        delaySeconds: 15,
+        debounce: true,
+        maxDelaySeconds: 120
+      });
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('LEAST(EXCLUDED.run_at, COALESCE(job.debounce_started_at, NOW()) + make_interval(secs => $9))');
+      expect(sql).not.toContain('job.created_at');
+      expect(params.slice(5)).toEqual([15, true, true, 120]);
+    });
+  });
+
+  describe('claimJob', () => {
+    it('should claim with SKIP LOCKED and return null when the queue is empty', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      const job = await claimJob('worker-1', { types: ['analyze_submission'], visibilityTimeout: 60 });
+
+      expect(job).toBeNull();
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('FOR UPDATE SKIP LOCKED');
+      expect(sql).toContain('attempts = attempts + 1');
+      // Een nieuwe push na een defer of retry start een nieuwe debounce
+      expect(sql).toContain('debounce_started_at = NULL');
+      expect(params).toEqual(['worker-1', 60, ['analyze_submission']]);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should double the delay per attempt up to one hour', () => {
+      expect(getRetryDelay(1)).toBe(30);
+      expect(getRetryDelay(2)).toBe(60);
+      expect(getRetryDelay(3)).toBe(120);
+      expect(getRetryDelay(20)).toBe(3600);
+    });
+  });
+
+  describe('failJob', () => {
+    it('should requeue with backoff while attempts remain', async () => {
+      db.query.mockResolvedValue({ rows: [{ status: 'queued' }] });
+
+      const status = await failJob({ id: 5, attempts: 2, max_attempts: 3 }, 'worker-1', 'GitHub timeout');
+
+      expect(status).toBe('queued');
+      expect(db.query.mock.calls[0][1]).toEqual([5, 'worker-1', false, 'GitHub timeout', 60, true, false]);
+    });
+
+    it('should move the job to dead after the last attempt', async () => {
+      db.query.mockResolvedValue({ rows: [{ status: 'dead' }] });
+
+      const status = await failJob({ id: 5, attempts: 3, max_attempts: 3 }, 'worker-1', 'GitHub timeout');
+
+      expect(status).toBe('dead');
+      expect(db.query.mock.calls[0][1][2]).toBe(true);
+    });
+
+    it('should return null when the worker lost the job', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      expect(await failJob({ id: 5, attempts: 1, max_attempts: 3 }, 'worker-1', 'Boom')).toBeNull();
+    });
+  });
+
+  describe('deferJob', () => {
+    it('should requeue without counting the attempt', async () => {
+      db.query.mockResolvedValue({ rows: [{ status: 'queued' }] });
+
+      await deferJob({ id: 5, attempts: 1, max_attempts: 3 }, 'worker-1', 30);
+
+      expect(db.query.mock.calls[0][1]).toEqual([5, 'worker-1', false, null, 30, false, false]);
+    });
+  });
+
+  describe('releaseExpiredJobs', () => {
+    it('should requeue, bury or supersede expired jobs', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 9, attempts: 1, max_attempts: 3 }, { id: 7, attempts: 3, max_attempts: 3 }, { id: 4, attempts: 1, max_attempts: 3 }] })
+        .mockResolvedValueOnce({ rows: [{ status: 'queued' }] })
+        .mockResolvedValueOnce({ rows: [{ status: 'dead' }] })
+        .mockResolvedValueOnce({ rows: [{ status: 'completed' }] });
+
+      const counts = await releaseExpiredJobs();
+
+      expect(counts).toEqual({ requeued: 1, dead: 1, superseded: 1 });
+      expect(db.query.mock.calls[0][0]).toContain('ORDER BY id DESC');
+      expect(db.query.mock.calls[2][1]).toEqual([7, null, true, expect.any(String), 0, true, true]);
+    });
+  });
+
+  describe('requeueDeadJob', () => {
+    it('should return null when the job is not dead', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      expect(await requeueDeadJob(5)).toBeNull();
+      expect(db.query.mock.calls[0][0]).toContain("status = 'dead'");
+    });
+  });
+
+  describe('abandonRunningJobs', () => {
+    it('should mark the running jobs of the key as dead so their lease is lost', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 7 }] });
+
+      expect(await abandonRunningJobs('submission:12', 'Vastgelopen')).toEqual([7]);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("SET status = 'dead'");
+      expect(sql).toContain("status = 'running'");
+      expect(params).toEqual(['submission:12', 'Vastgelopen']);
+    });
+  });
+
+  describe('getJobCounts', () => {
+    it('should report every status', async () => {
+      db.query.mockResolvedValue({ rows: [{ status: 'queued', count: 2 }, { status: 'dead', count: 1 }] });
+
+      expect(await getJobCounts()).toEqual({ queued: 2, running: 0, completed: 0, dead: 1 });
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Unit tests for jobTypes
+ * Tests how submission analyses are queued per trigger (push debounce, retries)
+ */
+
+jest.mock('../../src/services/jobQueueService', () => ({ enqueueJob: jest.fn(), abandonRunningJobs: jest.fn() }));
+
+const { enqueueJob, abandonRunningJobs } = require('../../src/services/jobQueueService');
+const {
+  enqueueSubmissionAnalysis,
+  abandonSubmissionAnalysis,
+  JOB_TYPES,
+  PUSH_DEBOUNCE_SECONDS,
+  PUSH_DEBOUNCE_MAX_SECONDS
+} = require('../../src/services/jobTypes');
+
+const analysis = { submissionId: 12, commitSha: 'def456', branch: 'main', repoFullName: 'student/repo' };
+
+describe('jobTypes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    enqueueJob.mockResolvedValue({ id: 40 });
+  });
+
+  describe('enqueueSubmissionAnalysis', () => {
+    it('should debounce a push and replace the commit of a queued analysis', async () => {
+      const job = await enqueueSubmissionAnalysis({ ...analysis, trigger: 'push' });
+
+      expect(job).toEqual({ id: 40 });
+      expect(enqueueJob).toHaveBeenCalledWith(
+        JOB_TYPES.ANALYZE_SUBMISSION,
+        { submission_id: 12, commit_sha: 'def456', branch: 'main', repo_full_name: 'student/repo', trigger: 'push' },
+        {
+          dedupeKey: 'submission:12',
+          replacePayload: true,
+          delaySeconds: PUSH_DEBOUNCE_SECONDS,
+          debounce: true,
+          maxDelaySeconds: PUSH_DEBOUNCE_MAX_SECONDS
+        }
+      );
+    });
+
+    it.each(['retry', 'watchdog', 'auto_retry', 'superseded'])('should queue a %s immediately without touching a queued analysis', async (trigger) => {
+      await enqueueSubmissionAnalysis({ ...analysis, trigger });
+
+      expect(enqueueJob.mock.calls[0][2]).toEqual({
+        dedupeKey: 'submission:12',
+        replacePayload: false,
+        delaySeconds: 0,
+        debounce: false,
+        maxDelaySeconds: null
+      });
+    });
+  });
+
+  describe('abandonSubmissionAnalysis', () => {
+    it('should abandon the running jobs with the dedupe key of the submission', async () => {
+      abandonRunningJobs.mockResolvedValue([7]);
+
+      expect(await abandonSubmissionAnalysis(12, 'Vastgelopen')).toEqual([7]);
+      expect(abandonRunningJobs).toHaveBeenCalledWith('submission:12', 'Vastgelopen');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for jobWorker
+ * Tests how a claimed job is completed, deferred, failed or abandoned when it hangs
+ */
+
+jest.mock('../../src/services/jobQueueService', () => ({
+  claimJob: jest.fn(),
+  completeJob: jest.fn(),
+  failJob: jest.fn(),
+  deferJob: jest.fn(),
+  extendJobLease: jest.fn(),
+  releaseExpiredJobs: jest.fn(),
+  DEFAULT_VISIBILITY_TIMEOUT: 300
+}));
+jest.mock('../../src/services/jobHandlers', () => ({ JOB_HANDLERS: {} }));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn()
+}));
+
+const { claimJob, completeJob, failJob, deferJob, extendJobLease } = require('../../src/services/jobQueueService');
+const { runNextJob } = require('../../src/services/jobWorker');
+
+const job = { id: 5, type: 'analyze_submission', attempts: 1, max_attempts: 3, payload: { submission_id: 12 } };
+
+describe('jobWorker', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('runNextJob', () => {
+    it('should return null when there is no job', async () => {
+      claimJob.mockResolvedValue(null);
+
+      expect(await runNextJob('worker-1', { handlers: { analyze_submission: jest.fn() } })).toBeNull();
+      expect(claimJob).toHaveBeenCalledWith('worker-1', { types: ['analyze_submission'], visibilityTimeout: 300 });
+    });
+
+    it('should store the handler result on the completed job', async () => {
+      claimJob.mockResolvedValue(job);
+      completeJob.mockResolvedValue(true);
+      const handler = jest.fn().mockResolvedValue({ success: true, score: 80 });
+
+      const outcome = await runNextJob('worker-1', { handlers: { analyze_submission: handler } });
+
+      expect(handler).toHaveBeenCalledWith(job);
+      expect(completeJob).toHaveBeenCalledWith(5, 'worker-1', { success: true, score: 80 });
+      expect(outcome).toEqual({ job, status: 'completed' });
+    });
+
+    it('should defer the job when the handler asks for it', async () => {
+      claimJob.mockResolvedValue(job);
+      deferJob.mockResolvedValue('queued');
+
+      const outcome = await runNextJob('worker-1', { handlers: { analyze_submission: jest.fn().mockResolvedValue({ defer: 30 }) } });
+
+      expect(deferJob).toHaveBeenCalledWith(job, 'worker-1', 30);
+      expect(completeJob).not.toHaveBeenCalled();
+      expect(outcome.status).toBe('queued');
+    });
+
+    it('should register a failed attempt when the handler throws', async () => {
+      claimJob.mockResolvedValue(job);
+      failJob.mockResolvedValue('queued');
+
+      const outcome = await runNextJob('worker-1', {
+        handlers: { analyze_submission: jest.fn().mockRejectedValue(new Error('Database unavailable')) }
+      });
+
+      expect(failJob).toHaveBeenCalledWith(job, 'worker-1', 'Database unavailable');
+      expect(outcome.status).toBe('queued');
+    });
+
+    describe('with a hung handler', () => {
+      const hungHandler = () => new Promise(() => {});
+
+      beforeEach(() => {
+        jest.useFakeTimers();
+        claimJob.mockResolvedValue(job);
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      it('should stop extending the lease and fail the job after the maximum runtime', async () => {
+        extendJobLease.mockResolvedValue(true);
+        failJob.mockResolvedValue('queued');
+
+        const running = runNextJob('worker-1', {
+          handlers: { analyze_submission: hungHandler },
+          visibilityTimeout: 30,
+          maxRuntime: 60
+        });
+        await jest.advanceTimersByTimeAsync(60000);
+        const outcome = await running;
+
+        expect(failJob).toHaveBeenCalledWith(job, 'worker-1', expect.stringContaining('langer dan 60 seconden'));
+        expect(outcome.status).toBe('queued');
+        const heartbeats = extendJobLease.mock.calls.length;
+        await jest.advanceTimersByTimeAsync(120000);
+        expect(extendJobLease).toHaveBeenCalledTimes(heartbeats);
+      });
+
+      it('should stop the heartbeat and move on when the lease is lost', async () => {
+        // Bv. de watchdog brak de job af
+        extendJobLease.mockResolvedValue(false);
+        failJob.mockResolvedValue(null);
+
+        const running = runNextJob('worker-1', {
+          handlers: { analyze_submission: hungHandler },
+          visibilityTimeout: 30,
+          maxRuntime: 3600
+        });
+        await jest.advanceTimersByTimeAsync(10000);
+        const outcome = await running;
+
+        expect(extendJobLease).toHaveBeenCalledTimes(1);
+        expect(completeJob).not.toHaveBeenCalled();
+        expect(outcome.status).toBeNull();
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(extendJobLease).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for the linter layer
+ * Tests ESLint findings, the pluggable registry and deduplication against AI feedback
+ */
+
+const {
+  lintFile,
+  registerLinter,
+  dedupeAgainstFindings,
+  MAX_FINDINGS_PER_RULE
+} = require('../../src/services/linters');
+
+describe('linters', () => {
+  afterEach(() => {
+    delete process.env.STATIC_ANALYSIS_ENABLED;
+  });
+
+  describe('lintFile', () => {
+    it('should normalize ESLint findings into feedback items', () => {
+      const { findings, version } = lintFile({
+        path: 'src/app.js',
+        language: 'javascript',
+        content: 'export function run(input) {\n  return eval(input);\n}\n'
+      });
+
+      expect(version).toBe('eslint@1');
+      expect(findings).toEqual([{
+        file_path: 'src/app.js',
+        reviewer: 'linter',
+        type: 'security',
+        severity: 'high',
+        line_number: 2,
+        end_line: 2,
+        content: 'eval can be harmful. (no-eval)',
+        suggestion: null,
+        criterion_id: null
+      }]);
+    });
+
+    it('should parse TypeScript', () => {
+      const { findings } = lintFile({
+        path: 'src/user.ts',
+        language: 'typescript',
+        content: 'interface User { id: number }\nexport const isAdmin = (user: User): boolean => user.id == 1;\n'
+      });
+
+      expect(findings.map(f => f.content)).toEqual(["Expected '===' and instead saw '=='. (eqeqeq)"]);
+    });
+
+    it('should report a syntax error as a single finding', () => {
+      const { findings } = lintFile({ path: 'broken.js', language: 'javascript', content: 'function (' });
+
+      expect(findings).toHaveLength(1);
+      expect(findings[0]).toMatchObject({ type: 'code_quality', severity: 'high', line_number: 1 });
+      expect(findings[0].content).toContain('Parsing error');
+    });
+
+    it('should limit findings per rule', () => {
+      const content = Array.from({ length: 6 }, (_, i) => `var v${i} = ${i};\nexport { v${i} };`).join('\n');
+
+      const { findings } = lintFile({ path: 'vars.js', language: 'javascript', content });
+
+      expect(findings).toHaveLength(MAX_FINDINGS_PER_RULE);
+    });
+
+    it('should map types the assignment does not use to the fallback type', () => {
+      const { findings } = lintFile(
+        { path: 'a.js', language: 'javascript', content: 'export default eval("1");\n' },
+        { feedbackTypes: ['readability', 'testing'], fallbackType: 'readability' }
+      );
+
+      expect(findings[0].type).toBe('readability');
+    });
+
+    it('should skip unsupported languages and disabled static analysis', () => {
+      expect(lintFile({ path: 'a.py', language: 'python', content: 'x = 1' })).toEqual({ findings: [], version: null });
+
+      process.env.STATIC_ANALYSIS_ENABLED = 'false';
+      expect(lintFile({ path: 'a.js', language: 'javascript', content: 'eval("1")' }).findings).toEqual([]);
+    });
+  });
+
+  describe('registerLinter', () => {
+    it('should run a registered linter and survive linter errors', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      registerLinter({
+        name: 'pylint-test',
+        version: '1',
+        languages: ['python'],
+        lint: (file) => {
+          if (file.content === 'boom') {
+            throw new Error('crash');
+          }
+          return [{ rule: 'W0611', type: 'code_quality', severity: 'low', line_number: 1, end_line: 1, content: 'Unused import os' }];
+        }
+      });
+
+      expect(lintFile({ path: 'a.py', language: 'python', content: 'import os' })).toMatchObject({
+        findings: [{ reviewer: 'linter', content: 'Unused import os' }],
+        version: 'pylint-test@1'
+      });
+      expect(lintFile({ path: 'b.py', language: 'python', content: 'boom' }).findings).toEqual([]);
+      console.error.mockRestore();
+    });
+
+    it('should reject an incomplete linter', () => {
+      expect(() => registerLinter({ name: 'x', languages: ['go'] })).toThrow('Ongeldige linter');
+    });
+  });
+
+  describe('dedupeAgainstFindings', () => {
+    it('should drop AI items of the same type within the range of a finding', () => {
+      const findings = [{ type: 'best_practices', line_number: 4, end_line: 6 }];
+      const aiFeedback = [
+        { type: 'best_practices', line_number: 5 },
+        { type: 'naming', line_number: 5 },
+        { type: 'best_practices', line_number: 9 },
+        { type: 'best_practices', line_number: null }
+      ];
+
+      const result = dedupeAgainstFindings(aiFeedback, findings);
+
+      expect(result.removed).toBe(1);
+      expect(result.feedback).toEqual(aiFeedback.slice(1));
+    });
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Unit tests for the LLM provider layer
+ * Tests provider resolution, the Anthropic/local payloads and the deterministic mock provider
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+jest.mock('axios');
+
+const { resolveProvider, getProvider, isKnownProvider, getProviderNames } = require('../../src/services/llm');
+
+describe('LLM providers', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.LLM_PROVIDER;
+    delete process.env.LLM_MODEL;
+    delete process.env.LLM_MOCK_FIXTURES;
+    delete process.env.LLM_ALLOW_MOCK;
+    process.env.NODE_ENV = 'test';
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  // ==========================================
+  // resolveProvider
+  // ==========================================
+  describe('resolveProvider', () => {
+    it('should default to OpenAI with its default model', () => {
+      const { provider, model } = resolveProvider(null);
+
+      expect(provider.name).toBe('openai');
+      expect(model).toBe('gpt-5-mini');
+    });
+
+    it('should use the deployment provider and model from the environment', () => {
+      process.env.LLM_PROVIDER = 'local';
+      process.env.LLM_MODEL = 'qwen2.5-coder';
+
+      const { provider, model } = resolveProvider({});
+
+      expect(provider.name).toBe('local');
+      expect(model).toBe('qwen2.5-coder');
+    });
+
+    it('should let course/assignment settings override the deployment', () => {
+      process.env.LLM_PROVIDER = 'openai';
+      process.env.LLM_MODEL = 'gpt-5';
+
+      const { provider, model } = resolveProvider({ llm_provider: 'anthropic', llm_model: null });
+
+      expect(provider.name).toBe('anthropic');
+      // Het deployment model hoort bij OpenAI en mag niet doorlekken
+      expect(model).toBe(provider.defaultModel);
+    });
+
+    it('should throw for unknown providers', () => {
+      expect(() => resolveProvider({ llm_provider: 'unknown' })).toThrow('Onbekende LLM provider');
+    });
+
+    it('should expose the available providers', () => {
+      expect(getProviderNames()).toEqual(['openai', 'anthropic', 'local', 'mock']);
+      expect(isKnownProvider('mock')).toBe(true);
+      expect(isKnownProvider('toString')).toBe(false);
+    });
+
+    it('should not allow the mock provider outside tests', () => {
+      process.env.NODE_ENV = 'production';
+
+      expect(getProviderNames()).toEqual(['openai', 'anthropic', 'local']);
+      expect(isKnownProvider('mock')).toBe(false);
+      expect(() => resolveProvider({ llm_provider: 'mock' })).toThrow('LLM_ALLOW_MOCK');
+
+      process.env.LLM_ALLOW_MOCK = 'true';
+      expect(isKnownProvider('mock')).toBe(true);
+      expect(resolveProvider({ llm_provider: 'mock' }).provider.name).toBe('mock');
+    });
+  });
+
+  // ==========================================
+  // Anthropic provider
+  // ==========================================
+  describe('anthropic provider', () => {
+    it('should send the system prompt separately and normalize usage', async () => {
+      process.env.ANTHROPIC_API_KEY = 'test-key';
+      axios.post.mockResolvedValueOnce({
+        data: {
+          model: 'claude-test',
+          content: [{ type: 'text', text: '[]' }],
+          usage: { input_tokens: 10, output_tokens: 5 }
+        }
+      });
+
+      const result = await getProvider('anthropic').complete({
+        systemPrompt: 'system',
+        userPrompt: 'user',
+        model: 'claude-test'
+      });
+
+      const [url, body, config] = axios.post.mock.calls[0];
+      expect(url).toBe('https://api.anthropic.com/v1/messages');
+      expect(body.system).toBe('system');
+      expect(body.messages).toEqual([{ role: 'user', content: 'user' }]);
+      expect(config.headers['x-api-key']).toBe('test-key');
+      expect(result).toEqual({
+        content: '[]',
+        model: 'claude-test',
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+      });
+    });
+
+    it('should force a tool call for structured output and return its input as JSON', async () => {
+      process.env.ANTHROPIC_API_KEY = 'test-key';
+      axios.post.mockResolvedValueOnce({
+        data: {
+          content: [{ type: 'tool_use', name: 'code_feedback', input: { feedback: [] } }],
+          usage: { input_tokens: 10, output_tokens: 5 }
+        }
+      });
+      const schema = { type: 'object', properties: { feedback: { type: 'array' } } };
+
+      const result = await getProvider('anthropic').complete({
+        systemPrompt: 'system',
+        userPrompt: 'user',
+        model: 'claude-test',
+        responseSchema: { name: 'code_feedback', schema }
+      });
+
+      const body = axios.post.mock.calls[0][1];
+      expect(body.tools).toEqual([expect.objectContaining({ name: 'code_feedback', input_schema: schema })]);
+      expect(body.tool_choice).toEqual({ type: 'tool', name: 'code_feedback' });
+      expect(result.content).toBe('{"feedback":[]}');
+    });
+
+    it('should throw when the API key is missing', async () => {
+      delete process.env.ANTHROPIC_API_KEY;
+
+      await expect(getProvider('anthropic').complete({ systemPrompt: '', userPrompt: '', model: 'x' }))
+        .rejects.toThrow('ANTHROPIC_API_KEY');
+    });
+  });
+
+  // ==========================================
+  // Local provider
+  // ==========================================
+  describe('local provider', () => {
+    it('should call an OpenAI-compatible chat completions endpoint', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { choices: [{ message: { content: '[]' } }] }
+      });
+
+      const result = await getProvider('local').complete({
+        systemPrompt: 'system',
+        userPrompt: 'user',
+        model: 'llama3.1'
+      });
+
+      expect(axios.post.mock.calls[0][0]).toMatch(/\/chat\/completions$/);
+      expect(axios.post.mock.calls[0][1].model).toBe('llama3.1');
+      expect(result.content).toBe('[]');
+    });
+  });
+
+  // ==========================================
+  // Mock provider
+  // ==========================================
+  describe('mock provider', () => {
+    const mock = getProvider('mock');
+
+    it('should derive deterministic feedback from the code without network', async () => {
+      const request = {
+        systemPrompt: 'system',
+        userPrompt: 'user',
+        model: 'mock-fixture',
+        context: { filePath: 'a.js', content: 'var a = 1;\nconsole.log(a);' }
+      };
+
+      const first = await mock.complete(request);
+      const second = await mock.complete(request);
+
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(first).toEqual(second);
+      expect(JSON.parse(first.content)).toEqual([
+        expect.objectContaining({ type: 'best_practices', line_number: 1 }),
+        expect.objectContaining({ type: 'code_quality', line_number: 2 })
+      ]);
+      expect(first.usage.total_tokens).toBeGreaterThan(0);
+    });
+
+    it('should include criteria scores when a rubric is present', async () => {
+      const rubricCriteria = [{
+        id: 'quality',
+        levels: [{ id: 'good', score: 100 }, { id: 'ok', score: 60 }, { id: 'poor', score: 20 }]
+      }];
+
+      const result = await mock.complete({
+        systemPrompt: '',
+        userPrompt: '',
+        model: 'mock-fixture',
+        context: { filePath: 'a.js', content: 'var a = 1;', rubricCriteria }
+      });
+
+      expect(JSON.parse(result.content).criteria_scores).toEqual([
+        expect.objectContaining({ criterion_id: 'quality', level: 'ok' })
+      ]);
+    });
+
+    it('should return fixture responses per file path', async () => {
+      const fixturePath = path.join(os.tmpdir(), `llm-fixtures-${process.pid}.json`);
+      fs.writeFileSync(fixturePath, JSON.stringify({
+        default: [],
+        files: { 'src/app.js': [{ type: 'security', severity: 'high', content: 'Fixture' }] }
+      }));
+      process.env.LLM_MOCK_FIXTURES = fixturePath;
+
+      try {
+        const matched = await mock.complete({ model: 'm', context: { filePath: 'src/app.js', content: '' } });
+        const fallback = await mock.complete({ model: 'm', context: { filePath: 'other.js', content: 'var a;' } });
+
+        expect(JSON.parse(matched.content)[0].content).toBe('Fixture');
+        expect(JSON.parse(fallback.content)).toEqual([]);
+      } finally {
+        fs.unlinkSync(fixturePath);
+      }
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit tests for processAnalyticsService
+ * Tests commit message assessment, the process analytics and refreshing the stored commit history
+ */
+
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+jest.mock('../../src/services/githubService', () => ({
+  getCommitHistory: jest.fn(),
+  getMultipleCommitStats: jest.fn()
+}));
+
+const db = require('../../src/config/db');
+const { getCommitHistory, getMultipleCommitStats } = require('../../src/services/githubService');
+const {
+  refreshCommitHistory,
+  calculateProcessAnalytics,
+  assessCommitMessage
+} = require('../../src/services/processAnalyticsService');
+
+const commit = (sha, date, message, lines, overrides = {}) => ({
+  sha,
+  date,
+  message,
+  merge: false,
+  additions: lines,
+  deletions: 0,
+  files_changed: 1,
+  ...overrides
+});
+
+describe('processAnalyticsService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('assessCommitMessage', () => {
+    it('should accept a descriptive message', () => {
+      expect(assessCommitMessage('Add validation for empty cart\n\nCloses #3')).toEqual([]);
+    });
+
+    it('should flag generic, short and long messages', () => {
+      expect(assessCommitMessage('wip')).toEqual(['generic']);
+      expect(assessCommitMessage('Update README.md')).toEqual(['generic']);
+      expect(assessCommitMessage('aanpassingen!')).toEqual(['generic']);
+      expect(assessCommitMessage('login')).toEqual(['too_short']);
+      expect(assessCommitMessage(`Refactor ${'the checkout flow '.repeat(5)}`)).toEqual(['too_long']);
+    });
+  });
+
+  describe('calculateProcessAnalytics', () => {
+    const history = {
+      head_sha: 'c4',
+      truncated: false,
+      commits: [
+        commit('c4', '2025-03-10T21:30:00Z', 'fix', 600),
+        commit('m1', '2025-03-10T12:00:00Z', 'Merge branch dev', null, { merge: true }),
+        commit('c3', '2025-03-10T08:00:00Z', 'Add discount calculation to cart', 80),
+        commit('c2', '2025-03-05T14:00:00Z', 'Add product list endpoint', 5, { additions: 3, deletions: 2 }),
+        commit('c1', '2025-03-01T09:00:00Z', 'Initial project setup', 40)
+      ]
+    };
+
+    it('should compute frequency, size and time of day without merge commits', () => {
+      const analytics = calculateProcessAnalytics(history, null, { timeZone: 'UTC' });
+
+      expect(analytics.frequency).toEqual({
+        total_commits: 4,
+        merge_commits: 1,
+        first_commit_at: '2025-03-01T09:00:00.000Z',
+        last_commit_at: '2025-03-10T21:30:00.000Z',
+        active_days: 3,
+        span_days: 9.5,
+        commits_per_active_day: 1.33,
+        longest_gap_days: 4.8
+      });
+      expect(analytics.size).toEqual({
+        measured_commits: 4,
+        median_lines: 60,
+        average_lines: 181.25,
+        max_lines: 600,
+        distribution: { small: 1, medium: 2, large: 0, very_large: 1 }
+      });
+      expect(analytics.time_of_day).toMatchObject({ night: 0, morning: 2, afternoon: 1, evening: 1 });
+      expect(analytics.time_of_day.by_hour[21]).toBe(1);
+      expect(analytics.last_minute).toBeNull();
+      expect(analytics.message_quality).toEqual({
+        score: 75,
+        good: 3,
+        too_short: 0,
+        generic: 1,
+        too_long: 0,
+        examples: [{ sha: 'c4', message: 'fix', issues: ['generic'] }]
+      });
+    });
+
+    it('should use the time zone for hours and active days', () => {
+      const analytics = calculateProcessAnalytics(history, null, { timeZone: 'Europe/Brussels' });
+
+      expect(analytics.time_of_day).toMatchObject({ night: 0, morning: 2, afternoon: 1, evening: 1 });
+      expect(analytics.time_of_day.by_hour[22]).toBe(1);
+    });
+
+    it('should measure the work just before the deadline', () => {
+      const analytics = calculateProcessAnalytics(history, '2025-03-10T20:00:00Z', { timeZone: 'UTC' });
+
+      expect(analytics.last_minute).toEqual({
+        due_date: '2025-03-10T20:00:00.000Z',
+        window_hours: 24,
+        commits: 1,
+        commit_share: 0.33,
+        lines: 80,
+        line_share: 0.64,
+        commits_after_due: 1
+      });
+    });
+
+    it('should return null without commit history', () => {
+      expect(calculateProcessAnalytics(null, null)).toBeNull();
+    });
+  });
+
+  describe('refreshCommitHistory', () => {
+    it('should only fetch the size of new commits', async () => {
+      getCommitHistory.mockResolvedValue({
+        success: true,
+        truncated: false,
+        commits: [
+          { sha: 'c3', message: 'Add tests\n', date: '2025-03-03T10:00:00Z', parents: 1 },
+          { sha: 'm1', message: 'Merge branch dev', date: '2025-03-02T10:00:00Z', parents: 2 },
+          { sha: 'c1', message: 'Initial commit', date: '2025-03-01T10:00:00Z', parents: 0 }
+        ]
+      });
+      db.query
+        .mockResolvedValueOnce({ rows: [{ commit_history: { commits: [commit('c1', '2025-03-01T10:00:00Z', 'Initial commit', 40)] } }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+      getMultipleCommitStats.mockResolvedValue([{ sha: 'c3', additions: 12, deletions: 1, files_changed: 2 }]);
+
+      const result = await refreshCommitHistory(7, { owner: 'student', repo: 'shop' }, 'c3');
+
+      expect(result).toEqual({ success: true, commits: 3 });
+      expect(getMultipleCommitStats).toHaveBeenCalledWith('student', 'shop', ['c3']);
+
+      const saved = JSON.parse(db.query.mock.calls[1][1][0]);
+      expect(saved.head_sha).toBe('c3');
+      expect(saved.commits).toEqual([
+        { sha: 'c3', date: '2025-03-03T10:00:00Z', message: 'Add tests', merge: false, additions: 12, deletions: 1, files_changed: 2 },
+        { sha: 'm1', date: '2025-03-02T10:00:00Z', message: 'Merge branch dev', merge: true, additions: null, deletions: null, files_changed: null },
+        { sha: 'c1', date: '2025-03-01T10:00:00Z', message: 'Initial commit', merge: false, additions: 40, deletions: 0, files_changed: 1 }
+      ]);
+    });
+
+    it('should not overwrite the history when GitHub fails', async () => {
+      getCommitHistory.mockResolvedValue({ success: false, error: 'Fout bij ophalen commit geschiedenis' });
+
+      const result = await refreshCommitHistory(7, { owner: 'student', repo: 'shop' }, 'c3');
+
+      expect(result).toEqual({ success: false, error: 'Fout bij ophalen commit geschiedenis' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
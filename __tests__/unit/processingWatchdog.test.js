@@ -0,0 +1,111 @@
+/**
+ * Unit tests for processingWatchdog
+ * Tests timing out stuck submissions, requeueing within the recovery budget and the recovery log
+ */
+
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+jest.mock('../../src/services/jobTypes', () => ({ enqueueSubmissionAnalysis: jest.fn(), abandonSubmissionAnalysis: jest.fn() }));
+jest.mock('../../src/services/autoRetryService', () => ({ planRetry: jest.fn() }));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const db = require('../../src/config/db');
+const { enqueueSubmissionAnalysis, abandonSubmissionAnalysis } = require('../../src/services/jobTypes');
+const { planRetry } = require('../../src/services/autoRetryService');
+const { recoverSubmission, runWatchdog } = require('../../src/services/processingWatchdog');
+
+const stuck = {
+  id: 12,
+  commit_sha: 'abc1234',
+  branch: 'main',
+  github_url: 'https://github.com/student/shop',
+  processing_since: new Date('2025-03-10T10:00:00Z'),
+  stuck_minutes: 45
+};
+
+// Geeft de log rij terug zoals ze weggeschreven werd
+const insertedLog = () => {
+  const params = db.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO processing_recovery_log'))[1];
+  return { action: params[2], recovery_attempt: params[5], job_id: params[6], message: params[7] };
+};
+
+describe('processingWatchdog', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO processing_recovery_log')) {
+        return { rows: [{ action: params[2], message: params[7] }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  describe('recoverSubmission', () => {
+    it('should mark the submission as timed out and requeue it', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 12 }] })
+        .mockResolvedValueOnce({ rows: [{ count: 0 }] });
+      enqueueSubmissionAnalysis.mockResolvedValue({ id: 99 });
+
+      const entry = await recoverSubmission(stuck, { timeoutMinutes: 30, maxRecoveries: 2 });
+
+      expect(entry.action).toBe('requeued');
+      const [updateSql, updateParams] = db.query.mock.calls[0];
+      expect(updateSql).toContain("error_code = 'TIMEOUT'");
+      expect(updateSql).toContain("status = 'processing'");
+      expect(updateParams).toEqual([12, expect.stringContaining('45 minuten'), 30]);
+      // De vastgelopen job verliest zijn lease, zodat de nieuwe job niet blijft wachten
+      expect(abandonSubmissionAnalysis).toHaveBeenCalledWith(12, expect.stringContaining('45 minuten'));
+      expect(abandonSubmissionAnalysis.mock.invocationCallOrder[0]).toBeLessThan(enqueueSubmissionAnalysis.mock.invocationCallOrder[0]);
+      expect(enqueueSubmissionAnalysis).toHaveBeenCalledWith({
+        submissionId: 12,
+        commitSha: 'abc1234',
+        branch: 'main',
+        repoFullName: 'student/shop',
+        trigger: 'watchdog'
+      });
+      expect(insertedLog()).toMatchObject({ action: 'requeued', recovery_attempt: 1, job_id: 99 });
+    });
+
+    it('should give up and report the permanent failure when the recovery budget is spent', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 12 }] })
+        .mockResolvedValueOnce({ rows: [{ count: 2 }] });
+
+      const entry = await recoverSubmission(stuck, { maxRecoveries: 2 });
+
+      expect(entry.action).toBe('gave_up');
+      expect(enqueueSubmissionAnalysis).not.toHaveBeenCalled();
+      expect(insertedLog()).toMatchObject({ action: 'gave_up', recovery_attempt: 3, job_id: null });
+      expect(planRetry).toHaveBeenCalledWith(12);
+    });
+
+    it('should leave a submission alone that finished in the meantime', async () => {
+      const entry = await recoverSubmission(stuck);
+
+      expect(entry).toBeNull();
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(abandonSubmissionAnalysis).not.toHaveBeenCalled();
+      expect(enqueueSubmissionAnalysis).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runWatchdog', () => {
+    it('should count the recoveries and keep going after an error', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [stuck, { ...stuck, id: 13 }] })
+        .mockRejectedValueOnce(new Error('Connection lost'))
+        .mockResolvedValueOnce({ rows: [{ id: 13 }] })
+        .mockResolvedValueOnce({ rows: [{ count: 0 }] });
+      enqueueSubmissionAnalysis.mockResolvedValue({ id: 100 });
+
+      const counts = await runWatchdog({ timeoutMinutes: 30, maxRecoveries: 2 });
+
+      expect(counts).toEqual({ requeued: 1, gave_up: 0 });
+      expect(db.query.mock.calls[0][1]).toEqual([30, 100]);
+    });
+  });
+});
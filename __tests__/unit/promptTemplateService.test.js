@@ -0,0 +1,117 @@
+/**
+ * Unit tests for promptTemplateService
+ * Tests template validation, version resolution and the active template lookup
+ */
+
+jest.mock('../../src/config/db', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../src/config/db');
+const {
+  validatePromptTemplate,
+  getActivePromptTemplate,
+  resolvePromptVersion
+} = require('../../src/services/promptTemplateService');
+const { PROMPT_VERSION } = require('../../src/services/aiService');
+const { renderPromptTemplate, findPlaceholders } = require('../../src/services/promptTemplates');
+
+describe('promptTemplateService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('validatePromptTemplate', () => {
+    const valid = {
+      system_prompt: '{{intro}}\n\n{{rubric}}\n\n{{response_format}}',
+      user_prompt: '{{file}}\n{{code}}',
+      description: '  Kortere feedback  '
+    };
+
+    it('should accept and normalize a valid template', () => {
+      const result = validatePromptTemplate(valid);
+
+      expect(result.valid).toBe(true);
+      expect(result.template.description).toBe('Kortere feedback');
+    });
+
+    it('should require the response format and code placeholders', () => {
+      const result = validatePromptTemplate({ system_prompt: '{{intro}}', user_prompt: '{{file}}' });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'system_prompt moet de placeholder {{response_format}} bevatten',
+        'user_prompt moet de placeholder {{code}} bevatten'
+      ]);
+    });
+
+    it('should reject unknown placeholders', () => {
+      const result = validatePromptTemplate({ ...valid, user_prompt: '{{code}} {{student_name}}' });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('onbekende placeholder {{student_name}}');
+    });
+
+    it('should reject missing prompts', () => {
+      expect(validatePromptTemplate({ system_prompt: '' }).errors).toEqual([
+        'system_prompt is verplicht',
+        'user_prompt is verplicht'
+      ]);
+      expect(validatePromptTemplate(null).valid).toBe(false);
+    });
+  });
+
+  describe('renderPromptTemplate', () => {
+    it('should fill placeholders without re-scanning the inserted values', () => {
+      const rendered = renderPromptTemplate('A {{ code }} B {{unknown}}', { code: 'x = "{{closing}}"', closing: 'nope' });
+
+      expect(rendered).toBe('A x = "{{closing}}" B {{unknown}}');
+      expect(findPlaceholders('{{code}} {{ file }} {{code}}')).toEqual(['code', 'file']);
+    });
+  });
+
+  describe('getActivePromptTemplate', () => {
+    it('should return the active template', async () => {
+      db.query.mockResolvedValue({ rows: [{ version: 2, system_prompt: 's', user_prompt: 'u' }] });
+
+      await expect(getActivePromptTemplate()).resolves.toEqual({ version: 2, system_prompt: 's', user_prompt: 'u' });
+    });
+
+    it('should fall back to the builtin prompt when the lookup fails', async () => {
+      db.query.mockRejectedValue(new Error('relation "prompt_template" does not exist'));
+
+      await expect(getActivePromptTemplate()).resolves.toBeNull();
+    });
+  });
+
+  describe('resolvePromptVersion', () => {
+    it('should resolve the builtin version without a query', async () => {
+      const result = await resolvePromptVersion(`builtin-${PROMPT_VERSION}`);
+
+      expect(result).toEqual({ promptVersion: `builtin-${PROMPT_VERSION}`, template: null });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should resolve a stored template version', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 1, version: 4, system_prompt: 's', user_prompt: 'u', is_active: false }] });
+
+      const result = await resolvePromptVersion('template-4');
+
+      expect(result.template).toEqual({ version: 4, system_prompt: 's', user_prompt: 'u' });
+      expect(db.query.mock.calls[0][1]).toEqual([4]);
+    });
+
+    it('should return null for unknown versions', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(resolvePromptVersion('template-9')).resolves.toBeNull();
+      await expect(resolvePromptVersion('builtin-1')).resolves.toBeNull();
+      await expect(resolvePromptVersion('v2')).resolves.toBeNull();
+    });
+  });
+});
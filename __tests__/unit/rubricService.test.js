@@ -0,0 +1,166 @@
+/**
+ * Unit tests for rubricService
+ * Tests rubric validation, criteria score parsing and weighted score calculation
+ */
+
+const {
+  validateRubricCriteria,
+  buildRubricPrompt,
+  parseCriteriaScores,
+  aggregateCriteriaScores,
+  calculateRubricScore
+} = require('../../src/services/rubricService');
+
+describe('rubricService', () => {
+  const validCriteria = [
+    {
+      id: 'readability',
+      title: ' Leesbaarheid ',
+      weight: 3,
+      levels: [
+        { id: 'poor', label: 'Zwak', score: 20 },
+        { id: 'excellent', label: 'Uitstekend', score: 100, descriptor: 'Duidelijke namen' },
+        { id: 'ok', label: 'Voldoende', score: 60 }
+      ]
+    },
+    {
+      id: 'testing',
+      title: 'Testen',
+      description: 'Zijn er tests?',
+      weight: 1,
+      levels: [
+        { id: 'yes', label: 'Ja', score: 100 },
+        { id: 'no', label: 'Nee', score: 0 }
+      ]
+    }
+  ];
+
+  // ==========================================
+  // validateRubricCriteria
+  // ==========================================
+  describe('validateRubricCriteria', () => {
+    it('should accept and normalize valid criteria', () => {
+      const result = validateRubricCriteria(validCriteria);
+
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual([]);
+      expect(result.criteria[0].title).toBe('Leesbaarheid');
+      expect(result.criteria[0].levels.map(l => l.id)).toEqual(['excellent', 'ok', 'poor']);
+      expect(result.criteria[1].description).toBe('Zijn er tests?');
+    });
+
+    it('should reject an empty or non-array rubric', () => {
+      expect(validateRubricCriteria([]).valid).toBe(false);
+      expect(validateRubricCriteria('rubric').valid).toBe(false);
+      expect(validateRubricCriteria(null).valid).toBe(false);
+    });
+
+    it('should reject duplicate criterion ids', () => {
+      const result = validateRubricCriteria([validCriteria[1], validCriteria[1]]);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain("'testing' komt meerdere keren voor");
+    });
+
+    it('should reject non-positive weights', () => {
+      const result = validateRubricCriteria([{ ...validCriteria[1], weight: 0 }]);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('gewicht');
+    });
+
+    it('should reject criteria with fewer than two levels', () => {
+      const result = validateRubricCriteria([{ ...validCriteria[1], levels: [{ id: 'a', label: 'A', score: 50 }] }]);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('niveaus');
+    });
+
+    it('should reject level scores outside 0-100', () => {
+      const result = validateRubricCriteria([{
+        ...validCriteria[1],
+        levels: [{ id: 'a', label: 'A', score: 150 }, { id: 'b', label: 'B', score: 0 }]
+      }]);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('score');
+    });
+  });
+
+  // ==========================================
+  // buildRubricPrompt
+  // ==========================================
+  describe('buildRubricPrompt', () => {
+    it('should list criteria with relative weights and levels', () => {
+      const { criteria } = validateRubricCriteria(validCriteria);
+      const prompt = buildRubricPrompt(criteria);
+
+      expect(prompt).toContain('readability: Leesbaarheid (gewicht 75%)');
+      expect(prompt).toContain('testing: Testen (gewicht 25%)');
+      expect(prompt).toContain('excellent (Uitstekend, 100 punten): Duidelijke namen');
+    });
+  });
+
+  // ==========================================
+  // parseCriteriaScores
+  // ==========================================
+  describe('parseCriteriaScores', () => {
+    it('should map levels to scores and drop unknown criteria or levels', () => {
+      const result = parseCriteriaScores([
+        { criterion_id: 'readability', level: 'ok', justification: 'Redelijk' },
+        { criterion_id: 'readability', level: 'excellent' },
+        { criterion_id: 'testing', level: 'maybe' },
+        { criterion_id: 'unknown', level: 'yes' },
+        null
+      ], validCriteria);
+
+      expect(result).toEqual([
+        { criterion_id: 'readability', level: 'ok', score: 60, justification: 'Redelijk' }
+      ]);
+    });
+
+    it('should return empty array for invalid input', () => {
+      expect(parseCriteriaScores(undefined, validCriteria)).toEqual([]);
+      expect(parseCriteriaScores([], null)).toEqual([]);
+    });
+  });
+
+  // ==========================================
+  // aggregateCriteriaScores
+  // ==========================================
+  describe('aggregateCriteriaScores', () => {
+    it('should average scores per criterion and pick the closest level', () => {
+      const result = aggregateCriteriaScores([
+        { file_path: 'a.js', scores: [{ criterion_id: 'readability', level: 'excellent', score: 100, justification: 'Top' }] },
+        { file_path: 'b.js', scores: [{ criterion_id: 'readability', level: 'poor', score: 20, justification: '' }] }
+      ], validCriteria);
+
+      expect(result).toEqual([
+        { criterion_id: 'readability', level: 'ok', score: 60, justification: 'a.js: Top' }
+      ]);
+    });
+  });
+
+  // ==========================================
+  // calculateRubricScore
+  // ==========================================
+  describe('calculateRubricScore', () => {
+    it('should calculate the weighted score', () => {
+      const score = calculateRubricScore([
+        { criterion_id: 'readability', score: 60 },
+        { criterion_id: 'testing', score: 100 }
+      ], validCriteria);
+
+      expect(score).toBe(70);
+    });
+
+    it('should ignore criteria without assessment in the weighting', () => {
+      expect(calculateRubricScore([{ criterion_id: 'testing', score: 0 }], validCriteria)).toBe(0);
+    });
+
+    it('should return null without assessments', () => {
+      expect(calculateRubricScore([], validCriteria)).toBeNull();
+      expect(calculateRubricScore(null, validCriteria)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Unit tests for similarityService
+ * Tests tokenizing, winnowing fingerprints, pairwise comparison and fingerprint storage
+ */
+
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+
+const db = require('../../src/config/db');
+const {
+  tokenize,
+  fingerprint,
+  comparePairs,
+  saveSubmissionFingerprints,
+  validateStarterFiles,
+  FINGERPRINT_VERSION
+} = require('../../src/services/similarityService');
+
+const original = [
+  'function total(items) {',
+  '  let sum = 0;',
+  '  for (const item of items) {',
+  '    if (item.price > 0) {',
+  '      sum += item.price * item.quantity;',
+  '    }',
+  '  }',
+  '  return sum;',
+  '}'
+].join('\n');
+
+// Zelfde code met andere namen, commentaar en opmaak
+const renamed = [
+  '// berekent het totaal',
+  'function berekenTotaal(lijst) {',
+  '  let totaal = 0;',
+  '  for (const x of lijst) {',
+  '    if (x.prijs > 0) { totaal += x.prijs * x.aantal; }',
+  '  }',
+  '  return totaal;',
+  '}'
+].join('\n');
+
+const unrelated = [
+  'class Queue {',
+  '  constructor() { this.items = []; }',
+  '  enqueue(value) { this.items.push(value); return this.items.length; }',
+  '  dequeue() { return this.items.length === 0 ? null : this.items.shift(); }',
+  '  get size() { return this.items.length; }',
+  '}',
+  'module.exports = Queue;'
+].join('\n');
+
+const submission = (id, files) => ({
+  id,
+  files: files.map(([path, content]) => ({ path, fingerprints: fingerprint(content, 'javascript') }))
+});
+
+describe('similarityService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('tokenize', () => {
+    it('should normalize identifiers, strings and numbers and skip comments', () => {
+      const tokens = tokenize('const name = "Ada"; // comment\nreturn count + 42;', 'javascript');
+
+      expect(tokens.map(t => t.token)).toEqual(['const', 'V', '=', 'S', ';', 'return', 'V', '+', 'N', ';']);
+      expect(tokens[5].line).toBe(2);
+    });
+
+    it('should use hash comments for Python', () => {
+      const tokens = tokenize('# uitleg\ndef add(a, b):\n    return a + b', 'python');
+
+      expect(tokens.map(t => t.token)).toEqual(['def', 'V', '(', 'V', ',', 'V', ')', ':', 'return', 'V', '+', 'V']);
+      expect(tokens[0].line).toBe(2);
+    });
+  });
+
+  describe('fingerprint', () => {
+    it('should give the same fingerprints for renamed code', () => {
+      const hashes = (content) => fingerprint(content, 'javascript').map(([hash]) => hash);
+
+      expect(hashes(original)).toEqual(hashes(renamed));
+      expect(fingerprint(original, 'javascript')).toEqual(fingerprint(original, 'javascript'));
+    });
+
+    it('should not fingerprint files shorter than one k-gram', () => {
+      expect(fingerprint('x = 1', 'javascript')).toEqual([]);
+    });
+  });
+
+  describe('comparePairs', () => {
+    it('should report a renamed copy with the matching regions', () => {
+      const pairs = comparePairs([
+        submission(1, [['src/cart.js', original]]),
+        submission(2, [['lib/totaal.js', renamed]]),
+        submission(3, [['src/queue.js', unrelated]])
+      ]);
+
+      expect(pairs).toHaveLength(1);
+      expect(pairs[0]).toMatchObject({ a: 1, b: 2, similarity: 1, coverage_a: 1, coverage_b: 1 });
+      expect(pairs[0].regions[0]).toMatchObject({
+        a: { path: 'src/cart.js', start_line: 1 },
+        b: { path: 'lib/totaal.js', start_line: 2 }
+      });
+      expect(pairs[0].regions[0].a.end_line).toBeGreaterThanOrEqual(8);
+    });
+
+    it('should ignore starter code', () => {
+      const starter = new Set(fingerprint(original, 'javascript').map(([hash]) => hash));
+
+      const pairs = comparePairs([
+        submission(1, [['src/cart.js', original]]),
+        submission(2, [['src/cart.js', original]])
+      ], { ignoreHashes: starter });
+
+      expect(pairs).toEqual([]);
+    });
+
+    it('should ignore code that most submissions share', () => {
+      const pairs = comparePairs([1, 2, 3, 4].map(id => submission(id, [['src/cart.js', original]])));
+
+      expect(pairs).toEqual([]);
+    });
+
+    it('should respect the minimum similarity', () => {
+      const submissions = [
+        submission(1, [['src/cart.js', original], ['src/queue.js', unrelated]]),
+        submission(2, [['src/cart.js', original]])
+      ];
+
+      expect(comparePairs(submissions, { minSimilarity: 1 })).toHaveLength(1);
+      expect(comparePairs(submissions, { minSimilarity: 1 })[0].coverage_a).toBeLessThan(1);
+    });
+  });
+
+  describe('validateStarterFiles', () => {
+    it('should accept files and trim their paths', () => {
+      expect(validateStarterFiles([{ path: ' src/app.js ', content: 'x' }])).toEqual({
+        valid: true,
+        errors: [],
+        files: [{ path: 'src/app.js', content: 'x' }]
+      });
+    });
+
+    it('should reject missing paths and content', () => {
+      const result = validateStarterFiles([{ path: '', content: 'x' }, { path: 'a.js' }]);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['files[0].path is verplicht', 'files[1].content moet een string zijn']);
+      expect(validateStarterFiles([]).valid).toBe(false);
+    });
+  });
+
+  describe('saveSubmissionFingerprints', () => {
+    it('should replace the fingerprints of fetched files and drop deselected files', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      const count = await saveSubmissionFingerprints(5, [
+        { path: 'src/cart.js', content: original },
+        { path: 'README.md', content: '# Project' }
+      ], ['src/cart.js', 'src/queue.js', 'README.md']);
+
+      expect(count).toBe(1);
+      expect(db.query).toHaveBeenCalledTimes(2);
+      expect(db.query.mock.calls[0][1]).toEqual([5, ['src/cart.js', 'src/queue.js', 'README.md'], ['src/cart.js', 'README.md']]);
+      expect(db.query.mock.calls[1][1]).toEqual([5, 'src/cart.js', JSON.stringify(fingerprint(original, 'javascript')), FINGERPRINT_VERSION]);
+    });
+  });
+});
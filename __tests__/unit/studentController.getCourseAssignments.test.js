@@ -220,6 +220,60 @@ describe('studentController.getCourseAssignments', () => {
 
       expect(result[0].last_analysis_date).toBe('2025-01-10T14:30:00Z');
     });
+
+    it('should return manual score as final score when overridden', async () => {
+      const mockData = [{
+        id: 1,
+        title: 'Test Assignment',
+        description: 'Description',
+        due_date: null,
+        created_at: '2025-01-01T10:00:00Z',
+        submission_id: 42,
+        status: 'analyzed',
+        ai_score: 60,
+        manual_score: 80,
+        last_analysis_date: '2025-01-10T14:30:00Z',
+        critical_count: 0,
+        high_count: 1,
+        medium_count: 0,
+        low_count: 0,
+        feedback_count: 1
+      }];
+
+      db.query.mockResolvedValueOnce({ rows: mockData });
+
+      const result = await getCourseAssignments(1, 5);
+
+      expect(result[0].final_score).toBe(80);
+      expect(result[0].score_overridden).toBe(true);
+    });
+
+    it('should fall back to AI score when no manual score is set', async () => {
+      const mockData = [{
+        id: 1,
+        title: 'Test Assignment',
+        description: 'Description',
+        due_date: null,
+        created_at: '2025-01-01T10:00:00Z',
+        submission_id: 42,
+        status: 'analyzed',
+        ai_score: 60,
+        manual_score: null,
+        last_analysis_date: '2025-01-10T14:30:00Z',
+        critical_count: 0,
+        high_count: 0,
+        medium_count: 0,
+        low_count: 0,
+        feedback_count: 0
+      }];
+
+      db.query.mockResolvedValueOnce({ rows: mockData });
+
+      const result = await getCourseAssignments(1, 5);
+
+      expect(result[0].final_score).toBe(60);
+      expect(result[0].score_overridden).toBe(false);
+    });
   });
 
   // ==========================================
@@ -302,6 +356,43 @@ describe('studentController.getCourseAssignments', () => {
 
       expect(result[0].status_text).toBe('In behandeling');
     });
+
+    it('should return status_text in the feedback language of the course', async () => {
+      const mockData = [{
+        id: 1,
+        title: 'Test Assignment',
+        submission_id: 42,
+        status: 'analyzed',
+        ai_score: 80,
+        feedback_language: 'fr',
+        critical_count: 0,
+        high_count: 1,
+        medium_count: 0,
+        low_count: 0,
+        feedback_count: 1
+      }];
+
+      db.query.mockResolvedValueOnce({ rows: mockData });
+
+      const result = await getCourseAssignments(1, 5);
+
+      expect(result[0].status_text).toBe('Améliorations nécessaires');
+    });
+
+    it('should let the user language override the course language', async () => {
+      const mockData = [{
+        id: 1,
+        title: 'Test Assignment',
+        submission_id: null,
+        feedback_language: 'fr'
+      }];
+
+      db.query.mockResolvedValueOnce({ rows: mockData });
+
+      const result = await getCourseAssignments(1, 5, { language: 'en' });
+
+      expect(result[0].status_text).toBe('Not submitted yet');
+    });
   });
 
   // ==========================================
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for studentController.rateFeedback and removeFeedbackRating
+ * Tests rating AI feedback items of the student's own submission
+ */
+
+// Mock database before importing
+jest.mock('../../src/config/db', () => ({
+  query: jest.fn()
+}));
+jest.mock('../../src/services/cachingService', () => ({
+  invalidateAssignmentCache: jest.fn(),
+  invalidateCourseCache: jest.fn(),
+  invalidateCacheKey: jest.fn()
+}));
+
+const db = require('../../src/config/db');
+const { invalidateCacheKey } = require('../../src/services/cachingService');
+const { rateFeedback, removeFeedbackRating } = require('../../src/controllers/studentController');
+
+describe('studentController.rateFeedback', () => {
+  const aiFeedback = { id: 3, reviewer: 'ai', submission_id: 1, user_id: 5, assignment_id: 10 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ==========================================
+  // Success Cases
+  // ==========================================
+  describe('Success Cases', () => {
+    it('should store the rating with a snapshot of the feedback item', async () => {
+      const savedRating = { id: 7, feedback_id: 3, rating: 'incorrect', comment: 'Regel 12 klopt wel' };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [aiFeedback] })   // Get feedback with owner
+        .mockResolvedValueOnce({ rows: [savedRating] }); // Upsert rating
+
+      const result = await rateFeedback(3, 1, 5, 'incorrect', 'Regel 12 klopt wel');
+
+      expect(result).toEqual({ success: true, rating: savedRating });
+      const [upsertQuery, upsertParams] = db.query.mock.calls[1];
+      expect(upsertQuery).toContain('f.type, f.severity, f.prompt_version');
+      expect(upsertQuery).toContain('ON CONFLICT (feedback_id, user_id)');
+      expect(upsertParams).toEqual([3, 5, 'incorrect', 'Regel 12 klopt wel']);
+      expect(invalidateCacheKey).toHaveBeenCalledWith('assignment:10:aifeedback:analytics');
+    });
+
+    it('should remove an existing rating', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [aiFeedback] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const result = await removeFeedbackRating(3, 1, 5);
+
+      expect(result).toEqual({ success: true });
+      expect(db.query.mock.calls[1][1]).toEqual([3, 5]);
+    });
+  });
+
+  // ==========================================
+  // Error Cases
+  // ==========================================
+  describe('Error Cases', () => {
+    it('should return NOT_FOUND when the feedback is not part of the submission', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const result = await rateFeedback(3, 2, 5, 'helpful');
+
+      expect(result).toEqual({ success: false, error: 'NOT_FOUND' });
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return FORBIDDEN for feedback on another student\'s submission', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...aiFeedback, user_id: 6 }] });
+
+      const result = await rateFeedback(3, 1, 5, 'helpful');
+
+      expect(result).toEqual({ success: false, error: 'FORBIDDEN' });
+    });
+
+    it('should return NOT_AI_FEEDBACK for teacher feedback', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...aiFeedback, reviewer: 'teacher' }] });
+
+      const result = await rateFeedback(3, 1, 5, 'helpful');
+
+      expect(result).toEqual({ success: false, error: 'NOT_AI_FEEDBACK' });
+    });
+
+    it('should return RATING_NOT_FOUND when there is nothing to remove', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [aiFeedback] })
+        .mockResolvedValueOnce({ rowCount: 0 });
+
+      const result = await removeFeedbackRating(3, 1, 5);
+
+      expect(result).toEqual({ success: false, error: 'RATING_NOT_FOUND' });
+      expect(invalidateCacheKey).not.toHaveBeenCalled();
+    });
+
+    it('should throw on database errors', async () => {
+      db.query.mockRejectedValueOnce(new Error('Database error'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(rateFeedback(3, 1, 5, 'helpful')).rejects.toThrow('Database error');
+
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Unit tests for usageService
+ * Tests pricing lookup, cost estimation, usage recording and course budgets
+ */
+
+jest.mock('../../src/config/db', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../src/config/db');
+const {
+  getModelPricing,
+  normalizeUsage,
+  estimateCost,
+  recordUsage,
+  getCourseBudgetStatus,
+  parseUsagePeriod
+} = require('../../src/services/usageService');
+
+describe('usageService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.AI_PRICING;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('getModelPricing', () => {
+    it('should match dated model names on the longest prefix', () => {
+      expect(getModelPricing('openai', 'gpt-5-mini-2025-08-07')).toEqual({ input: 0.25, output: 2 });
+      expect(getModelPricing('openai', 'gpt-5')).toEqual({ input: 1.25, output: 10 });
+    });
+
+    it('should treat local and mock providers as free', () => {
+      expect(getModelPricing('local', 'llama3.1')).toEqual({ input: 0, output: 0 });
+      expect(getModelPricing('mock', 'mock')).toEqual({ input: 0, output: 0 });
+    });
+
+    it('should return null for unknown models', () => {
+      expect(getModelPricing('openai', 'some-new-model')).toBeNull();
+    });
+
+    it('should apply AI_PRICING overrides', () => {
+      process.env.AI_PRICING = JSON.stringify({ 'openai/some-new-model': { input: 1, output: 2 } });
+      expect(getModelPricing('openai', 'some-new-model')).toEqual({ input: 1, output: 2 });
+    });
+
+    it('should fall back to default pricing on invalid AI_PRICING', () => {
+      process.env.AI_PRICING = '{not json';
+      expect(getModelPricing('openai', 'gpt-5')).toEqual({ input: 1.25, output: 10 });
+    });
+  });
+
+  describe('estimateCost', () => {
+    it('should calculate the cost per million tokens', () => {
+      const usage = normalizeUsage({ prompt_tokens: 1000000, completion_tokens: 100000 });
+      expect(usage.total_tokens).toBe(1100000);
+      expect(estimateCost('openai', 'gpt-5-mini', usage)).toBeCloseTo(0.45);
+    });
+
+    it('should return null when the price is unknown', () => {
+      expect(estimateCost('openai', 'unknown', normalizeUsage({ prompt_tokens: 10 }))).toBeNull();
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('should insert the usage with tokens and estimated cost', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const result = await recordUsage({
+        courseId: 1,
+        assignmentId: 2,
+        submissionId: 3,
+        provider: 'openai',
+        model: 'gpt-5-mini',
+        stage: 'file',
+        filePath: 'src/app.js',
+        usage: { prompt_tokens: 2000, completion_tokens: 500, total_tokens: 2500 }
+      });
+
+      expect(result).toEqual({ prompt_tokens: 2000, completion_tokens: 500, total_tokens: 2500, estimated_cost: 0.0015 });
+      const params = db.query.mock.calls[0][1];
+      expect(params.slice(0, 7)).toEqual([1, 2, 3, 'openai', 'gpt-5-mini', 'file', 'src/app.js']);
+      expect(params.slice(7)).toEqual([2000, 500, 2500, 0.0015]);
+    });
+
+    it('should skip calls without usage', async () => {
+      expect(await recordUsage({ provider: 'openai', model: 'gpt-5', usage: null })).toBeNull();
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should not throw when the insert fails', async () => {
+      db.query.mockRejectedValueOnce(new Error('connection lost'));
+
+      const result = await recordUsage({ provider: 'mock', model: 'mock', usage: { prompt_tokens: 5, completion_tokens: 5 } });
+
+      expect(result.total_tokens).toBe(10);
+      expect(console.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('getCourseBudgetStatus', () => {
+    it('should report an exceeded budget', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ monthly_token_budget: 1000, used: '1200', period_start: 'start', period_end: 'end' }] });
+
+      const status = await getCourseBudgetStatus(1);
+
+      expect(status).toEqual({ budget: 1000, used: 1200, remaining: 0, exceeded: true, periodStart: 'start', periodEnd: 'end' });
+    });
+
+    it('should never be exceeded without a budget', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ monthly_token_budget: null, used: '999999' }] });
+
+      const status = await getCourseBudgetStatus(1);
+
+      expect(status.exceeded).toBe(false);
+      expect(status.remaining).toBeNull();
+    });
+  });
+
+  describe('parseUsagePeriod', () => {
+    it('should default to the last 30 days', () => {
+      const period = parseUsagePeriod();
+      expect(period.to.getTime() - period.from.getTime()).toBe(30 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should reject invalid or reversed periods', () => {
+      expect(parseUsagePeriod('gisteren')).toBeNull();
+      expect(parseUsagePeriod('2026-02-01', '2026-01-01')).toBeNull();
+    });
+  });
+});
@@ -24,3 +24,14 @@ app.listen(PORT, () => {
   console.log(`[SERVER] Health check: http://localhost:${PORT}/health`);
   console.log('================================\n');
 });
+
+// Optioneel: de job worker (met de watchdog en de retry scheduler) in hetzelfde proces draaien (development of een enkele server).
+// In productie draait de worker apart: npm run worker
+if (process.env.JOB_WORKER_IN_PROCESS === 'true') {
+  const { startWorker } = require('./src/services/jobWorker');
+  const { startWatchdog } = require('./src/services/processingWatchdog');
+  const { startAutoRetry } = require('./src/services/autoRetryService');
+  startWorker();
+  startWatchdog();
+  startAutoRetry();
+}
@@ -54,7 +54,9 @@ console.log('[SUCCESS] [APP] Passport geïnitialiseerd');
 
 // Middleware
 // Bewaar raw body voor webhook signature verificatie
+// Limiet ruim boven de standaard 100kb: test suites van de autograder mogen tot 1MB groot zijn
 app.use(express.json({
+  limit: '2mb',
   verify: (req, res, buf) => {
     if (req.originalUrl.startsWith('/api/webhooks')) {
       req.rawBody = buf.toString('utf8');
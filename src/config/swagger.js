@@ -155,15 +155,32 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['pending', 'processing', 'analyzed', 'completed', 'failed'],
-              description: 'Status van de inzending'
+              enum: ['pending', 'processing', 'analyzed', 'analysis_incomplete', 'budget_exceeded', 'completed', 'failed'],
+              description: 'Status van de inzending (analysis_incomplete = de AI kon niet alle bestanden analyseren, er is geen AI score; budget_exceeded = niet geanalyseerd omdat het maandelijkse AI budget van het vak op is)'
+            },
+            error_code: {
+              type: 'string',
+              nullable: true,
+              description: 'Reden van de laatste mislukte verwerking (bv. GITHUB_ERROR, AI_ERROR, TIMEOUT = vastgelopen en door de watchdog afgebroken)',
+              example: 'TIMEOUT'
+            },
+            error_message: {
+              type: 'string',
+              nullable: true,
+              description: 'Foutmelding van de laatste mislukte verwerking'
             },
             ai_score: {
               type: 'integer',
-              description: 'AI score (0-100)',
+              description: 'AI score (0-100); met een test suite gecombineerd met het test resultaat volgens het gewicht van de suite',
               minimum: 0,
               maximum: 100
             },
+            test_results: {
+              $ref: '#/components/schemas/TestResults'
+            },
+            process_analytics: {
+              $ref: '#/components/schemas/ProcessAnalytics'
+            },
             created_at: {
               type: 'string',
               format: 'date-time',
@@ -188,8 +205,8 @@ const options = {
             },
             reviewer: {
               type: 'string',
-              enum: ['ai', 'teacher'],
-              description: 'Type reviewer'
+              enum: ['ai', 'teacher', 'linter', 'autograder'],
+              description: 'Type reviewer (linter = bevinding van de statische analyse, bv. ESLint; autograder = gefaalde test van de verborgen test suite)'
             },
             severity: {
               type: 'string',
@@ -198,12 +215,33 @@ const options = {
             },
             type: {
               type: 'string',
-              enum: ['code_quality', 'best_practices', 'security', 'performance', 'maintainability', 'documentation', 'error_handling', 'naming', 'structure'],
-              description: 'Type feedback'
+              enum: ['code_quality', 'best_practices', 'security', 'performance', 'maintainability', 'documentation', 'error_handling', 'naming', 'structure', 'architecture'],
+              description: 'Type feedback (architecture = project-brede feedback uit de architectuur review, zonder file_path)'
             },
             line_number: {
               type: 'integer',
-              description: 'Regelnummer in het bestand',
+              description: 'Regelnummer in het bestand (eerste regel van het bereik)',
+              nullable: true
+            },
+            end_line: {
+              type: 'integer',
+              description: 'Laatste regel van het bereik (gelijk aan line_number voor één regel)',
+              nullable: true
+            },
+            line_status: {
+              type: 'string',
+              enum: ['valid', 'reanchored', 'out_of_range'],
+              description: 'Controle van het regelnummer tegen het bestand: reanchored = hersteld via de code in de feedback, out_of_range = lag buiten het bestand en werd verwijderd (null zonder regelnummer of bij docent feedback)',
+              nullable: true
+            },
+            code_excerpt: {
+              type: 'string',
+              description: 'Code rond het bereik, met enkele regels context',
+              nullable: true
+            },
+            excerpt_start_line: {
+              type: 'integer',
+              description: 'Regelnummer van de eerste regel in code_excerpt',
               nullable: true
             },
             suggestion: {
@@ -211,11 +249,438 @@ const options = {
               description: 'Suggestie voor verbetering',
               nullable: true
             },
+            file_path: {
+              type: 'string',
+              description: 'Bestandspad waar de feedback over gaat (null voor project-brede feedback)',
+              nullable: true
+            },
+            criterion_id: {
+              type: 'string',
+              description: 'ID van het rubric criterium waar de feedback bij hoort',
+              nullable: true
+            },
+            author_id: {
+              type: 'integer',
+              description: 'ID van de docent die de feedback schreef (null bij AI feedback)',
+              nullable: true
+            },
+            rating: {
+              type: 'string',
+              enum: ['helpful', 'not_helpful', 'incorrect'],
+              description: 'Beoordeling door de student (null als nog niet beoordeeld)',
+              nullable: true
+            },
+            rating_comment: {
+              type: 'string',
+              description: 'Opmerking bij de beoordeling',
+              nullable: true
+            },
             created_at: {
               type: 'string',
               format: 'date-time'
+            },
+            updated_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        TeacherFeedback: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            submissionId: { type: 'integer' },
+            content: { type: 'string' },
+            reviewer: { type: 'string', enum: ['teacher'] },
+            severity: { type: 'string', enum: ['critical', 'high', 'medium', 'low'] },
+            type: { type: 'string', nullable: true },
+            lineNumber: { type: 'integer', nullable: true },
+            filePath: { type: 'string', nullable: true },
+            suggestion: { type: 'string', nullable: true },
+            authorId: { type: 'integer' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        RubricCriterion: {
+          type: 'object',
+          required: ['id', 'title', 'weight', 'levels'],
+          properties: {
+            id: { type: 'string', example: 'readability' },
+            title: { type: 'string', example: 'Leesbaarheid' },
+            description: { type: 'string', nullable: true },
+            weight: { type: 'number', description: 'Relatief gewicht van het criterium', example: 30 },
+            levels: {
+              type: 'array',
+              minItems: 2,
+              maxItems: 10,
+              items: {
+                type: 'object',
+                required: ['id', 'label', 'score'],
+                properties: {
+                  id: { type: 'string', example: 'excellent' },
+                  label: { type: 'string', example: 'Uitstekend' },
+                  score: { type: 'number', minimum: 0, maximum: 100, example: 100 },
+                  descriptor: { type: 'string', nullable: true }
+                }
+              }
+            }
+          }
+        },
+        FileSelection: {
+          type: 'object',
+          description: 'Welke bestanden van een repository geanalyseerd worden. Patronen zijn relatief ten opzichte van root; een patroon zonder / matcht de bestandsnaam op elke diepte.',
+          properties: {
+            root: { type: 'string', nullable: true, description: 'Submap die als project root gebruikt wordt (monorepos)', example: 'packages/api' },
+            include: { type: 'array', items: { type: 'string' }, description: 'Enkel bestanden die hiermee matchen (leeg = alle code bestanden)', example: ['src/**', 'tests/**'] },
+            exclude: { type: 'array', items: { type: 'string' }, description: 'Bestanden die nooit geanalyseerd worden', example: ['*.min.js'] },
+            priority: { type: 'array', items: { type: 'string' }, description: 'Volgorde waarin bestanden gekozen worden als er meer zijn dan max_files', example: ['src/**', 'tests/**'] },
+            max_files: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+          }
+        },
+        AnalyzedFile: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', example: 'src/index.js' },
+            size: { type: 'integer', example: 1024 },
+            language: { type: 'string', example: 'javascript' }
+          }
+        },
+        SkippedFile: {
+          type: 'object',
+          properties: {
+            path: { type: 'string', example: 'tests/index.test.js' },
+            reason: {
+              type: 'string',
+              enum: ['outside_root', 'excluded_path', 'unsupported_extension', 'not_included', 'excluded_by_pattern', 'max_files']
+            },
+            pattern: { type: 'string', description: 'Patroon dat het bestand uitsloot (bij excluded_by_pattern)', example: '*.test.js' },
+            message: { type: 'string', description: 'Uitleg in de taal van de gebruiker', example: 'Uitgesloten door de opdracht (*.test.js)' }
+          }
+        },
+        FeedbackCategory: {
+          type: 'object',
+          required: ['id', 'description'],
+          properties: {
+            id: { type: 'string', description: 'Wordt als type opgeslagen bij de feedback', example: 'recursion' },
+            label: { type: 'string', description: 'Weergavenaam (standaard het id)', example: 'Recursie' },
+            description: { type: 'string', description: 'Uitleg voor de AI wat onder deze categorie valt', example: 'Correct gebruik van basisgevallen en recursieve stappen' }
+          }
+        },
+        PromptTemplate: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            version: { type: 'integer', example: 2 },
+            prompt_version: { type: 'string', description: 'Label dat bij elke analyse run bewaard wordt', example: 'template-2' },
+            description: { type: 'string', nullable: true, example: 'Kortere feedback, meer nadruk op security' },
+            system_prompt: { type: 'string', example: '{{intro}}\n\n{{categories}}\n\n{{rubric}}\n\n{{response_format}}' },
+            user_prompt: { type: 'string', example: '{{file}}\n{{language}}\n{{fragment}}\n{{code}}' },
+            is_active: { type: 'boolean' },
+            created_by: { type: 'integer', nullable: true },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        PromptVersionStats: {
+          type: 'object',
+          properties: {
+            prompt_version: { type: 'string', example: 'template-2' },
+            experiment: {
+              type: 'object',
+              description: 'Resultaten op de steekproef van het experiment',
+              properties: {
+                runs: { type: 'integer' },
+                completed: { type: 'integer' },
+                incomplete: { type: 'integer' },
+                failed: { type: 'integer' },
+                pending: { type: 'integer' },
+                feedback_count: { type: 'integer' },
+                avg_feedback_per_submission: { type: 'number', nullable: true },
+                avg_score: { type: 'integer', nullable: true },
+                by_severity: { type: 'object', additionalProperties: { type: 'integer' } },
+                by_type: { type: 'object', additionalProperties: { type: 'integer' } }
+              }
+            },
+            production: {
+              type: 'object',
+              description: 'Feedback die studenten met deze versie kregen (binnen de opdracht van het experiment, indien ingesteld)',
+              properties: {
+                submissions: { type: 'integer' },
+                feedback_count: { type: 'integer' },
+                avg_feedback_per_submission: { type: 'number', nullable: true },
+                avg_score: { type: 'integer', nullable: true },
+                by_severity: { type: 'object', additionalProperties: { type: 'integer' } },
+                ratings: { $ref: '#/components/schemas/FeedbackRatingSummary' }
+              }
             }
           }
+        },
+        FeedbackRatingSummary: {
+          type: 'object',
+          description: 'Beoordelingen van AI feedback door studenten',
+          properties: {
+            total: { type: 'integer', example: 40 },
+            helpful: { type: 'integer', example: 31 },
+            not_helpful: { type: 'integer', example: 6 },
+            incorrect: { type: 'integer', example: 3 },
+            helpful_rate: { type: 'number', nullable: true, description: 'Aandeel nuttig (0-1)', example: 0.78 }
+          }
+        },
+        TestSuite: {
+          type: 'object',
+          description: 'Verborgen test suite van een opdracht (enkel zichtbaar voor docenten)',
+          properties: {
+            assignmentId: { type: 'integer' },
+            runner: { type: 'string', enum: ['jest', 'pytest'] },
+            files: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  path: { type: 'string' },
+                  content: { type: 'string' }
+                }
+              }
+            },
+            weight: { type: 'integer', description: 'Aandeel van de tests in de score (%)', example: 40 },
+            timeoutSeconds: { type: 'integer', example: 60 },
+            memoryMb: { type: 'integer', example: 512 },
+            updatedBy: { type: 'integer', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        StarterCode: {
+          type: 'object',
+          description: 'Startcode van een opdracht (genegeerd door de similarity detectie)',
+          properties: {
+            assignmentId: { type: 'integer' },
+            source: { type: 'string', description: 'GitHub URL of upload', example: 'https://github.com/docent/opdracht-3-starter' },
+            files: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  path: { type: 'string' },
+                  content: { type: 'string' }
+                }
+              }
+            },
+            fingerprints: { type: 'integer', description: 'Aantal fingerprints van de startcode' },
+            updatedBy: { type: 'integer', nullable: true },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        SimilarityStudent: {
+          type: 'object',
+          properties: {
+            studentId: { type: 'integer' },
+            name: { type: 'string' },
+            submissionId: { type: 'integer' },
+            coverage: { type: 'number', description: 'Aandeel van de code van deze student dat overeenkomt (0-1)', example: 0.65 }
+          }
+        },
+        SimilarityRange: {
+          type: 'object',
+          properties: {
+            filePath: { type: 'string', example: 'src/utils.js' },
+            startLine: { type: 'integer', example: 12 },
+            endLine: { type: 'integer', example: 40 }
+          }
+        },
+        TestResults: {
+          type: 'object',
+          nullable: true,
+          description: 'Resultaat van de laatste autograder run (null = de opdracht heeft geen test suite)',
+          properties: {
+            status: { type: 'string', enum: ['passed', 'failed', 'timeout', 'error'] },
+            runner: { type: 'string', example: 'jest' },
+            passed: { type: 'integer', example: 8 },
+            failed: { type: 'integer', example: 2 },
+            skipped: { type: 'integer', example: 0 },
+            total: { type: 'integer', example: 10 },
+            test_score: { type: 'integer', nullable: true, description: 'Percentage geslaagde tests (null = telt niet mee)', example: 80 },
+            weight: { type: 'integer', description: 'Aandeel van de tests in de score (%)', example: 40 },
+            duration_ms: { type: 'integer' },
+            commit_sha: { type: 'string' },
+            output: { type: 'string', nullable: true, description: 'Laatste deel van de output van de test runner' },
+            error: { type: 'string', description: 'Enkel bij status timeout of error' },
+            tests: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', example: 'sum telt twee getallen op' },
+                  status: { type: 'string', enum: ['passed', 'failed', 'skipped'] },
+                  duration_ms: { type: 'integer', nullable: true },
+                  message: { type: 'string', nullable: true }
+                }
+              }
+            }
+          }
+        },
+        RetrySchedule: {
+          type: 'object',
+          description: 'Automatische pogingen voor een mislukte analyse (per commit)',
+          properties: {
+            retryable: { type: 'boolean', description: 'De error code wordt automatisch opnieuw geprobeerd' },
+            attempts: { type: 'integer', description: 'Automatische pogingen tot nu toe', example: 1 },
+            max_attempts: { type: 'integer', example: 3 },
+            next_retry_at: { type: 'string', format: 'date-time', nullable: true, description: 'Geplande volgende poging' },
+            remaining_delays: {
+              type: 'array',
+              items: { type: 'integer' },
+              description: 'Wachttijd in minuten vóór elk van de resterende pogingen (exponentiële backoff)',
+              example: [20, 40]
+            },
+            permanently_failed: { type: 'boolean', description: 'Geen automatische pogingen meer; student en docenten zijn verwittigd' },
+            permanently_failed_at: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        ProcessingRecovery: {
+          type: 'object',
+          description: 'Ingreep van de watchdog op een vastgelopen submission',
+          properties: {
+            id: { type: 'integer' },
+            submission_id: { type: 'integer' },
+            commit_sha: { type: 'string', nullable: true },
+            action: { type: 'string', enum: ['requeued', 'gave_up'] },
+            processing_since: { type: 'string', format: 'date-time', description: 'Start van de vastgelopen verwerking' },
+            stuck_minutes: { type: 'integer', example: 47 },
+            recovery_attempt: { type: 'integer', description: 'Hoeveelste herstel voor deze commit' },
+            job_id: { type: 'integer', nullable: true, description: 'Job van de nieuwe analyse (enkel bij requeued)' },
+            message: { type: 'string' },
+            created_at: { type: 'string', format: 'date-time' },
+            submission_status: { type: 'string', description: 'Huidige status van de submission' },
+            assignment_id: { type: 'integer' },
+            assignment_title: { type: 'string' },
+            student_id: { type: 'integer' },
+            student_name: { type: 'string' }
+          }
+        },
+        Job: {
+          type: 'object',
+          description: 'Job in de achtergrond queue',
+          properties: {
+            id: { type: 'integer' },
+            type: { type: 'string', enum: ['analyze_submission', 'prompt_experiment'] },
+            payload: { type: 'object', example: { submission_id: 12, commit_sha: 'abc123', branch: 'main', repo_full_name: 'student/repo', trigger: 'push' } },
+            status: { type: 'string', enum: ['queued', 'running', 'completed', 'dead'] },
+            priority: { type: 'integer' },
+            attempts: { type: 'integer', description: 'Aantal pogingen tot nu toe' },
+            max_attempts: { type: 'integer', example: 3 },
+            run_at: { type: 'string', format: 'date-time', description: 'Vroegste moment voor de volgende poging' },
+            locked_by: { type: 'string', nullable: true, description: 'Worker die de job uitvoert' },
+            locked_until: { type: 'string', format: 'date-time', nullable: true, description: 'Einde van de visibility timeout' },
+            dedupe_key: { type: 'string', nullable: true, example: 'submission:12' },
+            result: { type: 'object', nullable: true },
+            last_error: { type: 'string', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' },
+            completed_at: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        ProcessAnalytics: {
+          type: 'object',
+          nullable: true,
+          description: 'Procesanalyse op basis van de commit geschiedenis (null = nog niet opgehaald). Merge commits tellen enkel mee in merge_commits.',
+          properties: {
+            head_sha: { type: 'string', description: 'Commit tot waar de geschiedenis loopt' },
+            truncated: { type: 'boolean', description: 'Enkel de laatste 300 commits zijn meegeteld' },
+            time_zone: { type: 'string', example: 'Europe/Brussels' },
+            frequency: {
+              type: 'object',
+              properties: {
+                total_commits: { type: 'integer', example: 24 },
+                merge_commits: { type: 'integer', example: 1 },
+                first_commit_at: { type: 'string', format: 'date-time' },
+                last_commit_at: { type: 'string', format: 'date-time' },
+                active_days: { type: 'integer', example: 6 },
+                span_days: { type: 'number', example: 13.5 },
+                commits_per_active_day: { type: 'number', example: 4 },
+                longest_gap_days: { type: 'number', example: 4.2 }
+              }
+            },
+            size: {
+              type: 'object',
+              nullable: true,
+              description: 'Gewijzigde regels (toegevoegd + verwijderd) per commit',
+              properties: {
+                measured_commits: { type: 'integer' },
+                median_lines: { type: 'number', example: 35 },
+                average_lines: { type: 'number', example: 61.5 },
+                max_lines: { type: 'integer', example: 420 },
+                distribution: {
+                  type: 'object',
+                  description: 'small: ≤10, medium: ≤100, large: ≤500, very_large: >500 regels',
+                  properties: {
+                    small: { type: 'integer' },
+                    medium: { type: 'integer' },
+                    large: { type: 'integer' },
+                    very_large: { type: 'integer' }
+                  }
+                }
+              }
+            },
+            time_of_day: {
+              type: 'object',
+              nullable: true,
+              description: 'Aantal commits per dagdeel (night 0-6u, morning 6-12u, afternoon 12-18u, evening 18-24u) en per uur',
+              properties: {
+                night: { type: 'integer' },
+                morning: { type: 'integer' },
+                afternoon: { type: 'integer' },
+                evening: { type: 'integer' },
+                by_hour: { type: 'array', items: { type: 'integer' }, minItems: 24, maxItems: 24 }
+              }
+            },
+            last_minute: {
+              type: 'object',
+              nullable: true,
+              description: 'Werk in de laatste 24 uur voor de deadline (null = opdracht zonder deadline)',
+              properties: {
+                due_date: { type: 'string', format: 'date-time' },
+                window_hours: { type: 'integer', example: 24 },
+                commits: { type: 'integer' },
+                commit_share: { type: 'number', nullable: true, description: 'Aandeel van de commits voor de deadline', example: 0.6 },
+                lines: { type: 'integer' },
+                line_share: { type: 'number', nullable: true, description: 'Aandeel van de gewijzigde regels voor de deadline', example: 0.75 },
+                commits_after_due: { type: 'integer' }
+              }
+            },
+            message_quality: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                score: { type: 'integer', description: 'Percentage goede commit messages', example: 70 },
+                good: { type: 'integer' },
+                too_short: { type: 'integer' },
+                generic: { type: 'integer', description: 'Bv. "update", "fix", "wip" of de standaard message van de GitHub editor' },
+                too_long: { type: 'integer', description: 'Eerste regel langer dan 72 tekens' },
+                examples: {
+                  type: 'array',
+                  description: 'Enkele zwakke messages (max 5)',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      sha: { type: 'string' },
+                      message: { type: 'string', example: 'fix' },
+                      issues: { type: 'array', items: { type: 'string', enum: ['too_short', 'generic', 'too_long'] } }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        RubricScore: {
+          type: 'object',
+          properties: {
+            criterion_id: { type: 'string' },
+            level: { type: 'string', description: 'ID van het toegekende niveau' },
+            score: { type: 'number' },
+            justification: { type: 'string' }
+          }
         }
       }
     },
@@ -140,7 +140,7 @@ async function getAllCourses() {
 async function getCourseDetails(courseId) {
   // Haal basisinformatie van het vak op
   const courseResult = await db.query(
-    `SELECT id, title, description, join_code, created_at, updated_at
+    `SELECT id, title, description, join_code, llm_provider, llm_model, monthly_token_budget, feedback_language, created_at, updated_at
      FROM course
      WHERE id = $1`,
     [courseId]
@@ -204,11 +204,11 @@ async function deleteCourse(courseId) {
 /**
  * Werkt vakgegevens bij
  * @param {number} courseId - ID van het vak
- * @param {Object} updateData - Object met te updaten velden (title, description, join_code)
+ * @param {Object} updateData - Object met te updaten velden (title, description, join_code, llm_provider, llm_model, monthly_token_budget, feedback_language)
  * @returns {Promise<Object>} Bijgewerkt vakobject
  */
 async function updateCourse(courseId, updateData) {
-  const { title, description, join_code } = updateData;
+  const { title, description, join_code, llm_provider, llm_model, monthly_token_budget, feedback_language } = updateData;
   
   // Build dynamic query based on provided fields
   const updates = [];
@@ -233,6 +233,30 @@ async function updateCourse(courseId, updateData) {
     paramCount++;
   }
 
+  if (llm_provider !== undefined) {
+    updates.push(`llm_provider = $${paramCount}`);
+    values.push(llm_provider);
+    paramCount++;
+  }
+
+  if (llm_model !== undefined) {
+    updates.push(`llm_model = $${paramCount}`);
+    values.push(llm_model);
+    paramCount++;
+  }
+
+  if (monthly_token_budget !== undefined) {
+    updates.push(`monthly_token_budget = $${paramCount}`);
+    values.push(monthly_token_budget);
+    paramCount++;
+  }
+
+  if (feedback_language !== undefined) {
+    updates.push(`feedback_language = $${paramCount}`);
+    values.push(feedback_language);
+    paramCount++;
+  }
+
   if (updates.length === 0) {
     return null; // No updates provided
   }
@@ -244,7 +268,7 @@ async function updateCourse(courseId, updateData) {
     UPDATE course
     SET ${updates.join(', ')}
     WHERE id = $${paramCount}
-    RETURNING id, title, description, join_code, created_at, updated_at
+    RETURNING id, title, description, join_code, llm_provider, llm_model, monthly_token_budget, feedback_language, created_at, updated_at
   `;
 
   const result = await db.query(query, values);
@@ -753,7 +777,7 @@ async function getSubmissionsByCourse(courseId) {
  */
 async function getAssignmentSettings(assignmentId) {
   const result = await db.query(
-    `SELECT a.id, a.rubric, a.ai_guidelines
+    `SELECT a.id, a.rubric, a.rubric_criteria, a.ai_guidelines, a.feedback_categories, a.file_selection, a.llm_provider, a.llm_model, a.architecture_review, a.feedback_language
      FROM assignment a
      WHERE a.id = $1`,
     [assignmentId]
@@ -764,11 +788,11 @@ async function getAssignmentSettings(assignmentId) {
 /**
  * Werkt de instellingen van een opdracht bij
  * @param {number} assignmentId - ID van de opdracht
- * @param {Object} settingsData - Object met te updaten velden (rubric, ai_guidelines)
+ * @param {Object} settingsData - Object met te updaten velden (rubric, rubric_criteria, ai_guidelines, feedback_categories, file_selection, llm_provider, llm_model, architecture_review, feedback_language)
  * @returns {Promise<Object>} Bijgewerkte instellingen
  */
 async function updateAssignmentSettings(assignmentId, settingsData) {
-  const { rubric, ai_guidelines } = settingsData;
+  const { rubric, rubric_criteria, ai_guidelines, feedback_categories, file_selection, llm_provider, llm_model, architecture_review, feedback_language } = settingsData;
 
   // Controleer eerst of de opdracht bestaat
   const assignmentCheck = await db.query(
@@ -791,12 +815,54 @@ async function updateAssignmentSettings(assignmentId, settingsData) {
     paramCount++;
   }
 
+  if (rubric_criteria !== undefined) {
+    updates.push(`rubric_criteria = $${paramCount}`);
+    values.push(rubric_criteria ? JSON.stringify(rubric_criteria) : null);
+    paramCount++;
+  }
+
   if (ai_guidelines !== undefined) {
     updates.push(`ai_guidelines = $${paramCount}`);
     values.push(ai_guidelines);
     paramCount++;
   }
 
+  if (feedback_categories !== undefined) {
+    updates.push(`feedback_categories = $${paramCount}`);
+    values.push(feedback_categories ? JSON.stringify(feedback_categories) : null);
+    paramCount++;
+  }
+
+  if (file_selection !== undefined) {
+    updates.push(`file_selection = $${paramCount}`);
+    values.push(file_selection ? JSON.stringify(file_selection) : null);
+    paramCount++;
+  }
+
+  if (llm_provider !== undefined) {
+    updates.push(`llm_provider = $${paramCount}`);
+    values.push(llm_provider);
+    paramCount++;
+  }
+
+  if (llm_model !== undefined) {
+    updates.push(`llm_model = $${paramCount}`);
+    values.push(llm_model);
+    paramCount++;
+  }
+
+  if (architecture_review !== undefined) {
+    updates.push(`architecture_review = $${paramCount}`);
+    values.push(architecture_review);
+    paramCount++;
+  }
+
+  if (feedback_language !== undefined) {
+    updates.push(`feedback_language = $${paramCount}`);
+    values.push(feedback_language);
+    paramCount++;
+  }
+
   if (updates.length === 0) {
     // Geen wijzigingen, haal bestaande opdracht op
     return await getAssignmentSettings(assignmentId);
@@ -809,7 +875,7 @@ async function updateAssignmentSettings(assignmentId, settingsData) {
     UPDATE assignment
     SET ${updates.join(', ')}
     WHERE id = $${paramCount}
-    RETURNING id, rubric, ai_guidelines, updated_at
+    RETURNING id, rubric, rubric_criteria, ai_guidelines, feedback_categories, file_selection, llm_provider, llm_model, architecture_review, feedback_language, updated_at
   `;
 
   const result = await db.query(query, values);
@@ -1,11 +1,31 @@
 const pool = require('../config/db');
 const notificationService = require('../services/notificationService');
+const sseManager = require('../services/sseManager');
 const logger = require('../utils/logger');
+const { validateRubricCriteria } = require('../services/rubricService');
+const { validateFeedbackCategories } = require('../services/feedbackCategoryService');
+const { validateFileSelection } = require('../services/fileSelectionService');
+const { FEEDBACK_TYPES } = require('../services/aiService');
+const { getUsageReport, getCourseBudgetStatus, parseUsagePeriod, VALID_GROUP_BY } = require('../services/usageService');
+const { getFeedbackRatingStats, getRecentNegativeRatings } = require('../services/feedbackRatingService');
+const { validateTestSuite, getTestSuite, saveTestSuite, deleteTestSuite } = require('../services/autograderService');
+const {
+  validateStarterFiles,
+  fetchStarterCodeFromGitHub,
+  getStarterCode,
+  saveStarterCode,
+  deleteStarterCode,
+  findSimilarSubmissions,
+  DEFAULT_MIN_SIMILARITY
+} = require('../services/similarityService');
+const { calculateProcessAnalytics } = require('../services/processAnalyticsService');
+const { SUPPORTED_LANGUAGES } = require('../utils/i18n');
 const {
   getCachedData,
   setCachedData,
   invalidateCourseCache,
-  invalidateAssignmentCache
+  invalidateAssignmentCache,
+  invalidateCacheKey
 } = require('../services/cachingService');
 
 const getEnrolledStudents = async (req, res) => {
@@ -823,7 +843,7 @@ const updateCourse = async (req, res) => {
     const { courseId } = req.params;
     const userId = req.user.id;
     const userRole = req.user.role;
-    const { title, description, join_code } = req.body;
+    const { title, description, join_code, feedbackLanguage } = req.body;
 
     // Validation: courseId required
     if (!courseId) {
@@ -835,6 +855,11 @@ const updateCourse = async (req, res) => {
       return res.status(400).json({ error: 'Title is required and cannot be empty' });
     }
 
+    // Validation: feedback language (optional, unchanged when omitted)
+    if (feedbackLanguage !== undefined && !SUPPORTED_LANGUAGES.includes(feedbackLanguage)) {
+      return res.status(400).json({ error: `Invalid feedbackLanguage: must be one of ${SUPPORTED_LANGUAGES.join(', ')}` });
+    }
+
     // Check if course exists
     const courseCheck = await pool.query(
       'SELECT id FROM course WHERE id = $1',
@@ -858,10 +883,10 @@ const updateCourse = async (req, res) => {
     // Update course
     const updateResult = await pool.query(
       `UPDATE course 
-       SET title = $1, description = $2, join_code = $3, updated_at = NOW()
-       WHERE id = $4
-       RETURNING id, title, description, join_code, created_at as "createdAt", updated_at as "updatedAt"`,
-      [title.trim(), description || null, join_code || null, courseId]
+       SET title = $1, description = $2, join_code = $3, feedback_language = COALESCE($4, feedback_language), updated_at = NOW()
+       WHERE id = $5
+       RETURNING id, title, description, join_code, feedback_language as "feedbackLanguage", created_at as "createdAt", updated_at as "updatedAt"`,
+      [title.trim(), description || null, join_code || null, feedbackLanguage || null, courseId]
     );
 
     const updatedCourse = updateResult.rows[0];
@@ -1413,7 +1438,13 @@ const getAssignmentDetail = async (req, res) => {
         a.course_id,
         a.due_date,
         a.rubric,
+        a.rubric_criteria,
         a.ai_guidelines,
+        a.feedback_categories,
+        a.file_selection,
+        a.architecture_review,
+        a.feedback_language,
+        c.feedback_language as course_feedback_language,
         a.created_at,
         a.updated_at,
         c.title as course_title,
@@ -1504,7 +1535,13 @@ const getAssignmentDetail = async (req, res) => {
         courseId: assignmentData.course_id,
         dueDate: assignmentData.due_date,
         rubric: assignmentData.rubric,
+        rubricCriteria: assignmentData.rubric_criteria,
         aiGuidelines: assignmentData.ai_guidelines,
+        feedbackCategories: assignmentData.feedback_categories,
+        fileSelection: assignmentData.file_selection,
+        architectureReview: assignmentData.architecture_review,
+        feedbackLanguage: assignmentData.feedback_language,
+        effectiveFeedbackLanguage: assignmentData.feedback_language || assignmentData.course_feedback_language,
         createdAt: assignmentData.created_at,
         updatedAt: assignmentData.updated_at
       },
@@ -1555,7 +1592,7 @@ const updateAssignment = async (req, res) => {
     const { assignmentId } = req.params;
     const userId = req.user.id;
     const userRole = req.user.role;
-    const { title, description, dueDate, rubric, aiGuidelines } = req.body;
+    const { title, description, dueDate, rubric, rubricCriteria, aiGuidelines, feedbackCategories, fileSelection, architectureReview, feedbackLanguage } = req.body;
 
     // Validate assignment ID
     const assignmentIdNum = parseInt(assignmentId, 10);
@@ -1637,6 +1674,21 @@ const updateAssignment = async (req, res) => {
       paramCounter++;
     }
 
+    // Validate and add rubric_criteria if provided (null clears the structured rubric)
+    if (rubricCriteria !== undefined) {
+      let criteriaValue = null;
+      if (rubricCriteria !== null) {
+        const validation = validateRubricCriteria(rubricCriteria);
+        if (!validation.valid) {
+          return res.status(400).json({ error: 'Invalid rubricCriteria', details: validation.errors });
+        }
+        criteriaValue = JSON.stringify(validation.criteria);
+      }
+      updateFields.push(`rubric_criteria = $${paramCounter}`);
+      queryParams.push(criteriaValue);
+      paramCounter++;
+    }
+
     // Add ai_guidelines if provided (can be null)
     if (aiGuidelines !== undefined) {
       updateFields.push(`ai_guidelines = $${paramCounter}`);
@@ -1644,6 +1696,56 @@ const updateAssignment = async (req, res) => {
       paramCounter++;
     }
 
+    // Validate and add custom feedback categories if provided (null restores the default categories)
+    if (feedbackCategories !== undefined) {
+      let categoriesValue = null;
+      if (feedbackCategories !== null) {
+        const validation = validateFeedbackCategories(feedbackCategories);
+        if (!validation.valid) {
+          return res.status(400).json({ error: 'Invalid feedbackCategories', details: validation.errors });
+        }
+        categoriesValue = JSON.stringify(validation.categories);
+      }
+      updateFields.push(`feedback_categories = $${paramCounter}`);
+      queryParams.push(categoriesValue);
+      paramCounter++;
+    }
+
+    // Validate and add the file selection if provided (null restores the default selection)
+    if (fileSelection !== undefined) {
+      let selectionValue = null;
+      if (fileSelection !== null) {
+        const validation = validateFileSelection(fileSelection);
+        if (!validation.valid) {
+          return res.status(400).json({ error: 'Invalid fileSelection', details: validation.errors });
+        }
+        selectionValue = JSON.stringify(validation.selection);
+      }
+      updateFields.push(`file_selection = $${paramCounter}`);
+      queryParams.push(selectionValue);
+      paramCounter++;
+    }
+
+    // Validate and add architecture_review toggle if provided
+    if (architectureReview !== undefined) {
+      if (typeof architectureReview !== 'boolean') {
+        return res.status(400).json({ error: 'Invalid architectureReview: must be a boolean' });
+      }
+      updateFields.push(`architecture_review = $${paramCounter}`);
+      queryParams.push(architectureReview);
+      paramCounter++;
+    }
+
+    // Validate and add feedback language override if provided (null = use the course language)
+    if (feedbackLanguage !== undefined) {
+      if (feedbackLanguage !== null && !SUPPORTED_LANGUAGES.includes(feedbackLanguage)) {
+        return res.status(400).json({ error: `Invalid feedbackLanguage: must be one of ${SUPPORTED_LANGUAGES.join(', ')} or null` });
+      }
+      updateFields.push(`feedback_language = $${paramCounter}`);
+      queryParams.push(feedbackLanguage);
+      paramCounter++;
+    }
+
     // If no fields to update, return error
     if (updateFields.length === 0) {
       return res.status(400).json({ error: 'No fields provided to update' });
@@ -1660,7 +1762,7 @@ const updateAssignment = async (req, res) => {
       UPDATE assignment
       SET ${updateFields.join(', ')}
       WHERE id = $${paramCounter}
-      RETURNING id, title, description, course_id as "courseId", due_date as "dueDate", rubric, ai_guidelines as "aiGuidelines", created_at as "createdAt", updated_at as "updatedAt"
+      RETURNING id, title, description, course_id as "courseId", due_date as "dueDate", rubric, rubric_criteria as "rubricCriteria", ai_guidelines as "aiGuidelines", feedback_categories as "feedbackCategories", file_selection as "fileSelection", architecture_review as "architectureReview", feedback_language as "feedbackLanguage", created_at as "createdAt", updated_at as "updatedAt"
     `;
 
     const result = await pool.query(updateQuery, queryParams);
@@ -1669,6 +1771,9 @@ const updateAssignment = async (req, res) => {
     // Invalidate cache for this course and assignment
     invalidateCourseCache(courseId);
     invalidateAssignmentCache(assignmentIdNum);
+    if (feedbackCategories !== undefined) {
+      invalidateCacheKey(`assignment:${assignmentIdNum}:aifeedback:analytics`);
+    }
 
     console.log(`✅ Assignment updated: ${assignmentIdNum} by user ${userId}`);
     res.json({ assignment: updatedAssignment });
@@ -2247,6 +2352,8 @@ const getStudentSubmissionHistory = async (req, res) => {
         ai_score,
         manual_score,
         COALESCE(manual_score, ai_score) as final_score,
+        test_results,
+        commit_history,
         created_at,
         updated_at
       FROM submission
@@ -2262,6 +2369,8 @@ const getStudentSubmissionHistory = async (req, res) => {
       aiScore: row.ai_score,
       manualScore: row.manual_score,
       finalScore: row.final_score,
+      testResults: row.test_results || null,
+      processAnalytics: calculateProcessAnalytics(row.commit_history, assignment.due_date),
       githubUrl: row.github_url,
       commitSha: row.commit_sha,
       submittedAt: row.created_at,
@@ -2394,6 +2503,7 @@ const getAssignmentAIFeedbackAnalytics = async (req, res) => {
         a.id,
         a.title,
         a.course_id,
+        a.feedback_categories,
         c.title as course_title,
         CASE 
           WHEN $3 = 'admin' THEN TRUE
@@ -2479,6 +2589,49 @@ const getAssignmentAIFeedbackAnalytics = async (req, res) => {
       avgSeverityScore: parseFloat(row.avg_severity_score)
     }));
 
+    // Group by the category set of the assignment (custom categories or the defaults), in definition order
+    const hasCustomCategories = Array.isArray(assignmentData.feedback_categories) && assignmentData.feedback_categories.length > 0;
+    const categoryDefinitions = hasCustomCategories
+      ? assignmentData.feedback_categories
+      : FEEDBACK_TYPES.map(type => ({ id: type, label: type, description: null }));
+
+    const categoryCountsQuery = `
+      SELECT 
+        f.type,
+        COUNT(*) as count,
+        ROUND(AVG(
+          CASE f.severity
+            WHEN 'low' THEN 1
+            WHEN 'medium' THEN 2
+            WHEN 'high' THEN 3
+            WHEN 'critical' THEN 4
+          END
+        )::numeric, 2) as avg_severity_score
+      FROM feedback f
+      JOIN submission s ON f.submission_id = s.id
+      WHERE s.assignment_id = $1 AND f.reviewer = 'ai' AND f.type = ANY($2)
+      GROUP BY f.type
+    `;
+
+    const categoryCountsResult = await pool.query(categoryCountsQuery, [
+      assignmentIdNum,
+      categoryDefinitions.map(category => category.id)
+    ]);
+
+    const categoryCounts = new Map(categoryCountsResult.rows.map(row => [row.type, row]));
+    const feedbackCategories = categoryDefinitions.map(category => {
+      const row = categoryCounts.get(category.id);
+      return {
+        id: category.id,
+        label: category.label,
+        description: category.description,
+        count: row ? parseInt(row.count, 10) : 0,
+        avgSeverityScore: row ? parseFloat(row.avg_severity_score) : null
+      };
+    });
+    // Items outside the category set (architecture review, older analyses with other categories)
+    const categorizedCount = feedbackCategories.reduce((sum, category) => sum + category.count, 0);
+
     // Calculate average feedback severity score
     const avgSeverityQuery = `
       SELECT 
@@ -2533,6 +2686,42 @@ const getAssignmentAIFeedbackAnalytics = async (req, res) => {
       submissionCount: parseInt(row.submission_count, 10)
     }));
 
+    // Student ratings of the AI feedback, overall, per feedback type and per prompt version
+    const [ratingTotals, ratingsByType, ratingsByPromptVersion, negativeRatings] = await Promise.all([
+      getFeedbackRatingStats({ assignmentId: assignmentIdNum }),
+      getFeedbackRatingStats({ assignmentId: assignmentIdNum, groupBy: 'type' }),
+      getFeedbackRatingStats({ assignmentId: assignmentIdNum, groupBy: 'prompt_version' }),
+      getRecentNegativeRatings(assignmentIdNum)
+    ]);
+
+    const toRatingSummary = (summary) => ({
+      total: summary.total,
+      helpful: summary.helpful,
+      notHelpful: summary.not_helpful,
+      incorrect: summary.incorrect,
+      helpfulRate: summary.helpful_rate
+    });
+
+    const ratings = {
+      ...toRatingSummary(ratingTotals[0]),
+      byType: ratingsByType.map(row => ({ type: row.key, ...toRatingSummary(row) })),
+      byPromptVersion: ratingsByPromptVersion.map(row => ({ promptVersion: row.key, ...toRatingSummary(row) })),
+      recentNegative: negativeRatings.map(row => ({
+        ratingId: row.id,
+        feedbackId: row.feedback_id,
+        submissionId: row.submission_id,
+        rating: row.rating,
+        comment: row.comment,
+        type: row.feedback_type,
+        severity: row.feedback_severity,
+        promptVersion: row.prompt_version,
+        content: row.content,
+        filePath: row.file_path,
+        lineNumber: row.line_number,
+        ratedAt: row.updated_at
+      }))
+    };
+
     const responseData = {
       assignment: {
         id: assignmentData.id,
@@ -2545,7 +2734,11 @@ const getAssignmentAIFeedbackAnalytics = async (req, res) => {
         severityDistribution,
         avgSeverityScore,
         feedbackTypes,
-        studentsWithCriticalFeedback
+        categorySet: hasCustomCategories ? 'custom' : 'default',
+        feedbackCategories,
+        uncategorizedCount: Math.max(0, totalFeedbackItems - categorizedCount),
+        studentsWithCriticalFeedback,
+        ratings
       }
     };
 
@@ -2564,6 +2757,85 @@ const getAssignmentAIFeedbackAnalytics = async (req, res) => {
   }
 };
 
+// AI verbruik (tokens en geschatte kost) van een vak over een periode, met het maandbudget
+const getCourseAIUsage = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { from, to, groupBy = 'day' } = req.query;
+
+    const courseIdNum = parseInt(courseId, 10);
+    if (isNaN(courseIdNum)) {
+      return res.status(400).json({ error: 'Invalid course ID' });
+    }
+
+    const period = parseUsagePeriod(from, to);
+    if (!period) {
+      return res.status(400).json({ error: 'Invalid period: from and to must be valid dates and from must be before to' });
+    }
+
+    if (!VALID_GROUP_BY.includes(groupBy)) {
+      return res.status(400).json({ error: `Invalid groupBy: must be one of ${VALID_GROUP_BY.join(', ')}` });
+    }
+
+    if (userRole !== 'admin') {
+      const accessCheck = await pool.query(
+        'SELECT 1 FROM course_teacher WHERE course_id = $1 AND user_id = $2',
+        [courseIdNum, userId]
+      );
+
+      if (accessCheck.rows.length === 0) {
+        return res.status(403).json({ error: 'No access to this course' });
+      }
+    }
+
+    const [report, budget] = await Promise.all([
+      getUsageReport({ ...period, courseId: courseIdNum, groupBy }),
+      getCourseBudgetStatus(courseIdNum)
+    ]);
+
+    const toUsage = (row) => ({
+      calls: row.calls,
+      totalTokens: row.total_tokens,
+      estimatedCost: row.estimated_cost
+    });
+
+    res.json({
+      courseId: courseIdNum,
+      from: period.from,
+      to: period.to,
+      groupBy,
+      totals: {
+        ...toUsage(report.totals),
+        promptTokens: report.totals.prompt_tokens,
+        completionTokens: report.totals.completion_tokens,
+        unpricedCalls: report.totals.unpriced_calls
+      },
+      series: report.series.map(row => ({ period: row.period, ...toUsage(row) })),
+      assignments: report.byAssignment.map(row => ({
+        assignmentId: row.assignment_id,
+        title: row.assignment_title,
+        ...toUsage(row)
+      })),
+      budget: {
+        monthlyTokenBudget: budget.budget,
+        usedThisMonth: budget.used,
+        remaining: budget.remaining,
+        exceeded: budget.exceeded,
+        periodStart: budget.periodStart,
+        periodEnd: budget.periodEnd
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching course AI usage:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
 const getAtRiskStudents = async (req, res) => {
   try {
     const { assignmentId } = req.params;
@@ -2682,6 +2954,912 @@ const getAtRiskStudents = async (req, res) => {
   }
 };
 
+const FEEDBACK_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Resolve the submission of a student for an assignment and verify the user may review it.
+ * Uses the given submission ID when provided, otherwise the student's latest submission.
+ * @returns {Promise<{status?: number, error?: string, submission?: object}>}
+ */
+const resolveReviewSubmission = async (assignmentId, studentId, submissionId, userId, userRole) => {
+  const assignmentResult = await pool.query(
+    `SELECT
+       a.id,
+       a.course_id,
+       CASE
+         WHEN $3 = 'admin' THEN TRUE
+         WHEN ct.user_id IS NOT NULL THEN TRUE
+         ELSE FALSE
+       END as has_access
+     FROM assignment a
+     LEFT JOIN course_teacher ct ON ct.course_id = a.course_id AND ct.user_id = $2
+     WHERE a.id = $1`,
+    [assignmentId, userId, userRole]
+  );
+
+  if (assignmentResult.rows.length === 0 || !assignmentResult.rows[0].has_access) {
+    return { status: 404, error: 'Assignment not found' };
+  }
+
+  const params = [assignmentId, studentId];
+  let submissionQuery = `
+    SELECT id, assignment_id, user_id, status, ai_score, manual_score, commit_sha
+    FROM submission
+    WHERE assignment_id = $1 AND user_id = $2
+  `;
+
+  if (submissionId !== undefined && submissionId !== null) {
+    submissionQuery += ' AND id = $3';
+    params.push(submissionId);
+  }
+
+  submissionQuery += ' ORDER BY created_at DESC LIMIT 1';
+
+  const submissionResult = await pool.query(submissionQuery, params);
+
+  if (submissionResult.rows.length === 0) {
+    return { status: 404, error: 'Submission not found for this student' };
+  }
+
+  return {
+    submission: {
+      ...submissionResult.rows[0],
+      course_id: assignmentResult.rows[0].course_id
+    }
+  };
+};
+
+/**
+ * Validate the teacher feedback fields present in a request body
+ * @param {object} body - Request body
+ * @param {boolean} partial - Allow missing fields (for updates)
+ * @returns {{error?: string, fields?: object}}
+ */
+const validateTeacherFeedback = (body, partial) => {
+  const { content, severity, type, lineNumber, filePath, suggestion } = body;
+  const fields = {};
+
+  if (content !== undefined || !partial) {
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      return { error: 'Content is required' };
+    }
+    fields.content = content.trim();
+  }
+
+  if (severity !== undefined) {
+    if (!FEEDBACK_SEVERITIES.includes(severity)) {
+      return { error: `Invalid severity: must be one of ${FEEDBACK_SEVERITIES.join(', ')}` };
+    }
+    fields.severity = severity;
+  }
+
+  if (type !== undefined) {
+    if (type !== null && (typeof type !== 'string' || type.trim().length === 0 || type.length > 128)) {
+      return { error: 'Invalid type: must be a non-empty string of at most 128 characters' };
+    }
+    fields.type = type ? type.trim() : null;
+  }
+
+  if (lineNumber !== undefined) {
+    if (lineNumber !== null && (!Number.isInteger(lineNumber) || lineNumber <= 0)) {
+      return { error: 'Invalid lineNumber: must be a positive integer' };
+    }
+    fields.line_number = lineNumber;
+  }
+
+  if (filePath !== undefined) {
+    if (filePath !== null && (typeof filePath !== 'string' || filePath.length > 1024)) {
+      return { error: 'Invalid filePath: must be a string of at most 1024 characters' };
+    }
+    fields.file_path = filePath || null;
+  }
+
+  if (suggestion !== undefined) {
+    if (suggestion !== null && typeof suggestion !== 'string') {
+      return { error: 'Invalid suggestion: must be a string' };
+    }
+    fields.suggestion = suggestion || null;
+  }
+
+  return { fields };
+};
+
+/**
+ * Map a feedback row to the API representation
+ */
+const formatFeedback = (row) => ({
+  id: row.id,
+  submissionId: row.submission_id,
+  content: row.content,
+  reviewer: row.reviewer,
+  severity: row.severity,
+  type: row.type,
+  lineNumber: row.line_number,
+  filePath: row.file_path,
+  suggestion: row.suggestion,
+  authorId: row.author_id,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Notify the student (SSE) and course listeners about a teacher feedback change
+ */
+const publishTeacherFeedbackChange = (submission, action, feedback, actor) => {
+  sseManager.broadcast(submission.id, 'feedback_updated', {
+    reviewer: 'teacher',
+    action,
+    feedback
+  });
+
+  if (action === 'added') {
+    notificationService.emitFeedbackAdded(submission.course_id, {
+      submissionId: submission.id,
+      studentId: submission.user_id,
+      assignmentId: submission.assignment_id,
+      feedbackCount: 1
+    });
+  }
+
+  logger.event(`teacher_feedback_${action}`, {
+    courseId: submission.course_id,
+    assignmentId: submission.assignment_id,
+    submissionId: submission.id,
+    userId: submission.user_id,
+    actorId: actor.id,
+    oldStatus: null,
+    newStatus: null,
+    metadata: {
+      feedbackId: feedback.id,
+      reviewer: 'teacher',
+      actorRole: actor.role
+    }
+  });
+
+  invalidateAssignmentCache(submission.assignment_id);
+  invalidateCourseCache(submission.course_id);
+};
+
+/**
+ * Add teacher feedback to a student's submission
+ * @route POST /api/docent/assignments/:assignmentId/submissions/:studentId/feedback
+ */
+const createTeacherFeedback = async (req, res) => {
+  try {
+    const { assignmentId, studentId } = req.params;
+    const userId = req.user.id;
+    const userRole = req.user.role;
+
+    const assignmentIdNum = parseInt(assignmentId, 10);
+    const studentIdNum = parseInt(studentId, 10);
+    if (isNaN(assignmentIdNum) || isNaN(studentIdNum)) {
+      return res.status(400).json({ error: 'Invalid assignmentId or studentId' });
+    }
+
+    const { submissionId } = req.body;
+    if (submissionId !== undefined && !Number.isInteger(submissionId)) {
+      return res.status(400).json({ error: 'Invalid submissionId: must be an integer' });
+    }
+
+    const validation = validateTeacherFeedback(req.body, false);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const resolved = await resolveReviewSubmission(assignmentIdNum, studentIdNum, submissionId, userId, userRole);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+    const { submission } = resolved;
+    const fields = validation.fields;
+
+    const result = await pool.query(
+      `INSERT INTO feedback (submission_id, content, reviewer, severity, line_number, suggestion, type, file_path, author_id)
+       VALUES ($1, $2, 'teacher', $3, $4, $5, $6, $7, $8)
+       RETURNING id, submission_id, content, reviewer, severity, line_number, suggestion, type, file_path, author_id, created_at, updated_at`,
+      [
+        submission.id,
+        fields.content,
+        fields.severity || 'low',
+        fields.line_number || null,
+        fields.suggestion || null,
+        fields.type || null,
+        fields.file_path || null,
+        userId
+      ]
+    );
+
+    const feedback = formatFeedback(result.rows[0]);
+    publishTeacherFeedbackChange(submission, 'added', feedback, req.user);
+
+    console.log(`✅ Teacher feedback ${feedback.id} added to submission ${submission.id} by user ${userId}`);
+    res.status(201).json({ feedback });
+
+  } catch (error) {
+    console.error('❌ Error creating teacher feedback:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Load a teacher feedback item that belongs to the student's submissions for an assignment
+ */
+const findTeacherFeedback = async (req) => {
+  const { assignmentId, studentId, feedbackId } = req.params;
+
+  const assignmentIdNum = parseInt(assignmentId, 10);
+  const studentIdNum = parseInt(studentId, 10);
+  const feedbackIdNum = parseInt(feedbackId, 10);
+  if (isNaN(assignmentIdNum) || isNaN(studentIdNum) || isNaN(feedbackIdNum)) {
+    return { status: 400, error: 'Invalid assignmentId, studentId or feedbackId' };
+  }
+
+  const feedbackResult = await pool.query(
+    `SELECT f.id, f.submission_id, f.reviewer
+     FROM feedback f
+     JOIN submission s ON f.submission_id = s.id
+     WHERE f.id = $1 AND s.assignment_id = $2 AND s.user_id = $3`,
+    [feedbackIdNum, assignmentIdNum, studentIdNum]
+  );
+
+  if (feedbackResult.rows.length === 0) {
+    return { status: 404, error: 'Feedback not found' };
+  }
+
+  const feedbackRow = feedbackResult.rows[0];
+  if (feedbackRow.reviewer !== 'teacher') {
+    return { status: 403, error: 'Forbidden: Only teacher feedback can be modified' };
+  }
+
+  const resolved = await resolveReviewSubmission(
+    assignmentIdNum, studentIdNum, feedbackRow.submission_id, req.user.id, req.user.role
+  );
+  if (resolved.error) {
+    return resolved;
+  }
+
+  return { submission: resolved.submission, feedbackId: feedbackIdNum };
+};
+
+/**
+ * Edit a teacher feedback item
+ * @route PUT /api/docent/assignments/:assignmentId/submissions/:studentId/feedback/:feedbackId
+ */
+const updateTeacherFeedback = async (req, res) => {
+  try {
+    const validation = validateTeacherFeedback(req.body, true);
+    if (validation.error) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const columns = Object.keys(validation.fields);
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No fields provided to update' });
+    }
+
+    const found = await findTeacherFeedback(req);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const updateFields = columns.map((column, index) => `${column} = $${index + 1}`);
+    updateFields.push('updated_at = NOW()');
+    const queryParams = columns.map(column => validation.fields[column]);
+    queryParams.push(found.feedbackId);
+
+    const result = await pool.query(
+      `UPDATE feedback
+       SET ${updateFields.join(', ')}
+       WHERE id = $${queryParams.length}
+       RETURNING id, submission_id, content, reviewer, severity, line_number, suggestion, type, file_path, author_id, created_at, updated_at`,
+      queryParams
+    );
+
+    const feedback = formatFeedback(result.rows[0]);
+    publishTeacherFeedbackChange(found.submission, 'updated', feedback, req.user);
+
+    console.log(`✅ Teacher feedback ${feedback.id} updated by user ${req.user.id}`);
+    res.json({ feedback });
+
+  } catch (error) {
+    console.error('❌ Error updating teacher feedback:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Remove a teacher feedback item
+ * @route DELETE /api/docent/assignments/:assignmentId/submissions/:studentId/feedback/:feedbackId
+ */
+const deleteTeacherFeedback = async (req, res) => {
+  try {
+    const found = await findTeacherFeedback(req);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
+    }
+
+    const result = await pool.query(
+      `DELETE FROM feedback
+       WHERE id = $1
+       RETURNING id, submission_id, content, reviewer, severity, line_number, suggestion, type, file_path, author_id, created_at, updated_at`,
+      [found.feedbackId]
+    );
+
+    const feedback = formatFeedback(result.rows[0]);
+    publishTeacherFeedbackChange(found.submission, 'deleted', { id: feedback.id }, req.user);
+
+    console.log(`✅ Teacher feedback ${feedback.id} deleted by user ${req.user.id}`);
+    res.json({
+      message: 'Feedback successfully deleted',
+      feedback
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting teacher feedback:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Set or clear the manual score of a student's submission
+ * @route PUT /api/docent/assignments/:assignmentId/submissions/:studentId/grade
+ */
+const setManualScore = async (req, res) => {
+  let client;
+  try {
+    const { assignmentId, studentId } = req.params;
+    const userId = req.user.id;
+    const userRole = req.user.role;
+    const { manualScore, justification, submissionId } = req.body;
+
+    const assignmentIdNum = parseInt(assignmentId, 10);
+    const studentIdNum = parseInt(studentId, 10);
+    if (isNaN(assignmentIdNum) || isNaN(studentIdNum)) {
+      return res.status(400).json({ error: 'Invalid assignmentId or studentId' });
+    }
+
+    // manualScore is required: null clears the override
+    if (manualScore === undefined) {
+      return res.status(400).json({ error: 'manualScore is required (use null to clear the override)' });
+    }
+    if (manualScore !== null && (!Number.isInteger(manualScore) || manualScore < 0 || manualScore > 100)) {
+      return res.status(400).json({ error: 'Invalid manualScore: must be an integer between 0 and 100' });
+    }
+
+    if (typeof justification !== 'string' || justification.trim().length === 0) {
+      return res.status(400).json({ error: 'Justification is required' });
+    }
+
+    if (submissionId !== undefined && !Number.isInteger(submissionId)) {
+      return res.status(400).json({ error: 'Invalid submissionId: must be an integer' });
+    }
+
+    const resolved = await resolveReviewSubmission(assignmentIdNum, studentIdNum, submissionId, userId, userRole);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+    const { submission } = resolved;
+
+    // Score update and history entry must succeed or fail together
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const currentResult = await client.query(
+      'SELECT manual_score FROM submission WHERE id = $1 FOR UPDATE',
+      [submission.id]
+    );
+    const oldScore = currentResult.rows[0].manual_score;
+
+    const updateResult = await client.query(
+      `UPDATE submission
+       SET manual_score = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING id, ai_score, manual_score, COALESCE(manual_score, ai_score) as final_score, updated_at`,
+      [manualScore, submission.id]
+    );
+
+    const historyResult = await client.query(
+      `INSERT INTO grade_history (submission_id, changed_by, old_manual_score, new_manual_score, justification)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, created_at`,
+      [submission.id, userId, oldScore, manualScore, justification.trim()]
+    );
+
+    await client.query('COMMIT');
+
+    const updated = updateResult.rows[0];
+    const grade = {
+      submissionId: updated.id,
+      aiScore: updated.ai_score,
+      manualScore: updated.manual_score,
+      finalScore: updated.final_score,
+      isOverridden: updated.manual_score !== null,
+      updatedAt: updated.updated_at
+    };
+
+    // Invalidate cache for this course and assignment (incl. the student's history)
+    invalidateCourseCache(submission.course_id);
+    invalidateAssignmentCache(assignmentIdNum);
+    invalidateCacheKey(`assignment:${assignmentIdNum}:student:${studentIdNum}:history`);
+
+    sseManager.broadcast(submission.id, 'grade_updated', {
+      finalScore: grade.finalScore,
+      isOverridden: grade.isOverridden
+    });
+
+    logger.event('submission_graded', {
+      courseId: submission.course_id,
+      assignmentId: assignmentIdNum,
+      submissionId: submission.id,
+      userId: studentIdNum,
+      actorId: userId,
+      oldStatus: null,
+      newStatus: null,
+      metadata: {
+        oldManualScore: oldScore,
+        newManualScore: manualScore,
+        historyId: historyResult.rows[0].id,
+        actorRole: userRole
+      }
+    });
+
+    console.log(`✅ Manual score for submission ${submission.id} set to ${manualScore} by user ${userId}`);
+    res.json({
+      grade,
+      history: {
+        id: historyResult.rows[0].id,
+        oldManualScore: oldScore,
+        newManualScore: manualScore,
+        justification: justification.trim(),
+        changedBy: userId,
+        createdAt: historyResult.rows[0].created_at
+      }
+    });
+
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    console.error('❌ Error setting manual score:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+/**
+ * Get the grading history of a student's submissions for an assignment
+ * @route GET /api/docent/assignments/:assignmentId/submissions/:studentId/grade/history
+ */
+const getGradeHistory = async (req, res) => {
+  try {
+    const { assignmentId, studentId } = req.params;
+    const userId = req.user.id;
+    const userRole = req.user.role;
+
+    const assignmentIdNum = parseInt(assignmentId, 10);
+    const studentIdNum = parseInt(studentId, 10);
+    if (isNaN(assignmentIdNum) || isNaN(studentIdNum)) {
+      return res.status(400).json({ error: 'Invalid assignmentId or studentId' });
+    }
+
+    const resolved = await resolveReviewSubmission(assignmentIdNum, studentIdNum, undefined, userId, userRole);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    const historyResult = await pool.query(
+      `SELECT
+         gh.id,
+         gh.submission_id,
+         gh.old_manual_score,
+         gh.new_manual_score,
+         gh.justification,
+         gh.created_at,
+         u.id as changed_by_id,
+         u.name as changed_by_name
+       FROM grade_history gh
+       JOIN submission s ON gh.submission_id = s.id
+       LEFT JOIN "user" u ON gh.changed_by = u.id
+       WHERE s.assignment_id = $1 AND s.user_id = $2
+       ORDER BY gh.created_at DESC`,
+      [assignmentIdNum, studentIdNum]
+    );
+
+    const history = historyResult.rows.map(row => ({
+      id: row.id,
+      submissionId: row.submission_id,
+      oldManualScore: row.old_manual_score,
+      newManualScore: row.new_manual_score,
+      justification: row.justification,
+      changedBy: row.changed_by_id ? { id: row.changed_by_id, name: row.changed_by_name } : null,
+      createdAt: row.created_at
+    }));
+
+    res.json({ history });
+
+  } catch (error) {
+    console.error('❌ Error fetching grade history:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Verify the user may manage an assignment (teacher of the course or admin)
+ * @returns {Promise<{status?: number, error?: string, courseId?: number}>}
+ */
+const resolveTeacherAssignment = async (assignmentIdNum, userId, userRole) => {
+  if (userRole !== 'teacher' && userRole !== 'admin') {
+    return { status: 403, error: 'Forbidden: Only teachers and admins can manage assignments' };
+  }
+
+  const assignmentCheck = await pool.query(
+    'SELECT id, course_id FROM assignment WHERE id = $1',
+    [assignmentIdNum]
+  );
+
+  if (assignmentCheck.rows.length === 0) {
+    return { status: 404, error: 'Assignment not found' };
+  }
+
+  const courseId = assignmentCheck.rows[0].course_id;
+
+  if (userRole !== 'admin') {
+    const accessCheck = await pool.query(
+      'SELECT 1 FROM course_teacher WHERE course_id = $1 AND user_id = $2',
+      [courseId, userId]
+    );
+
+    if (accessCheck.rows.length === 0) {
+      return { status: 403, error: 'Forbidden: You are not a teacher of this course' };
+    }
+  }
+
+  return { courseId };
+};
+
+/**
+ * Format a test suite row for the API
+ * @param {object} suite - Row from assignment_test_suite
+ * @returns {object}
+ */
+const formatTestSuite = (suite) => ({
+  assignmentId: suite.assignment_id,
+  runner: suite.runner,
+  files: suite.files,
+  weight: suite.weight,
+  timeoutSeconds: suite.timeout_seconds,
+  memoryMb: suite.memory_mb,
+  updatedBy: suite.updated_by,
+  createdAt: suite.created_at,
+  updatedAt: suite.updated_at
+});
+
+/**
+ * Get the hidden test suite of an assignment
+ * @route GET /api/docent/assignments/:assignmentId/test-suite
+ */
+const getAssignmentTestSuite = async (req, res) => {
+  try {
+    const assignmentIdNum = parseInt(req.params.assignmentId, 10);
+    if (isNaN(assignmentIdNum)) {
+      return res.status(400).json({ error: 'Invalid assignment ID: must be an integer' });
+    }
+
+    const resolved = await resolveTeacherAssignment(assignmentIdNum, req.user.id, req.user.role);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    const suite = await getTestSuite(assignmentIdNum);
+    if (!suite) {
+      return res.status(404).json({ error: 'This assignment has no test suite' });
+    }
+
+    res.json({ testSuite: formatTestSuite(suite) });
+
+  } catch (error) {
+    console.error('❌ Error fetching test suite:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create or replace the hidden test suite of an assignment
+ * The suite runs on the next analysis of each submission.
+ * @route PUT /api/docent/assignments/:assignmentId/test-suite
+ */
+const updateAssignmentTestSuite = async (req, res) => {
+  try {
+    const assignmentIdNum = parseInt(req.params.assignmentId, 10);
+    if (isNaN(assignmentIdNum)) {
+      return res.status(400).json({ error: 'Invalid assignment ID: must be an integer' });
+    }
+
+    const resolved = await resolveTeacherAssignment(assignmentIdNum, req.user.id, req.user.role);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    const validation = validateTestSuite(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid test suite', details: validation.errors });
+    }
+
+    const suite = await saveTestSuite(assignmentIdNum, validation.suite, req.user.id);
+
+    // The weight changes the scores shown in the statistics
+    invalidateCourseCache(resolved.courseId);
+    invalidateAssignmentCache(assignmentIdNum);
+
+    console.log(`✅ Test suite saved for assignment ${assignmentIdNum} by user ${req.user.id}`);
+    res.json({ testSuite: formatTestSuite(suite) });
+
+  } catch (error) {
+    console.error('❌ Error saving test suite:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete the hidden test suite of an assignment
+ * @route DELETE /api/docent/assignments/:assignmentId/test-suite
+ */
+const deleteAssignmentTestSuite = async (req, res) => {
+  try {
+    const assignmentIdNum = parseInt(req.params.assignmentId, 10);
+    if (isNaN(assignmentIdNum)) {
+      return res.status(400).json({ error: 'Invalid assignment ID: must be an integer' });
+    }
+
+    const resolved = await resolveTeacherAssignment(assignmentIdNum, req.user.id, req.user.role);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    const deleted = await deleteTestSuite(assignmentIdNum);
+    if (!deleted) {
+      return res.status(404).json({ error: 'This assignment has no test suite' });
+    }
+
+    invalidateCourseCache(resolved.courseId);
+    invalidateAssignmentCache(assignmentIdNum);
+
+    console.log(`✅ Test suite deleted for assignment ${assignmentIdNum} by user ${req.user.id}`);
+    res.json({ message: 'Test suite successfully deleted' });
+
+  } catch (error) {
+    console.error('❌ Error deleting test suite:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Format a starter code row for the API
+ * @param {object} starterCode - Row from assignment_starter_code
+ * @returns {object}
+ */
+const formatStarterCode = (starterCode) => ({
+  assignmentId: starterCode.assignment_id,
+  source: starterCode.source,
+  files: starterCode.files,
+  fingerprints: starterCode.fingerprints.length,
+  updatedBy: starterCode.updated_by,
+  updatedAt: starterCode.updated_at
+});
+
+/**
+ * Get the starter code of an assignment (ignored by the similarity detection)
+ * @route GET /api/docent/assignments/:assignmentId/starter-code
+ */
+const getAssignmentStarterCode = async (req, res) => {
+  try {
+    const assignmentIdNum = parseInt(req.params.assignmentId, 10);
+    if (isNaN(assignmentIdNum)) {
+      return res.status(400).json({ error: 'Invalid assignment ID: must be an integer' });
+    }
+
+    const resolved = await resolveTeacherAssignment(assignmentIdNum, req.user.id, req.user.role);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    const starterCode = await getStarterCode(assignmentIdNum);
+    if (!starterCode) {
+      return res.status(404).json({ error: 'This assignment has no starter code' });
+    }
+
+    res.json({ starterCode: formatStarterCode(starterCode) });
+
+  } catch (error) {
+    console.error('❌ Error fetching starter code:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Set the starter code of an assignment, uploaded as files or fetched from a GitHub repository
+ * @route PUT /api/docent/assignments/:assignmentId/starter-code
+ */
+const updateAssignmentStarterCode = async (req, res) => {
+  try {
+    const assignmentIdNum = parseInt(req.params.assignmentId, 10);
+    if (isNaN(assignmentIdNum)) {
+      return res.status(400).json({ error: 'Invalid assignment ID: must be an integer' });
+    }
+
+    const { githubUrl, files } = req.body || {};
+    if ((githubUrl === undefined) === (files === undefined)) {
+      return res.status(400).json({ error: 'Provide either githubUrl or files' });
+    }
+
+    const resolved = await resolveTeacherAssignment(assignmentIdNum, req.user.id, req.user.role);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    let starterFiles;
+    if (githubUrl !== undefined) {
+      if (typeof githubUrl !== 'string') {
+        return res.status(400).json({ error: 'Invalid githubUrl: must be a string' });
+      }
+      const fetched = await fetchStarterCodeFromGitHub(githubUrl);
+      if (!fetched.success) {
+        return res.status(fetched.errorCode === 'GITHUB_ERROR' || fetched.errorCode === 'RATE_LIMITED' ? 502 : 400)
+          .json({ error: 'Could not fetch starter code from GitHub', details: [fetched.error] });
+      }
+      starterFiles = fetched.files;
+    } else {
+      const validation = validateStarterFiles(files);
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid starter code', details: validation.errors });
+      }
+      starterFiles = validation.files;
+    }
+
+    const starterCode = await saveStarterCode(
+      assignmentIdNum,
+      { source: githubUrl !== undefined ? githubUrl.trim() : 'upload', files: starterFiles },
+      req.user.id
+    );
+
+    console.log(`✅ Starter code saved for assignment ${assignmentIdNum} by user ${req.user.id}`);
+    res.json({ starterCode: formatStarterCode(starterCode) });
+
+  } catch (error) {
+    console.error('❌ Error saving starter code:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete the starter code of an assignment
+ * @route DELETE /api/docent/assignments/:assignmentId/starter-code
+ */
+const deleteAssignmentStarterCode = async (req, res) => {
+  try {
+    const assignmentIdNum = parseInt(req.params.assignmentId, 10);
+    if (isNaN(assignmentIdNum)) {
+      return res.status(400).json({ error: 'Invalid assignment ID: must be an integer' });
+    }
+
+    const resolved = await resolveTeacherAssignment(assignmentIdNum, req.user.id, req.user.role);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    const deleted = await deleteStarterCode(assignmentIdNum);
+    if (!deleted) {
+      return res.status(404).json({ error: 'This assignment has no starter code' });
+    }
+
+    console.log(`✅ Starter code deleted for assignment ${assignmentIdNum} by user ${req.user.id}`);
+    res.json({ message: 'Starter code successfully deleted' });
+
+  } catch (error) {
+    console.error('❌ Error deleting starter code:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * List suspicious pairs of submissions for an assignment (code similarity, starter code excluded)
+ * @route GET /api/docent/assignments/:assignmentId/similarity
+ */
+const getAssignmentSimilarity = async (req, res) => {
+  try {
+    const assignmentIdNum = parseInt(req.params.assignmentId, 10);
+    if (isNaN(assignmentIdNum)) {
+      return res.status(400).json({ error: 'Invalid assignment ID: must be an integer' });
+    }
+
+    const minSimilarity = req.query.minSimilarity !== undefined ? Number(req.query.minSimilarity) : DEFAULT_MIN_SIMILARITY;
+    if (!Number.isFinite(minSimilarity) || minSimilarity <= 0 || minSimilarity > 1) {
+      return res.status(400).json({ error: 'Invalid minSimilarity: must be a number between 0 and 1' });
+    }
+
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ error: 'Invalid limit: must be an integer between 1 and 200' });
+    }
+
+    const resolved = await resolveTeacherAssignment(assignmentIdNum, req.user.id, req.user.role);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    const report = await findSimilarSubmissions(assignmentIdNum, { minSimilarity, limit });
+
+    const toStudent = (student) => ({
+      studentId: student.user_id,
+      name: student.name,
+      submissionId: student.submission_id,
+      coverage: student.coverage
+    });
+    const toRange = (range) => ({ filePath: range.path, startLine: range.start_line, endLine: range.end_line });
+
+    res.json({
+      assignmentId: assignmentIdNum,
+      minSimilarity,
+      submissionsCompared: report.submissions_compared,
+      starterCodeFingerprints: report.starter_fingerprints,
+      pairs: report.pairs.map(pair => ({
+        similarity: pair.similarity,
+        matchedFingerprints: pair.matched_fingerprints,
+        studentA: toStudent(pair.student_a),
+        studentB: toStudent(pair.student_b),
+        regions: pair.regions.map(region => ({
+          studentA: toRange(region.a),
+          studentB: toRange(region.b),
+          matchedFingerprints: region.fingerprints
+        }))
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error computing assignment similarity:', error.message);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   getEnrolledStudents,
   getStudentStatusByCourse,
@@ -2703,6 +3881,19 @@ module.exports = {
   getAssignmentSubmissions,
   getStudentSubmissionHistory,
   getAssignmentAIFeedbackAnalytics,
-  getAtRiskStudents
+  getCourseAIUsage,
+  getAtRiskStudents,
+  createTeacherFeedback,
+  updateTeacherFeedback,
+  deleteTeacherFeedback,
+  setManualScore,
+  getGradeHistory,
+  getAssignmentTestSuite,
+  updateAssignmentTestSuite,
+  deleteAssignmentTestSuite,
+  getAssignmentStarterCode,
+  updateAssignmentStarterCode,
+  deleteAssignmentStarterCode,
+  getAssignmentSimilarity
 };
 
@@ -1,20 +1,23 @@
 const db = require('../config/db');
-const { invalidateAssignmentCache, invalidateCourseCache } = require('../services/cachingService');
+const { invalidateAssignmentCache, invalidateCourseCache, invalidateCacheKey } = require('../services/cachingService');
+const { t, resolveLanguage } = require('../utils/i18n');
+const { calculateProcessAnalytics } = require('../services/processAnalyticsService');
 
 /**
  * Bepaal status tekst op basis van feedback severity
  * @param {object} row - Database row met feedback counts
+ * @param {string} language - Taal van de status tekst (optioneel, standaard Nederlands)
  * @returns {string} - Status tekst
  */
-function getStatusText(row) {
+function getStatusText(row, language = null) {
   // Geen submission
   if (!row.submission_id) {
-    return 'Nog niet ingediend';
+    return t('status.notSubmitted', language);
   }
 
   // Submission bestaat maar nog niet geanalyseerd
   if (!row.ai_score && row.ai_score !== 0) {
-    return 'In behandeling';
+    return t('status.inProgress', language);
   }
 
   // Gebaseerd op feedback severity
@@ -24,18 +27,18 @@ function getStatusText(row) {
   const lowCount = parseInt(row.low_count) || 0;
 
   if (criticalCount > 0) {
-    return 'Actie vereist';
+    return t('status.actionRequired', language);
   }
 
   if (highCount > 0) {
-    return 'Verbeteringen nodig';
+    return t('status.needsImprovement', language);
   }
 
   if (mediumCount > 0 || lowCount > 0) {
-    return 'Goed op weg';
+    return t('status.onTrack', language);
   }
 
-  return 'Uitstekend';
+  return t('status.excellent', language);
 }
 
 /**
@@ -74,11 +77,12 @@ async function getStudentCourses(studentId) {
  * @param {string} options.status - Filter op status: 'submitted', 'pending', 'all'
  * @param {string} options.sortBy - Sorteer op: 'due_date', 'title', 'created_at'
  * @param {string} options.order - Sorteerrichting: 'asc', 'desc'
+ * @param {string} options.language - Voorkeurstaal van de student (gaat voor de taal van de opdracht)
  * @returns {Promise<Array>}
  */
 async function getCourseAssignments(studentId, courseId, options = {}) {
   try {
-    const { status = 'all', sortBy = 'due_date', order = 'asc' } = options;
+    const { status = 'all', sortBy = 'due_date', order = 'asc', language = null } = options;
 
     // Valideer sortBy en order om SQL injection te voorkomen
     const validSortFields = ['due_date', 'title', 'created_at'];
@@ -93,9 +97,11 @@ async function getCourseAssignments(studentId, courseId, options = {}) {
         a.description,
         a.due_date,
         a.created_at,
+        COALESCE(a.feedback_language, c.feedback_language) as feedback_language,
         s.id as submission_id,
         s.status,
         s.ai_score,
+        s.manual_score,
         s.updated_at as last_analysis_date,
         COALESCE(fc.critical_count, 0) as critical_count,
         COALESCE(fc.high_count, 0) as high_count,
@@ -107,6 +113,7 @@ async function getCourseAssignments(studentId, courseId, options = {}) {
           ELSE 'pending'
         END as submission_status
       FROM assignment a
+      JOIN course c ON a.course_id = c.id
       LEFT JOIN submission s ON a.id = s.assignment_id AND s.user_id = $1
       LEFT JOIN (
         SELECT
@@ -145,8 +152,10 @@ async function getCourseAssignments(studentId, courseId, options = {}) {
       submission_status: row.submission_status,
       status: row.status,
       ai_score: row.ai_score,
+      final_score: row.manual_score != null ? row.manual_score : row.ai_score,
+      score_overridden: row.manual_score != null,
       progress_percentage: row.ai_score !== null ? row.ai_score : 0,
-      status_text: getStatusText(row),
+      status_text: getStatusText(row, resolveLanguage(language, row.feedback_language)),
       feedback_count: parseInt(row.feedback_count) || 0,
       last_analysis_date: row.last_analysis_date
     }));
@@ -183,6 +192,8 @@ async function getStudentSubmissions(studentId, filters = {}) {
         s.status,
         s.ai_score,
         s.manual_score,
+        COALESCE(s.manual_score, s.ai_score) as final_score,
+        s.manual_score IS NOT NULL as score_overridden,
         s.created_at,
         s.updated_at,
         a.due_date
@@ -200,7 +211,7 @@ async function getStudentSubmissions(studentId, filters = {}) {
     }
 
     // Filter op status (whitelist validation)
-    const validStatuses = ['pending', 'completed', 'graded', 'processing', 'analyzed', 'failed'];
+    const validStatuses = ['pending', 'completed', 'graded', 'processing', 'analyzed', 'analysis_incomplete', 'budget_exceeded', 'failed'];
     if (status && validStatuses.includes(status)) {
       query += ` AND s.status = $${paramIndex}`;
       params.push(status);
@@ -219,9 +230,10 @@ async function getStudentSubmissions(studentId, filters = {}) {
 /**
  * Haal detail van een specifieke submission op inclusief feedback
  * @param {number} submissionId - ID van de submission
+ * @param {string} language - Voorkeurstaal van de student (optioneel)
  * @returns {Promise<{success: boolean, data?: object, error?: string}>}
  */
-async function getSubmissionDetail(submissionId) {
+async function getSubmissionDetail(submissionId, language = null) {
   try {
     // Haal submission, assignment en course op
     const submissionResult = await db.query(
@@ -232,6 +244,10 @@ async function getSubmissionDetail(submissionId) {
         s.status,
         s.ai_score,
         s.manual_score,
+        s.rubric_scores,
+        s.test_results,
+        s.commit_history,
+        s.analyzed_files,
         s.user_id,
         s.created_at,
         s.updated_at,
@@ -239,6 +255,7 @@ async function getSubmissionDetail(submissionId) {
         a.title as assignment_title,
         a.description as assignment_description,
         a.due_date,
+        COALESCE(a.feedback_language, c.feedback_language) as feedback_language,
         c.id as course_id,
         c.title as course_title
       FROM submission s
@@ -261,9 +278,17 @@ async function getSubmissionDetail(submissionId) {
         reviewer,
         severity,
         line_number,
+        end_line,
+        code_excerpt,
+        excerpt_start_line,
+        line_status,
         suggestion,
         type,
-        created_at
+        file_path,
+        criterion_id,
+        author_id,
+        created_at,
+        updated_at
       FROM feedback
       WHERE submission_id = $1
       ORDER BY severity DESC, line_number ASC NULLS LAST, created_at ASC`,
@@ -271,6 +296,7 @@ async function getSubmissionDetail(submissionId) {
     );
 
     const row = submissionResult.rows[0];
+    const messageLanguage = resolveLanguage(language, row.feedback_language);
     return {
       success: true,
       data: {
@@ -281,6 +307,19 @@ async function getSubmissionDetail(submissionId) {
           status: row.status,
           ai_score: row.ai_score,
           manual_score: row.manual_score,
+          final_score: row.manual_score != null ? row.manual_score : row.ai_score,
+          score_overridden: row.manual_score != null,
+          rubric_scores: row.rubric_scores || null,
+          // Resultaten van de verborgen tests, zonder de paden van de testbestanden
+          test_results: row.test_results
+            ? { ...row.test_results, tests: (row.test_results.tests || []).map(({ file, ...test }) => test) }
+            : null,
+          // Hoe de code tot stand kwam (commit frequentie, grootte, tijdstip, deadline, messages)
+          process_analytics: calculateProcessAnalytics(row.commit_history, row.due_date),
+          // Notities uit de analyse, bv. bestanden die te groot waren en ingekort werden
+          analysis_notes: (row.analyzed_files || []).flatMap(file => file.notes || []),
+          // Uitleg waarom er (nog) geen analyse is
+          status_message: row.status === 'budget_exceeded' ? t('status.budgetExceeded', messageLanguage) : null,
           user_id: row.user_id,
           created_at: row.created_at,
           updated_at: row.updated_at
@@ -337,6 +376,7 @@ async function getAssignmentWithCourse(assignmentId) {
         a.description,
         a.due_date,
         a.course_id,
+        a.file_selection,
         c.title as course_title
       FROM assignment a
       JOIN course c ON a.course_id = c.id
@@ -353,6 +393,22 @@ async function getAssignmentWithCourse(assignmentId) {
   }
 }
 
+/**
+ * Haal de bestandsselectie op van de opdracht waar een submission bij hoort
+ * @param {number} submissionId - ID van de submission
+ * @returns {Promise<object|null>} - Bestandsselectie of null (standaard selectie)
+ */
+async function getSubmissionFileSelection(submissionId) {
+  const result = await db.query(
+    `SELECT a.file_selection
+     FROM submission s
+     JOIN assignment a ON s.assignment_id = a.id
+     WHERE s.id = $1`,
+    [submissionId]
+  );
+  return result.rows[0]?.file_selection || null;
+}
+
 /**
  * Check of een student al een submission heeft voor een assignment
  * @param {number} studentId - ID van de student
@@ -634,19 +690,122 @@ async function unlinkSubmission(submissionId, studentId) {
   }
 }
 
+/**
+ * Zoek een feedback item van een submission en controleer of de student het mag beoordelen
+ * @param {number} feedbackId - ID van het feedback item
+ * @param {number} submissionId - ID van de submission
+ * @param {number} studentId - ID van de student (voor autorisatie)
+ * @returns {Promise<object>} - Object met resultaat: { success, feedback, error }
+ */
+async function getRatableFeedback(feedbackId, submissionId, studentId) {
+  const result = await db.query(
+    `SELECT f.id, f.reviewer, f.submission_id, s.user_id, s.assignment_id
+     FROM feedback f
+     JOIN submission s ON f.submission_id = s.id
+     WHERE f.id = $1 AND f.submission_id = $2`,
+    [feedbackId, submissionId]
+  );
+
+  if (result.rows.length === 0) {
+    return { success: false, error: 'NOT_FOUND' };
+  }
+
+  const feedback = result.rows[0];
+
+  if (feedback.user_id !== studentId) {
+    return { success: false, error: 'FORBIDDEN' };
+  }
+
+  if (feedback.reviewer !== 'ai') {
+    return { success: false, error: 'NOT_AI_FEEDBACK' };
+  }
+
+  return { success: true, feedback };
+}
+
+/**
+ * Beoordeel een AI feedback item (of wijzig de bestaande beoordeling)
+ * @param {number} feedbackId - ID van het feedback item
+ * @param {number} submissionId - ID van de submission
+ * @param {number} studentId - ID van de student (voor autorisatie)
+ * @param {string} rating - helpful, not_helpful of incorrect
+ * @param {string|null} comment - Optionele opmerking
+ * @returns {Promise<object>} - Object met resultaat: { success, rating, error }
+ */
+async function rateFeedback(feedbackId, submissionId, studentId, rating, comment = null) {
+  try {
+    const ratable = await getRatableFeedback(feedbackId, submissionId, studentId);
+    if (!ratable.success) {
+      return ratable;
+    }
+
+    const result = await db.query(
+      `INSERT INTO feedback_rating (feedback_id, submission_id, user_id, rating, comment, feedback_type, feedback_severity, prompt_version)
+       SELECT f.id, f.submission_id, $2, $3, $4, f.type, f.severity, f.prompt_version
+       FROM feedback f
+       WHERE f.id = $1
+       ON CONFLICT (feedback_id, user_id)
+       DO UPDATE SET rating = EXCLUDED.rating, comment = EXCLUDED.comment, updated_at = NOW()
+       RETURNING id, feedback_id, rating, comment, created_at, updated_at`,
+      [feedbackId, studentId, rating, comment]
+    );
+
+    invalidateCacheKey(`assignment:${ratable.feedback.assignment_id}:aifeedback:analytics`);
+
+    return { success: true, rating: result.rows[0] };
+  } catch (error) {
+    console.error('Fout bij beoordelen feedback:', { feedbackId, studentId, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Verwijder de beoordeling van een AI feedback item
+ * @param {number} feedbackId - ID van het feedback item
+ * @param {number} submissionId - ID van de submission
+ * @param {number} studentId - ID van de student (voor autorisatie)
+ * @returns {Promise<object>} - Object met resultaat: { success, error }
+ */
+async function removeFeedbackRating(feedbackId, submissionId, studentId) {
+  try {
+    const ratable = await getRatableFeedback(feedbackId, submissionId, studentId);
+    if (!ratable.success) {
+      return ratable;
+    }
+
+    const result = await db.query(
+      'DELETE FROM feedback_rating WHERE feedback_id = $1 AND user_id = $2',
+      [feedbackId, studentId]
+    );
+
+    if (result.rowCount === 0) {
+      return { success: false, error: 'RATING_NOT_FOUND' };
+    }
+
+    invalidateCacheKey(`assignment:${ratable.feedback.assignment_id}:aifeedback:analytics`);
+
+    return { success: true };
+  } catch (error) {
+    console.error('Fout bij verwijderen beoordeling:', { feedbackId, studentId, error: error.message });
+    throw error;
+  }
+}
+
 /**
  * Haal assignment details op met course context en submission status
  * @param {number} assignmentId - ID van de assignment
  * @param {number} studentId - ID van de student
+ * @param {string} language - Voorkeurstaal van de student (optioneel)
  * @returns {Promise<object>} - Object met resultaat: { success, data, error }
  */
-async function getAssignmentDetail(assignmentId, studentId) {
+async function getAssignmentDetail(assignmentId, studentId, language = null) {
   try {
     // Haal assignment op met enrollment check en feedback counts in dezelfde query
     // Dit voorkomt information leakage (niet onthullen of assignment bestaat)
     const assignmentResult = await db.query(
       `SELECT
-        a.id, a.title, a.description, a.due_date, a.rubric, a.ai_guidelines, a.created_at,
+        a.id, a.title, a.description, a.due_date, a.rubric, a.rubric_criteria, a.ai_guidelines, a.created_at,
+        COALESCE(a.feedback_language, c.feedback_language) as feedback_language,
         c.id as course_id, c.title as course_title,
         s.id as submission_id,
         s.status as submission_status,
@@ -702,12 +861,13 @@ async function getAssignmentDetail(assignmentId, studentId) {
           id: row.course_id,
           title: row.course_title,
           rubric: row.rubric,
+          rubric_criteria: row.rubric_criteria,
           ai_guidelines: row.ai_guidelines
         },
         submission_status: {
           has_submitted: row.submission_id !== null,
           submission_id: row.submission_id,
-          status_text: getStatusText(row),
+          status_text: getStatusText(row, resolveLanguage(language, row.feedback_language)),
           progress_percentage: row.ai_score !== null ? row.ai_score : 0,
           last_analysis_date: row.last_analysis_date,
           feedback_summary: {
@@ -733,11 +893,14 @@ module.exports = {
   getSubmissionDetail,
   isStudentEnrolledInCourse,
   getAssignmentWithCourse,
+  getSubmissionFileSelection,
   getExistingSubmission,
   createSubmission,
   updateSubmissionWebhook,
   joinCourseByCode,
   updateSubmission,
   unlinkSubmission,
+  rateFeedback,
+  removeFeedbackRating,
   getAssignmentDetail
 };
@@ -200,21 +200,30 @@ async function updateSubmissionStatus(submissionId, commitSha, status, branch =
 
 /**
  * Atomisch proberen om processing te starten (race condition preventie)
- * Alleen succesvol als submission NIET al in 'processing' status is
+ * Alleen succesvol als submission NIET al in 'processing' status is, tenzij takeOver
  * @param {number} submissionId - Submission ID
  * @param {string} commitSha - Nieuwe commit SHA
  * @param {string} branch - Branch naam (optioneel)
+ * @param {object} options
+ * @param {boolean} options.takeOver - Een achtergebleven 'processing' status overnemen
  * @returns {Promise<{success: boolean, submission?: object, alreadyProcessing?: boolean}>}
  */
-async function tryStartProcessing(submissionId, commitSha, branch = null) {
+async function tryStartProcessing(submissionId, commitSha, branch = null, { takeOver = false } = {}) {
   try {
     // Atomic check-and-set: alleen updaten als status NIET 'processing' is
+    // Een nieuwe verwerking vervangt een geplande automatische poging; de teller loopt per commit
+    // Start de verwerking van de wachtende commit, dan wacht er niets meer
     const result = await db.query(
       `UPDATE submission
-       SET commit_sha = $1, status = 'processing', updated_at = NOW()
-       WHERE id = $2 AND status != 'processing'
+       SET commit_sha = $1, status = 'processing', processing_started_at = NOW(),
+           error_code = NULL, error_message = NULL, next_retry_at = NULL, retry_exhausted_at = NULL,
+           auto_retry_count = CASE WHEN commit_sha IS DISTINCT FROM $1 THEN 0 ELSE auto_retry_count END,
+           pending_commit_sha = CASE WHEN pending_commit_sha = $1 THEN NULL ELSE pending_commit_sha END,
+           pending_since = CASE WHEN pending_commit_sha = $1 THEN NULL ELSE pending_since END,
+           updated_at = NOW()
+       WHERE id = $2 AND (status != 'processing' OR $3)
        RETURNING id, commit_sha, status, updated_at`,
-      [commitSha, submissionId]
+      [commitSha, submissionId, takeOver]
     );
 
     if (result.rows.length === 0) {
@@ -235,16 +244,89 @@ async function tryStartProcessing(submissionId, commitSha, branch = null) {
 }
 
 /**
- * Haal assignment settings op (rubric, guidelines)
+ * Registreer een nieuwere push voor een submission die op dit moment geanalyseerd wordt
+ * De lopende analyse ziet de wachtende commit (zie getSupersedingCommit) en stopt.
+ * @param {number} submissionId - Submission ID
+ * @param {string} commitSha - Gepushte commit SHA
+ * @returns {Promise<boolean>} - true als een lopende analyse van een andere commit vervangen wordt
+ */
+async function recordPendingCommit(submissionId, commitSha) {
+  try {
+    const result = await db.query(
+      `UPDATE submission
+       SET pending_commit_sha = $2, pending_since = COALESCE(pending_since, NOW())
+       WHERE id = $1 AND status = 'processing' AND commit_sha IS DISTINCT FROM $2
+       RETURNING id`,
+      [submissionId, commitSha]
+    );
+
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('[API] Error recording pending commit:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Nieuwere commit die een lopende analyse vervangt
+ * Een analyse is achterhaald als er een andere commit wacht, of als intussen een andere commit
+ * in verwerking is.
+ * @param {number} submissionId - Submission ID
+ * @param {string} commitSha - Commit van de lopende analyse
+ * @returns {Promise<string|null>} - De nieuwere commit SHA, null als de analyse nog actueel is
+ */
+async function getSupersedingCommit(submissionId, commitSha) {
+  try {
+    const result = await db.query(
+      'SELECT commit_sha, pending_commit_sha FROM submission WHERE id = $1',
+      [submissionId]
+    );
+    const submission = result.rows[0];
+    if (!submission) {
+      return null;
+    }
+
+    if (submission.pending_commit_sha && submission.pending_commit_sha !== commitSha) {
+      return submission.pending_commit_sha;
+    }
+    if (submission.commit_sha && submission.commit_sha !== commitSha) {
+      return submission.commit_sha;
+    }
+    return null;
+  } catch (error) {
+    console.error('[API] Error checking pending commit:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Haal assignment settings op (rubric, rubric criteria, guidelines, LLM provider)
+ * De LLM provider en het model van de opdracht hebben voorrang op die van de cursus.
  * @param {number} assignmentId - Assignment ID
  * @returns {Promise<object|null>}
  */
 async function getAssignmentSettings(assignmentId) {
   try {
     const result = await db.query(
-      `SELECT rubric, ai_guidelines
-       FROM assignment
-       WHERE id = $1`,
+      `SELECT
+        a.id as assignment_id,
+        a.course_id,
+        a.rubric,
+        a.rubric_criteria,
+        a.ai_guidelines,
+        a.feedback_categories,
+        a.file_selection,
+        a.architecture_review,
+        a.due_date,
+        COALESCE(a.feedback_language, c.feedback_language) as feedback_language,
+        COALESCE(a.llm_provider, c.llm_provider) as llm_provider,
+        CASE
+          WHEN a.llm_provider IS NOT NULL THEN a.llm_model
+          ELSE COALESCE(a.llm_model, c.llm_model)
+        END as llm_model
+       FROM assignment a
+       JOIN course c ON a.course_id = c.id
+       WHERE a.id = $1`,
       [assignmentId]
     );
 
@@ -308,16 +390,55 @@ function logWebhookEvent(event, repoFullName, status, message) {
   console.log(`[API] WEBHOOK ${timestamp} | ${event} | ${repoFullName} | ${status} | ${message}`);
 }
 
+/**
+ * Haal de vorige analyse op (voor incrementele analyse)
+ * @param {number} submissionId - Submission ID
+ * @returns {Promise<object|null>} - last_analyzed_sha, analyzed_files, analysis_settings_hash en AI/linter feedback
+ */
+async function getPreviousAnalysis(submissionId) {
+  try {
+    const result = await db.query(
+      `SELECT last_analyzed_sha, analyzed_files, analysis_settings_hash
+       FROM submission
+       WHERE id = $1`,
+      [submissionId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const feedbackResult = await db.query(
+      `SELECT id, content, reviewer, severity, line_number, suggestion, type, file_path, criterion_id
+       FROM feedback
+       WHERE submission_id = $1 AND reviewer IN ('ai', 'linter')`,
+      [submissionId]
+    );
+
+    return {
+      ...result.rows[0],
+      feedback: feedbackResult.rows
+    };
+  } catch (error) {
+    console.error('[API] Error fetching previous analysis:', error.message);
+    throw error;
+  }
+}
+
 /**
  * Verwijder oude feedback voor een submission (bij re-analyse)
  * @param {number} submissionId - Submission ID
+ * Autograder feedback hoort bij de test run op de volledige snapshot en wordt altijd vervangen.
+ * @param {Array<string>} keepFilePaths - Bestanden waarvan de AI en linter feedback behouden blijft (incrementele analyse)
  * @returns {Promise<number>} - Aantal verwijderde records
  */
-async function deletePreviousFeedback(submissionId) {
+async function deletePreviousFeedback(submissionId, keepFilePaths = []) {
   try {
     const result = await db.query(
-      `DELETE FROM feedback WHERE submission_id = $1 AND reviewer = 'ai'`,
-      [submissionId]
+      `DELETE FROM feedback
+       WHERE submission_id = $1 AND reviewer IN ('ai', 'linter', 'autograder')
+         AND (reviewer = 'autograder' OR file_path IS NULL OR NOT (file_path = ANY($2::text[])))`,
+      [submissionId, keepFilePaths]
     );
     return result.rowCount;
   } catch (error) {
@@ -327,28 +448,34 @@ async function deletePreviousFeedback(submissionId) {
 }
 
 /**
- * Sla AI feedback op in de database
+ * Sla AI feedback op in de database (items met reviewer 'linter' of 'autograder' onder die reviewer)
+ * Oude AI, linter en autograder feedback wordt eerst verwijderd, behalve voor bestanden in options.keepFilePaths.
  * @param {number} submissionId - Submission ID
  * @param {Array} feedbackItems - Array van feedback objecten
+ * @param {object} options - Opties
+ * @param {Array<string>} options.keepFilePaths - Bestanden waarvan de bestaande AI feedback behouden blijft
  * @returns {Promise<Array>} - Opgeslagen feedback records
  */
-async function saveFeedback(submissionId, feedbackItems) {
+async function saveFeedback(submissionId, feedbackItems, options = {}) {
+  const { keepFilePaths = [] } = options;
+
   console.log(`[API] saveFeedback called with submissionId: ${submissionId}, feedbackItems:`, {
     isArray: Array.isArray(feedbackItems),
     length: feedbackItems?.length,
-    firstItem: feedbackItems?.[0]
+    firstItem: feedbackItems?.[0],
+    keptFiles: keepFilePaths.length
   });
 
-  if (!feedbackItems || feedbackItems.length === 0) {
-    console.log(`[API] saveFeedback: No feedback items to save (empty or null)`);
-    return [];
-  }
-
   try {
-    // Verwijder eerst oude AI feedback
-    const deletedCount = await deletePreviousFeedback(submissionId);
+    // Verwijder eerst oude AI feedback (ook als er geen nieuwe is, anders blijft opgeloste feedback staan)
+    const deletedCount = await deletePreviousFeedback(submissionId, keepFilePaths);
     console.log(`[API] saveFeedback: Deleted ${deletedCount} old feedback items`);
 
+    if (!feedbackItems || feedbackItems.length === 0) {
+      console.log(`[API] saveFeedback: No feedback items to save (empty or null)`);
+      return [];
+    }
+
     // Insert alle nieuwe feedback items
     const savedItems = [];
 
@@ -361,16 +488,26 @@ async function saveFeedback(submissionId, feedbackItems) {
       });
 
       const result = await db.query(
-        `INSERT INTO feedback (submission_id, content, reviewer, severity, line_number, suggestion, type)
-         VALUES ($1, $2, 'ai', $3, $4, $5, $6)
-         RETURNING id, submission_id, content, reviewer, severity, line_number, suggestion, type, created_at`,
+        `INSERT INTO feedback (submission_id, content, reviewer, severity, line_number, suggestion, type, criterion_id, file_path, prompt_version,
+                               end_line, code_excerpt, excerpt_start_line, line_status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+         RETURNING id, submission_id, content, reviewer, severity, line_number, suggestion, type, criterion_id, file_path, prompt_version,
+                   end_line, code_excerpt, excerpt_start_line, line_status, created_at`,
         [
           submissionId,
           item.content,
+          item.reviewer || 'ai',
           item.severity || 'low',
           item.line_number || null,
           item.suggestion || null,
-          item.type || 'code_quality'
+          item.type || 'code_quality',
+          item.criterion_id || null,
+          item.file_path || null,
+          item.prompt_version || null,
+          item.end_line || null,
+          item.code_excerpt || null,
+          item.excerpt_start_line || null,
+          item.line_status || null
         ]
       );
       console.log(`[API] saveFeedback: Inserted feedback id: ${result.rows[0]?.id}`);
@@ -437,16 +574,41 @@ async function saveFeedback(submissionId, feedbackItems) {
  * @param {string} commitSha - Commit SHA
  * @param {number} aiScore - AI score (0-100)
  * @param {string} status - Nieuwe status
+ * @param {object} options - Extra analyse resultaten
+ * @param {Array|null} options.rubricScores - Beoordeling per rubric criterium (null zonder gestructureerde rubric)
+ * @param {Array} options.analyzedFiles - Geanalyseerde bestanden [{ path, criteria_scores }] (voor incrementele analyse)
+ * @param {string} options.settingsHash - Hash van de gebruikte analyse-instellingen
+ * @param {string} options.promptVersion - Prompt versie van deze analyse run
+ * @param {object|null} options.testResults - Resultaat van de autograder (null = geen test suite, weglaten = ongewijzigd)
  * @returns {Promise<object>}
  */
-async function updateSubmissionWithScore(submissionId, commitSha, aiScore, status) {
+async function updateSubmissionWithScore(submissionId, commitSha, aiScore, status, options = {}) {
+  const { rubricScores = null, analyzedFiles = null, settingsHash = null, promptVersion = null, testResults } = options;
+
   try {
     const result = await db.query(
       `UPDATE submission
-       SET commit_sha = $1, ai_score = $2, status = $3, updated_at = NOW()
-       WHERE id = $4
-       RETURNING id, commit_sha, ai_score, status, updated_at, assignment_id, user_id`,
-      [commitSha, aiScore, status, submissionId]
+       SET commit_sha = $1, ai_score = $2, status = $3, rubric_scores = $4,
+           last_analyzed_sha = CASE WHEN $6::jsonb IS NOT NULL THEN $1 ELSE last_analyzed_sha END,
+           analyzed_files = COALESCE($6::jsonb, analyzed_files),
+           analysis_settings_hash = COALESCE($7, analysis_settings_hash),
+           prompt_version = COALESCE($8, prompt_version),
+           test_results = CASE WHEN $9 THEN $10::jsonb ELSE test_results END,
+           updated_at = NOW()
+       WHERE id = $5
+       RETURNING id, commit_sha, ai_score, status, rubric_scores, updated_at, assignment_id, user_id`,
+      [
+        commitSha,
+        aiScore,
+        status,
+        rubricScores ? JSON.stringify(rubricScores) : null,
+        submissionId,
+        analyzedFiles ? JSON.stringify(analyzedFiles) : null,
+        settingsHash,
+        promptVersion,
+        testResults !== undefined,
+        testResults ? JSON.stringify(testResults) : null
+      ]
     );
 
     const submission = result.rows[0];
@@ -465,7 +627,8 @@ async function updateSubmissionWithScore(submissionId, commitSha, aiScore, statu
         submissionId: submission.id,
         studentId: submission.user_id,
         assignmentId: submission.assignment_id,
-        aiScore: aiScore
+        aiScore: aiScore,
+        status
       });
       
       // Invalidate cache for assignment and course statistics
@@ -509,26 +672,31 @@ async function getFeedbackBySubmission(submissionId, filters = {}) {
     const params = [submissionId];
     let paramIndex = 2;
 
+    // Met de beoordeling van de eigenaar van de submission (null als nog niet beoordeeld)
     let query = `
-      SELECT id, submission_id, content, reviewer, severity, line_number, suggestion, type, created_at
-      FROM feedback
-      WHERE submission_id = $1
+      SELECT f.id, f.submission_id, f.content, f.reviewer, f.severity, f.line_number, f.suggestion, f.type, f.file_path,
+             f.end_line, f.code_excerpt, f.excerpt_start_line, f.line_status, f.criterion_id, f.author_id, f.created_at, f.updated_at,
+             fr.rating, fr.comment as rating_comment
+      FROM feedback f
+      JOIN submission s ON f.submission_id = s.id
+      LEFT JOIN feedback_rating fr ON fr.feedback_id = f.id AND fr.user_id = s.user_id
+      WHERE f.submission_id = $1
     `;
 
     // Filter op reviewer
     if (reviewer !== 'all') {
-      query += ` AND reviewer = $${paramIndex}`;
+      query += ` AND f.reviewer = $${paramIndex}`;
       params.push(reviewer);
       paramIndex++;
     }
 
     // Filter op severity
     if (severity) {
-      query += ` AND severity = $${paramIndex}`;
+      query += ` AND f.severity = $${paramIndex}`;
       params.push(severity);
     }
 
-    query += ` ORDER BY severity DESC, line_number ASC NULLS LAST, created_at ASC`;
+    query += ` ORDER BY f.severity DESC, f.line_number ASC NULLS LAST, f.created_at ASC`;
 
     const result = await db.query(query, params);
     return result.rows;
@@ -548,16 +716,13 @@ async function getFeedbackBySubmission(submissionId, filters = {}) {
  */
 async function markSubmissionFailed(submissionId, commitSha, errorMessage, errorCode = 'UNKNOWN_ERROR') {
   try {
-    // We slaan error details op in een JSON string in de status kolom
-    // Format: "failed:ERROR_CODE:message"
-    const statusWithError = `failed`;
-
+    // De error code en melding blijven bij de submission tot de volgende verwerking start
     const result = await db.query(
       `UPDATE submission
-       SET commit_sha = $1, status = $2, updated_at = NOW()
-       WHERE id = $3
-       RETURNING id, commit_sha, status, updated_at`,
-      [commitSha, statusWithError, submissionId]
+       SET commit_sha = $1, status = 'failed', error_code = $2, error_message = $3, updated_at = NOW()
+       WHERE id = $4
+       RETURNING id, commit_sha, status, error_code, updated_at`,
+      [commitSha, errorCode, errorMessage, submissionId]
     );
 
     // Log de error voor debugging
@@ -588,12 +753,17 @@ async function getFailedSubmissions(maxAge = 24) {
         s.github_url,
         s.commit_sha,
         s.status,
+        s.error_code,
+        s.error_message,
+        s.auto_retry_count,
+        s.next_retry_at,
+        s.retry_exhausted_at,
         s.webhook_secret,
         s.updated_at,
         a.course_id
       FROM submission s
       JOIN assignment a ON s.assignment_id = a.id
-      WHERE s.status = 'failed'
+      WHERE s.status IN ('failed', 'analysis_incomplete', 'budget_exceeded')
         AND s.updated_at > NOW() - INTERVAL '1 hour' * $1
       ORDER BY s.updated_at DESC`,
       [safeMaxAge]
@@ -642,12 +812,15 @@ module.exports = {
   getSubmissionsByRepo,
   updateSubmissionStatus,
   tryStartProcessing,
+  recordPendingCommit,
+  getSupersedingCommit,
   getAssignmentSettings,
   createOrUpdateSubmission,
   logWebhookEvent,
   saveFeedback,
   updateSubmissionWithScore,
   getFeedbackBySubmission,
+  getPreviousAnalysis,
   deletePreviousFeedback,
   markSubmissionFailed,
   getFailedSubmissions,
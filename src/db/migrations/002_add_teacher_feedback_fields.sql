@@ -0,0 +1,14 @@
+-- Migration: Add authoring fields to feedback table
+-- Run this migration to support teacher-written, line-anchored feedback
+
+-- Bestandspad waar het feedback item over gaat
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS file_path VARCHAR(1024);
+
+-- Docent die het feedback item geschreven heeft (NULL voor AI feedback)
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS author_id INT REFERENCES "user"(id) ON DELETE SET NULL;
+
+-- Tijdstip van laatste wijziging
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- Add index for faster feedback lookups per submission
+CREATE INDEX IF NOT EXISTS idx_feedback_submission_reviewer ON feedback(submission_id, reviewer);
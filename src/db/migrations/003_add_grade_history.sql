@@ -0,0 +1,15 @@
+-- Migration: Add grade history table
+-- Run this migration to keep an audit trail of manual score overrides
+
+CREATE TABLE IF NOT EXISTS grade_history (
+    id                 SERIAL PRIMARY KEY,
+    submission_id      INT NOT NULL REFERENCES submission(id) ON DELETE CASCADE,
+    changed_by         INT REFERENCES "user"(id) ON DELETE SET NULL,
+    old_manual_score   INT CHECK (old_manual_score BETWEEN 0 AND 100),
+    new_manual_score   INT CHECK (new_manual_score BETWEEN 0 AND 100),
+    justification      TEXT NOT NULL,
+    created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Add index for history lookups per submission
+CREATE INDEX IF NOT EXISTS idx_grade_history_submission ON grade_history(submission_id, created_at);
@@ -0,0 +1,11 @@
+-- Migration: Add structured rubrics with weighted criteria
+-- Run this migration to support per-criterion AI scoring
+
+-- Gestructureerde rubric: array van criteria met gewicht en niveaus
+ALTER TABLE assignment ADD COLUMN IF NOT EXISTS rubric_criteria JSONB;
+
+-- AI beoordeling per criterium (niveau, score en motivatie)
+ALTER TABLE submission ADD COLUMN IF NOT EXISTS rubric_scores JSONB;
+
+-- Rubric criterium waar een feedback item bij hoort
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS criterion_id VARCHAR(64);
@@ -0,0 +1,8 @@
+-- Migration: Add LLM provider selection per course and per assignment
+-- NULL = erven van de cursus, of van de deployment (LLM_PROVIDER / LLM_MODEL)
+
+ALTER TABLE course ADD COLUMN IF NOT EXISTS llm_provider VARCHAR(32);
+ALTER TABLE course ADD COLUMN IF NOT EXISTS llm_model VARCHAR(128);
+
+ALTER TABLE assignment ADD COLUMN IF NOT EXISTS llm_provider VARCHAR(32);
+ALTER TABLE assignment ADD COLUMN IF NOT EXISTS llm_model VARCHAR(128);
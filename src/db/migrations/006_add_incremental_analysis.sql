@@ -0,0 +1,9 @@
+-- Migration: Add incremental analysis state to submission
+-- Houdt bij welke commit en welke bestanden laatst geanalyseerd zijn
+
+ALTER TABLE submission ADD COLUMN IF NOT EXISTS last_analyzed_sha VARCHAR(40);
+ALTER TABLE submission ADD COLUMN IF NOT EXISTS analyzed_files JSONB;
+ALTER TABLE submission ADD COLUMN IF NOT EXISTS analysis_settings_hash VARCHAR(64);
+
+-- Carry-over van AI feedback gebeurt per bestand
+CREATE INDEX IF NOT EXISTS idx_feedback_submission_file ON feedback(submission_id, file_path);
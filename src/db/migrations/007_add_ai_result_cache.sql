@@ -0,0 +1,20 @@
+-- Migration: Add persistent content-addressed AI result cache
+-- cache_key = sha256(blob_sha : settings_hash : model : prompt_version)
+
+CREATE TABLE IF NOT EXISTS ai_result_cache (
+    id                SERIAL PRIMARY KEY,
+    cache_key         VARCHAR(64) NOT NULL UNIQUE,
+    blob_sha          VARCHAR(40) NOT NULL,
+    settings_hash     VARCHAR(64) NOT NULL,
+    model             VARCHAR(160) NOT NULL,
+    prompt_version    VARCHAR(32) NOT NULL,
+    assignment_id     INT REFERENCES assignment(id) ON DELETE CASCADE,
+    feedback          JSONB NOT NULL DEFAULT '[]',
+    criteria_scores   JSONB NOT NULL DEFAULT '[]',
+    hit_count         INT NOT NULL DEFAULT 0,
+    created_at        TIMESTAMPTZ DEFAULT NOW(),
+    last_hit_at       TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_result_cache_assignment ON ai_result_cache(assignment_id);
+CREATE INDEX IF NOT EXISTS idx_ai_result_cache_settings ON ai_result_cache(settings_hash);
@@ -0,0 +1,4 @@
+-- Migration: Add repository-level architecture review toggle per assignment
+-- Architectuur feedback wordt opgeslagen zonder file_path en met type 'architecture'
+
+ALTER TABLE assignment ADD COLUMN IF NOT EXISTS architecture_review BOOLEAN NOT NULL DEFAULT FALSE;
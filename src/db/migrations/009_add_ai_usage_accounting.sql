@@ -0,0 +1,24 @@
+-- Migration: Add AI usage and cost accounting with a monthly token budget per course
+-- Eén rij per LLM call; estimated_cost is NULL als er geen prijs gekend is voor het model
+
+CREATE TABLE IF NOT EXISTS ai_usage (
+    id                  SERIAL PRIMARY KEY,
+    course_id           INT REFERENCES course(id) ON DELETE CASCADE,
+    assignment_id       INT REFERENCES assignment(id) ON DELETE SET NULL,
+    submission_id       INT REFERENCES submission(id) ON DELETE SET NULL,
+    provider            VARCHAR(32) NOT NULL,
+    model               VARCHAR(128) NOT NULL,
+    stage               VARCHAR(32) NOT NULL DEFAULT 'file',
+    file_path           TEXT,
+    prompt_tokens       INT NOT NULL DEFAULT 0,
+    completion_tokens   INT NOT NULL DEFAULT 0,
+    total_tokens        INT NOT NULL DEFAULT 0,
+    estimated_cost      NUMERIC(12, 6),
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_course_created ON ai_usage(course_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage(created_at);
+
+-- NULL = geen limiet
+ALTER TABLE course ADD COLUMN IF NOT EXISTS monthly_token_budget INT;
@@ -0,0 +1,5 @@
+-- Migration: Add feedback language per course, overridable per assignment
+-- Ondersteunde talen: nl, en, fr. NULL op assignment = taal van het vak gebruiken
+
+ALTER TABLE course ADD COLUMN IF NOT EXISTS feedback_language VARCHAR(5) NOT NULL DEFAULT 'nl';
+ALTER TABLE assignment ADD COLUMN IF NOT EXISTS feedback_language VARCHAR(5);
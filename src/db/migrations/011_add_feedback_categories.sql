@@ -0,0 +1,4 @@
+-- Migration: Add teacher-defined feedback categories per assignment
+-- Array van categorieën ({id, label, description}). NULL = de standaard categorieën gebruiken
+
+ALTER TABLE assignment ADD COLUMN IF NOT EXISTS feedback_categories JSONB;
@@ -0,0 +1,4 @@
+-- Migration: Add configurable file selection per assignment
+-- {root, include, exclude, priority, max_files}. NULL = alle code bestanden, max 20, in tree volgorde
+
+ALTER TABLE assignment ADD COLUMN IF NOT EXISTS file_selection JSONB;
@@ -0,0 +1,52 @@
+-- Migration: Add versioned prompt templates and A/B experiments
+-- Een template is onveranderlijk: een aanpassing is een nieuwe versie. Maximaal één actieve
+-- template; zonder actieve template gebruikt de analyse de ingebouwde prompt.
+
+CREATE TABLE IF NOT EXISTS prompt_template (
+    id                  SERIAL PRIMARY KEY,
+    version             INT NOT NULL UNIQUE,
+    description         TEXT,
+    system_prompt       TEXT NOT NULL,
+    user_prompt         TEXT NOT NULL,
+    is_active           BOOLEAN NOT NULL DEFAULT FALSE,
+    created_by          INT REFERENCES "user"(id) ON DELETE SET NULL,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_template_active ON prompt_template(is_active) WHERE is_active;
+
+-- Prompt versie van elke analyse run ('builtin-3', 'template-2', ...)
+ALTER TABLE submission ADD COLUMN IF NOT EXISTS prompt_version VARCHAR(32);
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS prompt_version VARCHAR(32);
+
+CREATE INDEX IF NOT EXISTS idx_feedback_prompt_version ON feedback(prompt_version);
+
+-- A/B experiment: twee prompt versies naast elkaar op een steekproef van submissions.
+-- De resultaten worden apart bewaard en nooit aan studenten getoond.
+CREATE TABLE IF NOT EXISTS prompt_experiment (
+    id                  SERIAL PRIMARY KEY,
+    version_a           VARCHAR(32) NOT NULL,
+    version_b           VARCHAR(32) NOT NULL,
+    assignment_id       INT REFERENCES assignment(id) ON DELETE SET NULL,
+    sample_size         INT NOT NULL,
+    status              VARCHAR(20) NOT NULL DEFAULT 'pending',
+    created_by          INT REFERENCES "user"(id) ON DELETE SET NULL,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at        TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS prompt_experiment_run (
+    id                  SERIAL PRIMARY KEY,
+    experiment_id       INT NOT NULL REFERENCES prompt_experiment(id) ON DELETE CASCADE,
+    submission_id       INT NOT NULL REFERENCES submission(id) ON DELETE CASCADE,
+    prompt_version      VARCHAR(32) NOT NULL,
+    status              VARCHAR(20) NOT NULL DEFAULT 'pending',
+    feedback            JSONB,
+    feedback_count      INT,
+    score               INT,
+    error               TEXT,
+    completed_at        TIMESTAMPTZ,
+    UNIQUE(experiment_id, submission_id, prompt_version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_experiment_run_experiment ON prompt_experiment_run(experiment_id);
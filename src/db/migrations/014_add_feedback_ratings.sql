@@ -0,0 +1,20 @@
+-- Migration: Add student ratings of individual AI feedback items
+-- Type, severity en prompt versie worden mee bewaard: een nieuwe analyse verwijdert de oude
+-- feedback, maar de beoordelingen blijven meetellen in de analytics (feedback_id wordt dan NULL)
+
+CREATE TABLE IF NOT EXISTS feedback_rating (
+    id                  SERIAL PRIMARY KEY,
+    feedback_id         INT REFERENCES feedback(id) ON DELETE SET NULL,
+    submission_id       INT NOT NULL REFERENCES submission(id) ON DELETE CASCADE,
+    user_id             INT NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+    rating              VARCHAR(20) NOT NULL CHECK (rating IN ('helpful', 'not_helpful', 'incorrect')),
+    comment             TEXT,
+    feedback_type       VARCHAR(128),
+    feedback_severity   feedback_severity,
+    prompt_version      VARCHAR(32),
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE(feedback_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_feedback_rating_submission ON feedback_rating(submission_id);
@@ -0,0 +1,11 @@
+-- Migration: Add validated line ranges and code excerpts to feedback
+-- AI feedback wordt gecontroleerd tegen het bestand: line_number t.e.m. end_line is het bereik,
+-- code_excerpt bevat de code rond dat bereik vanaf excerpt_start_line.
+-- line_status: valid, reanchored (regelnummer hersteld via de code in de feedback tekst)
+-- of out_of_range (regelnummer lag buiten het bestand en werd verwijderd). NULL zonder regelnummer.
+
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS end_line INT;
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS code_excerpt TEXT;
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS excerpt_start_line INT;
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS line_status VARCHAR(20)
+    CHECK (line_status IN ('valid', 'reanchored', 'out_of_range'));
@@ -0,0 +1,5 @@
+-- Migration: Add 'linter' reviewer type for static analysis findings
+-- Bevindingen van de linters (bv. ESLint) worden samen met de AI feedback opgeslagen,
+-- maar met een eigen reviewer zodat docenten ze als objectieve bevindingen herkennen.
+
+ALTER TYPE reviewer_type ADD VALUE IF NOT EXISTS 'linter';
@@ -0,0 +1,21 @@
+-- Migration: Add autograder (hidden teacher test suites per assignment)
+-- De testbestanden worden in de database bewaard en nooit aan studenten getoond.
+-- weight = aandeel (in %) van het test resultaat in de score; 0 = enkel feedback.
+
+CREATE TABLE IF NOT EXISTS assignment_test_suite (
+    id                  SERIAL PRIMARY KEY,
+    assignment_id       INT NOT NULL UNIQUE REFERENCES assignment(id) ON DELETE CASCADE,
+    runner              VARCHAR(20) NOT NULL,
+    files               JSONB NOT NULL,
+    weight              INT NOT NULL DEFAULT 0 CHECK (weight BETWEEN 0 AND 100),
+    timeout_seconds     INT NOT NULL DEFAULT 60,
+    memory_mb           INT NOT NULL DEFAULT 512,
+    updated_by          INT REFERENCES "user"(id) ON DELETE SET NULL,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Resultaat van de laatste test run ({status, passed, failed, skipped, total, tests, ...})
+ALTER TABLE submission ADD COLUMN IF NOT EXISTS test_results JSONB;
+
+ALTER TYPE reviewer_type ADD VALUE IF NOT EXISTS 'autograder';
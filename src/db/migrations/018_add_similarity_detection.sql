@@ -0,0 +1,24 @@
+-- Migration: Add similarity detection between submissions of an assignment
+-- Fingerprints (winnowing) per bestand van een submission, bijgewerkt na elke analyse.
+-- fingerprints = [[hash, eerste regel, laatste regel], ...]
+
+CREATE TABLE IF NOT EXISTS submission_fingerprint (
+    submission_id       INT NOT NULL REFERENCES submission(id) ON DELETE CASCADE,
+    file_path           TEXT NOT NULL,
+    fingerprints        JSONB NOT NULL,
+    fingerprint_version INT NOT NULL,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (submission_id, file_path)
+);
+
+-- Startcode van de docent: fingerprints die hierin voorkomen tellen niet mee.
+-- source = GitHub URL van de startcode repository of 'upload'
+CREATE TABLE IF NOT EXISTS assignment_starter_code (
+    assignment_id       INT PRIMARY KEY REFERENCES assignment(id) ON DELETE CASCADE,
+    source              TEXT NOT NULL,
+    files               JSONB NOT NULL,
+    fingerprints        JSONB NOT NULL,
+    fingerprint_version INT NOT NULL,
+    updated_by          INT REFERENCES "user"(id) ON DELETE SET NULL,
+    updated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,5 @@
+-- Migration: Add commit history per submission (procesanalyse)
+-- {head_sha, truncated, fetched_at, commits: [{sha, date, message, merge, additions, deletions, files_changed}]}
+-- Bijgewerkt na elke analyse; de statistieken worden bij het opvragen berekend.
+
+ALTER TABLE submission ADD COLUMN IF NOT EXISTS commit_history JSONB;
@@ -0,0 +1,32 @@
+-- Migration: Add durable job queue (submission analyses en andere achtergrondtaken)
+-- De worker (worker.js) claimt jobs met SELECT ... FOR UPDATE SKIP LOCKED.
+-- Een geclaimde job staat op 'running' tot locked_until (visibility timeout); de worker verlengt
+-- die zolang hij bezig is. Verloopt ze (worker gestopt), dan komt de job terug in de wachtrij,
+-- of op 'dead' als alle pogingen opgebruikt zijn.
+
+CREATE TABLE IF NOT EXISTS job (
+    id                  BIGSERIAL PRIMARY KEY,
+    type                VARCHAR(50) NOT NULL,
+    payload             JSONB NOT NULL DEFAULT '{}',
+    status              VARCHAR(20) NOT NULL DEFAULT 'queued'
+                        CHECK (status IN ('queued', 'running', 'completed', 'dead')),
+    priority            INT NOT NULL DEFAULT 0,
+    attempts            INT NOT NULL DEFAULT 0,
+    max_attempts        INT NOT NULL DEFAULT 3,
+    run_at              TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_by           VARCHAR(100),
+    locked_until        TIMESTAMPTZ,
+    dedupe_key          VARCHAR(200),
+    result              JSONB,
+    last_error          TEXT,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at        TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_queued ON job(priority DESC, run_at, id) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_job_running ON job(locked_until) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_job_status ON job(status, updated_at);
+
+-- Maximaal één wachtende job per dedupe_key (bv. één analyse per submission in de wachtrij)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_job_dedupe_queued ON job(dedupe_key) WHERE status = 'queued';
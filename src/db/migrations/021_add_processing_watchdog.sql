@@ -0,0 +1,27 @@
+-- Migration: Add processing watchdog (vastgelopen analyses herstellen)
+-- processing_started_at: start van de huidige verwerking (tryStartProcessing)
+-- error_code / error_message: reden van de laatste mislukte verwerking (markSubmissionFailed)
+-- processing_recovery_log: elke ingreep van de watchdog, zichtbaar voor admins
+
+ALTER TABLE submission ADD COLUMN IF NOT EXISTS processing_started_at TIMESTAMPTZ;
+ALTER TABLE submission ADD COLUMN IF NOT EXISTS error_code VARCHAR(50);
+ALTER TABLE submission ADD COLUMN IF NOT EXISTS error_message TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_submission_processing ON submission(processing_started_at) WHERE status = 'processing';
+
+-- action: 'requeued' = opnieuw ingepland, 'gave_up' = herstelbudget op of niet opnieuw in te plannen
+CREATE TABLE IF NOT EXISTS processing_recovery_log (
+    id                  SERIAL PRIMARY KEY,
+    submission_id       INT NOT NULL REFERENCES submission(id) ON DELETE CASCADE,
+    commit_sha          VARCHAR(128),
+    action              VARCHAR(20) NOT NULL CHECK (action IN ('requeued', 'gave_up')),
+    processing_since    TIMESTAMPTZ NOT NULL,
+    stuck_minutes       INT NOT NULL,
+    recovery_attempt    INT NOT NULL,
+    job_id              BIGINT,
+    message             TEXT,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_processing_recovery_submission ON processing_recovery_log(submission_id, commit_sha);
+CREATE INDEX IF NOT EXISTS idx_processing_recovery_created ON processing_recovery_log(created_at);
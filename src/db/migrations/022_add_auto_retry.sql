@@ -0,0 +1,10 @@
+-- Migration: Add scheduled automatic retry of failed analyses
+-- auto_retry_count: automatische pogingen voor de huidige commit (terug naar 0 bij een nieuwe commit)
+-- next_retry_at: geplande volgende poging (NULL = niets gepland)
+-- retry_exhausted_at: definitief mislukt (niet herhaalbare fout of alle pogingen op); student en docenten zijn verwittigd
+
+ALTER TABLE submission ADD COLUMN IF NOT EXISTS auto_retry_count INT NOT NULL DEFAULT 0;
+ALTER TABLE submission ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMPTZ;
+ALTER TABLE submission ADD COLUMN IF NOT EXISTS retry_exhausted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_submission_next_retry ON submission(next_retry_at) WHERE status = 'failed' AND next_retry_at IS NOT NULL;
@@ -0,0 +1,7 @@
+-- Migration: Add supersession of running analyses by newer pushes
+-- pending_commit_sha: nieuwste gepushte commit die nog niet in verwerking is (NULL = geen)
+-- pending_since: tijdstip van de eerste push die nog wacht
+-- Een lopende analyse van een andere commit ziet de nieuwere push en stopt zonder resultaten op te slaan.
+
+ALTER TABLE submission ADD COLUMN IF NOT EXISTS pending_commit_sha VARCHAR(128);
+ALTER TABLE submission ADD COLUMN IF NOT EXISTS pending_since TIMESTAMPTZ;
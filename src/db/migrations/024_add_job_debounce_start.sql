@@ -0,0 +1,6 @@
+-- Migration: Add debounce window start to queued jobs
+-- debounce_started_at: eerste enqueue sinds de job (opnieuw) in de wachtrij staat. Wordt NULL bij
+-- een claim, zodat een push na een defer of retry een nieuwe debounce start.
+-- De maximale debounce (maxDelaySeconds) telt vanaf dit tijdstip, niet vanaf created_at.
+
+ALTER TABLE job ADD COLUMN IF NOT EXISTS debounce_started_at TIMESTAMPTZ;
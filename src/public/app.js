@@ -267,9 +267,9 @@ function createSubmissionItem(sub) {
       <div class="submission-status">
         <span class="status-badge ${statusClass}">${formatStatus(sub.status)}</span>
         ${sub.ai_score !== null ? `<span class="score ${scoreClass}">${sub.ai_score}</span>` : ''}
-        ${sub.status === 'analyzed' || sub.status === 'failed' ?
+        ${sub.status === 'analyzed' || sub.status === 'analysis_incomplete' || sub.status === 'failed' ?
           `<button class="btn btn-secondary btn-small" onclick="viewFeedback(${sub.id})">Feedback</button>` : ''}
-        ${sub.status === 'failed' ?
+        ${sub.status === 'failed' || sub.status === 'analysis_incomplete' || sub.status === 'budget_exceeded' ?
           `<button class="btn btn-secondary btn-small" onclick="retrySubmission(${sub.id})">Retry</button>` : ''}
       </div>
     </div>
@@ -282,6 +282,8 @@ function formatStatus(status) {
     'pending': 'Wachtend',
     'processing': 'Bezig...',
     'analyzed': 'Geanalyseerd',
+    'analysis_incomplete': 'Onvolledig',
+    'budget_exceeded': 'Budget op',
     'failed': 'Mislukt',
     'completed': 'Voltooid'
   };
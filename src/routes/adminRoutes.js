@@ -3,6 +3,53 @@ const router = express.Router();
 const adminController = require('../controllers/adminController');
 const { requireAdmin } = require('../middleware/authMiddleware');
 const db = require('../config/db');
+const { validateRubricCriteria } = require('../services/rubricService');
+const { validateFeedbackCategories } = require('../services/feedbackCategoryService');
+const { validateFileSelection } = require('../services/fileSelectionService');
+const { isKnownProvider, getProviderNames } = require('../services/llm');
+const { SUPPORTED_LANGUAGES } = require('../utils/i18n');
+const { getCacheStats } = require('../services/cachingService');
+const { getAICacheStats, purgeAssignmentCache } = require('../services/aiCacheService');
+const { hashAnalysisSettings } = require('../services/incrementalAnalysisService');
+const { getAssignmentSettings: getAnalysisSettings } = require('../controllers/webhookController');
+const { getUsageReport, getCourseBudgetStatus, parseUsagePeriod, VALID_GROUP_BY } = require('../services/usageService');
+const {
+  validatePromptTemplate,
+  listPromptTemplates,
+  getPromptTemplateByVersion,
+  createPromptTemplate,
+  activatePromptTemplate,
+  resolvePromptVersion
+} = require('../services/promptTemplateService');
+const {
+  createPromptExperiment,
+  listPromptExperiments,
+  getPromptExperimentComparison,
+  DEFAULT_SAMPLE_SIZE,
+  MAX_SAMPLE_SIZE
+} = require('../services/promptExperimentService');
+const { listJobs, getJobCounts, requeueDeadJob, JOB_STATUSES } = require('../services/jobQueueService');
+const { enqueuePromptExperiment, JOB_TYPES } = require('../services/jobTypes');
+const { listRecoveries, DEFAULT_TIMEOUT_MINUTES, DEFAULT_MAX_RECOVERIES } = require('../services/processingWatchdog');
+
+/**
+ * Valideer LLM provider instellingen (null = erven van cursus of deployment)
+ * @param {string|null|undefined} llmProvider - Provider naam
+ * @param {string|null|undefined} llmModel - Model naam
+ * @returns {string|null} Foutmelding of null als geldig
+ */
+function validateLLMSettings(llmProvider, llmModel) {
+  if (llmProvider !== undefined && llmProvider !== null && !isKnownProvider(llmProvider)) {
+    return `Ongeldige LLM provider. Toegestaan: ${getProviderNames().join(', ')}`;
+  }
+
+  if (llmModel !== undefined && llmModel !== null &&
+      (typeof llmModel !== 'string' || llmModel.trim().length === 0 || llmModel.length > 128)) {
+    return 'LLM model moet een niet-lege string van maximaal 128 tekens zijn';
+  }
+
+  return null;
+}
 
 /**
  * @swagger
@@ -1837,6 +1884,27 @@ router.delete('/admin/courses/:courseId', requireAdmin, async (req, res) => {
  *                 type: string
  *                 description: Nieuwe join code voor het vak
  *                 example: "WEB2024"
+ *               llm_provider:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [openai, anthropic, local, mock]
+ *                 description: LLM provider voor AI analyses in dit vak (null = deployment standaard; mock enkel in tests of met LLM_ALLOW_MOCK=true)
+ *               llm_model:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Model van de LLM provider (null = standaard model van de provider)
+ *                 example: "gpt-5-mini"
+ *               monthly_token_budget:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 0
+ *                 description: Maximum aantal AI tokens per kalendermaand (null = geen limiet). Is het budget op, dan worden nieuwe pushes niet geanalyseerd.
+ *                 example: 2000000
+ *               feedback_language:
+ *                 type: string
+ *                 enum: [nl, en, fr]
+ *                 description: Taal van de AI feedback en status teksten in dit vak. Opdrachten kunnen dit overschrijven.
+ *                 example: "en"
  *     responses:
  *       200:
  *         description: Vak succesvol gewijzigd
@@ -1875,7 +1943,7 @@ router.delete('/admin/courses/:courseId', requireAdmin, async (req, res) => {
 router.put('/admin/courses/:courseId', requireAdmin, async (req, res) => {
   const adminId = req.user.id;
   const courseId = parseInt(req.params.courseId);
-  const { title, description, join_code } = req.body;
+  const { title, description, join_code, llm_provider, llm_model, monthly_token_budget, feedback_language } = req.body;
 
   console.log(`[API] Admin ${adminId} requested to update course ${courseId} at ${new Date().toISOString()}`);
 
@@ -1890,10 +1958,38 @@ router.put('/admin/courses/:courseId', requireAdmin, async (req, res) => {
     }
 
     // Validatie: minimaal één veld moet worden geüpdatet
-    if (title === undefined && description === undefined && join_code === undefined) {
+    if (title === undefined && description === undefined && join_code === undefined &&
+        llm_provider === undefined && llm_model === undefined && monthly_token_budget === undefined &&
+        feedback_language === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Minimaal één veld (title, description, join_code, llm_provider, llm_model, monthly_token_budget, feedback_language) moet worden opgegeven',
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    const llmError = validateLLMSettings(llm_provider, llm_model);
+    if (llmError) {
+      return res.status(400).json({
+        success: false,
+        message: llmError,
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    if (monthly_token_budget !== undefined && monthly_token_budget !== null &&
+        (!Number.isInteger(monthly_token_budget) || monthly_token_budget < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'monthly_token_budget moet een positief geheel getal of null zijn',
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    if (feedback_language !== undefined && !SUPPORTED_LANGUAGES.includes(feedback_language)) {
       return res.status(400).json({
         success: false,
-        message: 'Minimaal één veld (title, description, join_code) moet worden opgegeven',
+        message: `Ongeldige feedback taal. Toegestaan: ${SUPPORTED_LANGUAGES.join(', ')}`,
         error: 'BAD_REQUEST'
       });
     }
@@ -1913,7 +2009,11 @@ router.put('/admin/courses/:courseId', requireAdmin, async (req, res) => {
     const updatedCourse = await adminController.updateCourse(courseId, {
       title,
       description,
-      join_code
+      join_code,
+      llm_provider,
+      llm_model,
+      monthly_token_budget,
+      feedback_language
     });
 
     if (!updatedCourse) {
@@ -3376,7 +3476,7 @@ router.delete('/admin/assignments/:assignmentId', requireAdmin, async (req, res)
  *     tags:
  *       - Admin - Assignments
  *     summary: Haal opdracht instellingen op
- *     description: Verkrijg de instellingen (rubric en AI guidelines) van een opdracht (alleen voor admins)
+ *     description: Verkrijg de instellingen (rubric, gestructureerde rubric criteria en AI guidelines) van een opdracht (alleen voor admins)
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -3418,6 +3518,16 @@ router.get('/admin/assignments/:assignmentId/settings', requireAdmin, async (req
       });
     }
 
+    const settings = await adminController.getAssignmentSettings(assignmentId);
+
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        message: 'Opdracht niet gevonden',
+        error: 'NOT_FOUND'
+      });
+    }
+
     logger.success('Admin-AssignmentSettings', `Retrieved settings for assignment ${assignmentId}`);
 
     res.status(200).json({
@@ -3443,7 +3553,7 @@ router.get('/admin/assignments/:assignmentId/settings', requireAdmin, async (req
  *     tags:
  *       - Admin - Assignments
  *     summary: Update opdracht instellingen
- *     description: Werk de instellingen (rubric en AI guidelines) van een opdracht bij (alleen voor admins)
+ *     description: Werk de instellingen (rubric, gestructureerde rubric criteria, AI guidelines en architectuur review) van een opdracht bij (alleen voor admins)
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -3463,9 +3573,43 @@ router.get('/admin/assignments/:assignmentId/settings', requireAdmin, async (req
  *               rubric:
  *                 type: string
  *                 description: Beoordelingsrubric voor de opdracht
+ *               rubric_criteria:
+ *                 type: array
+ *                 nullable: true
+ *                 description: Gestructureerde rubric met gewogen criteria (null verwijdert de rubric)
+ *                 items:
+ *                   $ref: '#/components/schemas/RubricCriterion'
  *               ai_guidelines:
  *                 type: string
  *                 description: AI feedback richtlijnen
+ *               feedback_categories:
+ *                 type: array
+ *                 nullable: true
+ *                 description: Eigen feedback categorieën voor deze opdracht (null = standaard categorieën)
+ *                 items:
+ *                   $ref: '#/components/schemas/FeedbackCategory'
+ *               file_selection:
+ *                 nullable: true
+ *                 description: Welke bestanden geanalyseerd worden (null = alle code bestanden, max 20)
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/FileSelection'
+ *               llm_provider:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [openai, anthropic, local, mock]
+ *                 description: LLM provider voor deze opdracht (null = erven van het vak; mock enkel in tests of met LLM_ALLOW_MOCK=true)
+ *               llm_model:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Model van de LLM provider (null = erven van het vak of standaard model)
+ *               architecture_review:
+ *                 type: boolean
+ *                 description: Voer na de analyse per bestand een architectuur review op repository niveau uit
+ *               feedback_language:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [nl, en, fr]
+ *                 description: Taal van de AI feedback voor deze opdracht (null = taal van het vak)
  *     responses:
  *       200:
  *         description: Opdracht instellingen succesvol bijgewerkt
@@ -3480,7 +3624,7 @@ router.put('/admin/assignments/:assignmentId/settings', requireAdmin, async (req
   const logger = require('../utils/logger');
   const adminId = req.user.id;
   const assignmentId = parseInt(req.params.assignmentId);
-  const { rubric, ai_guidelines } = req.body;
+  const { rubric, rubric_criteria, ai_guidelines, feedback_categories, file_selection, llm_provider, llm_model, architecture_review, feedback_language } = req.body;
 
   logger.info('Admin-AssignmentSettings', `Admin ${adminId} updating settings for assignment ${assignmentId}`);
 
@@ -3517,9 +3661,83 @@ router.put('/admin/assignments/:assignmentId/settings', requireAdmin, async (req
       });
     }
 
+    const llmError = validateLLMSettings(llm_provider, llm_model);
+    if (llmError) {
+      return res.status(400).json({
+        success: false,
+        message: llmError,
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    if (architecture_review !== undefined && typeof architecture_review !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'architecture_review moet een boolean zijn',
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    if (feedback_language !== undefined && feedback_language !== null && !SUPPORTED_LANGUAGES.includes(feedback_language)) {
+      return res.status(400).json({
+        success: false,
+        message: `Ongeldige feedback taal. Toegestaan: ${SUPPORTED_LANGUAGES.join(', ')} of null`,
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    let normalizedCriteria = rubric_criteria;
+    if (rubric_criteria !== undefined && rubric_criteria !== null) {
+      const validation = validateRubricCriteria(rubric_criteria);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ongeldige rubric criteria',
+          error: 'BAD_REQUEST',
+          details: validation.errors
+        });
+      }
+      normalizedCriteria = validation.criteria;
+    }
+
+    let normalizedCategories = feedback_categories;
+    if (feedback_categories !== undefined && feedback_categories !== null) {
+      const validation = validateFeedbackCategories(feedback_categories);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ongeldige feedback categorieën',
+          error: 'BAD_REQUEST',
+          details: validation.errors
+        });
+      }
+      normalizedCategories = validation.categories;
+    }
+
+    let normalizedSelection = file_selection;
+    if (file_selection !== undefined && file_selection !== null) {
+      const validation = validateFileSelection(file_selection);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ongeldige bestandsselectie',
+          error: 'BAD_REQUEST',
+          details: validation.errors
+        });
+      }
+      normalizedSelection = validation.selection;
+    }
+
     const updatedSettings = await adminController.updateAssignmentSettings(assignmentId, {
       rubric,
-      ai_guidelines
+      rubric_criteria: normalizedCriteria,
+      ai_guidelines,
+      feedback_categories: normalizedCategories,
+      file_selection: normalizedSelection,
+      llm_provider,
+      llm_model,
+      architecture_review,
+      feedback_language
     });
 
     logger.success('Admin-AssignmentSettings', `Admin ${adminId} updated settings for assignment ${assignmentId}`);
@@ -3721,4 +3939,1181 @@ router.put('/admin/assignments/:assignmentId', requireAdmin, async (req, res) =>
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @swagger
+ * /api/admin/cache/stats:
+ *   get:
+ *     tags:
+ *       - Admin - System
+ *     summary: Haal cache statistieken op
+ *     description: Statistieken van de in-memory statistiek cache en van de persistente AI resultaten cache (hits en misses sinds opstarten, totaal aantal entries) (alleen voor admins)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cache statistieken succesvol opgehaald
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     statistics:
+ *                       type: object
+ *                       description: In-memory cache (getCacheStats)
+ *                     aiResults:
+ *                       type: object
+ *                       properties:
+ *                         enabled:
+ *                           type: boolean
+ *                         hits:
+ *                           type: integer
+ *                         misses:
+ *                           type: integer
+ *                         writes:
+ *                           type: integer
+ *                         errors:
+ *                           type: integer
+ *                         hitRate:
+ *                           type: number
+ *                           description: Percentage hits sinds opstarten
+ *                         totalEntries:
+ *                           type: integer
+ *                         totalHits:
+ *                           type: integer
+ *       403:
+ *         description: Geen admin rechten
+ */
+router.get('/admin/cache/stats', requireAdmin, async (req, res) => {
+  const adminId = req.user.id;
+
+  console.log(`[API] Admin ${adminId} requested cache statistics at ${new Date().toISOString()}`);
+
+  try {
+    const aiResults = await getAICacheStats();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        statistics: getCacheStats(),
+        aiResults
+      },
+      message: 'Cache statistieken succesvol opgehaald',
+      error: null
+    });
+  } catch (error) {
+    console.error(`[API] Admin ${adminId} failed to retrieve cache statistics`, error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Fout bij ophalen cache statistieken',
+      error: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/assignments/{assignmentId}/ai-cache:
+ *   delete:
+ *     tags:
+ *       - Admin - Assignments
+ *     summary: Leeg de AI resultaten cache van een opdracht
+ *     description: Verwijdert alle gecachte AI analyses van een opdracht, zodat de volgende analyse alle bestanden opnieuw naar de LLM provider stuurt (alleen voor admins)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID van de opdracht
+ *     responses:
+ *       200:
+ *         description: Cache succesvol geleegd
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     assignmentId:
+ *                       type: integer
+ *                     deletedEntries:
+ *                       type: integer
+ *       400:
+ *         description: Ongeldig opdracht ID
+ *       403:
+ *         description: Geen admin rechten
+ *       404:
+ *         description: Opdracht niet gevonden
+ */
+router.delete('/admin/assignments/:assignmentId/ai-cache', requireAdmin, async (req, res) => {
+  const adminId = req.user.id;
+  const assignmentId = parseInt(req.params.assignmentId);
+
+  console.log(`[API] Admin ${adminId} requested to purge AI cache for assignment ${assignmentId} at ${new Date().toISOString()}`);
+
+  try {
+    if (!assignmentId || isNaN(assignmentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ongeldig opdracht ID',
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    const settings = await getAnalysisSettings(assignmentId);
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        message: 'Opdracht niet gevonden',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    // Ook entries met dezelfde settings hash wissen (gedeeld met opdrachten met identieke instellingen)
+    const deletedEntries = await purgeAssignmentCache(assignmentId, hashAnalysisSettings(settings));
+
+    console.log(`[API] Admin ${adminId} purged ${deletedEntries} AI cache entries for assignment ${assignmentId}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        assignmentId,
+        deletedEntries
+      },
+      message: `${deletedEntries} AI cache entries verwijderd`,
+      error: null
+    });
+  } catch (error) {
+    console.error(`[API] Admin ${adminId} failed to purge AI cache for assignment ${assignmentId}`, error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Fout bij legen van de AI cache',
+      error: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/ai-usage:
+ *   get:
+ *     tags:
+ *       - Admin - System
+ *     summary: AI verbruik en geschatte kosten
+ *     description: Rapporteert het aantal tokens en de geschatte kost (USD) van alle AI calls over een periode, per dag/week/maand, per vak en per opdracht (alleen voor admins)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Begin van de periode (standaard 30 dagen geleden)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Einde van de periode, exclusief (standaard nu)
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: integer
+ *         description: Enkel het verbruik van dit vak (voegt ook de budget status toe)
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: Verbruiksrapport
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                     group_by:
+ *                       type: string
+ *                     totals:
+ *                       type: object
+ *                       properties:
+ *                         calls:
+ *                           type: integer
+ *                         prompt_tokens:
+ *                           type: integer
+ *                         completion_tokens:
+ *                           type: integer
+ *                         total_tokens:
+ *                           type: integer
+ *                         estimated_cost:
+ *                           type: number
+ *                         unpriced_calls:
+ *                           type: integer
+ *                           description: Calls met een model zonder gekende prijs (niet in estimated_cost)
+ *                     series:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           period:
+ *                             type: string
+ *                             format: date-time
+ *                           calls:
+ *                             type: integer
+ *                           total_tokens:
+ *                             type: integer
+ *                           estimated_cost:
+ *                             type: number
+ *                     by_course:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     by_assignment:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     budget:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Budget status van de huidige maand (enkel met courseId)
+ *       400:
+ *         description: Ongeldige periode, courseId of groupBy
+ *       403:
+ *         description: Geen admin rechten
+ */
+router.get('/admin/ai-usage', requireAdmin, async (req, res) => {
+  const adminId = req.user.id;
+  const { from, to, courseId, groupBy = 'day' } = req.query;
+
+  console.log(`[API] Admin ${adminId} requested AI usage report at ${new Date().toISOString()}`);
+
+  try {
+    const period = parseUsagePeriod(from, to);
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ongeldige periode: from en to moeten geldige datums zijn en from moet voor to liggen',
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    if (!VALID_GROUP_BY.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Ongeldige groupBy. Toegestaan: ${VALID_GROUP_BY.join(', ')}`,
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    const parsedCourseId = courseId !== undefined ? parseInt(courseId) : null;
+    if (courseId !== undefined && (!parsedCourseId || isNaN(parsedCourseId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ongeldig vak ID',
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    const report = await getUsageReport({ ...period, courseId: parsedCourseId, groupBy });
+    const budget = parsedCourseId ? await getCourseBudgetStatus(parsedCourseId) : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: period.from,
+        to: period.to,
+        group_by: groupBy,
+        totals: report.totals,
+        series: report.series,
+        by_course: report.byCourse,
+        by_assignment: report.byAssignment,
+        budget
+      },
+      message: 'AI verbruik succesvol opgehaald',
+      error: null
+    });
+  } catch (error) {
+    console.error(`[API] Admin ${adminId} failed to retrieve AI usage report`, error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Fout bij ophalen AI verbruik',
+      error: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/prompt-templates:
+ *   get:
+ *     tags:
+ *       - Admin - System
+ *     summary: Lijst van prompt templates
+ *     description: Alle versies van de prompt template (zonder prompt teksten), de ingebouwde versie en de versie die nieuwe analyses gebruiken (alleen voor admins)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Prompt templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     builtin_version:
+ *                       type: string
+ *                       example: builtin-3
+ *                     active_version:
+ *                       type: string
+ *                       example: template-2
+ *                     templates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PromptTemplate'
+ *                 message:
+ *                   type: string
+ *                 error:
+ *                   type: string
+ *                   nullable: true
+ *       403:
+ *         description: Geen admin rechten
+ */
+router.get('/admin/prompt-templates', requireAdmin, async (req, res) => {
+  const adminId = req.user.id;
+
+  console.log(`[API] Admin ${adminId} requested prompt templates at ${new Date().toISOString()}`);
+
+  try {
+    const data = await listPromptTemplates();
+
+    res.status(200).json({
+      success: true,
+      data,
+      message: 'Prompt templates succesvol opgehaald',
+      error: null
+    });
+  } catch (error) {
+    console.error(`[API] Admin ${adminId} failed to retrieve prompt templates`, error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Fout bij ophalen prompt templates',
+      error: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/prompt-templates:
+ *   post:
+ *     tags:
+ *       - Admin - System
+ *     summary: Nieuwe prompt template versie
+ *     description: |
+ *       Bewaart een nieuwe versie van de prompt template. Templates zijn onveranderlijk: een aanpassing is altijd een nieuwe versie.
+ *       De system prompt gebruikt de placeholders {{intro}}, {{requirements}}, {{categories}}, {{fields}}, {{rubric}}, {{guidelines}} en {{response_format}} (verplicht).
+ *       De user prompt gebruikt {{instruction}}, {{file}}, {{language}}, {{fragment}}, {{code}} (verplicht) en {{closing}}.
+ *       De placeholders worden ingevuld in de feedback taal van de opdracht.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - system_prompt
+ *               - user_prompt
+ *             properties:
+ *               system_prompt:
+ *                 type: string
+ *               user_prompt:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               activate:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Meteen gebruiken voor alle nieuwe analyses
+ *     responses:
+ *       201:
+ *         description: Template aangemaakt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/PromptTemplate'
+ *                 message:
+ *                   type: string
+ *                 error:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Ongeldige template (ontbrekende of onbekende placeholders)
+ *       403:
+ *         description: Geen admin rechten
+ */
+router.post('/admin/prompt-templates', requireAdmin, async (req, res) => {
+  const adminId = req.user.id;
+  const { activate = false } = req.body || {};
+
+  console.log(`[API] Admin ${adminId} requested to create a prompt template at ${new Date().toISOString()}`);
+
+  try {
+    const validation = validatePromptTemplate(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ongeldige prompt template',
+        error: 'BAD_REQUEST',
+        details: validation.errors
+      });
+    }
+
+    if (typeof activate !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'activate moet een boolean zijn',
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    const template = await createPromptTemplate(validation.template, adminId);
+    if (activate) {
+      await activatePromptTemplate(template.version);
+      template.is_active = true;
+    }
+
+    console.log(`[API] Admin ${adminId} created prompt template ${template.prompt_version}${activate ? ' (active)' : ''}`);
+
+    res.status(201).json({
+      success: true,
+      data: template,
+      message: `Prompt template versie ${template.version} aangemaakt`,
+      error: null
+    });
+  } catch (error) {
+    console.error(`[API] Admin ${adminId} failed to create prompt template`, error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Fout bij aanmaken prompt template',
+      error: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/prompt-templates/active:
+ *   put:
+ *     tags:
+ *       - Admin - System
+ *     summary: Actieve prompt template instellen
+ *     description: Alle nieuwe analyses gebruiken deze versie. Met version null gebruiken ze opnieuw de ingebouwde prompt. Bestaande feedback blijft ongewijzigd tot de volgende analyse.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - version
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Actieve versie ingesteld
+ *       400:
+ *         description: Ongeldige versie
+ *       404:
+ *         description: Template niet gevonden
+ *       403:
+ *         description: Geen admin rechten
+ */
+router.put('/admin/prompt-templates/active', requireAdmin, async (req, res) => {
+  const adminId = req.user.id;
+  const { version } = req.body || {};
+
+  console.log(`[API] Admin ${adminId} requested to activate prompt template ${version} at ${new Date().toISOString()}`);
+
+  try {
+    if (version === undefined || (version !== null && (!Number.isInteger(version) || version < 1))) {
+      return res.status(400).json({
+        success: false,
+        message: 'version moet een positief geheel getal of null (ingebouwde prompt) zijn',
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    const activeVersion = await activatePromptTemplate(version);
+    if (!activeVersion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt template niet gevonden',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    console.log(`[API] Admin ${adminId} activated prompt version ${activeVersion}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        active_version: activeVersion
+      },
+      message: `Nieuwe analyses gebruiken nu prompt versie ${activeVersion}`,
+      error: null
+    });
+  } catch (error) {
+    console.error(`[API] Admin ${adminId} failed to activate prompt template ${version}`, error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Fout bij activeren prompt template',
+      error: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/prompt-templates/{version}:
+ *   get:
+ *     tags:
+ *       - Admin - System
+ *     summary: Prompt template details
+ *     description: Eén versie van de prompt template met de volledige prompt teksten (alleen voor admins)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Prompt template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/PromptTemplate'
+ *                 message:
+ *                   type: string
+ *                 error:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Ongeldige versie
+ *       404:
+ *         description: Template niet gevonden
+ *       403:
+ *         description: Geen admin rechten
+ */
+router.get('/admin/prompt-templates/:version', requireAdmin, async (req, res) => {
+  const adminId = req.user.id;
+  const version = parseInt(req.params.version);
+
+  console.log(`[API] Admin ${adminId} requested prompt template ${version} at ${new Date().toISOString()}`);
+
+  try {
+    if (!version || isNaN(version)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ongeldige template versie',
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    const template = await getPromptTemplateByVersion(version);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt template niet gevonden',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template,
+      message: 'Prompt template succesvol opgehaald',
+      error: null
+    });
+  } catch (error) {
+    console.error(`[API] Admin ${adminId} failed to retrieve prompt template ${version}`, error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Fout bij ophalen prompt template',
+      error: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/prompt-experiments:
+ *   get:
+ *     tags:
+ *       - Admin - System
+ *     summary: Lijst van prompt experimenten
+ *     description: Alle A/B experimenten met hun voortgang, nieuwste eerst (alleen voor admins)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Experimenten
+ *       403:
+ *         description: Geen admin rechten
+ */
+router.get('/admin/prompt-experiments', requireAdmin, async (req, res) => {
+  const adminId = req.user.id;
+
+  console.log(`[API] Admin ${adminId} requested prompt experiments at ${new Date().toISOString()}`);
+
+  try {
+    const experiments = await listPromptExperiments();
+
+    res.status(200).json({
+      success: true,
+      data: experiments,
+      message: 'Prompt experimenten succesvol opgehaald',
+      error: null
+    });
+  } catch (error) {
+    console.error(`[API] Admin ${adminId} failed to retrieve prompt experiments`, error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Fout bij ophalen prompt experimenten',
+      error: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/prompt-experiments:
+ *   post:
+ *     tags:
+ *       - Admin - System
+ *     summary: Start een A/B experiment met twee prompt versies
+ *     description: |
+ *       Analyseert een willekeurige steekproef van reeds geanalyseerde submissions met beide prompt versies.
+ *       Beide versies krijgen dezelfde commit en bestanden. De resultaten worden apart bewaard en nooit aan studenten getoond.
+ *       Het experiment loopt op de achtergrond in de job worker; volg de voortgang via de vergelijking.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - version_a
+ *               - version_b
+ *             properties:
+ *               version_a:
+ *                 type: string
+ *                 example: builtin-3
+ *               version_b:
+ *                 type: string
+ *                 example: template-2
+ *               assignment_id:
+ *                 type: integer
+ *                 description: Enkel submissions van deze opdracht (optioneel)
+ *               sample_size:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 50
+ *                 default: 10
+ *     responses:
+ *       202:
+ *         description: Experiment gestart
+ *       400:
+ *         description: Ongeldige versies of steekproef, of geen geanalyseerde submissions
+ *       403:
+ *         description: Geen admin rechten
+ */
+router.post('/admin/prompt-experiments', requireAdmin, async (req, res) => {
+  const adminId = req.user.id;
+  const { version_a, version_b, assignment_id = null, sample_size = DEFAULT_SAMPLE_SIZE } = req.body || {};
+
+  console.log(`[API] Admin ${adminId} requested a prompt experiment ${version_a} vs ${version_b} at ${new Date().toISOString()}`);
+
+  try {
+    if (typeof version_a !== 'string' || typeof version_b !== 'string' || version_a === version_b) {
+      return res.status(400).json({
+        success: false,
+        message: 'version_a en version_b moeten twee verschillende prompt versies zijn',
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    if (!Number.isInteger(sample_size) || sample_size < 1 || sample_size > MAX_SAMPLE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `sample_size moet een geheel getal tussen 1 en ${MAX_SAMPLE_SIZE} zijn`,
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    if (assignment_id !== null && (!Number.isInteger(assignment_id) || assignment_id < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ongeldig opdracht ID',
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    for (const version of [version_a, version_b]) {
+      if (!(await resolvePromptVersion(version))) {
+        return res.status(400).json({
+          success: false,
+          message: `Onbekende prompt versie: ${version}`,
+          error: 'BAD_REQUEST'
+        });
+      }
+    }
+
+    const experiment = await createPromptExperiment({
+      versionA: version_a,
+      versionB: version_b,
+      assignmentId: assignment_id,
+      sampleSize: sample_size,
+      createdBy: adminId
+    });
+
+    if (!experiment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Geen geanalyseerde submissions gevonden voor de steekproef',
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    // De job worker analyseert de steekproef; een onderbroken experiment hervat bij de volgende poging
+    const job = await enqueuePromptExperiment(experiment.id);
+    console.log(`[API] Admin ${adminId} started prompt experiment ${experiment.id} on ${experiment.sample_size} submissions (job ${job.id})`);
+
+    res.status(202).json({
+      success: true,
+      data: { ...experiment, job_id: job.id },
+      message: `Experiment gestart op ${experiment.sample_size} submissions`,
+      error: null
+    });
+  } catch (error) {
+    console.error(`[API] Admin ${adminId} failed to start prompt experiment`, error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Fout bij starten prompt experiment',
+      error: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/prompt-experiments/{experimentId}/comparison:
+ *   get:
+ *     tags:
+ *       - Admin - System
+ *     summary: Vergelijk de prompt versies van een experiment
+ *     description: Per versie het aantal feedback items, de verdeling over severity en de gemiddelde score, zowel op de steekproef als in de feedback die studenten met die versie kregen, plus de beoordelingen van die feedback door studenten
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: experimentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Vergelijking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     experiment:
+ *                       type: object
+ *                     versions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PromptVersionStats'
+ *                 message:
+ *                   type: string
+ *                 error:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Ongeldig experiment ID
+ *       404:
+ *         description: Experiment niet gevonden
+ *       403:
+ *         description: Geen admin rechten
+ */
+router.get('/admin/prompt-experiments/:experimentId/comparison', requireAdmin, async (req, res) => {
+  const adminId = req.user.id;
+  const experimentId = parseInt(req.params.experimentId);
+
+  console.log(`[API] Admin ${adminId} requested comparison of prompt experiment ${experimentId} at ${new Date().toISOString()}`);
+
+  try {
+    if (!experimentId || isNaN(experimentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ongeldig experiment ID',
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    const comparison = await getPromptExperimentComparison(experimentId);
+    if (!comparison) {
+      return res.status(404).json({
+        success: false,
+        message: 'Experiment niet gevonden',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: comparison,
+      message: 'Vergelijking succesvol opgehaald',
+      error: null
+    });
+  } catch (error) {
+    console.error(`[API] Admin ${adminId} failed to compare prompt experiment ${experimentId}`, error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Fout bij vergelijken prompt versies',
+      error: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/jobs:
+ *   get:
+ *     tags:
+ *       - Admin - System
+ *     summary: Jobs in de achtergrond queue
+ *     description: |
+ *       Aantal jobs per status en de laatst bijgewerkte jobs (alleen voor admins).
+ *       Jobs op 'dead' zijn al hun pogingen kwijt (dead-letter) en wachten op een admin.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, dead]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [analyze_submission, prompt_experiment]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Jobs opgehaald
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     counts:
+ *                       type: object
+ *                       properties:
+ *                         queued:
+ *                           type: integer
+ *                         running:
+ *                           type: integer
+ *                         completed:
+ *                           type: integer
+ *                         dead:
+ *                           type: integer
+ *                     jobs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Ongeldige filters
+ *       403:
+ *         description: Geen admin rechten
+ */
+router.get('/admin/jobs', requireAdmin, async (req, res) => {
+  const adminId = req.user.id;
+  const { status = null, type = null } = req.query;
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+
+  console.log(`[API] Admin ${adminId} requested jobs at ${new Date().toISOString()}`);
+
+  try {
+    if ((status !== null && !JOB_STATUSES.includes(status)) ||
+        (type !== null && !Object.values(JOB_TYPES).includes(type)) ||
+        isNaN(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({
+        success: false,
+        message: `Ongeldige filters. Status: ${JOB_STATUSES.join(', ')}; type: ${Object.values(JOB_TYPES).join(', ')}; limit: 1-200`,
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    const [counts, jobs] = await Promise.all([getJobCounts(), listJobs({ status, type, limit })]);
+
+    res.status(200).json({
+      success: true,
+      data: { counts, jobs },
+      message: 'Jobs succesvol opgehaald',
+      error: null
+    });
+  } catch (error) {
+    console.error(`[API] Admin ${adminId} failed to retrieve jobs`, error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Fout bij ophalen jobs',
+      error: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/jobs/{jobId}/requeue:
+ *   post:
+ *     tags:
+ *       - Admin - System
+ *     summary: Plan een dode job opnieuw in
+ *     description: Zet een job op 'dead' terug in de wachtrij met een nieuwe reeks pogingen (alleen voor admins)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Job opnieuw ingepland
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Ongeldig job ID
+ *       403:
+ *         description: Geen admin rechten
+ *       404:
+ *         description: Job niet gevonden, niet dood, of er staat al een job voor hetzelfde werk in de wachtrij
+ */
+router.post('/admin/jobs/:jobId/requeue', requireAdmin, async (req, res) => {
+  const adminId = req.user.id;
+  const jobId = parseInt(req.params.jobId);
+
+  console.log(`[API] Admin ${adminId} requested requeue of job ${jobId} at ${new Date().toISOString()}`);
+
+  try {
+    if (!jobId || isNaN(jobId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ongeldig job ID',
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    const job = await requeueDeadJob(jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Geen dode job gevonden met dit ID (of hetzelfde werk staat al in de wachtrij)',
+        error: 'NOT_FOUND'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job,
+      message: 'Job opnieuw ingepland',
+      error: null
+    });
+  } catch (error) {
+    console.error(`[API] Admin ${adminId} failed to requeue job ${jobId}`, error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Fout bij opnieuw inplannen job',
+      error: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/processing-recoveries:
+ *   get:
+ *     tags:
+ *       - Admin - System
+ *     summary: Ingrepen van de processing watchdog
+ *     description: |
+ *       Submissions die te lang op 'processing' stonden en door de watchdog op 'failed' (TIMEOUT) gezet werden,
+ *       nieuwste eerst (alleen voor admins). 'requeued' = opnieuw ingepland, 'gave_up' = herstelbudget op of
+ *       niet opnieuw in te plannen; zo'n submission kan via /api/webhooks/retry opnieuw ingepland worden.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [requeued, gave_up]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Ingrepen opgehaald
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     timeout_minutes:
+ *                       type: integer
+ *                       example: 30
+ *                     max_recoveries:
+ *                       type: integer
+ *                       example: 2
+ *                     recoveries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ProcessingRecovery'
+ *       400:
+ *         description: Ongeldige filters
+ *       403:
+ *         description: Geen admin rechten
+ */
+router.get('/admin/processing-recoveries', requireAdmin, async (req, res) => {
+  const adminId = req.user.id;
+  const { action = null } = req.query;
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+
+  console.log(`[API] Admin ${adminId} requested processing recoveries at ${new Date().toISOString()}`);
+
+  try {
+    if ((action !== null && !['requeued', 'gave_up'].includes(action)) || isNaN(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ongeldige filters. Action: requeued, gave_up; limit: 1-200',
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    const recoveries = await listRecoveries({ action, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        timeout_minutes: DEFAULT_TIMEOUT_MINUTES,
+        max_recoveries: DEFAULT_MAX_RECOVERIES,
+        recoveries
+      },
+      message: 'Watchdog ingrepen succesvol opgehaald',
+      error: null
+    });
+  } catch (error) {
+    console.error(`[API] Admin ${adminId} failed to retrieve processing recoveries`, error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Fout bij ophalen watchdog ingrepen',
+      error: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -22,7 +22,20 @@ const {
 	getAssignmentSubmissions,
 	getStudentSubmissionHistory,
 	getAssignmentAIFeedbackAnalytics,
-	getAtRiskStudents
+	getCourseAIUsage,
+	getAtRiskStudents,
+	createTeacherFeedback,
+	updateTeacherFeedback,
+	deleteTeacherFeedback,
+	setManualScore,
+	getGradeHistory,
+	getAssignmentTestSuite,
+	updateAssignmentTestSuite,
+	deleteAssignmentTestSuite,
+	getAssignmentStarterCode,
+	updateAssignmentStarterCode,
+	deleteAssignmentStarterCode,
+	getAssignmentSimilarity
 } = require('../controllers/docentController');
 
 /**
@@ -646,6 +659,31 @@ router.get('/assignments/:assignmentId/submissions', getAssignmentSubmissions);
  *                           avgSeverityScore:
  *                             type: number
  *                             description: Gemiddelde severity score voor dit type
+ *                     categorySet:
+ *                       type: string
+ *                       enum: [custom, default]
+ *                       description: Of de opdracht eigen feedback categorieën gebruikt of de standaard categorieën
+ *                     feedbackCategories:
+ *                       type: array
+ *                       description: Aantal AI feedback items per categorie van de opdracht, in de volgorde waarin de categorieën gedefinieerd zijn (ook categorieën zonder feedback)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           label:
+ *                             type: string
+ *                           description:
+ *                             type: string
+ *                             nullable: true
+ *                           count:
+ *                             type: integer
+ *                           avgSeverityScore:
+ *                             type: number
+ *                             nullable: true
+ *                     uncategorizedCount:
+ *                       type: integer
+ *                       description: Aantal AI feedback items buiten deze categorieën (bv. architectuur review of analyses met oudere categorieën)
  *                     studentsWithCriticalFeedback:
  *                       type: array
  *                       description: Studenten met de meeste critical feedback
@@ -666,6 +704,91 @@ router.get('/assignments/:assignmentId/submissions', getAssignmentSubmissions);
  *                           submissionCount:
  *                             type: integer
  *                             description: Aantal inzendingen van deze student
+ *                     ratings:
+ *                       type: object
+ *                       description: Beoordelingen van de AI feedback door studenten (ook van feedback die intussen door een nieuwe analyse vervangen werd)
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         helpful:
+ *                           type: integer
+ *                         notHelpful:
+ *                           type: integer
+ *                         incorrect:
+ *                           type: integer
+ *                         helpfulRate:
+ *                           type: number
+ *                           nullable: true
+ *                           description: Aandeel nuttig (0-1)
+ *                         byType:
+ *                           type: array
+ *                           description: Beoordelingen per feedback type
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               type:
+ *                                 type: string
+ *                               total:
+ *                                 type: integer
+ *                               helpful:
+ *                                 type: integer
+ *                               notHelpful:
+ *                                 type: integer
+ *                               incorrect:
+ *                                 type: integer
+ *                               helpfulRate:
+ *                                 type: number
+ *                                 nullable: true
+ *                         byPromptVersion:
+ *                           type: array
+ *                           description: Beoordelingen per prompt versie (zelfde velden, met promptVersion i.p.v. type)
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               promptVersion:
+ *                                 type: string
+ *                                 example: builtin-3
+ *                               total:
+ *                                 type: integer
+ *                               helpfulRate:
+ *                                 type: number
+ *                                 nullable: true
+ *                         recentNegative:
+ *                           type: array
+ *                           description: Laatste 10 negatieve beoordelingen met een opmerking
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               feedbackId:
+ *                                 type: integer
+ *                                 nullable: true
+ *                                 description: null als het item door een nieuwe analyse vervangen werd
+ *                               submissionId:
+ *                                 type: integer
+ *                               rating:
+ *                                 type: string
+ *                                 enum: [not_helpful, incorrect]
+ *                               comment:
+ *                                 type: string
+ *                               type:
+ *                                 type: string
+ *                               severity:
+ *                                 type: string
+ *                               promptVersion:
+ *                                 type: string
+ *                                 nullable: true
+ *                               content:
+ *                                 type: string
+ *                                 nullable: true
+ *                               filePath:
+ *                                 type: string
+ *                                 nullable: true
+ *                               lineNumber:
+ *                                 type: integer
+ *                                 nullable: true
+ *                               ratedAt:
+ *                                 type: string
+ *                                 format: date-time
  *       400:
  *         description: Ongeldige opdracht ID
  *       401:
@@ -784,10 +907,38 @@ router.get('/assignments/:assignmentId/submissions/atriskstudents', authenticate
  *                 type: string
  *                 description: Beoordelingsrubriek voor de opdracht
  *                 example: "Functionality (40%), Code quality (30%), Documentation (20%), Testing (10%)"
+ *               rubricCriteria:
+ *                 type: array
+ *                 nullable: true
+ *                 description: Gestructureerde rubric met gewogen criteria en niveaus. De AI beoordeelt elk criterium en de score wordt het gewogen gemiddelde. null verwijdert de gestructureerde rubric.
+ *                 items:
+ *                   $ref: '#/components/schemas/RubricCriterion'
  *               aiGuidelines:
  *                 type: string
  *                 description: AI feedback richtlijnen
  *                 example: "Check for RESTful best practices, proper error handling, and security measures"
+ *               feedbackCategories:
+ *                 type: array
+ *                 nullable: true
+ *                 maxItems: 20
+ *                 description: Eigen feedback categorieën voor deze opdracht. Ze vervangen de standaard categorieën in de prompt en bij de validatie van het AI antwoord. null herstelt de standaard categorieën.
+ *                 items:
+ *                   $ref: '#/components/schemas/FeedbackCategory'
+ *               fileSelection:
+ *                 nullable: true
+ *                 description: Welke bestanden van de repository geanalyseerd worden (root map, include/exclude patronen, prioriteit en maximum aantal). null herstelt de standaard selectie (alle code bestanden, max 20).
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/FileSelection'
+ *               architectureReview:
+ *                 type: boolean
+ *                 description: Voer na de analyse per bestand een architectuur review op repository niveau uit. Deze feedback heeft geen bestandspad en type 'architecture'.
+ *                 example: true
+ *               feedbackLanguage:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [nl, en, fr]
+ *                 description: Taal van de AI feedback voor deze opdracht (null = taal van het vak)
+ *                 example: "en"
  *           example:
  *             title: "Updated REST API Implementation"
  *             description: "Build a comprehensive RESTful API with Node.js, Express, and PostgreSQL"
@@ -984,6 +1135,371 @@ router.put('/assignments/:assignmentId', authenticateToken, updateAssignment);
  */
 router.delete('/assignments/:assignmentId', authenticateToken, deleteAssignment);
 
+/**
+ * @swagger
+ * /api/docent/assignments/{assignmentId}/test-suite:
+ *   get:
+ *     tags:
+ *       - Docenten
+ *     summary: Verborgen test suite van een opdracht
+ *     description: |
+ *       Geeft de test suite (inclusief de testbestanden) die na elke analyse op de submissions draait.
+ *       Studenten zien enkel de resultaten per test, nooit de testbestanden.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Test suite opgehaald
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 testSuite:
+ *                   $ref: '#/components/schemas/TestSuite'
+ *       403:
+ *         description: Geen docent van dit vak
+ *       404:
+ *         description: Opdracht niet gevonden of geen test suite
+ *       500:
+ *         description: Interne serverfout
+ *   put:
+ *     tags:
+ *       - Docenten
+ *     summary: Stel de verborgen test suite van een opdracht in
+ *     description: |
+ *       Bewaart of vervangt de test suite. Bij elke volgende analyse wordt de suite uitgevoerd op de
+ *       snapshot van de repository (de code bestanden in de root map van de opdracht), in een sandbox
+ *       zonder netwerk, zonder toegang tot de server en met een tijd- en geheugenlimiet. Testbestanden
+ *       overschrijven bestanden van de student met hetzelfde pad. Configuratie van de student die de
+ *       run zou beïnvloeden (conftest.py, pytest/babel config, node_modules) wordt genegeerd.
+ *
+ *       Gefaalde tests worden feedback met reviewer `autograder`. Het percentage geslaagde tests telt
+ *       mee in de score volgens `weight`: score = AI score × (100 - weight)% + test score × weight%.
+ *
+ *       Beschikbare runners: `jest` (JavaScript, enkel de eigen modules van de repository) en
+ *       `pytest` (Python, de project root staat op PYTHONPATH).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - runner
+ *               - files
+ *             properties:
+ *               runner:
+ *                 type: string
+ *                 enum: [jest, pytest]
+ *               files:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 50
+ *                 description: Testbestanden (max 200KB per bestand, 1MB samen)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     path:
+ *                       type: string
+ *                       description: Pad relatief aan de project root
+ *                       example: "__tests__/sum.test.js"
+ *                     content:
+ *                       type: string
+ *                       example: "const sum = require('../src/sum');\ntest('telt op', () => expect(sum(1, 2)).toBe(3));"
+ *               weight:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 default: 0
+ *                 description: Aandeel van de tests in de score (0 = enkel feedback)
+ *               timeoutSeconds:
+ *                 type: integer
+ *                 minimum: 5
+ *                 maximum: 300
+ *                 default: 60
+ *               memoryMb:
+ *                 type: integer
+ *                 minimum: 128
+ *                 maximum: 2048
+ *                 default: 512
+ *     responses:
+ *       200:
+ *         description: Test suite bewaard
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 testSuite:
+ *                   $ref: '#/components/schemas/TestSuite'
+ *       400:
+ *         description: Ongeldige test suite
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Invalid test suite"
+ *                 details:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       403:
+ *         description: Geen docent van dit vak
+ *       404:
+ *         description: Opdracht niet gevonden
+ *       500:
+ *         description: Interne serverfout
+ *   delete:
+ *     tags:
+ *       - Docenten
+ *     summary: Verwijder de verborgen test suite van een opdracht
+ *     description: Vanaf de volgende analyse draaien er geen tests meer en telt enkel de AI score.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Test suite verwijderd
+ *       403:
+ *         description: Geen docent van dit vak
+ *       404:
+ *         description: Opdracht niet gevonden of geen test suite
+ *       500:
+ *         description: Interne serverfout
+ */
+router.get('/assignments/:assignmentId/test-suite', getAssignmentTestSuite);
+router.put('/assignments/:assignmentId/test-suite', updateAssignmentTestSuite);
+router.delete('/assignments/:assignmentId/test-suite', deleteAssignmentTestSuite);
+
+/**
+ * @swagger
+ * /api/docent/assignments/{assignmentId}/starter-code:
+ *   get:
+ *     tags:
+ *       - Docenten
+ *     summary: Startcode van een opdracht
+ *     description: Code die de docent meegeeft aan de studenten. Overeenkomsten in deze code tellen niet mee bij de similarity detectie.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Startcode opgehaald
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 starterCode:
+ *                   $ref: '#/components/schemas/StarterCode'
+ *       403:
+ *         description: Geen docent van dit vak
+ *       404:
+ *         description: Opdracht niet gevonden of geen startcode
+ *       500:
+ *         description: Interne serverfout
+ *   put:
+ *     tags:
+ *       - Docenten
+ *     summary: Stel de startcode van een opdracht in
+ *     description: |
+ *       Geef ofwel `githubUrl` (de code bestanden van de laatste commit worden opgehaald, max 100),
+ *       ofwel `files` (max 100 bestanden, 1MB samen). Bestaande startcode wordt vervangen.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               githubUrl:
+ *                 type: string
+ *                 example: "https://github.com/docent/opdracht-3-starter"
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     path:
+ *                       type: string
+ *                       example: "src/server.js"
+ *                     content:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Startcode bewaard
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 starterCode:
+ *                   $ref: '#/components/schemas/StarterCode'
+ *       400:
+ *         description: Ongeldige startcode of GitHub repository zonder code
+ *       403:
+ *         description: Geen docent van dit vak
+ *       404:
+ *         description: Opdracht niet gevonden
+ *       502:
+ *         description: GitHub API fout
+ *       500:
+ *         description: Interne serverfout
+ *   delete:
+ *     tags:
+ *       - Docenten
+ *     summary: Verwijder de startcode van een opdracht
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Startcode verwijderd
+ *       403:
+ *         description: Geen docent van dit vak
+ *       404:
+ *         description: Opdracht niet gevonden of geen startcode
+ *       500:
+ *         description: Interne serverfout
+ */
+router.get('/assignments/:assignmentId/starter-code', getAssignmentStarterCode);
+router.put('/assignments/:assignmentId/starter-code', updateAssignmentStarterCode);
+router.delete('/assignments/:assignmentId/starter-code', deleteAssignmentStarterCode);
+
+/**
+ * @swagger
+ * /api/docent/assignments/{assignmentId}/similarity:
+ *   get:
+ *     tags:
+ *       - Docenten
+ *     summary: Verdachte overeenkomsten tussen submissions (plagiaatdetectie)
+ *     description: |
+ *       Vergelijkt de meest recente submission van elke student twee aan twee op basis van
+ *       fingerprints (winnowing, zoals MOSS). Hernoemde variabelen, andere strings, commentaar en
+ *       opmaak maken geen verschil. De fingerprints worden na elke analyse bijgewerkt.
+ *
+ *       Niet meegeteld: de startcode van de opdracht en code die in meer dan de helft van de
+ *       submissions voorkomt (vanaf 4 submissions).
+ *
+ *       `similarity` is het aandeel gedeelde fingerprints van de kleinste submission van het paar;
+ *       `coverage` per student het aandeel van de eigen code dat overeenkomt. Een hoge similarity
+ *       is een signaal om na te kijken, geen bewijs.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: minSimilarity
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *           default: 0.3
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Verdachte paren, hoogste similarity eerst
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 assignmentId:
+ *                   type: integer
+ *                 minSimilarity:
+ *                   type: number
+ *                 submissionsCompared:
+ *                   type: integer
+ *                 starterCodeFingerprints:
+ *                   type: integer
+ *                 pairs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       similarity:
+ *                         type: number
+ *                         example: 0.72
+ *                       matchedFingerprints:
+ *                         type: integer
+ *                       studentA:
+ *                         $ref: '#/components/schemas/SimilarityStudent'
+ *                       studentB:
+ *                         $ref: '#/components/schemas/SimilarityStudent'
+ *                       regions:
+ *                         type: array
+ *                         description: Overeenkomende stukken code (max 10, grootste eerst)
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             studentA:
+ *                               $ref: '#/components/schemas/SimilarityRange'
+ *                             studentB:
+ *                               $ref: '#/components/schemas/SimilarityRange'
+ *                             matchedFingerprints:
+ *                               type: integer
+ *       400:
+ *         description: Ongeldige parameters
+ *       403:
+ *         description: Geen docent van dit vak
+ *       404:
+ *         description: Opdracht niet gevonden
+ *       500:
+ *         description: Interne serverfout
+ */
+router.get('/assignments/:assignmentId/similarity', getAssignmentSimilarity);
+
 /**
  * @swagger
  * /api/docent/courses/{courseId}/assignments:
@@ -1331,19 +1847,139 @@ router.get('/courses/:courseId/students/:studentId/status', getStudentStatusForS
 
 /**
  * @swagger
- * /api/docent/courses:
- *   post:
+ * /api/docent/courses/{courseId}/ai-usage:
+ *   get:
  *     tags:
  *       - Docenten
- *     summary: Vak aanmaken
- *     description: Maakt een nieuw vak aan en voegt de ingelogde docent automatisch toe als docent van het vak
+ *     summary: AI verbruik van een vak
+ *     description: Aantal AI calls, tokens en geschatte kost (USD) van een vak over een periode, per dag/week/maand en per opdracht, samen met het maandelijkse token budget
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID van de cursus
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Begin van de periode (standaard 30 dagen geleden)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Einde van de periode, exclusief (standaard nu)
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: Verbruik van het vak
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 courseId:
+ *                   type: integer
+ *                 groupBy:
+ *                   type: string
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     calls:
+ *                       type: integer
+ *                     totalTokens:
+ *                       type: integer
+ *                     promptTokens:
+ *                       type: integer
+ *                     completionTokens:
+ *                       type: integer
+ *                     estimatedCost:
+ *                       type: number
+ *                     unpricedCalls:
+ *                       type: integer
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       period:
+ *                         type: string
+ *                         format: date-time
+ *                       calls:
+ *                         type: integer
+ *                       totalTokens:
+ *                         type: integer
+ *                       estimatedCost:
+ *                         type: number
+ *                 assignments:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       assignmentId:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                       calls:
+ *                         type: integer
+ *                       totalTokens:
+ *                         type: integer
+ *                       estimatedCost:
+ *                         type: number
+ *                 budget:
+ *                   type: object
+ *                   properties:
+ *                     monthlyTokenBudget:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: null = geen limiet
+ *                     usedThisMonth:
+ *                       type: integer
+ *                     remaining:
+ *                       type: integer
+ *                       nullable: true
+ *                     exceeded:
+ *                       type: boolean
+ *                     periodStart:
+ *                       type: string
+ *                       format: date-time
+ *                     periodEnd:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Ongeldige cursus ID, periode of groupBy
+ *       403:
+ *         description: Geen toegang tot deze cursus
+ *       500:
+ *         description: Interne serverfout
+ */
+router.get('/courses/:courseId/ai-usage', getCourseAIUsage);
+
+/**
+ * @swagger
+ * /api/docent/courses:
+ *   post:
+ *     tags:
+ *       - Docenten
+ *     summary: Vak aanmaken
+ *     description: Maakt een nieuw vak aan en voegt de ingelogde docent automatisch toe als docent van het vak
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
  *             type: object
  *             required:
  *               - title
@@ -1538,6 +2174,11 @@ router.post('/assignments', createAssignment);
  *                 type: string
  *                 description: Nieuwe unieke inschrijfcode voor het vak (optioneel)
  *                 example: "WEB2024-ADV"
+ *               feedbackLanguage:
+ *                 type: string
+ *                 enum: [nl, en, fr]
+ *                 description: Taal van de AI feedback en status teksten in dit vak (optioneel, standaard nl). Opdrachten kunnen dit overschrijven.
+ *                 example: "en"
  *     responses:
  *       200:
  *         description: Vak succesvol bewerkt
@@ -1561,6 +2202,9 @@ router.post('/assignments', createAssignment);
  *                     join_code:
  *                       type: string
  *                       example: "WEB2024-ADV"
+ *                     feedbackLanguage:
+ *                       type: string
+ *                       example: "en"
  *                     createdAt:
  *                       type: string
  *                       format: date-time
@@ -1907,6 +2551,10 @@ router.delete('/courses/:courseId/students/:studentId', removeStudentFromCourse)
  *                       finalScore:
  *                         type: number
  *                         nullable: true
+ *                       testResults:
+ *                         $ref: '#/components/schemas/TestResults'
+ *                       processAnalytics:
+ *                         $ref: '#/components/schemas/ProcessAnalytics'
  *                       githubUrl:
  *                         type: string
  *                       commitSha:
@@ -1930,4 +2578,344 @@ router.delete('/courses/:courseId/students/:studentId', removeStudentFromCourse)
  */
 router.get('/assignments/:assignmentId/submissions/:studentId', authenticateToken, getStudentSubmissionHistory);
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @swagger
+ * /api/docent/assignments/{assignmentId}/submissions/{studentId}/feedback:
+ *   post:
+ *     tags:
+ *       - Docenten
+ *     summary: Voeg docent feedback toe aan een submission
+ *     description: |
+ *       Voegt een feedback item van de docent toe aan de submission van een student.
+ *       Het item verschijnt naast de AI feedback in `/api/students/me/submissions/{submissionId}/feedback`
+ *       en wordt live naar de student gepusht via een `feedback_updated` SSE event.
+ *
+ *       Zonder `submissionId` wordt de meest recente submission van de student gebruikt.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID van de opdracht
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID van de student
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: Feedback tekst
+ *                 example: "Deze functie doet te veel tegelijk."
+ *               severity:
+ *                 type: string
+ *                 enum: [low, medium, high, critical]
+ *                 default: low
+ *               type:
+ *                 type: string
+ *                 description: Categorie van de feedback
+ *                 example: structure
+ *               lineNumber:
+ *                 type: integer
+ *                 description: Regelnummer waar de feedback over gaat
+ *                 example: 42
+ *               filePath:
+ *                 type: string
+ *                 description: Bestandspad waar de feedback over gaat
+ *                 example: src/controllers/userController.js
+ *               suggestion:
+ *                 type: string
+ *                 description: Concrete verbetersuggestie
+ *               submissionId:
+ *                 type: integer
+ *                 description: Specifieke submission (optioneel, standaard de meest recente)
+ *     responses:
+ *       201:
+ *         description: Feedback succesvol toegevoegd
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 feedback:
+ *                   $ref: '#/components/schemas/TeacherFeedback'
+ *       400:
+ *         description: Validatiefout
+ *       401:
+ *         description: Niet geauthenticeerd
+ *       404:
+ *         description: Opdracht of submission niet gevonden
+ *       500:
+ *         description: Interne serverfout
+ */
+router.post('/assignments/:assignmentId/submissions/:studentId/feedback', createTeacherFeedback);
+
+/**
+ * @swagger
+ * /api/docent/assignments/{assignmentId}/submissions/{studentId}/feedback/{feedbackId}:
+ *   put:
+ *     tags:
+ *       - Docenten
+ *     summary: Wijzig docent feedback
+ *     description: Werkt een bestaand docent feedback item bij. AI feedback kan niet gewijzigd worden.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: feedbackId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *               severity:
+ *                 type: string
+ *                 enum: [low, medium, high, critical]
+ *               type:
+ *                 type: string
+ *               lineNumber:
+ *                 type: integer
+ *                 nullable: true
+ *               filePath:
+ *                 type: string
+ *                 nullable: true
+ *               suggestion:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Feedback succesvol bijgewerkt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 feedback:
+ *                   $ref: '#/components/schemas/TeacherFeedback'
+ *       400:
+ *         description: Validatiefout of geen velden om te updaten
+ *       403:
+ *         description: Feedback item is geen docent feedback
+ *       404:
+ *         description: Feedback niet gevonden
+ *       500:
+ *         description: Interne serverfout
+ *   delete:
+ *     tags:
+ *       - Docenten
+ *     summary: Verwijder docent feedback
+ *     description: Verwijdert een docent feedback item. AI feedback kan niet verwijderd worden.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: feedbackId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Feedback succesvol verwijderd
+ *       403:
+ *         description: Feedback item is geen docent feedback
+ *       404:
+ *         description: Feedback niet gevonden
+ *       500:
+ *         description: Interne serverfout
+ */
+router.put('/assignments/:assignmentId/submissions/:studentId/feedback/:feedbackId', updateTeacherFeedback);
+router.delete('/assignments/:assignmentId/submissions/:studentId/feedback/:feedbackId', deleteTeacherFeedback);
+
+/**
+ * @swagger
+ * /api/docent/assignments/{assignmentId}/submissions/{studentId}/grade:
+ *   put:
+ *     tags:
+ *       - Docenten
+ *     summary: Stel een manuele score in of verwijder ze
+ *     description: |
+ *       Overschrijft de AI score van een submission met een manuele score, of verwijdert de override
+ *       met `manualScore: null`. Een motivatie is verplicht.
+ *
+ *       Elke wijziging wordt bewaard in de grading history (wie, oude en nieuwe waarde, wanneer).
+ *       De student ziet de finale score (`COALESCE(manual_score, ai_score)`) en of die overschreven werd.
+ *
+ *       Zonder `submissionId` wordt de meest recente submission van de student gebruikt.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID van de opdracht
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID van de student
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - manualScore
+ *               - justification
+ *             properties:
+ *               manualScore:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 nullable: true
+ *                 description: Nieuwe manuele score, of null om de override te verwijderen
+ *                 example: 85
+ *               justification:
+ *                 type: string
+ *                 description: Motivatie voor de wijziging
+ *                 example: "AI miste dat de input validatie in een middleware gebeurt."
+ *               submissionId:
+ *                 type: integer
+ *                 description: Specifieke submission (optioneel, standaard de meest recente)
+ *     responses:
+ *       200:
+ *         description: Score succesvol bijgewerkt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 grade:
+ *                   type: object
+ *                   properties:
+ *                     submissionId:
+ *                       type: integer
+ *                     aiScore:
+ *                       type: integer
+ *                       nullable: true
+ *                     manualScore:
+ *                       type: integer
+ *                       nullable: true
+ *                     finalScore:
+ *                       type: integer
+ *                       nullable: true
+ *                     isOverridden:
+ *                       type: boolean
+ *                     updatedAt:
+ *                       type: string
+ *                       format: date-time
+ *                 history:
+ *                   type: object
+ *       400:
+ *         description: Ongeldige score of ontbrekende motivatie
+ *       401:
+ *         description: Niet geauthenticeerd
+ *       404:
+ *         description: Opdracht of submission niet gevonden
+ *       500:
+ *         description: Interne serverfout
+ */
+router.put('/assignments/:assignmentId/submissions/:studentId/grade', setManualScore);
+
+/**
+ * @swagger
+ * /api/docent/assignments/{assignmentId}/submissions/{studentId}/grade/history:
+ *   get:
+ *     tags:
+ *       - Docenten
+ *     summary: Grading history van een student
+ *     description: Lijst van alle manuele score wijzigingen voor de submissions van een student, nieuwste eerst.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Grading history succesvol opgehaald
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       submissionId:
+ *                         type: integer
+ *                       oldManualScore:
+ *                         type: integer
+ *                         nullable: true
+ *                       newManualScore:
+ *                         type: integer
+ *                         nullable: true
+ *                       justification:
+ *                         type: string
+ *                       changedBy:
+ *                         type: object
+ *                         nullable: true
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: Opdracht of submission niet gevonden
+ *       500:
+ *         description: Interne serverfout
+ */
+router.get('/assignments/:assignmentId/submissions/:studentId/grade/history', getGradeHistory);
+
+module.exports = router;
@@ -7,6 +7,66 @@ const githubService = require('../services/githubService');
 const { getFeedbackBySubmission } = require('../controllers/webhookController');
 const { getUserById } = require('../models/user');
 const sseManager = require('../services/sseManager');
+const { t, getRequestLanguage } = require('../utils/i18n');
+const { selectFiles } = require('../services/fileSelectionService');
+const { FEEDBACK_RATINGS, MAX_RATING_COMMENT_LENGTH } = require('../services/feedbackRatingService');
+
+/**
+ * Vertaal een API bericht naar de voorkeurstaal van de gebruiker (?lang= of Accept-Language)
+ * @param {object} req - Express request
+ * @param {string} key - Bericht sleutel
+ * @param {object} params - Waarden voor {placeholders}
+ * @returns {string}
+ */
+function msg(req, key, params) {
+  return t(key, getRequestLanguage(req), params);
+}
+
+/**
+ * Beschrijf de bestandsselectie voor de student: welke bestanden geanalyseerd worden en waarom de rest niet
+ * @param {object} req - Express request
+ * @param {{selected: Array, skipped: Array, maxFiles: number}} fileSelection - Resultaat van selectFiles
+ * @returns {{files_count: number, files: Array, skipped_files: Array, max_files: number}}
+ */
+function describeFileSelection(req, fileSelection) {
+  return {
+    files_count: fileSelection.selected.length,
+    files: fileSelection.selected.map(f => ({
+      path: f.path,
+      size: f.size,
+      language: githubService.detectLanguage(f.path)
+    })),
+    skipped_files: fileSelection.skipped.map(f => ({
+      path: f.path,
+      reason: f.reason,
+      ...(f.pattern ? { pattern: f.pattern } : {}),
+      message: msg(req, `files.${f.reason}`, { pattern: f.pattern, max: fileSelection.maxFiles })
+    })),
+    max_files: fileSelection.maxFiles
+  };
+}
+
+/**
+ * Stuur de fout van rateFeedback/removeFeedbackRating terug in de taal van de student
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} error - Foutcode van de controller
+ */
+function sendRatingError(req, res, error) {
+  const errors = {
+    NOT_FOUND: { status: 404, key: 'api.feedbackNotFound', code: 'NOT_FOUND' },
+    FORBIDDEN: { status: 403, key: 'api.noFeedbackAccess', code: 'FORBIDDEN' },
+    NOT_AI_FEEDBACK: { status: 400, key: 'api.onlyAiFeedbackRatable', code: 'BAD_REQUEST' },
+    RATING_NOT_FOUND: { status: 404, key: 'api.ratingNotFound', code: 'NOT_FOUND' }
+  };
+  const { status, key, code } = errors[error] || errors.NOT_FOUND;
+
+  return res.status(status).json({
+    success: false,
+    message: msg(req, key),
+    error: code
+  });
+}
 
 // Authenticatie alleen in productie
 if (process.env.NODE_ENV === 'production') {
@@ -80,7 +140,7 @@ router.get('/me/courses', async (req, res) => {
       const isProduction = process.env.NODE_ENV === 'production';
       return res.status(isProduction ? 401 : 400).json({
         success: false,
-        message: isProduction ? 'Authenticatie vereist' : 'studentId query parameter is verplicht en moet een geldig positief getal zijn',
+        message: msg(req, isProduction ? 'api.authRequired' : 'api.studentIdRequired'),
         error: isProduction ? 'UNAUTHORIZED' : 'BAD_REQUEST'
       });
     }
@@ -90,14 +150,14 @@ router.get('/me/courses', async (req, res) => {
     res.status(200).json({
       success: true,
       data: courses,
-      message: `${courses.length} cursussen gevonden`,
+      message: msg(req, 'api.coursesFound', { count: courses.length }),
       error: null
     });
   } catch (error) {
     console.error('[API] GET /api/students/me/courses failed:', error.message);
     res.status(500).json({
       success: false,
-      message: 'Fout bij ophalen cursussen',
+      message: msg(req, 'api.errorFetchingCourses'),
       error: 'INTERNAL_SERVER_ERROR'
     });
   }
@@ -186,7 +246,7 @@ router.post('/me/courses/join', async (req, res) => {
       const isProduction = process.env.NODE_ENV === 'production';
       return res.status(isProduction ? 401 : 400).json({
         success: false,
-        message: isProduction ? 'Authenticatie vereist' : 'studentId query parameter is verplicht en moet een geldig positief getal zijn',
+        message: msg(req, isProduction ? 'api.authRequired' : 'api.studentIdRequired'),
         error: isProduction ? 'UNAUTHORIZED' : 'BAD_REQUEST'
       });
     }
@@ -197,7 +257,7 @@ router.post('/me/courses/join', async (req, res) => {
     if (!join_code || typeof join_code !== 'string' || join_code.trim() === '') {
       return res.status(400).json({
         success: false,
-        message: 'Join code is verplicht',
+        message: msg(req, 'api.joinCodeRequired'),
         error: 'BAD_REQUEST'
       });
     }
@@ -208,14 +268,14 @@ router.post('/me/courses/join', async (req, res) => {
       if (result.error === 'INVALID_JOIN_CODE') {
         return res.status(404).json({
           success: false,
-          message: 'Ongeldige join code',
+          message: msg(req, 'api.invalidJoinCode'),
           error: 'NOT_FOUND'
         });
       }
       if (result.error === 'ALREADY_ENROLLED') {
         return res.status(409).json({
           success: false,
-          message: `Je bent al ingeschreven voor ${result.course.title}`,
+          message: msg(req, 'api.alreadyEnrolled', { course: result.course.title }),
           error: 'CONFLICT',
           data: { course: result.course }
         });
@@ -225,14 +285,14 @@ router.post('/me/courses/join', async (req, res) => {
     res.status(201).json({
       success: true,
       data: { course: result.course },
-      message: `Succesvol ingeschreven voor ${result.course.title}`,
+      message: msg(req, 'api.enrolled', { course: result.course.title }),
       error: null
     });
   } catch (error) {
     console.error('Fout bij inschrijven met join code:', error);
     res.status(500).json({
       success: false,
-      message: 'Fout bij inschrijven',
+      message: msg(req, 'api.errorEnrolling'),
       error: 'INTERNAL_SERVER_ERROR'
     });
   }
@@ -289,7 +349,7 @@ router.get('/me/submissions', async (req, res) => {
       const isProduction = process.env.NODE_ENV === 'production';
       return res.status(isProduction ? 401 : 400).json({
         success: false,
-        message: isProduction ? 'Authenticatie vereist' : 'studentId query parameter is verplicht en moet een geldig positief getal zijn',
+        message: msg(req, isProduction ? 'api.authRequired' : 'api.studentIdRequired'),
         error: isProduction ? 'UNAUTHORIZED' : 'BAD_REQUEST'
       });
     }
@@ -306,14 +366,14 @@ router.get('/me/submissions', async (req, res) => {
     res.status(200).json({
       success: true,
       data: submissions,
-      message: `${submissions.length} submissions gevonden`,
+      message: msg(req, 'api.submissionsFound', { count: submissions.length }),
       error: null
     });
   } catch (error) {
     console.error('[API] GET /api/students/me/submissions failed:', error.message);
     res.status(500).json({
       success: false,
-      message: 'Fout bij ophalen submissions',
+      message: msg(req, 'api.errorFetchingSubmissions'),
       error: 'INTERNAL_SERVER_ERROR'
     });
   }
@@ -379,7 +439,7 @@ router.get('/me/submissions/:submissionId', async (req, res) => {
       const isProduction = process.env.NODE_ENV === 'production';
       return res.status(isProduction ? 401 : 400).json({
         success: false,
-        message: isProduction ? 'Authenticatie vereist' : 'studentId query parameter is verplicht en moet een geldig positief getal zijn',
+        message: msg(req, isProduction ? 'api.authRequired' : 'api.studentIdRequired'),
         error: isProduction ? 'UNAUTHORIZED' : 'BAD_REQUEST'
       });
     }
@@ -389,17 +449,17 @@ router.get('/me/submissions/:submissionId', async (req, res) => {
     if (isNaN(submissionId)) {
       return res.status(400).json({
         success: false,
-        message: 'Ongeldig submission ID',
+        message: msg(req, 'api.invalidSubmissionId'),
         error: 'BAD_REQUEST'
       });
     }
 
-    const result = await studentController.getSubmissionDetail(submissionId);
+    const result = await studentController.getSubmissionDetail(submissionId, getRequestLanguage(req));
 
     if (!result.success) {
       return res.status(404).json({
         success: false,
-        message: 'Submission niet gevonden',
+        message: msg(req, 'api.submissionNotFound'),
         error: 'NOT_FOUND'
       });
     }
@@ -408,7 +468,7 @@ router.get('/me/submissions/:submissionId', async (req, res) => {
     if (result.data.submission.user_id !== studentId) {
       return res.status(403).json({
         success: false,
-        message: 'Je hebt geen toegang tot deze submission',
+        message: msg(req, 'api.noSubmissionAccess'),
         error: 'FORBIDDEN'
       });
     }
@@ -416,14 +476,14 @@ router.get('/me/submissions/:submissionId', async (req, res) => {
     res.status(200).json({
       success: true,
       data: result.data,
-      message: 'Submission detail opgehaald',
+      message: msg(req, 'api.submissionDetailFetched'),
       error: null
     });
   } catch (error) {
     console.error('[API] GET /api/students/me/submissions/:submissionId failed:', error.message);
     res.status(500).json({
       success: false,
-      message: 'Fout bij ophalen submission detail',
+      message: msg(req, 'api.errorFetchingSubmissionDetail'),
       error: 'INTERNAL_SERVER_ERROR'
     });
   }
@@ -467,7 +527,7 @@ router.get('/me/submissions/:submissionId', async (req, res) => {
  *         name: reviewer
  *         schema:
  *           type: string
- *           enum: [ai, teacher, all]
+ *           enum: [ai, teacher, linter, autograder, all]
  *           default: all
  *         description: Filter op reviewer type
  *       - in: query
@@ -499,6 +559,18 @@ router.get('/me/submissions/:submissionId', async (req, res) => {
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Feedback'
+ *                     by_file:
+ *                       type: array
+ *                       description: Aantal feedback items per bestand (project-brede feedback zonder bestand telt niet mee)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           file_path:
+ *                             type: string
+ *                             example: src/index.js
+ *                           count:
+ *                             type: integer
+ *                             example: 4
  *                     summary:
  *                       type: object
  *                       properties:
@@ -532,7 +604,7 @@ router.get('/me/submissions/:submissionId/feedback', async (req, res) => {
       const isProduction = process.env.NODE_ENV === 'production';
       return res.status(isProduction ? 401 : 400).json({
         success: false,
-        message: isProduction ? 'Authenticatie vereist' : 'studentId query parameter is verplicht en moet een geldig positief getal zijn',
+        message: msg(req, isProduction ? 'api.authRequired' : 'api.studentIdRequired'),
         error: isProduction ? 'UNAUTHORIZED' : 'BAD_REQUEST'
       });
     }
@@ -543,7 +615,7 @@ router.get('/me/submissions/:submissionId/feedback', async (req, res) => {
     if (isNaN(submissionId)) {
       return res.status(400).json({
         success: false,
-        message: 'Ongeldig submission ID',
+        message: msg(req, 'api.invalidSubmissionId'),
         error: 'BAD_REQUEST'
       });
     }
@@ -554,7 +626,7 @@ router.get('/me/submissions/:submissionId/feedback', async (req, res) => {
     if (!result.success) {
       return res.status(404).json({
         success: false,
-        message: 'Submission niet gevonden',
+        message: msg(req, 'api.submissionNotFound'),
         error: 'NOT_FOUND'
       });
     }
@@ -563,7 +635,7 @@ router.get('/me/submissions/:submissionId/feedback', async (req, res) => {
     if (result.data.submission.user_id !== studentId) {
       return res.status(403).json({
         success: false,
-        message: 'Je hebt geen toegang tot deze feedback',
+        message: msg(req, 'api.noFeedbackAccess'),
         error: 'FORBIDDEN'
       });
     }
@@ -571,20 +643,12 @@ router.get('/me/submissions/:submissionId/feedback', async (req, res) => {
     // Haal feedback op met filters
     const feedback = await getFeedbackBySubmission(submissionId, { reviewer, severity });
 
-    // Groepeer feedback per bestand voor betere leesbaarheid
+    // Tel feedback per bestand zodat de student ziet welke bestanden aandacht vragen
     const feedbackByFile = {};
-    const feedbackWithoutFile = [];
 
     for (const item of feedback) {
-      if (item.type && item.line_number) {
-        // Als we file_path hebben opgeslagen in type (tijdelijk), groepeer op type
-        const key = item.type;
-        if (!feedbackByFile[key]) {
-          feedbackByFile[key] = [];
-        }
-        feedbackByFile[key].push(item);
-      } else {
-        feedbackWithoutFile.push(item);
+      if (item.file_path) {
+        feedbackByFile[item.file_path] = (feedbackByFile[item.file_path] || 0) + 1;
       }
     }
 
@@ -594,6 +658,7 @@ router.get('/me/submissions/:submissionId/feedback', async (req, res) => {
         submission_id: submissionId,
         total_count: feedback.length,
         feedback: feedback,
+        by_file: Object.entries(feedbackByFile).map(([filePath, count]) => ({ file_path: filePath, count })),
         summary: {
           critical: feedback.filter(f => f.severity === 'critical').length,
           high: feedback.filter(f => f.severity === 'high').length,
@@ -601,14 +666,274 @@ router.get('/me/submissions/:submissionId/feedback', async (req, res) => {
           low: feedback.filter(f => f.severity === 'low').length
         }
       },
-      message: `${feedback.length} feedback items gevonden`,
+      message: msg(req, 'api.feedbackFound', { count: feedback.length }),
       error: null
     });
   } catch (error) {
     console.error('[API] GET /api/students/me/submissions/:submissionId/feedback failed:', error.message);
     res.status(500).json({
       success: false,
-      message: 'Fout bij ophalen feedback',
+      message: msg(req, 'api.errorFetchingFeedback'),
+      error: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/students/me/submissions/{submissionId}/feedback/{feedbackId}/rating:
+ *   put:
+ *     tags:
+ *       - Studenten
+ *     summary: Beoordeel een AI feedback item
+ *     description: |
+ *       Geeft aan of een AI feedback item nuttig, niet nuttig of fout was, met een optionele opmerking.
+ *       Een bestaande beoordeling wordt overschreven. Enkel AI feedback van de eigen submission kan beoordeeld worden.
+ *       Docenten zien de beoordelingen geaggregeerd in de AI feedback analytics van de opdracht.
+ *
+ *       **Development mode:** Gebruik `studentId` query parameter.
+ *       **Productie:** User ID wordt uit JWT token gehaald.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: integer
+ *         description: Student ID (verplicht in development mode)
+ *       - in: path
+ *         name: submissionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: feedbackId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: string
+ *                 enum: [helpful, not_helpful, incorrect]
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 nullable: true
+ *                 example: De functie wordt wel degelijk afgesloten op regel 12
+ *     responses:
+ *       200:
+ *         description: Beoordeling opgeslagen
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     feedback_id:
+ *                       type: integer
+ *                     rating:
+ *                       type: string
+ *                     comment:
+ *                       type: string
+ *                       nullable: true
+ *                     created_at:
+ *                       type: string
+ *                       format: date-time
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Ongeldige beoordeling of geen AI feedback
+ *       403:
+ *         description: Geen toegang tot deze feedback
+ *       404:
+ *         description: Feedback niet gevonden
+ */
+router.put('/me/submissions/:submissionId/feedback/:feedbackId/rating', async (req, res) => {
+  try {
+    const studentId = req.user?.id ||
+      (process.env.NODE_ENV !== 'production' && req.query.studentId
+        ? parseInt(req.query.studentId, 10)
+        : null);
+
+    if (!studentId || !Number.isInteger(studentId) || studentId <= 0) {
+      const isProduction = process.env.NODE_ENV === 'production';
+      return res.status(isProduction ? 401 : 400).json({
+        success: false,
+        message: msg(req, isProduction ? 'api.authRequired' : 'api.studentIdRequired'),
+        error: isProduction ? 'UNAUTHORIZED' : 'BAD_REQUEST'
+      });
+    }
+
+    const submissionId = parseInt(req.params.submissionId);
+    const feedbackId = parseInt(req.params.feedbackId);
+    const { rating, comment = null } = req.body || {};
+
+    if (isNaN(submissionId)) {
+      return res.status(400).json({
+        success: false,
+        message: msg(req, 'api.invalidSubmissionId'),
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    if (isNaN(feedbackId)) {
+      return res.status(400).json({
+        success: false,
+        message: msg(req, 'api.invalidFeedbackId'),
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+      return res.status(400).json({
+        success: false,
+        message: msg(req, 'api.invalidRating', { allowed: FEEDBACK_RATINGS.join(', ') }),
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    if (comment !== null && (typeof comment !== 'string' || comment.length > MAX_RATING_COMMENT_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        message: msg(req, 'api.ratingCommentTooLong', { max: MAX_RATING_COMMENT_LENGTH }),
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    const result = await studentController.rateFeedback(
+      feedbackId,
+      submissionId,
+      studentId,
+      rating,
+      comment?.trim() || null
+    );
+
+    if (!result.success) {
+      return sendRatingError(req, res, result.error);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.rating,
+      message: msg(req, 'api.feedbackRated'),
+      error: null
+    });
+  } catch (error) {
+    console.error('[API] PUT /api/students/me/submissions/:submissionId/feedback/:feedbackId/rating failed:', error.message);
+    res.status(500).json({
+      success: false,
+      message: msg(req, 'api.errorRatingFeedback'),
+      error: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/students/me/submissions/{submissionId}/feedback/{feedbackId}/rating:
+ *   delete:
+ *     tags:
+ *       - Studenten
+ *     summary: Verwijder de beoordeling van een AI feedback item
+ *     description: |
+ *       **Development mode:** Gebruik `studentId` query parameter.
+ *       **Productie:** User ID wordt uit JWT token gehaald.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: integer
+ *         description: Student ID (verplicht in development mode)
+ *       - in: path
+ *         name: submissionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: feedbackId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Beoordeling verwijderd
+ *       403:
+ *         description: Geen toegang tot deze feedback
+ *       404:
+ *         description: Feedback of beoordeling niet gevonden
+ */
+router.delete('/me/submissions/:submissionId/feedback/:feedbackId/rating', async (req, res) => {
+  try {
+    const studentId = req.user?.id ||
+      (process.env.NODE_ENV !== 'production' && req.query.studentId
+        ? parseInt(req.query.studentId, 10)
+        : null);
+
+    if (!studentId || !Number.isInteger(studentId) || studentId <= 0) {
+      const isProduction = process.env.NODE_ENV === 'production';
+      return res.status(isProduction ? 401 : 400).json({
+        success: false,
+        message: msg(req, isProduction ? 'api.authRequired' : 'api.studentIdRequired'),
+        error: isProduction ? 'UNAUTHORIZED' : 'BAD_REQUEST'
+      });
+    }
+
+    const submissionId = parseInt(req.params.submissionId);
+    const feedbackId = parseInt(req.params.feedbackId);
+
+    if (isNaN(submissionId)) {
+      return res.status(400).json({
+        success: false,
+        message: msg(req, 'api.invalidSubmissionId'),
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    if (isNaN(feedbackId)) {
+      return res.status(400).json({
+        success: false,
+        message: msg(req, 'api.invalidFeedbackId'),
+        error: 'BAD_REQUEST'
+      });
+    }
+
+    const result = await studentController.removeFeedbackRating(feedbackId, submissionId, studentId);
+
+    if (!result.success) {
+      return sendRatingError(req, res, result.error);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { feedback_id: feedbackId },
+      message: msg(req, 'api.feedbackRatingRemoved'),
+      error: null
+    });
+  } catch (error) {
+    console.error('[API] DELETE /api/students/me/submissions/:submissionId/feedback/:feedbackId/rating failed:', error.message);
+    res.status(500).json({
+      success: false,
+      message: msg(req, 'api.errorRatingFeedback'),
       error: 'INTERNAL_SERVER_ERROR'
     });
   }
@@ -747,7 +1072,7 @@ router.get('/me/courses/:courseId/assignments', async (req, res) => {
       const isProduction = process.env.NODE_ENV === 'production';
       return res.status(isProduction ? 401 : 400).json({
         success: false,
-        message: isProduction ? 'Authenticatie vereist' : 'studentId query parameter is verplicht en moet een geldig positief getal zijn',
+        message: msg(req, isProduction ? 'api.authRequired' : 'api.studentIdRequired'),
         error: isProduction ? 'UNAUTHORIZED' : 'BAD_REQUEST'
       });
     }
@@ -758,7 +1083,7 @@ router.get('/me/courses/:courseId/assignments', async (req, res) => {
     if (isNaN(courseId)) {
       return res.status(400).json({
         success: false,
-        message: 'Ongeldig cursus ID',
+        message: msg(req, 'api.invalidCourseId'),
         error: 'BAD_REQUEST'
       });
     }
@@ -768,7 +1093,7 @@ router.get('/me/courses/:courseId/assignments', async (req, res) => {
     if (!isEnrolled) {
       return res.status(403).json({
         success: false,
-        message: 'Je bent niet ingeschreven voor deze cursus',
+        message: msg(req, 'api.notEnrolled'),
         error: 'FORBIDDEN'
       });
     }
@@ -776,20 +1101,21 @@ router.get('/me/courses/:courseId/assignments', async (req, res) => {
     const assignments = await studentController.getCourseAssignments(studentId, courseId, {
       status,
       sortBy,
-      order
+      order,
+      language: getRequestLanguage(req)
     });
 
     res.status(200).json({
       success: true,
       data: assignments,
-      message: `${assignments.length} opdrachten gevonden`,
+      message: msg(req, 'api.assignmentsFound', { count: assignments.length }),
       error: null
     });
   } catch (error) {
     console.error('[API] GET /api/students/me/courses/:courseId/assignments failed:', error.message);
     res.status(500).json({
       success: false,
-      message: 'Fout bij ophalen opdrachten',
+      message: msg(req, 'api.errorFetchingAssignments'),
       error: 'INTERNAL_SERVER_ERROR'
     });
   }
@@ -898,22 +1224,21 @@ router.get('/me/courses/:courseId/assignments', async (req, res) => {
  *                     files_count:
  *                       type: integer
  *                       example: 12
- *                       description: Aantal code bestanden in repository
+ *                       description: Aantal bestanden dat geanalyseerd wordt
  *                     files:
  *                       type: array
- *                       description: Lijst van code bestanden (max 100)
+ *                       description: Bestanden die geanalyseerd worden, in volgorde van prioriteit (volgens de bestandsselectie van de opdracht)
  *                       items:
- *                         type: object
- *                         properties:
- *                           path:
- *                             type: string
- *                             example: src/index.js
- *                           size:
- *                             type: integer
- *                             example: 1024
- *                           language:
- *                             type: string
- *                             example: javascript
+ *                         $ref: '#/components/schemas/AnalyzedFile'
+ *                     skipped_files:
+ *                       type: array
+ *                       description: Bestanden die niet geanalyseerd worden, met de reden
+ *                       items:
+ *                         $ref: '#/components/schemas/SkippedFile'
+ *                     max_files:
+ *                       type: integer
+ *                       example: 20
+ *                       description: Maximum aantal geanalyseerde bestanden voor deze opdracht
  *                     webhook:
  *                       type: object
  *                       description: Webhook registratie status
@@ -936,7 +1261,7 @@ router.get('/me/courses/:courseId/assignments', async (req, res) => {
  *                   nullable: true
  *                   example: null
  *       400:
- *         description: Ongeldige GitHub URL, assignment ID, of lege repository
+ *         description: Ongeldige GitHub URL, assignment ID, lege repository (EMPTY_REPO) of geen bestanden die aan de bestandsselectie voldoen (NO_MATCHING_FILES)
  *       403:
  *         description: Niet ingeschreven voor cursus
  *       404:
@@ -957,7 +1282,7 @@ router.post('/me/assignments/:assignmentId/submissions', async (req, res) => {
       const isProduction = process.env.NODE_ENV === 'production';
       return res.status(isProduction ? 401 : 400).json({
         success: false,
-        message: isProduction ? 'Authenticatie vereist' : 'studentId query parameter is verplicht en moet een geldig positief getal zijn',
+        message: msg(req, isProduction ? 'api.authRequired' : 'api.studentIdRequired'),
         error: isProduction ? 'UNAUTHORIZED' : 'BAD_REQUEST'
       });
     }
@@ -969,7 +1294,7 @@ router.post('/me/assignments/:assignmentId/submissions', async (req, res) => {
     if (isNaN(assignmentId)) {
       return res.status(400).json({
         success: false,
-        message: 'Ongeldig opdracht ID',
+        message: msg(req, 'api.invalidAssignmentId'),
         error: 'BAD_REQUEST'
       });
     }
@@ -989,7 +1314,7 @@ router.post('/me/assignments/:assignmentId/submissions', async (req, res) => {
     if (!assignmentResult.success) {
       return res.status(404).json({
         success: false,
-        message: 'Opdracht niet gevonden',
+        message: msg(req, 'api.assignmentNotFound'),
         error: 'NOT_FOUND'
       });
     }
@@ -1001,7 +1326,7 @@ router.post('/me/assignments/:assignmentId/submissions', async (req, res) => {
     if (!isEnrolled) {
       return res.status(403).json({
         success: false,
-        message: 'Je bent niet ingeschreven voor deze cursus',
+        message: msg(req, 'api.notEnrolled'),
         error: 'FORBIDDEN'
       });
     }
@@ -1011,7 +1336,7 @@ router.post('/me/assignments/:assignmentId/submissions', async (req, res) => {
     if (existingResult.success) {
       return res.status(409).json({
         success: false,
-        message: 'Je hebt al een inzending voor deze opdracht',
+        message: msg(req, 'api.alreadySubmitted'),
         error: 'CONFLICT',
         data: { existing_submission_id: existingResult.data.id }
       });
@@ -1054,11 +1379,21 @@ router.post('/me/assignments/:assignmentId/submissions', async (req, res) => {
     if (codeFiles.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Repository bevat geen code bestanden',
+        message: msg(req, 'api.noCodeFiles'),
         error: 'EMPTY_REPO'
       });
     }
 
+    // Bestandsselectie van de opdracht: exact deze bestanden worden geanalyseerd
+    const fileSelection = selectFiles(treeResult.files, assignment.file_selection);
+    if (fileSelection.selected.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: msg(req, 'api.noMatchingFiles'),
+        error: 'NO_MATCHING_FILES'
+      });
+    }
+
     // Maak submission aan
     const submission = await studentController.createSubmission({
       assignmentId,
@@ -1118,12 +1453,6 @@ router.post('/me/assignments/:assignmentId/submissions', async (req, res) => {
       };
     }
 
-    // Voeg extra info toe aan response
-    const filesWithLanguage = codeFiles.map(f => ({
-      path: f.path,
-      size: f.size,
-      language: githubService.detectLanguage(f.path)
-    }));
 
     res.status(201).json({
       success: true,
@@ -1134,8 +1463,7 @@ router.post('/me/assignments/:assignmentId/submissions', async (req, res) => {
           repo,
           default_branch: repoAccess.repoData.default_branch
         },
-        files_count: codeFiles.length,
-        files: filesWithLanguage,
+        ...describeFileSelection(req, fileSelection),
         truncated: treeResult.truncated,
         webhook: webhookInfo
       },
@@ -1148,7 +1476,7 @@ router.post('/me/assignments/:assignmentId/submissions', async (req, res) => {
     console.error('[API] POST /api/students/me/assignments/:assignmentId/submissions failed:', error.message);
     res.status(500).json({
       success: false,
-      message: 'Fout bij aanmaken inzending',
+      message: msg(req, 'api.errorCreatingSubmission'),
       error: 'INTERNAL_SERVER_ERROR'
     });
   }
@@ -1288,7 +1616,7 @@ router.get('/me/assignments/:assignmentId', async (req, res) => {
       const isProduction = process.env.NODE_ENV === 'production';
       return res.status(isProduction ? 401 : 400).json({
         success: false,
-        message: isProduction ? 'Authenticatie vereist' : 'studentId query parameter is verplicht en moet een geldig positief getal zijn',
+        message: msg(req, isProduction ? 'api.authRequired' : 'api.studentIdRequired'),
         error: isProduction ? 'UNAUTHORIZED' : 'BAD_REQUEST'
       });
     }
@@ -1299,32 +1627,32 @@ router.get('/me/assignments/:assignmentId', async (req, res) => {
     if (isNaN(assignmentId) || assignmentId <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'Ongeldig assignment ID',
+        message: msg(req, 'api.invalidAssignmentId'),
         error: 'BAD_REQUEST'
       });
     }
 
-    const result = await studentController.getAssignmentDetail(assignmentId, studentId);
+    const result = await studentController.getAssignmentDetail(assignmentId, studentId, getRequestLanguage(req));
 
     if (!result.success) {
       if (result.error === 'NOT_FOUND') {
         return res.status(404).json({
           success: false,
-          message: 'Assignment niet gevonden',
+          message: msg(req, 'api.assignmentNotFound'),
           error: 'NOT_FOUND'
         });
       }
       if (result.error === 'FORBIDDEN') {
         return res.status(403).json({
           success: false,
-          message: 'Je bent niet ingeschreven voor deze cursus',
+          message: msg(req, 'api.notEnrolled'),
           error: 'FORBIDDEN'
         });
       }
       // Fallback voor onverwachte errors
       return res.status(500).json({
         success: false,
-        message: 'Onverwachte fout bij ophalen assignment',
+        message: msg(req, 'api.unexpectedError'),
         error: 'INTERNAL_SERVER_ERROR'
       });
     }
@@ -1332,14 +1660,14 @@ router.get('/me/assignments/:assignmentId', async (req, res) => {
     res.status(200).json({
       success: true,
       data: result.data,
-      message: 'Assignment opgehaald',
+      message: msg(req, 'api.assignmentFetched'),
       error: null
     });
   } catch (error) {
     console.error('Fout bij ophalen assignment detail:', error);
     res.status(500).json({
       success: false,
-      message: 'Fout bij ophalen assignment',
+      message: msg(req, 'api.errorFetchingAssignment'),
       error: 'INTERNAL_SERVER_ERROR'
     });
   }
@@ -1410,7 +1738,7 @@ router.get('/me/assignments/:assignmentId/events', async (req, res) => {
       const isProduction = process.env.NODE_ENV === 'production';
       return res.status(isProduction ? 401 : 400).json({
         success: false,
-        message: isProduction ? 'Authenticatie vereist' : 'studentId query parameter is verplicht en moet een geldig positief getal zijn',
+        message: msg(req, isProduction ? 'api.authRequired' : 'api.studentIdRequired'),
         error: isProduction ? 'UNAUTHORIZED' : 'BAD_REQUEST'
       });
     }
@@ -1421,7 +1749,7 @@ router.get('/me/assignments/:assignmentId/events', async (req, res) => {
     if (isNaN(assignmentId) || assignmentId <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'Ongeldig assignment ID',
+        message: msg(req, 'api.invalidAssignmentId'),
         error: 'BAD_REQUEST'
       });
     }
@@ -1432,7 +1760,7 @@ router.get('/me/assignments/:assignmentId/events', async (req, res) => {
     if (!submissionResult.success) {
       return res.status(404).json({
         success: false,
-        message: 'Geen submission gevonden voor deze assignment. Dien eerst een repository in.',
+        message: msg(req, 'api.noSubmissionForAssignment'),
         error: 'NOT_FOUND'
       });
     }
@@ -1468,7 +1796,7 @@ router.get('/me/assignments/:assignmentId/events', async (req, res) => {
     console.error('Fout bij opzetten SSE connectie:', error);
     res.status(500).json({
       success: false,
-      message: 'Fout bij opzetten real-time connectie',
+      message: msg(req, 'api.errorRealtime'),
       error: 'INTERNAL_SERVER_ERROR'
     });
   }
@@ -1529,12 +1857,28 @@ router.get('/me/assignments/:assignmentId/events', async (req, res) => {
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   $ref: '#/components/schemas/Submission'
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Submission'
+ *                     - type: object
+ *                       properties:
+ *                         files_count:
+ *                           type: integer
+ *                           description: Aantal bestanden dat geanalyseerd wordt
+ *                         files:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/AnalyzedFile'
+ *                         skipped_files:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/SkippedFile'
+ *                         max_files:
+ *                           type: integer
  *                 message:
  *                   type: string
  *                   example: Repository succesvol gewijzigd
  *       400:
- *         description: Ongeldige input (submission ID of GitHub URL)
+ *         description: Ongeldige input (submission ID of GitHub URL), lege repository of geen bestanden die aan de bestandsselectie voldoen (NO_MATCHING_FILES)
  *       403:
  *         description: Geen eigenaar van deze submission
  *       404:
@@ -1553,7 +1897,7 @@ router.put('/me/submissions/:submissionId', async (req, res) => {
       const isProduction = process.env.NODE_ENV === 'production';
       return res.status(isProduction ? 401 : 400).json({
         success: false,
-        message: isProduction ? 'Authenticatie vereist' : 'studentId query parameter is verplicht en moet een geldig positief getal zijn',
+        message: msg(req, isProduction ? 'api.authRequired' : 'api.studentIdRequired'),
         error: isProduction ? 'UNAUTHORIZED' : 'BAD_REQUEST'
       });
     }
@@ -1565,7 +1909,7 @@ router.put('/me/submissions/:submissionId', async (req, res) => {
     if (isNaN(submissionId)) {
       return res.status(400).json({
         success: false,
-        message: 'Ongeldig submission ID',
+        message: msg(req, 'api.invalidSubmissionId'),
         error: 'BAD_REQUEST'
       });
     }
@@ -1574,7 +1918,7 @@ router.put('/me/submissions/:submissionId', async (req, res) => {
     if (!github_url || typeof github_url !== 'string' || github_url.trim() === '') {
       return res.status(400).json({
         success: false,
-        message: 'GitHub URL is verplicht',
+        message: msg(req, 'api.githubUrlRequired'),
         error: 'BAD_REQUEST'
       });
     }
@@ -1626,11 +1970,21 @@ router.put('/me/submissions/:submissionId', async (req, res) => {
     if (codeFiles.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Repository bevat geen code bestanden',
+        message: msg(req, 'api.noCodeFiles'),
         error: 'EMPTY_REPO'
       });
     }
 
+    // Bestandsselectie van de opdracht: exact deze bestanden worden geanalyseerd
+    const fileSelection = selectFiles(treeResult.files, await studentController.getSubmissionFileSelection(submissionId));
+    if (fileSelection.selected.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: msg(req, 'api.noMatchingFiles'),
+        error: 'NO_MATCHING_FILES'
+      });
+    }
+
     // Update submission in database
     const updateResult = await studentController.updateSubmission(
       submissionId,
@@ -1643,14 +1997,14 @@ router.put('/me/submissions/:submissionId', async (req, res) => {
       if (updateResult.error === 'NOT_FOUND') {
         return res.status(404).json({
           success: false,
-          message: 'Submission niet gevonden',
+          message: msg(req, 'api.submissionNotFound'),
           error: 'NOT_FOUND'
         });
       }
       if (updateResult.error === 'FORBIDDEN') {
         return res.status(403).json({
           success: false,
-          message: 'Je hebt geen toegang tot deze submission',
+          message: msg(req, 'api.noSubmissionAccess'),
           error: 'FORBIDDEN'
         });
       }
@@ -1724,6 +2078,7 @@ router.put('/me/submissions/:submissionId', async (req, res) => {
           repo,
           default_branch: repoAccess.repoData?.default_branch
         },
+        ...describeFileSelection(req, fileSelection),
         webhook: webhookInfo
       },
       message: webhookInfo.registered
@@ -1735,7 +2090,7 @@ router.put('/me/submissions/:submissionId', async (req, res) => {
     console.error('Fout bij updaten submission:', error);
     res.status(500).json({
       success: false,
-      message: 'Fout bij wijzigen repository',
+      message: msg(req, 'api.errorUpdatingRepository'),
       error: 'INTERNAL_SERVER_ERROR'
     });
   }
@@ -1818,7 +2173,7 @@ router.delete('/me/submissions/:submissionId', async (req, res) => {
       const isProduction = process.env.NODE_ENV === 'production';
       return res.status(isProduction ? 401 : 400).json({
         success: false,
-        message: isProduction ? 'Authenticatie vereist' : 'studentId query parameter is verplicht en moet een geldig positief getal zijn',
+        message: msg(req, isProduction ? 'api.authRequired' : 'api.studentIdRequired'),
         error: isProduction ? 'UNAUTHORIZED' : 'BAD_REQUEST'
       });
     }
@@ -1829,7 +2184,7 @@ router.delete('/me/submissions/:submissionId', async (req, res) => {
     if (isNaN(submissionId) || submissionId <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'Ongeldig submission ID',
+        message: msg(req, 'api.invalidSubmissionId'),
         error: 'BAD_REQUEST'
       });
     }
@@ -1841,28 +2196,28 @@ router.delete('/me/submissions/:submissionId', async (req, res) => {
       if (unlinkResult.error === 'NOT_FOUND') {
         return res.status(404).json({
           success: false,
-          message: 'Submission niet gevonden',
+          message: msg(req, 'api.submissionNotFound'),
           error: 'NOT_FOUND'
         });
       }
       if (unlinkResult.error === 'FORBIDDEN') {
         return res.status(403).json({
           success: false,
-          message: 'Je hebt geen toegang tot deze submission',
+          message: msg(req, 'api.noSubmissionAccess'),
           error: 'FORBIDDEN'
         });
       }
       if (unlinkResult.error === 'ALREADY_UNLINKED') {
         return res.status(400).json({
           success: false,
-          message: 'Deze submission heeft al geen repository gekoppeld',
+          message: msg(req, 'api.alreadyUnlinked'),
           error: 'ALREADY_UNLINKED'
         });
       }
       // Default case for unknown errors
       return res.status(500).json({
         success: false,
-        message: 'Fout bij ontkoppelen repository',
+        message: msg(req, 'api.errorUnlinkingRepository'),
         error: 'INTERNAL_SERVER_ERROR'
       });
     }
@@ -1885,14 +2240,14 @@ router.delete('/me/submissions/:submissionId', async (req, res) => {
     res.status(200).json({
       success: true,
       data: unlinkResult.submission,
-      message: 'Repository succesvol ontkoppeld',
+      message: msg(req, 'api.unlinked'),
       error: null
     });
   } catch (error) {
     console.error('Fout bij ontkoppelen submission:', error);
     res.status(500).json({
       success: false,
-      message: 'Fout bij ontkoppelen repository',
+      message: msg(req, 'api.errorUnlinkingRepository'),
       error: 'INTERNAL_SERVER_ERROR'
     });
   }
@@ -1,22 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const sseManager = require('../services/sseManager');
 const {
   verifyWebhookSignature,
   findSubmissionByRepo,
-  updateSubmissionStatus,
-  tryStartProcessing,
-  getAssignmentSettings,
   logWebhookEvent,
-  saveFeedback,
-  updateSubmissionWithScore,
-  markSubmissionFailed,
+  recordPendingCommit,
   getFailedSubmissions,
   getSubmissionForRetry
 } = require('../controllers/webhookController');
 const {
   parseGitHubUrl,
-  getRepositoryTree,
   getMultipleFileContents,
   filterCodeFiles
 } = require('../services/githubService');
@@ -25,171 +18,8 @@ const {
   calculateScore,
   logAIEvent
 } = require('../services/aiService');
-const {
-  withRetry,
-  isGitHubRetryable,
-  isOpenAIRetryable
-} = require('../utils/retry');
-
-/**
- * Process een submission (herbruikbaar voor webhook en retry)
- * @param {object} submission - Submission object
- * @param {string} commitSha - Commit SHA
- * @param {string} branch - Branch naam
- * @param {string} repoFullName - Repository full name
- * @returns {Promise<{success: boolean, error?: string}>}
- */
-async function processSubmission(submission, commitSha, branch, repoFullName) {
-  try {
-    // Atomic check: probeer processing te starten (voorkomt race condition)
-    const startResult = await tryStartProcessing(submission.id, commitSha, branch);
-
-    if (!startResult.success) {
-      if (startResult.alreadyProcessing) {
-        logWebhookEvent('push', repoFullName, 'skipped', 'Already processing');
-        return { success: false, error: 'Already processing', skipped: true };
-      }
-      return { success: false, error: 'Could not start processing' };
-    }
-
-    if (!startResult.success) {
-      if (startResult.alreadyProcessing) {
-        logWebhookEvent('push', repoFullName, 'skipped', 'Already processing');
-        return { success: false, error: 'Already processing', skipped: true };
-      }
-      return { success: false, error: 'Could not start processing' };
-    }
-
-    // Haal assignment settings op voor AI context
-    const assignmentSettings = await getAssignmentSettings(submission.assignment_id);
-
-    // Parse repository info
-    const repoInfo = parseGitHubUrl(`https://github.com/${repoFullName}`);
-    if (!repoInfo) {
-      await markSubmissionFailed(submission.id, commitSha, 'Could not parse repository URL', 'INVALID_URL');
-      return { success: false, error: 'Invalid repository URL' };
-    }
-
-    // Haal alle bestanden op uit repository (niet alleen commit diff)
-    let treeResult;
-    try {
-      treeResult = await withRetry(
-        () => getRepositoryTree(repoInfo.owner, repoInfo.repo, commitSha),
-        {
-          maxRetries: 3,
-          initialDelay: 2000,
-          shouldRetry: (error) => isGitHubRetryable(error),
-          onRetry: (error, attempt, delay) => {
-            logWebhookEvent('push', repoFullName, 'retry', `GitHub API retry ${attempt}, waiting ${delay}ms`);
-          }
-        }
-      );
-    } catch (error) {
-      await markSubmissionFailed(submission.id, commitSha, `GitHub API error: ${error.message}`, 'GITHUB_ERROR');
-      return { success: false, error: 'GitHub API error' };
-    }
-
-    if (!treeResult.success) {
-      await markSubmissionFailed(submission.id, commitSha, treeResult.error, treeResult.errorCode || 'GITHUB_ERROR');
-      return { success: false, error: treeResult.error };
-    }
-
-    // Filter alleen code bestanden
-    const codeFiles = filterCodeFiles(treeResult.files);
-
-    if (codeFiles.length === 0) {
-      await updateSubmissionStatus(submission.id, commitSha, 'completed', branch);
-      logWebhookEvent('push', repoFullName, 'info', 'No code files to analyze');
-      return { success: true, message: 'No code files to analyze' };
-    }
-
-    logWebhookEvent('push', repoFullName, 'info', `Code files to analyze: ${codeFiles.length}`);
-
-    // Haal file contents op (max 20 bestanden, met retry)
-    const filesToFetch = codeFiles.slice(0, 20).map(f => f.path);
-    let fileContents;
-    try {
-      fileContents = await withRetry(
-        () => getMultipleFileContents(repoInfo.owner, repoInfo.repo, filesToFetch, commitSha),
-        {
-          maxRetries: 2,
-          initialDelay: 1000,
-          shouldRetry: (error) => isGitHubRetryable(error),
-          onRetry: (error, attempt) => {
-            logWebhookEvent('push', repoFullName, 'retry', `File contents retry ${attempt}`);
-          }
-        }
-      );
-    } catch (error) {
-      await markSubmissionFailed(submission.id, commitSha, `Failed to fetch file contents: ${error.message}`, 'FILE_FETCH_ERROR');
-      return { success: false, error: 'Failed to fetch files' };
-    }
-
-    const validFiles = fileContents.filter(f => f.content !== null);
-    logWebhookEvent('push', repoFullName, 'info', `Files retrieved: ${validFiles.length}/${filesToFetch.length}`);
-
-    if (validFiles.length === 0) {
-      await markSubmissionFailed(submission.id, commitSha, 'No file contents could be retrieved', 'NO_FILES');
-      return { success: false, error: 'No file contents' };
-    }
-
-    // AI analyse (met retry)
-    logAIEvent('start', `Analyseer ${validFiles.length} bestanden voor ${repoFullName}`);
-
-    let analysisResult;
-    try {
-      analysisResult = await withRetry(
-        () => analyzeFiles(validFiles, assignmentSettings),
-        {
-          maxRetries: 2,
-          initialDelay: 3000,
-          maxDelay: 15000,
-          shouldRetry: (error) => isOpenAIRetryable(error),
-          onRetry: (error, attempt, delay) => {
-            logAIEvent('retry', `OpenAI retry ${attempt}, waiting ${delay}ms: ${error.message}`);
-          }
-        }
-      );
-    } catch (error) {
-      await markSubmissionFailed(submission.id, commitSha, `AI analysis error: ${error.message}`, 'AI_ERROR');
-      return { success: false, error: 'AI analysis failed' };
-    }
-
-    if (!analysisResult.success) {
-      await markSubmissionFailed(submission.id, commitSha, 'AI analysis returned failure', 'AI_ANALYSIS_FAILED');
-      return { success: false, error: 'AI analysis failed' };
-    }
-
-    // Bereken score en sla feedback op
-    const aiScore = calculateScore(analysisResult.feedback);
-    logAIEvent('complete', `${analysisResult.summary.total_feedback} feedback items, score: ${aiScore}`);
-
-    const savedFeedback = await saveFeedback(submission.id, analysisResult.feedback);
-    logWebhookEvent('push', repoFullName, 'info', `Feedback saved: ${savedFeedback.length} items`);
-
-    // Update submission met score
-    await updateSubmissionWithScore(submission.id, commitSha, aiScore, 'analyzed');
-
-    // Broadcast SSE event naar verbonden clients
-    sseManager.broadcast(submission.id, 'feedback_updated', {
-      score: aiScore,
-      feedbackCount: savedFeedback.length
-    });
-    console.log(`[SSE] Broadcast feedback_updated voor submission ${submission.id}`);
-
-    logWebhookEvent('push', repoFullName, 'success', `Analysis complete - score: ${aiScore}`);
-    return { success: true, score: aiScore, feedbackCount: savedFeedback.length };
-
-  } catch (error) {
-    console.error('[API] Process error:', error.message);
-    try {
-      await markSubmissionFailed(submission.id, commitSha, error.message, 'PROCESS_ERROR');
-    } catch (updateError) {
-      console.error('[API] Could not update submission status:', updateError.message);
-    }
-    return { success: false, error: error.message };
-  }
-}
+const { enqueueSubmissionAnalysis } = require('../services/jobTypes');
+const { getRetrySchedule } = require('../services/autoRetryService');
 
 /**
  * @swagger
@@ -199,7 +29,7 @@ async function processSubmission(submission, commitSha, branch, repoFullName) {
  *       - Webhooks
  *     summary: GitHub Webhook Handler
  *     description: |
- *       Ontvangt push events van GitHub en start automatische AI code analyse.
+ *       Ontvangt push events van GitHub en plant de automatische AI code analyse in.
  *       Dit endpoint wordt aangeroepen door GitHub wanneer er naar een repository wordt gepusht.
  *
  *       **Belangrijk:** Dit endpoint wordt NIET direct door de frontend aangeroepen.
@@ -207,15 +37,31 @@ async function processSubmission(submission, commitSha, branch, repoFullName) {
  *
  *       **Flow:**
  *       1. Valideer request (payload, signature header, event type, branch)
- *       2. Stuur 202 Accepted response (async verwerking)
- *       3. Zoek bijbehorende submission in database
- *       4. Verifieer webhook signature met submission-specifieke secret
- *       5. Haal ALLE code bestanden op uit repository (niet alleen commit diff)
- *       6. Analyseer code met AI (GPT-5 mini)
- *       7. Sla feedback en score op
+ *       2. Zoek bijbehorende submission in database
+ *       3. Verifieer webhook signature met submission-specifieke secret
+ *       4. Plan een analyse job in en stuur 202 Accepted
+ *
+ *       De job worker (`npm run worker`) voert de analyse daarna uit:
+ *       1. Haal ALLE code bestanden op uit repository (niet alleen commit diff)
+ *       2. Analyseer code met AI (GPT-5 mini)
+ *       3. Voer de verborgen test suite van de opdracht uit (indien ingesteld)
+ *       4. Sla feedback en score op
+ *       5. Bewaar fingerprints voor de similarity detectie
+ *       6. Haal de commit geschiedenis op voor de procesanalyse
+ *
+ *       **Durable:** de job staat in de database; een herstart van de server of worker verliest
+ *       geen werk. Een job die niet afraakt, komt na de visibility timeout terug in de wachtrij.
  *
- *       **Race condition preventie:** Bij gelijktijdige pushes wordt slechts één
- *       analyse tegelijk uitgevoerd per submission (atomic lock).
+ *       **Race condition preventie:** per submission staat maximaal één analyse in de wachtrij
+ *       (een nieuwere push vervangt de wachtende commit) en loopt er maximaal één tegelijk.
+ *
+ *       **Debounce:** de analyse start pas `PUSH_DEBOUNCE_SECONDS` (standaard 15) na de laatste push,
+ *       en nooit later dan `PUSH_DEBOUNCE_MAX_SECONDS` (standaard 120) na de eerste push van een reeks.
+ *       Een reeks snelle commits levert zo één analyse van de nieuwste commit op.
+ *
+ *       **Supersession:** loopt er al een analyse van een oudere commit, dan wordt de nieuwe commit
+ *       als wachtend bewaard. De lopende analyse stopt bij de volgende controle zonder resultaten op
+ *       te slaan, waarna de ingeplande job de nieuwste commit analyseert.
  *     parameters:
  *       - in: header
  *         name: X-GitHub-Event
@@ -262,7 +108,7 @@ async function processSubmission(submission, commitSha, branch, repoFullName) {
  *                   type: object
  *     responses:
  *       200:
- *         description: Event ontvangen maar overgeslagen (geen push, geen branch, geen commits)
+ *         description: Event ontvangen maar overgeslagen (geen push, geen branch, geen commits, geen submission)
  *         content:
  *           application/json:
  *             schema:
@@ -275,7 +121,7 @@ async function processSubmission(submission, commitSha, branch, repoFullName) {
  *                   type: string
  *                   example: Not a push event
  *       202:
- *         description: Push event geaccepteerd, analyse gestart (async)
+ *         description: Push event geaccepteerd, analyse ingepland
  *         content:
  *           application/json:
  *             schema:
@@ -287,13 +133,22 @@ async function processSubmission(submission, commitSha, branch, repoFullName) {
  *                 delivery_id:
  *                   type: string
  *                   example: abc-123-def
- *                 processing:
+ *                 queued:
  *                   type: boolean
  *                   example: true
+ *                 job_id:
+ *                   type: integer
+ *                   example: 42
+ *                 superseding:
+ *                   type: boolean
+ *                   description: Er liep een analyse van een oudere commit; die stopt en de nieuwe commit volgt
+ *                   example: false
  *       400:
  *         description: Ongeldige request (geen payload)
  *       401:
- *         description: Ontbrekende signature header
+ *         description: Ontbrekende of ongeldige signature
+ *       500:
+ *         description: Job kon niet ingepland worden (GitHub probeert de delivery opnieuw)
  */
 router.post('/github', async (req, res) => {
   const event = req.headers['x-github-event'];
@@ -340,32 +195,42 @@ router.post('/github', async (req, res) => {
   const branch = data.ref.replace('refs/heads/', '');
   const latestCommitSha = data.after;
 
-  // === RESPONSE + ASYNC PROCESSING ===
-  // Nu pas 202 Accepted sturen - we weten dat het een geldige push event is
-  res.status(202).json({ received: true, delivery_id: deliveryId, processing: true });
-
   try {
     // Zoek submission
     const submission = await findSubmissionByRepo(repoFullName, branch);
     if (!submission) {
       logWebhookEvent(event, repoFullName, 'skipped', `No submission for branch: ${branch}`);
-      return;
+      return res.status(200).json({ received: true, skipped: 'No submission for this repository' });
     }
 
     // Valideer signature met submission-specifieke secret
     if (!verifyWebhookSignature(payload, signature, submission.webhook_secret)) {
       logWebhookEvent(event, repoFullName, 'error', 'Invalid signature');
-      return;
+      return res.status(401).json({ error: 'Invalid signature' });
     }
 
-    logWebhookEvent(event, repoFullName, 'processing', `Branch: ${branch}, Commit: ${latestCommitSha.substring(0, 7)}`);
+    // Enkel inplannen: de worker voert de analyse uit (ook na een herstart van deze server)
+    const job = await enqueueSubmissionAnalysis({
+      submissionId: submission.id,
+      commitSha: latestCommitSha,
+      branch,
+      repoFullName,
+      trigger: 'push'
+    });
+    logWebhookEvent(event, repoFullName, 'queued', `Job ${job.id} - Branch: ${branch}, Commit: ${latestCommitSha.substring(0, 7)}`);
 
-    // Process de submission
-    await processSubmission(submission, latestCommitSha, branch, repoFullName);
+    // Loopt er al een analyse van een oudere commit, dan stopt die en volgt de gewachte job
+    const superseding = await recordPendingCommit(submission.id, latestCommitSha);
+    if (superseding) {
+      logWebhookEvent(event, repoFullName, 'superseding', `Commit ${latestCommitSha.substring(0, 7)} replaces the running analysis`);
+    }
 
+    res.status(202).json({ received: true, delivery_id: deliveryId, queued: true, job_id: job.id, superseding });
   } catch (error) {
     console.error('[API] Webhook error:', error.message);
     logWebhookEvent('push', repoFullName, 'error', error.message);
+    // 5xx: GitHub toont de delivery als mislukt zodat ze opnieuw verstuurd kan worden
+    res.status(500).json({ error: 'Could not queue analysis' });
   }
 });
 
@@ -377,8 +242,8 @@ router.post('/github', async (req, res) => {
  *       - Webhooks
  *     summary: Retry een gefaalde submission
  *     description: |
- *       Start de AI analyse opnieuw voor een submission die eerder is mislukt.
- *       Verwerking gebeurt asynchroon - response wordt direct teruggegeven.
+ *       Plant de AI analyse opnieuw in voor een submission die eerder is mislukt.
+ *       De job worker voert de analyse uit; de response wordt direct teruggegeven.
  *     parameters:
  *       - in: path
  *         name: submissionId
@@ -388,7 +253,7 @@ router.post('/github', async (req, res) => {
  *         description: ID van de submission om opnieuw te analyseren
  *     responses:
  *       202:
- *         description: Retry gestart (verwerking is async)
+ *         description: Retry ingepland (verwerking door de job worker)
  *         content:
  *           application/json:
  *             schema:
@@ -399,7 +264,7 @@ router.post('/github', async (req, res) => {
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Retry started
+ *                   example: Retry queued
  *                 data:
  *                   type: object
  *                   properties:
@@ -407,9 +272,13 @@ router.post('/github', async (req, res) => {
  *                       type: integer
  *                     status:
  *                       type: string
- *                       example: processing
+ *                       example: queued
+ *                     job_id:
+ *                       type: integer
  *       400:
- *         description: Ongeldig submission ID of submission wordt al verwerkt
+ *         description: |
+ *           Ongeldig submission ID of submission wordt al verwerkt.
+ *           Een verwerking die vastloopt zet de watchdog na PROCESSING_TIMEOUT_MINUTES op 'failed' (TIMEOUT).
  *       404:
  *         description: Submission niet gevonden
  */
@@ -457,42 +326,31 @@ router.post('/retry/:submissionId', async (req, res) => {
     const branch = submission.branch || 'main';
     const commitSha = submission.commit_sha;
 
-    logWebhookEvent('retry', repoFullName, 'start', `Retry submission ${submissionId}`);
+    const job = await enqueueSubmissionAnalysis({
+      submissionId,
+      commitSha,
+      branch,
+      repoFullName,
+      trigger: 'retry'
+    });
+    logWebhookEvent('retry', repoFullName, 'queued', `Retry submission ${submissionId} - job ${job.id}`);
 
-    // Start retry - response eerst, dan async processing
     res.status(202).json({
       success: true,
-      message: 'Retry started',
+      message: 'Retry queued',
       data: {
         submission_id: submissionId,
-        status: 'processing'
+        status: 'queued',
+        job_id: job.id
       }
     });
 
-    // Process async (na response)
-    try {
-      const result = await processSubmission(submission, commitSha, branch, repoFullName);
-
-      if (result.success) {
-        logWebhookEvent('retry', repoFullName, 'success', `Retry complete - score: ${result.score}`);
-      } else {
-        logWebhookEvent('retry', repoFullName, 'failed', result.error);
-      }
-    } catch (processError) {
-      // Log error maar stuur geen response (al verzonden)
-      console.error('[API] Retry process error:', processError.message);
-      logWebhookEvent('retry', repoFullName, 'error', processError.message);
-    }
-
   } catch (error) {
-    // Deze catch is voor errors VOOR de response
     console.error('[API] Retry error:', error.message);
-    if (!res.headersSent) {
-      res.status(500).json({
-        success: false,
-        error: 'Internal server error'
-      });
-    }
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
   }
 });
 
@@ -503,7 +361,11 @@ router.post('/retry/:submissionId', async (req, res) => {
  *     tags:
  *       - Webhooks
  *     summary: Haal gefaalde submissions op
- *     description: Retourneert alle submissions met status 'failed' binnen een bepaalde periode
+ *     description: |
+ *       Retourneert alle submissions met status 'failed', 'analysis_incomplete' of 'budget_exceeded' binnen een bepaalde periode,
+ *       met het schema van de automatische pogingen. Tijdelijke fouten (GITHUB_ERROR, RATE_LIMITED, FILE_FETCH_ERROR, AI_ERROR,
+ *       AI_ANALYSIS_FAILED, PROCESS_ERROR) worden automatisch opnieuw geprobeerd met exponentiële backoff, tot AUTO_RETRY_MAX_ATTEMPTS
+ *       pogingen per commit; andere fouten (bv. INVALID_URL, NO_FILES) niet.
  *     parameters:
  *       - in: query
  *         name: maxAge
@@ -531,7 +393,12 @@ router.post('/retry/:submissionId', async (req, res) => {
  *                     submissions:
  *                       type: array
  *                       items:
- *                         $ref: '#/components/schemas/Submission'
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Submission'
+ *                           - type: object
+ *                             properties:
+ *                               retry_schedule:
+ *                                 $ref: '#/components/schemas/RetrySchedule'
  *       500:
  *         description: Server error
  */
@@ -544,7 +411,7 @@ router.get('/failed', async (req, res) => {
       success: true,
       data: {
         count: failed.length,
-        submissions: failed
+        submissions: failed.map(submission => ({ ...submission, retry_schedule: getRetrySchedule(submission) }))
       }
     });
   } catch (error) {
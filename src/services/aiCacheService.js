@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+
+/**
+ * Persistente, content-addressed cache van AI analyse resultaten
+ *
+ * Sleutel: blob SHA van het bestand + hash van de assignment settings + model + prompt versie.
+ * Identieke bestanden (re-pushes, retries, gedeelde starter code) worden zo maar één keer
+ * naar de LLM provider gestuurd. Zet AI_CACHE_ENABLED=false om de cache uit te schakelen.
+ */
+
+// Hit/miss tellers sinds het opstarten van het proces
+const counters = {
+  hits: 0,
+  misses: 0,
+  writes: 0,
+  errors: 0
+};
+
+/**
+ * Controleer of de AI cache ingeschakeld is
+ * @returns {boolean}
+ */
+function isCacheEnabled() {
+  return process.env.AI_CACHE_ENABLED !== 'false';
+}
+
+/**
+ * Bereken de Git blob SHA van bestandsinhoud (zelfde waarde als GitHub)
+ * @param {string} content - Bestandsinhoud
+ * @returns {string}
+ */
+function computeBlobSha(content) {
+  const buffer = Buffer.from(content, 'utf8');
+  return crypto
+    .createHash('sha1')
+    .update(`blob ${buffer.length}\0`)
+    .update(buffer)
+    .digest('hex');
+}
+
+/**
+ * Bouw de cache sleutel
+ * @param {object} params
+ * @param {string} params.blobSha - Blob SHA van het bestand
+ * @param {string} params.settingsHash - Hash van de assignment settings
+ * @param {string} params.model - Model naam (inclusief provider)
+ * @param {string} params.promptVersion - Versie van de prompt
+ * @returns {string} - SHA-256 hex digest
+ */
+function buildCacheKey({ blobSha, settingsHash, model, promptVersion }) {
+  return crypto
+    .createHash('sha256')
+    .update([blobSha, settingsHash, model, promptVersion].join(':'))
+    .digest('hex');
+}
+
+/**
+ * Haal een gecached analyse resultaat op
+ * Fouten worden gelogd en als miss behandeld, de analyse mag nooit op de cache falen.
+ * @param {string} cacheKey - Cache sleutel
+ * @returns {Promise<{feedback: Array, criteriaScores: Array}|null>}
+ */
+async function getCachedAnalysis(cacheKey) {
+  if (!isCacheEnabled()) {
+    return null;
+  }
+
+  try {
+    const result = await db.query(
+      `UPDATE ai_result_cache
+       SET hit_count = hit_count + 1, last_hit_at = NOW()
+       WHERE cache_key = $1
+       RETURNING feedback, criteria_scores`,
+      [cacheKey]
+    );
+
+    if (result.rows.length === 0) {
+      counters.misses++;
+      return null;
+    }
+
+    counters.hits++;
+    return {
+      feedback: result.rows[0].feedback || [],
+      criteriaScores: result.rows[0].criteria_scores || []
+    };
+  } catch (error) {
+    counters.errors++;
+    console.error('[API] AI cache read error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Sla een analyse resultaat op in de cache
+ * @param {object} entry
+ * @param {string} entry.cacheKey - Cache sleutel
+ * @param {string} entry.blobSha - Blob SHA van het bestand
+ * @param {string} entry.settingsHash - Hash van de assignment settings
+ * @param {string} entry.model - Model naam
+ * @param {string} entry.promptVersion - Versie van de prompt
+ * @param {number|null} entry.assignmentId - Opdracht waarvoor het resultaat berekend werd
+ * @param {Array} entry.feedback - Feedback items (zonder bestandspad)
+ * @param {Array} entry.criteriaScores - Rubric beoordelingen
+ * @returns {Promise<void>}
+ */
+async function storeCachedAnalysis(entry) {
+  if (!isCacheEnabled()) {
+    return;
+  }
+
+  try {
+    await db.query(
+      `INSERT INTO ai_result_cache
+        (cache_key, blob_sha, settings_hash, model, prompt_version, assignment_id, feedback, criteria_scores)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (cache_key) DO NOTHING`,
+      [
+        entry.cacheKey,
+        entry.blobSha,
+        entry.settingsHash,
+        entry.model,
+        entry.promptVersion,
+        entry.assignmentId || null,
+        JSON.stringify(entry.feedback || []),
+        JSON.stringify(entry.criteriaScores || [])
+      ]
+    );
+    counters.writes++;
+  } catch (error) {
+    counters.errors++;
+    console.error('[API] AI cache write error:', error.message);
+  }
+}
+
+/**
+ * Verwijder alle cache entries van een opdracht
+ * @param {number} assignmentId - Assignment ID
+ * @param {string|null} settingsHash - Huidige settings hash van de opdracht (ook gedeelde entries wissen)
+ * @returns {Promise<number>} - Aantal verwijderde entries
+ */
+async function purgeAssignmentCache(assignmentId, settingsHash = null) {
+  const result = await db.query(
+    `DELETE FROM ai_result_cache
+     WHERE assignment_id = $1 OR ($2::text IS NOT NULL AND settings_hash = $2)`,
+    [assignmentId, settingsHash]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Haal AI cache statistieken op
+ * @returns {Promise<object>}
+ */
+async function getAICacheStats() {
+  const lookups = counters.hits + counters.misses;
+  const stats = {
+    enabled: isCacheEnabled(),
+    hits: counters.hits,
+    misses: counters.misses,
+    writes: counters.writes,
+    errors: counters.errors,
+    hitRate: lookups > 0 ? Math.round((counters.hits / lookups) * 10000) / 100 : 0,
+    totalEntries: null,
+    totalHits: null
+  };
+
+  try {
+    const result = await db.query(
+      `SELECT COUNT(*) as total_entries, COALESCE(SUM(hit_count), 0) as total_hits
+       FROM ai_result_cache`
+    );
+    stats.totalEntries = parseInt(result.rows[0].total_entries);
+    stats.totalHits = parseInt(result.rows[0].total_hits);
+  } catch (error) {
+    console.error('[API] AI cache stats error:', error.message);
+  }
+
+  return stats;
+}
+
+module.exports = {
+  computeBlobSha,
+  buildCacheKey,
+  getCachedAnalysis,
+  storeCachedAnalysis,
+  purgeAssignmentCache,
+  getAICacheStats,
+  isCacheEnabled
+};
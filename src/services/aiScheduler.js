@@ -0,0 +1,275 @@
+const { getRetryAfter } = require('../utils/retry');
+const { estimateTokens } = require('./chunkingService');
+
+/**
+ * Scheduler voor LLM requests (één per proces)
+ *
+ * Alle AI calls van het proces gaan door deze wachtrij, zodat parallelle analyses samen binnen
+ * de limieten van de provider blijven in plaats van elk apart tegen een 429 te lopen.
+ * - AI_MAX_CONCURRENT: maximum aantal requests tegelijk (standaard 4)
+ * - AI_TOKENS_PER_MINUTE: maximum aantal tokens per minuut (standaard 0 = geen limiet)
+ * - AI_DEADLINE_WINDOW_HOURS: hoe dicht bij de deadline een opdracht voorrang krijgt (standaard 24)
+ *
+ * De wachtrij is strikt op prioriteit: een request start pas als alle requests van een hogere
+ * prioriteitsklasse gestart zijn. Geeft de provider een 429 (of een Retry-After), dan pauzeert
+ * de hele wachtrij tot de opgegeven tijd en wordt het request opnieuw ingepland. Blijft de provider
+ * terugduwen, dan faalt het request met een fout met code RATE_LIMITED.
+ * De limieten gelden per proces: draai je meerdere workers, verdeel de limiet over de workers.
+ */
+
+/**
+ * Prioriteitsklassen, hoogste prioriteit eerst
+ */
+const PRIORITY_CLASSES = [
+  'deadline_first',       // eerste analyse, opdracht dicht bij de deadline
+  'deadline_reanalysis',  // nieuwe push, opdracht dicht bij de deadline
+  'first',                // eerste analyse van een submission
+  'reanalysis',           // nieuwe push op een al geanalyseerde submission
+  'background'            // prompt experimenten en ander werk zonder student die wacht
+];
+
+const DEFAULT_PRIORITY = 'reanalysis';
+
+const DEFAULT_MAX_CONCURRENT = parseInt(process.env.AI_MAX_CONCURRENT, 10) || 4;
+const DEFAULT_TOKENS_PER_MINUTE = parseInt(process.env.AI_TOKENS_PER_MINUTE, 10) || 0;
+const DEADLINE_WINDOW_HOURS = parseFloat(process.env.AI_DEADLINE_WINDOW_HOURS) || 24;
+
+/**
+ * Gereserveerde tokens voor het antwoord bij het inschatten van een request
+ */
+const COMPLETION_TOKEN_RESERVE = 2000;
+
+const TOKEN_WINDOW_MS = 60000;
+
+/**
+ * Hoe vaak een request opnieuw ingepland wordt als de provider terugduwt, en de pauze als
+ * de provider geen Retry-After meegeeft (verdubbelt per poging)
+ */
+const MAX_PUSHBACK_RETRIES = 3;
+const DEFAULT_PUSHBACK_MS = 10000;
+const MAX_PUSHBACK_MS = 120000;
+
+/**
+ * Bepaal de prioriteitsklasse van een analyse
+ * Late inzendingen net na de deadline horen bij dezelfde drukte als die ervoor.
+ * @param {object} params
+ * @param {boolean} params.isFirstAnalysis - De submission werd nog nooit geanalyseerd
+ * @param {Date|string|null} params.dueDate - Deadline van de opdracht
+ * @param {Date} params.now - Huidig tijdstip (voor tests)
+ * @returns {string} - Prioriteitsklasse
+ */
+function getAnalysisPriority({ isFirstAnalysis, dueDate = null, now = new Date() }) {
+  const due = dueDate ? new Date(dueDate).getTime() : NaN;
+  const nearDeadline = !isNaN(due) && Math.abs(due - now.getTime()) <= DEADLINE_WINDOW_HOURS * 3600000;
+
+  if (nearDeadline) {
+    return isFirstAnalysis ? 'deadline_first' : 'deadline_reanalysis';
+  }
+  return isFirstAnalysis ? 'first' : 'reanalysis';
+}
+
+/**
+ * Schat het aantal tokens van een request (prompt + gereserveerd antwoord)
+ * @param {...string} prompts - System en user prompt
+ * @returns {number}
+ */
+function estimateRequestTokens(...prompts) {
+  return prompts.reduce((total, prompt) => total + estimateTokens(prompt), COMPLETION_TOKEN_RESERVE);
+}
+
+/**
+ * Duwt de provider terug (rate limit of overbelast met Retry-After)?
+ * @param {Error} error - Fout van de provider
+ * @returns {boolean}
+ */
+function isPushback(error) {
+  return error?.response?.status === 429 || getRetryAfter(error) !== null;
+}
+
+/**
+ * Fout voor een request dat na MAX_PUSHBACK_RETRIES pauzes nog steeds teruggeduwd wordt
+ * De code laat de verwerking de submission als RATE_LIMITED markeren in plaats van als AI fout.
+ * @param {Error} error - Laatste fout van de provider
+ * @returns {Error}
+ */
+function createRateLimitError(error) {
+  const rateLimited = new Error(`AI provider rate limit after ${MAX_PUSHBACK_RETRIES} retries: ${error.message}`, { cause: error });
+  rateLimited.code = 'RATE_LIMITED';
+  return rateLimited;
+}
+
+/**
+ * Maak een scheduler
+ * @param {object} options
+ * @param {number} options.maxConcurrent - Maximum aantal requests tegelijk
+ * @param {number} options.tokensPerMinute - Maximum aantal tokens per minuut (0 = geen limiet)
+ * @param {Function} options.onPause - Callback bij een pauze: (delayMs, error)
+ * @returns {{schedule: Function, getStats: Function}}
+ */
+function createScheduler({
+  maxConcurrent = DEFAULT_MAX_CONCURRENT,
+  tokensPerMinute = DEFAULT_TOKENS_PER_MINUTE,
+  onPause = () => {}
+} = {}) {
+  const queue = [];
+  const usage = [];
+  let running = 0;
+  let sequence = 0;
+  let pausedUntil = 0;
+  let wakeTimer = null;
+  let wakeAt = 0;
+
+  const tokensInWindow = (now) => {
+    while (usage.length > 0 && usage[0].at <= now - TOKEN_WINDOW_MS) {
+      usage.shift();
+    }
+    return usage.reduce((total, entry) => total + entry.tokens, 0);
+  };
+
+  // Wachttijd tot het request binnen de token limiet past (een te groot request mag alleen)
+  const tokenWait = (tokens, now) => {
+    if (tokensPerMinute <= 0) return 0;
+    let used = tokensInWindow(now);
+    if (used === 0 || used + tokens <= tokensPerMinute) return 0;
+
+    // De oudste requests vallen het eerst uit het venster
+    for (const entry of usage) {
+      used -= entry.tokens;
+      if (used === 0 || used + tokens <= tokensPerMinute) {
+        return entry.at + TOKEN_WINDOW_MS - now;
+      }
+    }
+    return 0;
+  };
+
+  const wakeUpIn = (ms) => {
+    const at = Date.now() + ms;
+    if (wakeTimer && wakeAt <= at) return;
+    clearTimeout(wakeTimer);
+    wakeAt = at;
+    wakeTimer = setTimeout(() => {
+      wakeTimer = null;
+      dispatch();
+    }, ms);
+    wakeTimer.unref?.();
+  };
+
+  const enqueue = (entry) => {
+    // Sorteren op klasse, daarbinnen op volgorde van aanvraag
+    const index = queue.findIndex(other => other.rank > entry.rank || (other.rank === entry.rank && other.sequence > entry.sequence));
+    queue.splice(index === -1 ? queue.length : index, 0, entry);
+  };
+
+  const start = (entry, now) => {
+    running++;
+    const usageEntry = { at: now, tokens: entry.tokens };
+    usage.push(usageEntry);
+
+    Promise.resolve()
+      .then(entry.task)
+      .then(
+        (result) => {
+          // Een completion van de provider bevat het echte verbruik
+          const actual = parseInt(result?.usage?.total_tokens);
+          if (!isNaN(actual)) usageEntry.tokens = actual;
+          entry.resolve(result);
+        },
+        (error) => {
+          if (isPushback(error) && entry.pushbacks < MAX_PUSHBACK_RETRIES) {
+            // Een geweigerd request telt niet mee voor de token limiet
+            usageEntry.tokens = 0;
+            const delay = getRetryAfter(error) ?? Math.min(DEFAULT_PUSHBACK_MS * 2 ** entry.pushbacks, MAX_PUSHBACK_MS);
+            entry.pushbacks++;
+            pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+            onPause(delay, error);
+            enqueue(entry);
+            return;
+          }
+          entry.reject(isPushback(error) ? createRateLimitError(error) : error);
+        }
+      )
+      .finally(() => {
+        running--;
+        dispatch();
+      });
+  };
+
+  function dispatch() {
+    while (running < maxConcurrent && queue.length > 0) {
+      const now = Date.now();
+      if (now < pausedUntil) {
+        wakeUpIn(pausedUntil - now);
+        return;
+      }
+
+      const wait = tokenWait(queue[0].tokens, now);
+      if (wait > 0) {
+        wakeUpIn(wait);
+        return;
+      }
+
+      start(queue.shift(), now);
+    }
+  }
+
+  /**
+   * Plan een LLM request in
+   * @param {Function} task - Async functie die het request uitvoert
+   * @param {object} options
+   * @param {string} options.priority - Prioriteitsklasse (zie PRIORITY_CLASSES)
+   * @param {number} options.tokens - Geschat aantal tokens
+   * @returns {Promise<any>} - Resultaat van de task
+   */
+  function schedule(task, { priority = DEFAULT_PRIORITY, tokens = 0 } = {}) {
+    const rank = PRIORITY_CLASSES.indexOf(priority);
+    return new Promise((resolve, reject) => {
+      enqueue({
+        task,
+        priority,
+        rank: rank === -1 ? PRIORITY_CLASSES.indexOf(DEFAULT_PRIORITY) : rank,
+        sequence: sequence++,
+        tokens,
+        pushbacks: 0,
+        resolve,
+        reject
+      });
+      dispatch();
+    });
+  }
+
+  /**
+   * Huidige toestand van de scheduler
+   * @returns {object}
+   */
+  function getStats() {
+    const now = Date.now();
+    const queued = Object.fromEntries(PRIORITY_CLASSES.map(priority => [priority, 0]));
+    queue.forEach(entry => { queued[entry.priority]++; });
+    return {
+      running,
+      queued,
+      tokens_last_minute: tokensInWindow(now),
+      paused_until: pausedUntil > now ? new Date(pausedUntil).toISOString() : null,
+      max_concurrent: maxConcurrent,
+      tokens_per_minute: tokensPerMinute || null
+    };
+  }
+
+  return { schedule, getStats };
+}
+
+const scheduler = createScheduler({
+  onPause: (delay, error) => {
+    console.warn(`[API] AI: Provider pushed back (${error.response?.status || error.message}), pausing AI requests for ${Math.round(delay / 1000)}s`);
+  }
+});
+
+module.exports = {
+  scheduleAIRequest: scheduler.schedule,
+  getAISchedulerStats: scheduler.getStats,
+  createScheduler,
+  getAnalysisPriority,
+  estimateRequestTokens,
+  PRIORITY_CLASSES,
+  DEFAULT_PRIORITY
+};
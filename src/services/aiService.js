@@ -1,11 +1,54 @@
-const axios = require('axios');
+const {
+  buildRubricPrompt,
+  parseCriteriaScores,
+  aggregateCriteriaScores
+} = require('./rubricService');
+const { resolveProvider } = require('./llm');
+const { OPENAI_MODEL, OPENAI_TIMEOUT } = require('./llm/openaiProvider');
+const { hashAnalysisSettings } = require('./incrementalAnalysisService');
+const {
+  chunkContent,
+  mapLineNumber,
+  mergeChunkFeedback,
+  summarizeContent,
+  DEFAULT_CHUNK_TOKENS
+} = require('./chunkingService');
+const {
+  computeBlobSha,
+  buildCacheKey,
+  getCachedAnalysis,
+  storeCachedAnalysis
+} = require('./aiCacheService');
+const { validateSchema } = require('../utils/jsonSchema');
+const { recordUsage } = require('./usageService');
+const { getPromptTemplate, renderPromptTemplate, SYSTEM_PLACEHOLDERS } = require('./promptTemplates');
+const { anchorFeedback } = require('./feedbackAnchorService');
+const { lintFile, dedupeAgainstFindings } = require('./linters');
+const { scheduleAIRequest, estimateRequestTokens, DEFAULT_PRIORITY } = require('./aiScheduler');
+const { isTransientAIError } = require('../utils/retry');
 
 /**
- * OpenAI API configuratie
+ * Versie van de prompts - verhoog bij elke wijziging aan buildSystemPrompt/buildUserPrompt
+ * zodat gecachte resultaten van oude prompts niet meer gebruikt worden
  */
-const OPENAI_API_BASE = 'https://api.openai.com/v1';
-const OPENAI_MODEL = 'gpt-5-mini'; // GPT-5 mini model
-const OPENAI_TIMEOUT = 120000; // 120s timeout voor Dokploy
+const PROMPT_VERSION = '4';
+
+/**
+ * Maximum aantal feedback items per bestand
+ */
+const MAX_FEEDBACK_PER_FILE = 10;
+
+const SEVERITY_ORDER = { critical: 4, high: 3, medium: 2, low: 1 };
+
+/**
+ * Aantal keer dat we een ongeldige response terugsturen naar het model om te laten herstellen
+ */
+const MAX_REPAIR_ATTEMPTS = 1;
+
+/**
+ * Maximum lengte van de ongeldige response die we meesturen in de repair prompt
+ */
+const MAX_REPAIR_ECHO_CHARS = 4000;
 
 /**
  * Feedback categorieën die we van de AI verwachten
@@ -35,127 +78,446 @@ const SEVERITY_MAP = {
 };
 
 /**
- * Bouw de system prompt voor code analyse
- * @param {object} courseSettings - Course settings met rubric en guidelines
+ * Bouw het JSON schema van een AI response
+ * Zonder strict zijn enkel type, severity en content verplicht. De strict variant is bedoeld
+ * voor structured output modes: alle velden verplicht (nullable waar optioneel) en geen extra velden.
+ * @param {Array|null} rubricCriteria - Rubric criteria
+ * @param {object} options - Opties
+ * @param {boolean} options.strict - Strict variant voor structured output
+ * @param {Array<string>} options.feedbackTypes - Toegelaten feedback types (standaard FEEDBACK_TYPES)
+ * @returns {object}
+ */
+function buildResponseSchema(rubricCriteria = null, { strict = false, feedbackTypes = FEEDBACK_TYPES } = {}) {
+  const objectSchema = (properties, required) => ({
+    type: 'object',
+    properties,
+    required: strict ? Object.keys(properties) : required,
+    ...(strict ? { additionalProperties: false } : {})
+  });
+
+  const itemProperties = {
+    type: { type: 'string', enum: feedbackTypes },
+    severity: { type: 'string', enum: ['critical', 'high', 'medium', 'low'] },
+    line_number: { type: ['integer', 'null'] },
+    end_line: { type: ['integer', 'null'] },
+    content: { type: 'string' },
+    suggestion: { type: ['string', 'null'] }
+  };
+
+  const properties = {};
+
+  if (rubricCriteria) {
+    const criterionIds = rubricCriteria.map(c => c.id);
+    const levelIds = [...new Set(rubricCriteria.flatMap(c => c.levels.map(l => l.id)))];
+
+    itemProperties.criterion_id = { type: ['string', 'null'], enum: [...criterionIds, null] };
+    properties.feedback = { type: 'array', items: objectSchema(itemProperties, ['type', 'severity', 'content']) };
+    properties.criteria_scores = {
+      type: 'array',
+      items: objectSchema({
+        criterion_id: { type: 'string', enum: criterionIds },
+        level: { type: 'string', enum: levelIds },
+        justification: { type: 'string' }
+      }, ['criterion_id', 'level'])
+    };
+  } else {
+    properties.feedback = { type: 'array', items: objectSchema(itemProperties, ['type', 'severity', 'content']) };
+  }
+
+  return objectSchema(properties, Object.keys(properties));
+}
+
+/**
+ * Parse en valideer een AI response tegen het response schema
+ * Een JSON array (zonder rubric gevraagd) wordt behandeld als { feedback: [...] }.
+ * @param {string|null} response - Raw AI response
+ * @param {Array|null} rubricCriteria - Rubric criteria
+ * @param {Array<string>} feedbackTypes - Toegelaten feedback types (standaard FEEDBACK_TYPES)
+ * @returns {{valid: boolean, errors: Array<string>, value: object|null}}
+ */
+function validateAIResponse(response, rubricCriteria = null, feedbackTypes = FEEDBACK_TYPES) {
+  if (!response || !response.trim()) {
+    return { valid: false, errors: ['Leeg antwoord'], value: null };
+  }
+
+  const parsed = extractJSON(response);
+  if (parsed === null) {
+    return { valid: false, errors: ['Antwoord is geen geldige JSON'], value: null };
+  }
+
+  const value = Array.isArray(parsed) ? { feedback: parsed } : parsed;
+  const errors = validateSchema(value, buildResponseSchema(rubricCriteria, { feedbackTypes }));
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Bouw de repair prompt: de originele opdracht plus het ongeldige antwoord en de validatiefouten
+ * @param {string} userPrompt - Originele user prompt
+ * @param {string|null} response - Ongeldig antwoord
+ * @param {Array<string>} errors - Validatiefouten
  * @returns {string}
  */
-function buildSystemPrompt(courseSettings) {
-  let prompt = `Je bent een ervaren code reviewer en programmeer docent. Je analyseert code van studenten en geeft constructieve, educatieve feedback.
-
-Je feedback moet:
-- Specifiek en actionable zijn
-- Uitleggen WAAROM iets beter kan (educatief)
-- Concrete verbetervoorstellen bevatten
-- Geschikt zijn voor studenten die nog leren
-- In het Nederlands zijn
-
-Je geeft feedback in de volgende categorieën:
-- code_quality: Algemene codekwaliteit
-- best_practices: Best practices en conventies
-- security: Beveiligingsissues
-- performance: Performance problemen
-- maintainability: Onderhoudbaarheid
-- documentation: Documentatie en comments
-- error_handling: Foutafhandeling
-- naming: Naamgeving van variabelen, functies, etc.
-- structure: Code structuur en organisatie
-
-Voor elke feedback item geef je:
-- type: De categorie (zie boven)
-- severity: critical, high, medium, of low
-- line_number: Het regelnummer waar de feedback over gaat (indien van toepassing)
-- content: De feedback tekst (wat is het probleem)
-- suggestion: Een concrete verbetersuggestie`;
-
-  // Voeg course-specifieke rubric toe indien beschikbaar
-  if (courseSettings?.rubric) {
-    prompt += `\n\nBEOORDELINGSRUBRIC VOOR DEZE CURSUS:
+function buildRepairPrompt(userPrompt, response, errors, feedbackLanguage = null) {
+  const { repair } = getPromptTemplate(feedbackLanguage);
+  const previous = String(response || '').substring(0, MAX_REPAIR_ECHO_CHARS);
+
+  return `${userPrompt}
+
+${repair.intro}
+
+${repair.previousHeader}:
+${previous || repair.empty}
+
+${repair.errorsHeader}:
+${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
+
+${repair.closing}`;
+}
+
+/**
+ * Bepaal of structured output gebruikt wordt voor een provider
+ * @param {object} provider - LLM provider
+ * @returns {boolean}
+ */
+function useStructuredOutput(provider) {
+  return !!provider.supportsStructuredOutput && process.env.AI_STRUCTURED_OUTPUT !== 'false';
+}
+
+/**
+ * Haal de gestructureerde rubric criteria uit de settings (indien aanwezig)
+ * @param {object} courseSettings - Course settings
+ * @returns {Array|null}
+ */
+function getRubricCriteria(courseSettings) {
+  const criteria = courseSettings?.rubric_criteria;
+  return Array.isArray(criteria) && criteria.length > 0 ? criteria : null;
+}
+
+/**
+ * Haal de eigen feedback categorieën van de opdracht uit de settings (indien aanwezig)
+ * @param {object} courseSettings - Course settings
+ * @returns {Array<{id: string, label: string, description: string}>|null}
+ */
+function getFeedbackCategories(courseSettings) {
+  const categories = courseSettings?.feedback_categories;
+  return Array.isArray(categories) && categories.length > 0 ? categories : null;
+}
+
+/**
+ * Bepaal de feedback types die de AI mag gebruiken
+ * @param {object} courseSettings - Course settings
+ * @returns {Array<string>} - Ids van de eigen categorieën, anders FEEDBACK_TYPES
+ */
+function getFeedbackTypes(courseSettings) {
+  const categories = getFeedbackCategories(courseSettings);
+  return categories ? categories.map(category => category.id) : FEEDBACK_TYPES;
+}
+
+/**
+ * Bepaal de prompt versie van een analyse run
+ * @param {object} courseSettings - Course settings (prompt_template = template uit de database)
+ * @returns {string} - 'builtin-<PROMPT_VERSION>' of 'template-<versie>'
+ */
+function getPromptVersion(courseSettings) {
+  const template = courseSettings?.prompt_template;
+  return template ? `template-${template.version}` : `builtin-${PROMPT_VERSION}`;
+}
+
+/**
+ * Bouw de onderdelen van de system prompt (zie SYSTEM_PLACEHOLDERS)
+ * @param {object} courseSettings - Course settings met rubric en guidelines
+ * @returns {object} - Tekst per onderdeel, lege string als het onderdeel niet van toepassing is
+ */
+function buildSystemPromptSections(courseSettings) {
+  const template = getPromptTemplate(courseSettings?.feedback_language);
+  const list = (items) => items.map(item => `- ${item}`).join('\n');
+
+  // Eigen categorieën van de docent vervangen de standaard categorieën
+  const customCategories = getFeedbackCategories(courseSettings);
+  const categoryLines = customCategories
+    ? customCategories.map(category => `${category.id}: ${category.label && category.label !== category.id ? `${category.label} - ` : ''}${category.description}`)
+    : FEEDBACK_TYPES.map(type => `${type}: ${template.categories[type]}`);
+  const feedbackTypes = getFeedbackTypes(courseSettings);
+  const exampleTypes = customCategories
+    ? [feedbackTypes[0], feedbackTypes[1 % feedbackTypes.length]]
+    : ['naming', 'error_handling'];
+
+  const sections = {
+    intro: template.intro,
+    requirements: `${template.requirementsHeader}\n${list(template.requirements)}`,
+    categories: `${template.categoriesHeader}\n${list(categoryLines)}`,
+    fields: `${template.fieldsHeader}\n${list(Object.entries(template.fields).map(([field, description]) => `${field}: ${description}`))}`,
+    rubric: '',
+    guidelines: '',
+    response_format: ''
+  };
+
+  const rubricCriteria = getRubricCriteria(courseSettings);
+
+  // Gestructureerde rubric: beoordeling per criterium
+  if (rubricCriteria) {
+    sections.rubric = `${template.assignmentRubricHeader}:
+${buildRubricPrompt(rubricCriteria, template.rubricLabels)}
+
+${template.assignmentRubricInstructions}`;
+  } else if (courseSettings?.rubric) {
+    // Voeg course-specifieke rubric toe indien beschikbaar
+    sections.rubric = `${template.courseRubricHeader}:
 ${courseSettings.rubric}
 
-Gebruik deze rubric als leidraad bij het beoordelen van de code.`;
+${template.courseRubricInstructions}`;
   }
 
   // Voeg AI guidelines toe indien beschikbaar
   if (courseSettings?.ai_guidelines) {
-    prompt += `\n\nSPECIFIEKE INSTRUCTIES VOOR DEZE CURSUS:
+    sections.guidelines = `${template.guidelinesHeader}:
 ${courseSettings.ai_guidelines}`;
   }
 
-  prompt += `\n\nRESPONS FORMAT:
-Geef je feedback als een JSON array met objecten. Voorbeeld:
+  const { examples } = template;
+
+  if (rubricCriteria) {
+    sections.response_format = `${template.responseFormatHeader}:
+${template.objectFormatIntro}
+{
+  "feedback": [
+    {
+      "type": "${exampleTypes[0]}",
+      "severity": "low",
+      "line_number": 5,
+      "end_line": null,
+      "content": ${JSON.stringify(examples.namingContent)},
+      "suggestion": ${JSON.stringify(examples.namingSuggestion)},
+      "criterion_id": "${rubricCriteria[0].id}"
+    }
+  ],
+  "criteria_scores": [
+    {
+      "criterion_id": "${rubricCriteria[0].id}",
+      "level": "${rubricCriteria[0].levels[0].id}",
+      "justification": ${JSON.stringify(examples.justification)}
+    }
+  ]
+}
+
+${template.importantHeader}:
+${list(template.objectRules)}`;
+
+    return sections;
+  }
+
+  sections.response_format = `${template.responseFormatHeader}:
+${template.arrayFormatIntro}
 [
   {
-    "type": "naming",
+    "type": "${exampleTypes[0]}",
     "severity": "low",
     "line_number": 5,
-    "content": "De variabele naam 'x' is niet descriptief.",
-    "suggestion": "Gebruik een beschrijvende naam zoals 'userCount' of 'totalItems'."
+    "end_line": null,
+    "content": ${JSON.stringify(examples.namingContent)},
+    "suggestion": ${JSON.stringify(examples.namingSuggestion)}
   },
   {
-    "type": "error_handling",
+    "type": "${exampleTypes[1]}",
     "severity": "high",
     "line_number": 12,
-    "content": "Deze async functie heeft geen try-catch block.",
-    "suggestion": "Wrap de code in een try-catch block om errors correct af te handelen."
+    "end_line": 20,
+    "content": ${JSON.stringify(examples.errorHandlingContent)},
+    "suggestion": ${JSON.stringify(examples.errorHandlingSuggestion)}
   }
 ]
 
-BELANGRIJK:
-- Geef ALLEEN de JSON array terug, geen andere tekst
-- Als de code goed is en geen feedback nodig heeft, geef een lege array: []
-- Focus op de belangrijkste verbeterpunten (max 10 items per bestand)
-- Wees constructief, niet negatief`;
+${template.importantHeader}:
+${list(template.arrayRules)}`;
 
-  return prompt;
+  return sections;
+}
+
+/**
+ * Bouw de system prompt voor code analyse
+ * Met een prompt template uit de database (courseSettings.prompt_template) worden de
+ * onderdelen in die template ingevuld, anders in de vaste volgorde van SYSTEM_PLACEHOLDERS.
+ * @param {object} courseSettings - Course settings met rubric en guidelines
+ * @returns {string}
+ */
+function buildSystemPrompt(courseSettings) {
+  const sections = buildSystemPromptSections(courseSettings);
+  const promptTemplate = courseSettings?.prompt_template;
+
+  if (promptTemplate?.system_prompt) {
+    // Lege onderdelen (geen rubric, geen guidelines) laten geen gaten achter
+    return renderPromptTemplate(promptTemplate.system_prompt, sections)
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  return SYSTEM_PLACEHOLDERS
+    .map(name => sections[name])
+    .filter(section => section)
+    .join('\n\n');
 }
 
 /**
  * Bouw de user prompt voor een specifiek bestand
  * @param {string} filePath - Bestandspad
- * @param {string} content - Bestandsinhoud
+ * @param {string} content - Bestandsinhoud (of fragment)
  * @param {string} language - Programmeertaal
+ * @param {object} chunkInfo - Fragment info bij opgesplitste bestanden (optioneel)
+ * @param {string} feedbackLanguage - Taal van de feedback (optioneel, standaard Nederlands)
+ * @param {object} promptTemplate - Prompt template uit de database (optioneel)
+ * @param {Array} lintFindings - Linter bevindingen met regelnummers relatief aan content (optioneel)
  * @returns {string}
  */
-function buildUserPrompt(filePath, content, language) {
-  return `Analyseer het volgende ${language} bestand en geef feedback:
-
-BESTAND: ${filePath}
-TAAL: ${language}
-
-CODE:
+function buildUserPrompt(filePath, content, language, chunkInfo = null, feedbackLanguage = null, promptTemplate = null, lintFindings = []) {
+  const { userPrompt } = getPromptTemplate(feedbackLanguage);
+  const sections = {
+    instruction: userPrompt.instruction(language),
+    file: `${userPrompt.file}: ${filePath}`,
+    language: `${userPrompt.language}: ${language}`,
+    fragment: chunkInfo ? userPrompt.fragment(chunkInfo) : '',
+    code: `${userPrompt.code}:
 \`\`\`${language}
 ${content}
-\`\`\`
+\`\`\``,
+    linter: lintFindings.length > 0 ? userPrompt.linter(lintFindings) : '',
+    closing: userPrompt.closing
+  };
+
+  if (promptTemplate?.user_prompt) {
+    return renderPromptTemplate(promptTemplate.user_prompt, sections);
+  }
+
+  const fragment = sections.fragment ? `${sections.fragment}\n` : '';
+  const linter = sections.linter ? `${sections.linter}\n\n` : '';
+
+  return `${sections.instruction}
 
-Geef je feedback als JSON array.`;
+${sections.file}
+${sections.language}
+${fragment}
+${sections.code}
+
+${linter}${sections.closing}`;
 }
 
 /**
- * Maak OpenAI API headers
- * @returns {object}
+ * Analyseer een enkel bestand met de geconfigureerde LLM provider
+ * @param {string} filePath - Bestandspad
+ * @param {string} content - Bestandsinhoud
+ * @param {string} language - Programmeertaal
+ * @param {object} courseSettings - Course settings
+ * @returns {Promise<Array>} - Array van feedback items
  */
-function getOpenAIHeaders() {
-  const apiKey = process.env.OPENAI_API_KEY;
+async function analyzeFile(filePath, content, language, courseSettings) {
+  const result = await requestFileAnalysis(filePath, content, language, courseSettings);
+  return result.feedback;
+}
 
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY is niet geconfigureerd');
+/**
+ * Bouw de samenvattingsnotities voor een ingekort bestand
+ * @param {string} filePath - Bestandspad
+ * @param {object} chunking - Resultaat van chunkContent
+ * @param {string} feedbackLanguage - Taal van de notities (optioneel)
+ * @returns {Array<string>}
+ */
+function buildTrimNotes(filePath, chunking, feedbackLanguage = null) {
+  if (!chunking.trimmed) {
+    return [];
   }
+  return [getPromptTemplate(feedbackLanguage).notes.trimmed(filePath, chunking.totalLines, chunking.analyzedLines)];
+}
+
+/**
+ * Vraag de AI analyse van een bestand op, inclusief rubric beoordeling
+ * Grote bestanden worden in fragmenten geanalyseerd en daarna samengevoegd.
+ * @param {string} filePath - Bestandspad
+ * @param {string} content - Bestandsinhoud
+ * @param {string} language - Programmeertaal
+ * @param {object} courseSettings - Course settings
+ * @param {object} chunking - Resultaat van chunkContent (optioneel, anders berekend)
+ * @param {Function} onUsage - Callback per LLM call: (completion, stage) (optioneel)
+ * @param {Array} lintFindings - Linter bevindingen van het bestand, zodat de AI ze niet herhaalt (optioneel)
+ * @param {string} priority - Prioriteitsklasse in de AI scheduler (optioneel)
+ * @returns {Promise<{feedback: Array, criteriaScores: Array, notes: Array<string>, failed?: boolean, error?: string}>}
+ */
+async function requestFileAnalysis(filePath, content, language, courseSettings, chunking = null, onUsage = null, lintFindings = [], priority = DEFAULT_PRIORITY) {
+  const rubricCriteria = getRubricCriteria(courseSettings);
+  const fileChunking = chunking || chunkContent(content, { language });
+  const { chunks, trimmed } = fileChunking;
+  const notes = buildTrimNotes(filePath, fileChunking, courseSettings?.feedback_language);
+
+  if (chunks.length === 1) {
+    const result = await requestChunkAnalysis(filePath, chunks[0].content, language, courseSettings, rubricCriteria, null, onUsage, lintFindings, priority);
+    return { ...result, notes };
+  }
+
+  console.log(`[API] AI: ${filePath} split into ${chunks.length} chunks${trimmed ? ' (trimmed)' : ''}`);
+
+  const feedback = [];
+  const perChunkScores = [];
+  let failedChunks = 0;
+  let firstError = null;
+
+  for (const chunk of chunks) {
+    const chunkInfo = { ...chunk, count: chunks.length };
+    // Enkel de bevindingen binnen dit fragment, met regelnummers relatief aan het fragment
+    const chunkFindings = lintFindings
+      .filter(f => f.line_number >= chunk.startLine && f.line_number <= chunk.endLine)
+      .map(f => ({ ...f, line_number: f.line_number - chunk.startLine + 1 }));
+    const result = await requestChunkAnalysis(filePath, chunk.content, language, courseSettings, rubricCriteria, chunkInfo, onUsage, chunkFindings, priority);
+
+    if (result.failed) {
+      failedChunks++;
+      firstError = firstError || `Fragment ${chunk.startLine}-${chunk.endLine}: ${result.error}`;
+    }
+
+    // Regelnummers terugzetten naar het originele bestand, regels buiten het fragment worden gemarkeerd
+    feedback.push(...result.feedback.map(item => {
+      const lineNumber = mapLineNumber(item.line_number, chunk);
+      return {
+        ...item,
+        line_number: lineNumber,
+        end_line: lineNumber !== null ? mapLineNumber(item.end_line, chunk) : null,
+        ...(item.line_number !== null && lineNumber === null ? { line_status: 'out_of_range' } : {})
+      };
+    }));
+
+    if (result.criteriaScores.length > 0) {
+      perChunkScores.push({ file_path: `${filePath}:${chunk.startLine}-${chunk.endLine}`, scores: result.criteriaScores });
+    }
+  }
+
+  const merged = mergeChunkFeedback(feedback)
+    .sort((a, b) => (SEVERITY_ORDER[b.severity] || 0) - (SEVERITY_ORDER[a.severity] || 0))
+    .slice(0, MAX_FEEDBACK_PER_FILE);
 
   return {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${apiKey}`
+    feedback: merged,
+    criteriaScores: rubricCriteria ? aggregateCriteriaScores(perChunkScores, rubricCriteria) : [],
+    notes,
+    // Een gedeeltelijk mislukte analyse mag niet als volledig resultaat gecached worden
+    failed: failedChunks > 0,
+    ...(firstError ? { error: firstError } : {})
   };
 }
 
 /**
- * Analyseer een enkel bestand met OpenAI
+ * Vraag de AI analyse van één (fragment van een) bestand op
  * @param {string} filePath - Bestandspad
- * @param {string} content - Bestandsinhoud
+ * @param {string} content - Inhoud van het bestand of fragment
  * @param {string} language - Programmeertaal
  * @param {object} courseSettings - Course settings
- * @returns {Promise<Array>} - Array van feedback items
+ * @param {Array|null} rubricCriteria - Rubric criteria
+ * @param {object|null} chunkInfo - Fragment info (null bij een volledig bestand)
+ * @param {Function} onUsage - Callback per LLM call: (completion, stage) (optioneel)
+ * @param {Array} lintFindings - Linter bevindingen binnen deze inhoud (optioneel)
+ * @param {string} priority - Prioriteitsklasse in de AI scheduler (optioneel)
+ * @returns {Promise<{feedback: Array, criteriaScores: Array, failed?: boolean, error?: string}>}
+ * @throws {Error} - Bij een tijdelijke fout van de provider (zie isTransientAIError), zodat de
+ *   analyse opnieuw geprobeerd kan worden in plaats van het bestand als onvolledig te markeren
  */
-async function analyzeFile(filePath, content, language, courseSettings) {
+async function requestChunkAnalysis(filePath, content, language, courseSettings, rubricCriteria, chunkInfo, onUsage = null, lintFindings = [], priority = DEFAULT_PRIORITY) {
   try {
     console.log(`[API] AI: analyzeFile called with courseSettings:`, {
       hasRubric: !!courseSettings?.rubric,
@@ -165,50 +527,65 @@ async function analyzeFile(filePath, content, language, courseSettings) {
     });
 
     const systemPrompt = buildSystemPrompt(courseSettings);
-    const userPrompt = buildUserPrompt(filePath, content, language);
-
-    const response = await axios.post(
-      `${OPENAI_API_BASE}/chat/completions`,
-      {
-        model: OPENAI_MODEL,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        max_completion_tokens: 16000  // GPT-5 mini gebruikt reasoning tokens, dus we hebben meer nodig
-      },
-      {
-        headers: getOpenAIHeaders(),
-        timeout: OPENAI_TIMEOUT
-      }
+    const userPrompt = buildUserPrompt(
+      filePath, content, language, chunkInfo, courseSettings?.feedback_language, courseSettings?.prompt_template, lintFindings
     );
+    const { provider, model } = resolveProvider(courseSettings);
+    const feedbackTypes = getFeedbackTypes(courseSettings);
+    const responseSchema = useStructuredOutput(provider)
+      ? { name: 'code_feedback', schema: buildResponseSchema(rubricCriteria, { strict: true, feedbackTypes }) }
+      : null;
+
+    console.log(`[API] AI: Using provider ${provider.name} (${model}) for ${filePath}${responseSchema ? ' with structured output' : ''}`);
+
+    const request = async (prompt, stage) => {
+      const completion = await scheduleAIRequest(
+        () => provider.complete({
+          systemPrompt,
+          userPrompt: prompt,
+          model,
+          responseSchema,
+          context: { filePath, content, language, rubricCriteria }
+        }),
+        { priority, tokens: estimateRequestTokens(systemPrompt, prompt) }
+      );
+      if (onUsage) {
+        await onUsage(completion, stage);
+      }
+      return completion;
+    };
 
-    // Log de volledige response structuur voor debugging
-    console.log(`[API] AI response structure:`, JSON.stringify({
-      hasData: !!response.data,
-      hasChoices: !!response.data?.choices,
-      choicesLength: response.data?.choices?.length,
-      firstChoice: response.data?.choices?.[0],
-      usage: response.data?.usage
-    }, null, 2));
+    let aiResponse = (await request(userPrompt, 'file')).content;
+    let validation = validateAIResponse(aiResponse, rubricCriteria, feedbackTypes);
 
-    const aiResponse = response.data.choices[0]?.message?.content;
+    // Repair round-trip: stuur de validatiefouten terug naar het model
+    for (let attempt = 1; !validation.valid && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+      logAIEvent('repair', `${filePath} attempt ${attempt}: ${validation.errors.slice(0, 3).join('; ')}`);
+      aiResponse = (await request(buildRepairPrompt(userPrompt, aiResponse, validation.errors, courseSettings?.feedback_language), 'repair')).content;
+      validation = validateAIResponse(aiResponse, rubricCriteria, feedbackTypes);
+    }
 
-    if (!aiResponse) {
-      console.warn(`[API] AI: No response for ${filePath}`);
-      console.warn(`[API] AI: Full response data:`, JSON.stringify(response.data));
-      return [];
+    if (!validation.valid) {
+      console.warn(`[API] AI: Invalid response for ${filePath} after repair:`, validation.errors.slice(0, 5));
+      return {
+        feedback: [],
+        criteriaScores: [],
+        failed: true,
+        error: `Ongeldig AI antwoord: ${validation.errors[0]}`
+      };
     }
 
     // Log de ruwe AI response voor debugging
     console.log(`[API] AI raw response for ${filePath}:`, aiResponse.substring(0, 500));
 
-    // Parse JSON response
-    const feedbackItems = parseAIResponse(aiResponse, filePath);
+    const feedbackItems = parseAIResponse(aiResponse, filePath, rubricCriteria, feedbackTypes);
+    const criteriaScores = rubricCriteria
+      ? parseCriteriaScores(validation.value.criteria_scores, rubricCriteria)
+      : [];
 
-    console.log(`[API] AI parsed feedback items: ${feedbackItems.length}`);
+    console.log(`[API] AI parsed feedback items: ${feedbackItems.length}, criteria scores: ${criteriaScores.length}`);
 
-    return feedbackItems;
+    return { feedback: feedbackItems, criteriaScores };
   } catch (error) {
     console.error(`[API] AI error analyzing ${filePath}:`, error.message);
 
@@ -217,18 +594,46 @@ async function analyzeFile(filePath, content, language, courseSettings) {
       console.error('[API] AI error data:', JSON.stringify(error.response.data));
     }
 
-    // Return lege array bij fout, niet crashen
-    return [];
+    // Tijdelijk (5xx, timeout, netwerk): de verwerking probeert de analyse opnieuw
+    if (isTransientAIError(error)) {
+      throw error;
+    }
+
+    // Geen crash, maar het bestand telt als niet geanalyseerd
+    return { feedback: [], criteriaScores: [], failed: true, error: `AI fout: ${error.message}` };
   }
 }
 
 /**
- * Parse de AI response en valideer de feedback items
+ * Extract en parse de JSON uit een AI response (optioneel in markdown code block)
  * @param {string} response - Raw AI response
+ * @returns {any|null} - Geparste JSON of null bij ongeldige JSON
+ */
+function extractJSON(response) {
+  try {
+    let jsonStr = response.trim();
+
+    // Als response in markdown code block zit, extract de JSON
+    const jsonMatch = jsonStr.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (jsonMatch) {
+      jsonStr = jsonMatch[1].trim();
+    }
+
+    return JSON.parse(jsonStr);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse de AI response en valideer de feedback items
+ * @param {string} response - Raw AI response (array, of object met feedback array bij rubric)
  * @param {string} filePath - Bestandspad voor context
+ * @param {Array} rubricCriteria - Rubric criteria om criterion_id tegen te valideren (optioneel)
+ * @param {Array<string>} feedbackTypes - Toegelaten feedback types (standaard FEEDBACK_TYPES)
  * @returns {Array}
  */
-function parseAIResponse(response, filePath) {
+function parseAIResponse(response, filePath, rubricCriteria = null, feedbackTypes = FEEDBACK_TYPES) {
   try {
     // Probeer JSON te extracten uit de response
     let jsonStr = response.trim();
@@ -244,7 +649,12 @@ function parseAIResponse(response, filePath) {
 
     console.log(`[API] AI: Attempting to parse JSON: ${jsonStr.substring(0, 200)}...`);
 
-    const parsed = JSON.parse(jsonStr);
+    let parsed = JSON.parse(jsonStr);
+
+    // Rubric format: { feedback: [...], criteria_scores: [...] }
+    if (parsed && !Array.isArray(parsed) && Array.isArray(parsed.feedback)) {
+      parsed = parsed.feedback;
+    }
 
     console.log(`[API] AI: Parsed successfully, isArray: ${Array.isArray(parsed)}, length: ${parsed?.length}`);
 
@@ -253,18 +663,24 @@ function parseAIResponse(response, filePath) {
       return [];
     }
 
+    const criterionIds = Array.isArray(rubricCriteria) ? rubricCriteria.map(c => c.id) : [];
+    // Onbekende types komen in code_quality, of in de eerste eigen categorie van de docent
+    const fallbackType = feedbackTypes.includes('code_quality') ? 'code_quality' : feedbackTypes[0];
+
     // Valideer en normaliseer elk feedback item
     return parsed
       .filter(item => item && typeof item === 'object')
       .map(item => ({
         file_path: filePath,
-        type: FEEDBACK_TYPES.includes(item.type) ? item.type : 'code_quality',
+        type: feedbackTypes.includes(item.type) ? item.type : fallbackType,
         severity: SEVERITY_MAP[item.severity?.toLowerCase()] || 'low',
         line_number: typeof item.line_number === 'number' ? item.line_number : null,
+        end_line: typeof item.end_line === 'number' ? item.end_line : null,
         content: String(item.content || 'Geen details beschikbaar'),
-        suggestion: item.suggestion ? String(item.suggestion) : null
+        suggestion: item.suggestion ? String(item.suggestion) : null,
+        criterion_id: criterionIds.includes(item.criterion_id) ? item.criterion_id : null
       }))
-      .slice(0, 10); // Max 10 items per bestand
+      .slice(0, MAX_FEEDBACK_PER_FILE);
   } catch (parseError) {
     console.warn(`[API] AI: Could not parse response for ${filePath}:`, parseError.message);
     console.warn(`[API] AI: Raw response:`, response.substring(0, 500));
@@ -276,15 +692,43 @@ function parseAIResponse(response, filePath) {
  * Analyseer meerdere bestanden
  * @param {Array<{path: string, content: string, language: string}>} files - Bestanden om te analyseren
  * @param {object} courseSettings - Course settings
- * @returns {Promise<{success: boolean, feedback: Array, summary: object}>}
+ * @param {object} options - Opties
+ * @param {number} options.submissionId - Submission waaraan het verbruik gekoppeld wordt
+ * @param {string} options.priority - Prioriteitsklasse in de AI scheduler (zie getAnalysisPriority)
+ * @param {Function} options.isCancelled - Async check vóór elk bestand; true = stoppen (bv. een nieuwere commit)
+ * @returns {Promise<{success: boolean, incomplete: boolean, cancelled?: boolean, feedback: Array, analyzed_files: Array, summary: object}>}
  */
-async function analyzeFiles(files, courseSettings) {
+async function analyzeFiles(files, courseSettings, options = {}) {
+  const { submissionId = null, priority = DEFAULT_PRIORITY, isCancelled = null } = options;
   const allFeedback = [];
+  const criteriaScoresPerFile = [];
+  const analyzedFiles = [];
+  const { provider, model } = resolveProvider(courseSettings);
+  const settingsHash = hashAnalysisSettings(courseSettings);
+  const promptVersion = getPromptVersion(courseSettings);
+  const feedbackTypes = getFeedbackTypes(courseSettings);
+  const fallbackType = feedbackTypes.includes('code_quality') ? 'code_quality' : feedbackTypes[0];
+  // Een template uit de database vult de ingebouwde onderdelen in, dus beide versies horen in de cache key
+  const cachePromptVersion = courseSettings?.prompt_template
+    ? `${PROMPT_VERSION}:${DEFAULT_CHUNK_TOKENS}:${promptVersion}`
+    : `${PROMPT_VERSION}:${DEFAULT_CHUNK_TOKENS}`;
   const summary = {
     files_analyzed: 0,
     total_feedback: 0,
     by_severity: { critical: 0, high: 0, medium: 0, low: 0 },
-    by_type: {}
+    by_type: {},
+    provider: provider.name,
+    model,
+    prompt_version: promptVersion,
+    cache_hits: 0,
+    cache_misses: 0,
+    trimmed_files: 0,
+    out_of_range_lines: 0,
+    lint_findings: 0,
+    lint_duplicates_removed: 0,
+    incomplete_files: [],
+    notes: [],
+    usage: { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, estimated_cost: 0 }
   };
 
   console.log(`[API] AI: Starting analysis of ${files.length} files`);
@@ -295,16 +739,135 @@ async function analyzeFiles(files, courseSettings) {
       continue;
     }
 
+    if (isCancelled && await isCancelled()) {
+      console.log(`[API] AI: Analysis cancelled after ${summary.files_analyzed}/${files.length} files`);
+      return {
+        success: false,
+        cancelled: true,
+        incomplete: true,
+        feedback: allFeedback,
+        analyzed_files: analyzedFiles,
+        summary
+      };
+    }
+
     console.log(`[API] AI: Analyzing ${file.path} (${file.language})`);
 
-    const feedback = await analyzeFile(
-      file.path,
-      file.content,
-      file.language || 'unknown',
-      courseSettings
-    );
+    // Chunking is deterministisch, dus ook bij een cache hit weten we of het bestand ingekort werd
+    const chunking = chunkContent(file.content, { language: file.language });
+    const notes = buildTrimNotes(file.path, chunking, courseSettings?.feedback_language);
+
+    // Statische analyse vóór de AI call: de bevindingen gaan mee in de prompt zodat de AI ze niet herhaalt
+    const lint = lintFile(file, { feedbackTypes, fallbackType });
+    const promptFindings = lint.findings.filter(finding => Number.isInteger(finding.line_number));
+
+    // Content-addressed cache: zelfde inhoud + settings + model + prompt = zelfde resultaat
+    // De bevindingen in de prompt volgen uit de inhoud, enkel de versie van de regelset hoort erbij
+    const blobSha = file.sha || computeBlobSha(file.content);
+    const filePromptVersion = promptFindings.length > 0 ? `${cachePromptVersion}:${lint.version}` : cachePromptVersion;
+    const cacheKey = buildCacheKey({
+      blobSha,
+      settingsHash,
+      model: `${provider.name}/${model}`,
+      promptVersion: filePromptVersion
+    });
+
+    let feedback;
+    let criteriaScores;
+    let failure = null;
+    const cached = await getCachedAnalysis(cacheKey);
+
+    if (cached) {
+      console.log(`[API] AI: Cache hit for ${file.path} (${blobSha})`);
+      summary.cache_hits++;
+      // Gecachte feedback kan van een ander pad komen (bv. gedeelde starter code)
+      feedback = cached.feedback.map(item => ({ ...item, file_path: file.path }));
+      criteriaScores = cached.criteriaScores;
+    } else {
+      summary.cache_misses++;
+      // Verbruik per LLM call bijhouden, gekoppeld aan vak, opdracht en submission
+      const onUsage = async (completion, stage) => {
+        const recorded = await recordUsage({
+          courseId: courseSettings?.course_id ?? null,
+          assignmentId: courseSettings?.assignment_id ?? null,
+          submissionId,
+          provider: provider.name,
+          model: completion.model || model,
+          stage,
+          filePath: file.path,
+          usage: completion.usage
+        });
+        summary.usage.calls++;
+        if (recorded) {
+          summary.usage.prompt_tokens += recorded.prompt_tokens;
+          summary.usage.completion_tokens += recorded.completion_tokens;
+          summary.usage.total_tokens += recorded.total_tokens;
+          summary.usage.estimated_cost += recorded.estimated_cost || 0;
+        }
+      };
+
+      const analysis = await requestFileAnalysis(
+        file.path,
+        file.content,
+        file.language || 'unknown',
+        courseSettings,
+        chunking,
+        onUsage,
+        promptFindings,
+        priority
+      );
+      feedback = analysis.feedback;
+      criteriaScores = analysis.criteriaScores;
+
+      if (analysis.failed) {
+        failure = analysis.error || 'AI analyse mislukt';
+      }
+
+      // Mislukte analyses niet cachen, anders blijft een fout als "geen feedback" hangen
+      if (!analysis.failed) {
+        await storeCachedAnalysis({
+          cacheKey,
+          blobSha,
+          settingsHash,
+          model: `${provider.name}/${model}`,
+          promptVersion: filePromptVersion,
+          assignmentId: courseSettings?.assignment_id,
+          feedback: feedback.map(({ file_path, ...item }) => item),
+          criteriaScores
+        });
+      }
+    }
+
+    // Regelnummers controleren tegen het bestand (ook bij een cache hit, de cache bewaart de ruwe items)
+    // AI items die een linter bevinding herhalen vallen weg: de bevinding van de linter is objectief
+    const findings = anchorFeedback(lint.findings, file.content);
+    const deduped = dedupeAgainstFindings(anchorFeedback(feedback, file.content), findings);
+    feedback = [...findings, ...deduped.feedback];
+    summary.lint_findings += findings.length;
+    summary.lint_duplicates_removed += deduped.removed;
+    summary.out_of_range_lines += feedback.filter(item => item.line_status === 'out_of_range').length;
+
+    // Een mislukt bestand telt nooit als foutloos: het wordt als onvolledig gemarkeerd
+    if (failure) {
+      summary.incomplete_files.push(file.path);
+      notes.push(getPromptTemplate(courseSettings?.feedback_language).notes.incomplete(file.path, failure));
+    }
 
     allFeedback.push(...feedback);
+    analyzedFiles.push({
+      path: file.path,
+      status: failure ? 'incomplete' : 'complete',
+      criteria_scores: criteriaScores,
+      notes,
+      outline: summarizeContent(file.content, file.language)
+    });
+    if (chunking.trimmed) {
+      summary.trimmed_files++;
+    }
+    summary.notes.push(...notes);
+    if (criteriaScores.length > 0) {
+      criteriaScoresPerFile.push({ file_path: file.path, scores: criteriaScores });
+    }
     summary.files_analyzed++;
     summary.total_feedback += feedback.length;
 
@@ -314,28 +877,37 @@ async function analyzeFiles(files, courseSettings) {
       summary.by_type[item.type] = (summary.by_type[item.type] || 0) + 1;
     }
 
-    // Kleine delay tussen API calls om rate limiting te voorkomen
-    if (files.indexOf(file) < files.length - 1) {
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
   }
 
-  console.log(`[API] AI: Analysis complete - ${summary.files_analyzed} files, ${summary.total_feedback} feedback items`);
+  console.log(`[API] AI: Analysis complete - ${summary.files_analyzed} files, ${summary.total_feedback} feedback items, cache ${summary.cache_hits} hits / ${summary.cache_misses} misses, ${summary.usage.total_tokens} tokens`);
 
-  return {
+  const result = {
     success: true,
+    incomplete: summary.incomplete_files.length > 0,
     feedback: allFeedback,
+    analyzed_files: analyzedFiles,
     summary
   };
+
+  // Rubric beoordeling samenvoegen over alle bestanden
+  const rubricCriteria = getRubricCriteria(courseSettings);
+  if (rubricCriteria) {
+    result.criteria_scores = aggregateCriteriaScores(criteriaScoresPerFile, rubricCriteria);
+  }
+
+  return result;
 }
 
 /**
  * Bereken een score op basis van feedback
+ * Bevindingen van de linter tellen niet mee: die zijn informatief (stijl, ongebruikte variabelen)
+ * en zouden de score anders laten zakken met het aantal regels code.
  * @param {Array} feedback - Feedback items
  * @returns {number} - Score tussen 0 en 100
  */
 function calculateScore(feedback) {
-  if (!feedback || feedback.length === 0) {
+  const scored = (feedback || []).filter(item => item.reviewer !== 'linter');
+  if (scored.length === 0) {
     return 100; // Geen feedback = perfecte score
   }
 
@@ -348,7 +920,7 @@ function calculateScore(feedback) {
   };
 
   let totalPenalty = 0;
-  for (const item of feedback) {
+  for (const item of scored) {
     totalPenalty += penalties[item.severity] || 2;
   }
 
@@ -373,11 +945,18 @@ module.exports = {
   analyzeFiles,
   calculateScore,
   parseAIResponse,
+  extractJSON,
+  validateAIResponse,
+  buildResponseSchema,
+  buildRepairPrompt,
+  getPromptVersion,
   buildSystemPrompt,
   buildUserPrompt,
+  getFeedbackTypes,
   logAIEvent,
   FEEDBACK_TYPES,
   SEVERITY_MAP,
   OPENAI_MODEL,
-  OPENAI_TIMEOUT
+  OPENAI_TIMEOUT,
+  PROMPT_VERSION
 };
\ No newline at end of file
@@ -0,0 +1,298 @@
+/**
+ * Architectuur review - tweede analyse stap op repository niveau
+ *
+ * Na de analyse per bestand krijgt de AI een overzicht van het hele project:
+ * - de bestandsstructuur (uit getRepositoryTree)
+ * - een korte samenvatting per geanalyseerd bestand (omvang, declaraties, aantal feedback items)
+ * - de README
+ *
+ * De resulterende feedback gaat over het project als geheel (structuur, modulariteit,
+ * scheiding van verantwoordelijkheden, ...) en wordt opgeslagen zonder file_path
+ * en met type 'architecture'. Docenten zetten deze stap aan per opdracht.
+ */
+
+const { resolveProvider } = require('./llm');
+const { hashAnalysisSettings } = require('./incrementalAnalysisService');
+const { computeBlobSha, buildCacheKey, getCachedAnalysis, storeCachedAnalysis } = require('./aiCacheService');
+const { EXCLUDED_PATHS } = require('./githubService');
+const { recordUsage } = require('./usageService');
+const { extractJSON, SEVERITY_MAP } = require('./aiService');
+const { getPromptTemplate } = require('./promptTemplates');
+const { scheduleAIRequest, estimateRequestTokens, DEFAULT_PRIORITY } = require('./aiScheduler');
+
+/**
+ * Feedback type voor project-brede feedback
+ */
+const ARCHITECTURE_FEEDBACK_TYPE = 'architecture';
+
+/**
+ * Versie van de architectuur prompt - verhoog bij elke wijziging zodat oude cache entries vervallen
+ */
+const ARCHITECTURE_PROMPT_VERSION = '1';
+
+const MAX_ARCHITECTURE_FEEDBACK = 8;
+const MAX_TREE_PATHS = 300;
+const MAX_README_CHARS = 6000;
+
+/**
+ * Zoek de README in de repository tree (voorkeur voor de README in de root)
+ * @param {Array<{path: string}>} treeFiles - Bestanden uit getRepositoryTree
+ * @returns {string|null} - Pad van de README of null
+ */
+function findReadmePath(treeFiles) {
+  const readmes = (treeFiles || [])
+    .map(file => file?.path)
+    .filter(path => typeof path === 'string' && /(^|\/)readme(\.(md|markdown|txt|rst))?$/i.test(path))
+    .sort((a, b) => a.split('/').length - b.split('/').length);
+
+  return readmes[0] || null;
+}
+
+/**
+ * Filter de repository tree tot de paden die iets zeggen over de projectstructuur
+ * @param {Array<{path: string}>} treeFiles - Bestanden uit getRepositoryTree
+ * @returns {{paths: Array<string>, truncated: boolean}}
+ */
+function buildTreeListing(treeFiles) {
+  const paths = (treeFiles || [])
+    .map(file => file?.path)
+    .filter(path => typeof path === 'string')
+    .filter(path => {
+      const lower = path.toLowerCase();
+      return !EXCLUDED_PATHS.some(excluded => {
+        const pattern = excluded.toLowerCase();
+        return lower.startsWith(pattern) || lower.includes('/' + pattern) || lower === pattern;
+      });
+    })
+    .sort();
+
+  return {
+    paths: paths.slice(0, MAX_TREE_PATHS),
+    truncated: paths.length > MAX_TREE_PATHS
+  };
+}
+
+/**
+ * Bouw de samenvattingen per bestand uit de resultaten van de analyse per bestand
+ * @param {Array} analyzedFiles - analyzed_files entries ({path, outline})
+ * @param {Array} feedback - AI feedback van alle bestanden
+ * @returns {Array<{path: string, lines: number|null, declarations: Array<string>, feedback_count: number}>}
+ */
+function buildFileSummaries(analyzedFiles, feedback) {
+  return (analyzedFiles || []).map(file => ({
+    path: file.path,
+    lines: file.outline?.lines ?? null,
+    declarations: file.outline?.declarations || [],
+    feedback_count: (feedback || []).filter(item => item.file_path === file.path).length
+  }));
+}
+
+/**
+ * Bouw de system prompt voor de architectuur review
+ * @param {object} courseSettings - Assignment settings met rubric en guidelines
+ * @returns {string}
+ */
+function buildArchitectureSystemPrompt(courseSettings) {
+  const template = getPromptTemplate(courseSettings?.feedback_language);
+  const { architecture } = template;
+
+  let prompt = `${architecture.intro}
+
+${architecture.focusHeader}
+${architecture.focus.map(item => `- ${item}`).join('\n')}
+
+${architecture.requirement}
+
+${architecture.itemsHeader(MAX_ARCHITECTURE_FEEDBACK)}
+- severity: ${template.fields.severity}
+- content: ${template.fields.content}
+- suggestion: ${template.fields.suggestion}`;
+
+  if (courseSettings?.rubric) {
+    prompt += `\n\n${template.courseRubricHeader}:
+${courseSettings.rubric}`;
+  }
+
+  if (courseSettings?.ai_guidelines) {
+    prompt += `\n\n${template.guidelinesHeader}:
+${courseSettings.ai_guidelines}`;
+  }
+
+  prompt += `\n\n${architecture.responseInstruction}
+[{"severity": "medium", "content": "...", "suggestion": "..."}]
+${architecture.emptyInstruction}`;
+
+  return prompt;
+}
+
+/**
+ * Bouw de user prompt met de projectstructuur, samenvattingen en README
+ * @param {object} input
+ * @param {Array<string>} input.treePaths - Paden in de repository
+ * @param {boolean} input.treeTruncated - Of de lijst ingekort werd
+ * @param {Array} input.fileSummaries - Samenvattingen per bestand
+ * @param {string|null} input.readme - Inhoud van de README
+ * @param {string} input.language - Taal van de feedback (optioneel)
+ * @returns {string}
+ */
+function buildArchitectureUserPrompt({ treePaths, treeTruncated, fileSummaries, readme, language = null }) {
+  const { architecture } = getPromptTemplate(language);
+  const summaries = fileSummaries.map(summary => {
+    const size = summary.lines !== null ? architecture.lines(summary.lines) : architecture.unknownSize;
+    const declarations = summary.declarations.length > 0 ? `; ${architecture.declarations}: ${summary.declarations.join(', ')}` : '';
+    return `- ${summary.path} (${size}, ${architecture.feedbackItems(summary.feedback_count)}${declarations})`;
+  });
+
+  let readmeSection = architecture.noReadme;
+  if (readme) {
+    readmeSection = readme.length > MAX_README_CHARS
+      ? `${readme.substring(0, MAX_README_CHARS)}\n${architecture.readmeTruncated}`
+      : readme;
+  }
+
+  return `${architecture.treeHeader}${treeTruncated ? ` ${architecture.treeTruncated(treePaths.length)}` : ''}:
+${treePaths.join('\n')}
+
+${architecture.filesHeader}:
+${summaries.join('\n') || architecture.none}
+
+README:
+${readmeSection}`;
+}
+
+/**
+ * Parse de architectuur feedback uit de AI response
+ * @param {string} response - Raw AI response
+ * @returns {Array|null} - Feedback items of null bij een ongeldige response
+ */
+function parseArchitectureResponse(response) {
+  let parsed = extractJSON(response || '');
+
+  if (parsed && !Array.isArray(parsed) && Array.isArray(parsed.feedback)) {
+    parsed = parsed.feedback;
+  }
+
+  if (!Array.isArray(parsed)) {
+    return null;
+  }
+
+  return parsed
+    .filter(item => item && typeof item === 'object' && item.content)
+    .map(item => ({
+      file_path: null,
+      type: ARCHITECTURE_FEEDBACK_TYPE,
+      severity: SEVERITY_MAP[String(item.severity || '').toLowerCase()] || 'low',
+      line_number: null,
+      content: String(item.content),
+      suggestion: item.suggestion ? String(item.suggestion) : null,
+      criterion_id: null
+    }))
+    .slice(0, MAX_ARCHITECTURE_FEEDBACK);
+}
+
+/**
+ * Voer de architectuur review uit
+ * @param {object} params
+ * @param {Array} params.treeFiles - Bestanden uit getRepositoryTree
+ * @param {Array} params.analyzedFiles - analyzed_files van de analyse per bestand
+ * @param {Array} params.feedback - Feedback van de analyse per bestand
+ * @param {string|null} params.readme - Inhoud van de README
+ * @param {object} params.courseSettings - Assignment settings
+ * @param {number} params.submissionId - Submission waaraan het verbruik gekoppeld wordt (optioneel)
+ * @param {string} params.priority - Prioriteitsklasse in de AI scheduler (optioneel)
+ * @returns {Promise<{feedback: Array, cached: boolean, failed?: boolean}>}
+ */
+async function reviewArchitecture({ treeFiles, analyzedFiles, feedback, readme, courseSettings, submissionId = null, priority = DEFAULT_PRIORITY }) {
+  const { provider, model } = resolveProvider(courseSettings);
+  const tree = buildTreeListing(treeFiles);
+  const fileSummaries = buildFileSummaries(analyzedFiles, feedback);
+
+  const systemPrompt = buildArchitectureSystemPrompt(courseSettings);
+  const userPrompt = buildArchitectureUserPrompt({
+    treePaths: tree.paths,
+    treeTruncated: tree.truncated,
+    fileSummaries,
+    readme,
+    language: courseSettings?.feedback_language
+  });
+
+  // Zelfde projectoverzicht + instellingen + model = zelfde resultaat
+  const settingsHash = hashAnalysisSettings(courseSettings);
+  const inputSha = computeBlobSha(userPrompt);
+  const promptVersion = `architecture:${ARCHITECTURE_PROMPT_VERSION}`;
+  const cacheKey = buildCacheKey({
+    blobSha: inputSha,
+    settingsHash,
+    model: `${provider.name}/${model}`,
+    promptVersion
+  });
+
+  const cached = await getCachedAnalysis(cacheKey);
+  if (cached) {
+    console.log(`[API] AI: Architecture review cache hit (${inputSha})`);
+    return { feedback: cached.feedback, cached: true };
+  }
+
+  try {
+    console.log(`[API] AI: Architecture review with ${provider.name} (${model}) - ${tree.paths.length} paths, ${fileSummaries.length} summaries`);
+
+    const completion = await scheduleAIRequest(
+      () => provider.complete({
+        systemPrompt,
+        userPrompt,
+        model,
+        context: {
+          stage: 'architecture',
+          treePaths: tree.paths,
+          fileSummaries,
+          readme
+        }
+      }),
+      { priority, tokens: estimateRequestTokens(systemPrompt, userPrompt) }
+    );
+
+    await recordUsage({
+      courseId: courseSettings?.course_id ?? null,
+      assignmentId: courseSettings?.assignment_id ?? null,
+      submissionId,
+      provider: provider.name,
+      model: completion.model || model,
+      stage: 'architecture',
+      usage: completion.usage
+    });
+
+    const items = parseArchitectureResponse(completion.content);
+    if (!items) {
+      console.warn('[API] AI: Could not parse architecture review response');
+      return { feedback: [], cached: false, failed: true };
+    }
+
+    await storeCachedAnalysis({
+      cacheKey,
+      blobSha: inputSha,
+      settingsHash,
+      model: `${provider.name}/${model}`,
+      promptVersion,
+      assignmentId: courseSettings?.assignment_id,
+      feedback: items,
+      criteriaScores: []
+    });
+
+    return { feedback: items, cached: false };
+  } catch (error) {
+    console.error('[API] AI error during architecture review:', error.message);
+    return { feedback: [], cached: false, failed: true };
+  }
+}
+
+module.exports = {
+  findReadmePath,
+  buildTreeListing,
+  buildFileSummaries,
+  buildArchitectureSystemPrompt,
+  buildArchitectureUserPrompt,
+  parseArchitectureResponse,
+  reviewArchitecture,
+  ARCHITECTURE_FEEDBACK_TYPE,
+  MAX_ARCHITECTURE_FEEDBACK
+};
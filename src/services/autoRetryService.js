@@ -0,0 +1,246 @@
+const db = require('../config/db');
+const sseManager = require('./sseManager');
+const notificationService = require('./notificationService');
+const { parseGitHubUrl } = require('./githubService');
+const { enqueueSubmissionAnalysis } = require('./jobTypes');
+const { t } = require('../utils/i18n');
+const logger = require('../utils/logger');
+
+/**
+ * Automatisch opnieuw proberen van mislukte analyses
+ *
+ * Na een mislukte analyse plant planRetry een nieuwe poging in volgens de error code: tijdelijke
+ * fouten (GitHub, AI) met exponentiële backoff, blijvende fouten (ongeldige URL, geen bestanden)
+ * niet. Na AUTO_RETRY_MAX_ATTEMPTS pogingen voor dezelfde commit, of bij een blijvende fout, is de
+ * submission definitief mislukt en krijgen de student en de docenten een melding.
+ * De scheduler (startAutoRetry, draait in de worker) zet de geplande pogingen in de job queue.
+ */
+
+/**
+ * Herhaalbare error codes met de wachttijd voor de eerste poging (verdubbelt per poging)
+ * Codes die hier niet staan (INVALID_URL, NO_FILES, NOT_FOUND, EMPTY_REPO, TIMEOUT, ...) worden
+ * niet automatisch herhaald; TIMEOUT heeft een eigen herstelbudget in de watchdog.
+ */
+const RETRY_POLICIES = {
+  GITHUB_ERROR: { baseDelayMinutes: 5 },
+  RATE_LIMITED: { baseDelayMinutes: 15 },
+  FILE_FETCH_ERROR: { baseDelayMinutes: 5 },
+  AI_ERROR: { baseDelayMinutes: 10 },
+  AI_ANALYSIS_FAILED: { baseDelayMinutes: 10 },
+  PROCESS_ERROR: { baseDelayMinutes: 15 }
+};
+
+const MAX_RETRY_DELAY_MINUTES = 360;
+
+const DEFAULT_MAX_ATTEMPTS = isNaN(parseInt(process.env.AUTO_RETRY_MAX_ATTEMPTS, 10))
+  ? 3
+  : parseInt(process.env.AUTO_RETRY_MAX_ATTEMPTS, 10);
+
+/**
+ * Hoe vaak de scheduler geplande pogingen zoekt, en hoeveel per ronde
+ */
+const AUTO_RETRY_INTERVAL_MS = 60000;
+const MAX_PER_RUN = 50;
+
+/**
+ * Wachttijd voor een automatische poging
+ * @param {string} errorCode - Error code van de mislukte analyse
+ * @param {number} attempt - Aantal automatische pogingen tot nu toe
+ * @returns {number|null} - Minuten, null als de fout niet herhaald wordt
+ */
+function getRetryDelayMinutes(errorCode, attempt) {
+  const policy = RETRY_POLICIES[errorCode];
+  if (!policy) return null;
+  return Math.min(policy.baseDelayMinutes * 2 ** attempt, MAX_RETRY_DELAY_MINUTES);
+}
+
+/**
+ * Retry schema van een submission (voor het failed-submissions overzicht)
+ * @param {object} submission - Rij met status, error_code, auto_retry_count, next_retry_at, retry_exhausted_at
+ * @param {number} maxAttempts - Maximum aantal automatische pogingen
+ * @returns {object}
+ */
+function getRetrySchedule(submission, maxAttempts = DEFAULT_MAX_ATTEMPTS) {
+  const attempts = submission.auto_retry_count || 0;
+  const retryable = submission.status === 'failed' && getRetryDelayMinutes(submission.error_code, 0) !== null;
+  const exhausted = !!submission.retry_exhausted_at;
+  const remaining = retryable && !exhausted ? Math.max(maxAttempts - attempts, 0) : 0;
+
+  return {
+    retryable,
+    attempts,
+    max_attempts: maxAttempts,
+    next_retry_at: submission.next_retry_at || null,
+    // Wachttijd (minuten) vóór elk van de resterende pogingen, te rekenen vanaf de vorige mislukking
+    remaining_delays: Array.from({ length: remaining }, (_, i) => getRetryDelayMinutes(submission.error_code, attempts + i)),
+    permanently_failed: exhausted,
+    permanently_failed_at: submission.retry_exhausted_at || null
+  };
+}
+
+/**
+ * Meld een definitief mislukte analyse aan de student (SSE op de submission) en de docenten (SSE op het vak)
+ * @param {object} submission - Submission met course_id, user_id, assignment_id, error_code en feedback_language
+ */
+function notifyPermanentFailure(submission) {
+  sseManager.broadcast(submission.id, 'analysis_failed', {
+    status: 'failed',
+    reason: submission.error_code,
+    message: t('status.analysisFailed', submission.feedback_language, { code: submission.error_code || 'UNKNOWN_ERROR' }),
+    attempts: submission.auto_retry_count
+  });
+
+  notificationService.emitSubmissionFailed(submission.course_id, {
+    submissionId: submission.id,
+    studentId: submission.user_id,
+    assignmentId: submission.assignment_id,
+    errorCode: submission.error_code,
+    errorMessage: submission.error_message,
+    attempts: submission.auto_retry_count
+  });
+}
+
+/**
+ * Plan de volgende automatische poging na een mislukte analyse
+ * Zonder resterende poging (of bij een blijvende fout) wordt de submission definitief mislukt.
+ * @param {number} submissionId - Submission ID
+ * @param {object} options
+ * @param {number} options.maxAttempts - Maximum aantal automatische pogingen per commit
+ * @returns {Promise<{action: string, next_retry_at?: string}>} - action: scheduled, exhausted of none
+ */
+async function planRetry(submissionId, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  const result = await db.query(
+    `SELECT s.id, s.user_id, s.assignment_id, s.status, s.error_code, s.error_message, s.auto_retry_count,
+            a.course_id, COALESCE(a.feedback_language, c.feedback_language) as feedback_language
+     FROM submission s
+     JOIN assignment a ON a.id = s.assignment_id
+     JOIN course c ON c.id = a.course_id
+     WHERE s.id = $1 AND s.status = 'failed' AND s.next_retry_at IS NULL AND s.retry_exhausted_at IS NULL`,
+    [submissionId]
+  );
+  const submission = result.rows[0];
+  if (!submission) {
+    return { action: 'none' };
+  }
+
+  const delay = getRetryDelayMinutes(submission.error_code, submission.auto_retry_count);
+  if (delay !== null && submission.auto_retry_count < maxAttempts) {
+    const scheduled = await db.query(
+      `UPDATE submission SET next_retry_at = NOW() + make_interval(mins => $2)
+       WHERE id = $1 AND status = 'failed' AND next_retry_at IS NULL AND retry_exhausted_at IS NULL
+       RETURNING next_retry_at`,
+      [submissionId, delay]
+    );
+    if (scheduled.rows.length === 0) {
+      return { action: 'none' };
+    }
+    logger.info('AUTO_RETRY', `Submission ${submissionId}: ${submission.error_code} - attempt ${submission.auto_retry_count + 1}/${maxAttempts} in ${delay} min`);
+    return { action: 'scheduled', next_retry_at: scheduled.rows[0].next_retry_at };
+  }
+
+  const exhausted = await db.query(
+    `UPDATE submission SET retry_exhausted_at = NOW()
+     WHERE id = $1 AND status = 'failed' AND next_retry_at IS NULL AND retry_exhausted_at IS NULL
+     RETURNING id`,
+    [submissionId]
+  );
+  if (exhausted.rows.length === 0) {
+    return { action: 'none' };
+  }
+
+  logger.warn('AUTO_RETRY', `Submission ${submissionId} permanently failed: ${submission.error_code} after ${submission.auto_retry_count} automatic attempts`);
+  notifyPermanentFailure(submission);
+  return { action: 'exhausted' };
+}
+
+/**
+ * Zet de geplande pogingen die aan de beurt zijn in de job queue
+ * @returns {Promise<{queued: number}>}
+ */
+async function runDueRetries() {
+  // Claimen en de teller verhogen in één stap: meerdere workers plannen een poging maar één keer in
+  const due = await db.query(
+    `UPDATE submission
+     SET next_retry_at = NULL, auto_retry_count = auto_retry_count + 1
+     WHERE id IN (
+       SELECT id FROM submission
+       WHERE status = 'failed' AND next_retry_at <= NOW()
+       ORDER BY next_retry_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT $1
+     )
+     RETURNING id, commit_sha, branch, github_url, error_code, auto_retry_count`,
+    [MAX_PER_RUN]
+  );
+
+  let queued = 0;
+  for (const submission of due.rows) {
+    const repoInfo = submission.github_url ? parseGitHubUrl(submission.github_url) : null;
+    if (!repoInfo) {
+      // De repository werd intussen ontkoppeld of is ongeldig: niets meer om opnieuw te proberen
+      await db.query('UPDATE submission SET retry_exhausted_at = NOW() WHERE id = $1', [submission.id]);
+      continue;
+    }
+
+    try {
+      const job = await enqueueSubmissionAnalysis({
+        submissionId: submission.id,
+        commitSha: submission.commit_sha,
+        branch: submission.branch,
+        repoFullName: `${repoInfo.owner}/${repoInfo.repo}`,
+        trigger: 'auto_retry'
+      });
+      queued++;
+      logger.info('AUTO_RETRY', `Submission ${submission.id}: automatic attempt ${submission.auto_retry_count} after ${submission.error_code} (job ${job.id})`);
+    } catch (error) {
+      // De poging teruggeven zodat de volgende ronde ze opnieuw probeert
+      logger.error('AUTO_RETRY', `Could not queue retry for submission ${submission.id}`, error);
+      await db.query(
+        `UPDATE submission SET next_retry_at = NOW() + INTERVAL '1 minute', auto_retry_count = auto_retry_count - 1
+         WHERE id = $1 AND status = 'failed' AND next_retry_at IS NULL`,
+        [submission.id]
+      );
+    }
+  }
+
+  return { queued };
+}
+
+/**
+ * Start de retry scheduler (periodiek)
+ * @param {object} options
+ * @param {number} options.interval - Interval in ms
+ * @returns {{stop: Function}}
+ */
+function startAutoRetry({ interval = AUTO_RETRY_INTERVAL_MS } = {}) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueRetries();
+    } catch (error) {
+      logger.error('AUTO_RETRY', 'Retry run failed', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  logger.info('AUTO_RETRY', `Retry scheduler started (max ${DEFAULT_MAX_ATTEMPTS} attempts, codes: ${Object.keys(RETRY_POLICIES).join(', ')})`);
+  tick();
+  const timer = setInterval(tick, interval);
+
+  return {
+    stop: () => clearInterval(timer)
+  };
+}
+
+module.exports = {
+  planRetry,
+  runDueRetries,
+  startAutoRetry,
+  getRetrySchedule,
+  getRetryDelayMinutes,
+  RETRY_POLICIES,
+  DEFAULT_MAX_ATTEMPTS
+};
@@ -0,0 +1,31 @@
+/**
+ * Preload script voor Node test runs: blokkeert netwerk verbindingen vanuit de tests
+ *
+ * Extra verdediging bovenop de network namespace van de sandbox, met een duidelijke foutmelding
+ * voor de student. Verbindingen via een Unix socket (bv. IPC tussen Jest processen) blijven
+ * toegelaten.
+ */
+const net = require('net');
+const dns = require('dns');
+
+const blocked = () => {
+  const error = new Error('Netwerk toegang is niet toegelaten tijdens de autograder tests');
+  error.code = 'EACCES';
+  return error;
+};
+
+const originalConnect = net.Socket.prototype.connect;
+net.Socket.prototype.connect = function connect(...args) {
+  const options = args[0];
+  const isPipe = (typeof options === 'string' && Number.isNaN(Number(options))) ||
+    (options && typeof options === 'object' && options.path);
+  if (!isPipe) {
+    throw blocked();
+  }
+  return originalConnect.apply(this, args);
+};
+
+dns.lookup = (hostname, options, callback) => {
+  const cb = typeof options === 'function' ? options : callback;
+  process.nextTick(() => cb(blocked()));
+};
@@ -0,0 +1,231 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const {
+  runSandboxed,
+  isSandboxAvailable,
+  SANDBOX_WORK_DIR,
+  SANDBOX_CONFIG_DIR
+} = require('./sandbox');
+const jestRunner = require('./jestRunner');
+const pytestRunner = require('./pytestRunner');
+
+/**
+ * Autograder laag - voert de verborgen test suite van een opdracht uit op een submission
+ *
+ * Elke runner exporteert:
+ * - name: unieke naam (opgeslagen bij de test suite)
+ * - isAvailable() => boolean
+ * - buildCommand({ workDir, configDir, testPaths, memoryMb })
+ *     => { command, args, env, readOnlyPaths?, configFiles? } (paden in de sandbox; het rapport
+ *     gaat naar REPORT_FD van de sandbox)
+ * - parseResults({ workDir, report }) => Promise<Array<{ name, file, status, duration_ms, message }>|null>
+ *     (null als er geen rapport is of het niet klopt met zijn eigen tellingen)
+ * - isProtectedPath(path) => boolean (optioneel: bestanden van de student die de run zouden beïnvloeden)
+ * - cleanOutput(text) => string (optioneel, bv. om code frames van de tests te verwijderen)
+ *
+ * De snapshot van de repository en de testbestanden worden in een tijdelijke map geschreven;
+ * testbestanden overschrijven bestanden van de student met hetzelfde pad. De configuratie van de
+ * runner staat in een aparte map, buiten de snapshot; het rapport komt via een pipe (zie sandbox).
+ * Een rapport telt enkel als het klopt met de exit code: 0 zonder gefaalde tests, 1 met gefaalde
+ * tests (zo stoppen Jest en pytest). Anders is de run een error.
+ */
+const RUNNERS = {
+  [jestRunner.name]: jestRunner,
+  [pytestRunner.name]: pytestRunner
+};
+
+/**
+ * Maximum lengte van de output excerpt per run en van de foutmelding per test
+ */
+const MAX_OUTPUT_EXCERPT_CHARS = 4000;
+const MAX_TEST_MESSAGE_CHARS = 2000;
+
+/**
+ * Exit codes van een run die tot het einde liep
+ */
+const EXIT_CODE_PASSED = 0;
+const EXIT_CODE_FAILED = 1;
+
+/**
+ * Voeg een runner toe (bv. voor een extra taal)
+ * @param {object} runner - Runner volgens de interface hierboven
+ */
+function registerRunner(runner) {
+  if (!runner?.name || typeof runner.buildCommand !== 'function' || typeof runner.parseResults !== 'function') {
+    throw new Error('Ongeldige runner: name, buildCommand en parseResults zijn verplicht');
+  }
+  RUNNERS[runner.name] = runner;
+}
+
+/**
+ * @param {string} name - Runner naam
+ * @returns {object|null}
+ */
+function getRunner(name) {
+  return Object.prototype.hasOwnProperty.call(RUNNERS, name) ? RUNNERS[name] : null;
+}
+
+/**
+ * @returns {Array<string>} - Namen van alle geregistreerde runners
+ */
+function getRunnerNames() {
+  return Object.keys(RUNNERS);
+}
+
+/**
+ * Controleer dat een pad relatief is en binnen de werkmap blijft
+ * @param {string} filePath - Relatief pad
+ * @returns {boolean}
+ */
+function isSafeRelativePath(filePath) {
+  if (typeof filePath !== 'string' || filePath.length === 0 || filePath.includes('\0')) return false;
+  const normalized = path.posix.normalize(filePath.replace(/\\/g, '/'));
+  return !path.posix.isAbsolute(normalized) && normalized !== '..' && !normalized.startsWith('../');
+}
+
+/**
+ * Schrijf bestanden in de werkmap (onveilige paden worden overgeslagen)
+ * @param {string} workDir - Werkmap
+ * @param {Array<{path: string, content: string}>} files - Bestanden
+ */
+async function writeFiles(workDir, files) {
+  for (const file of files) {
+    if (!isSafeRelativePath(file.path) || typeof file.content !== 'string') continue;
+    const target = path.join(workDir, path.posix.normalize(file.path.replace(/\\/g, '/')));
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, file.content);
+  }
+}
+
+/**
+ * Kort een tekst in tot een excerpt
+ * @param {string} text - Output of foutmelding
+ * @param {number} maxChars - Maximum lengte
+ * @param {boolean} fromEnd - Het laatste deel houden (bij output staat de samenvatting achteraan)
+ * @returns {string|null}
+ */
+function excerpt(text, maxChars, fromEnd = false) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return null;
+  if (trimmed.length <= maxChars) return trimmed;
+  return fromEnd ? `…${trimmed.slice(-maxChars)}` : `${trimmed.slice(0, maxChars)}…`;
+}
+
+/**
+ * Klopt het resultaat met de exit code van de runner?
+ * @param {Array} tests - Resultaten per test
+ * @param {number|null} exitCode - Exit code van de run
+ * @returns {boolean}
+ */
+function matchesExitCode(tests, exitCode) {
+  const anyFailed = tests.some(test => test.status === 'failed');
+  if (exitCode === EXIT_CODE_PASSED) return tests.length > 0 && !anyFailed;
+  if (exitCode === EXIT_CODE_FAILED) return anyFailed;
+  return false;
+}
+
+/**
+ * Voer een test suite uit op een snapshot van de repository
+ * @param {object} options
+ * @param {Array<{path: string, content: string}>} options.files - Bestanden van de student (paden relatief aan de project root)
+ * @param {object} options.suite - Test suite: { runner, files, timeout_seconds, memory_mb }
+ * @returns {Promise<{status: string, tests: Array, passed: number, failed: number, skipped: number, total: number, duration_ms: number, output: string|null, error?: string, runner_unavailable?: boolean}>}
+ *   status: 'passed' | 'failed' | 'timeout' | 'error' (runner_unavailable: de server kan deze runner niet uitvoeren)
+ */
+async function runTestSuite({ files, suite }) {
+  const runner = getRunner(suite.runner);
+  const empty = { tests: [], passed: 0, failed: 0, skipped: 0, total: 0, duration_ms: 0, output: null };
+
+  if (!runner || !runner.isAvailable()) {
+    return { ...empty, status: 'error', runner_unavailable: true, error: `Test runner ${suite.runner} is niet beschikbaar op de server` };
+  }
+
+  // Zonder isolatie nooit student code uitvoeren
+  if (!isSandboxAvailable()) {
+    return { ...empty, status: 'error', runner_unavailable: true, error: 'De sandbox (bubblewrap) is niet beschikbaar op de server' };
+  }
+
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'autograder-'));
+  const workDir = path.join(baseDir, 'work');
+  const configDir = path.join(baseDir, 'config');
+  try {
+    await Promise.all([workDir, configDir].map(dir => fs.mkdir(dir)));
+    const studentFiles = runner.isProtectedPath
+      ? files.filter(file => !runner.isProtectedPath(path.posix.normalize(String(file.path).replace(/\\/g, '/'))))
+      : files;
+    await writeFiles(workDir, studentFiles);
+    await writeFiles(workDir, suite.files);
+
+    const testPaths = suite.files.map(file => path.posix.normalize(file.path.replace(/\\/g, '/')));
+    const { command, args, env, readOnlyPaths = [], configFiles = [] } = runner.buildCommand({
+      workDir: SANDBOX_WORK_DIR,
+      configDir: SANDBOX_CONFIG_DIR,
+      testPaths,
+      memoryMb: suite.memory_mb
+    });
+    await writeFiles(configDir, configFiles);
+    const run = await runSandboxed({
+      command,
+      args,
+      env,
+      workDir,
+      configDir,
+      readOnlyPaths,
+      timeoutMs: suite.timeout_seconds * 1000
+    });
+
+    const parsed = await runner.parseResults({ workDir: SANDBOX_WORK_DIR, report: run.report });
+    // Een rapport dat niet klopt met de exit code telt niet (bv. een rapport van de tests zelf)
+    const reportRejected = parsed !== null && !run.timedOut && !run.error && !matchesExitCode(parsed, run.exitCode);
+    const tests = (reportRejected ? [] : parsed || []).map(test => ({
+      ...test,
+      message: test.message ? excerpt(test.message, MAX_TEST_MESSAGE_CHARS) : null
+    }));
+
+    const counts = {
+      passed: tests.filter(test => test.status === 'passed').length,
+      failed: tests.filter(test => test.status === 'failed').length,
+      skipped: tests.filter(test => test.status === 'skipped').length
+    };
+    // Paden relatief tonen: de tijdelijke werkmap zegt de student niets
+    const rawOutput = [run.stdout, run.stderr].filter(Boolean).join('\n').split(`${SANDBOX_WORK_DIR}/`).join('');
+    const output = excerpt(runner.cleanOutput ? runner.cleanOutput(rawOutput) : rawOutput, MAX_OUTPUT_EXCERPT_CHARS, true);
+
+    let status = counts.failed > 0 ? 'failed' : 'passed';
+    let error;
+    if (run.timedOut) {
+      status = 'timeout';
+      error = `Tests duurden langer dan ${suite.timeout_seconds} seconden`;
+    } else if (run.error || tests.length === 0) {
+      status = 'error';
+      if (run.error) {
+        error = `Test runner kon niet starten in de sandbox: ${run.error}`;
+      } else if (reportRejected || (run.report && parsed === null)) {
+        error = 'Het rapport van de test runner is ongeldig (klopt niet met de uitgevoerde tests)';
+      } else {
+        error = 'Test runner gaf geen resultaten (zie output)';
+      }
+    }
+
+    return {
+      status,
+      tests,
+      ...counts,
+      total: tests.length,
+      duration_ms: run.durationMs,
+      output,
+      ...(error ? { error } : {})
+    };
+  } finally {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  runTestSuite,
+  registerRunner,
+  getRunner,
+  getRunnerNames,
+  isSafeRelativePath
+};
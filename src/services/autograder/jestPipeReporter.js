@@ -0,0 +1,51 @@
+const fs = require('fs');
+
+/**
+ * Jest reporter die het rapport naar een file descriptor van de server schrijft
+ *
+ * Draait in het hoofdproces van Jest; de tests van de student draaien in een worker
+ * (zie jestWorkerRunner). Het rapport heeft dezelfde vorm als de --json output van Jest,
+ * beperkt tot wat de autograder gebruikt.
+ * Wordt in de sandbox door Jest geladen met de optie { fd }.
+ */
+class JestPipeReporter {
+  constructor(globalConfig, options = {}) {
+    this.fd = options.fd;
+  }
+
+  onRunComplete(testContexts, results) {
+    const report = {
+      success: results.success,
+      numTotalTests: results.numTotalTests,
+      numPassedTests: results.numPassedTests,
+      numFailedTests: results.numFailedTests,
+      numPendingTests: results.numPendingTests,
+      numRuntimeErrorTestSuites: results.numRuntimeErrorTestSuites,
+      testResults: results.testResults.map(fileResult => ({
+        name: fileResult.testFilePath,
+        status: fileResult.testExecError || fileResult.numFailingTests > 0 ? 'failed' : 'passed',
+        message: fileResult.failureMessage || '',
+        assertionResults: fileResult.testResults.map(assertion => ({
+          fullName: assertion.fullName,
+          title: assertion.title,
+          status: assertion.status,
+          duration: assertion.duration,
+          failureMessages: assertion.failureMessages
+        }))
+      }))
+    };
+
+    const buffer = Buffer.from(JSON.stringify(report));
+    let offset = 0;
+    while (offset < buffer.length) {
+      try {
+        offset += fs.writeSync(this.fd, buffer, offset);
+      } catch (error) {
+        if (error.code !== 'EAGAIN') throw error;
+      }
+    }
+    fs.closeSync(this.fd);
+  }
+}
+
+module.exports = JestPipeReporter;
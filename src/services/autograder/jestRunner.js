@@ -0,0 +1,208 @@
+const path = require('path');
+const { REPORT_FD } = require('./sandbox');
+
+/**
+ * Jest runner voor JavaScript test suites
+ *
+ * De tests draaien in één worker proces met een vaste configuratie: een jest of babel config van
+ * de student wordt genegeerd, net als een meegestuurde node_modules map. Het rapport komt van een
+ * reporter in het hoofdproces van Jest, buiten het proces van de tests (zie jestWorkerRunner en
+ * jestPipeReporter), en moet kloppen met zijn eigen tellingen.
+ * Dependencies van de student worden niet geïnstalleerd, de tests kunnen dus enkel de eigen
+ * modules van de repository gebruiken.
+ * Het geheugen wordt begrensd via prlimit --data (heap, Buffers en native geheugen, per proces);
+ * een limiet op de address space werkt niet voor Node, V8 reserveert daar gigabytes van.
+ * Jest is een dev dependency: zonder dev dependencies (npm ci --omit=dev) wijst AUTOGRADER_JEST_BIN
+ * naar een aparte installatie, anders is de runner niet beschikbaar.
+ */
+const name = 'jest';
+
+/**
+ * Bestanden van de student die de test run zouden beïnvloeden
+ */
+const PROTECTED_FILE_PATTERN = /(^|\/)(node_modules\/|babel\.config\.[cm]?js(on)?$|\.babelrc(\.[cm]?js(on)?)?$)/;
+
+let jestBin;
+
+/**
+ * @returns {string|null} - Pad naar de jest CLI of null als Jest niet beschikbaar is
+ */
+function getJestBin() {
+  if (jestBin === undefined) {
+    try {
+      jestBin = process.env.AUTOGRADER_JEST_BIN || require.resolve('jest/bin/jest');
+    } catch (error) {
+      jestBin = null;
+    }
+  }
+  return jestBin;
+}
+
+/**
+ * @returns {boolean}
+ */
+function isAvailable() {
+  return getJestBin() !== null;
+}
+
+/**
+ * Negeert de autograder dit bestand van de student?
+ * @param {string} filePath - Relatief pad
+ * @returns {boolean}
+ */
+function isProtectedPath(filePath) {
+  return PROTECTED_FILE_PATTERN.test(filePath);
+}
+
+/**
+ * node_modules map waarin Jest geïnstalleerd is (read-only in de sandbox)
+ * @returns {string}
+ */
+function getJestModulesDir() {
+  const jestPath = getJestBin();
+  const index = jestPath.lastIndexOf(`${path.sep}node_modules${path.sep}`);
+  return index === -1 ? path.dirname(path.dirname(jestPath)) : jestPath.slice(0, index + '/node_modules'.length);
+}
+
+/**
+ * Bouw het commando voor een test run
+ * @param {object} options
+ * @param {string} options.workDir - Snapshot van de repository, met de testbestanden erin (pad in de sandbox)
+ * @param {Array<string>} options.testPaths - Relatieve paden van de testbestanden
+ * @param {number} options.memoryMb - Geheugenlimiet (per proces)
+ * @returns {{command: string, args: Array<string>, env: object, readOnlyPaths: Array<string>}}
+ */
+function buildCommand({ workDir, testPaths, memoryMb }) {
+  const jestBin = getJestBin();
+  const blockNetwork = path.join(__dirname, 'blockNetwork.js');
+  const workerRunner = path.join(__dirname, 'jestWorkerRunner.js');
+  const pipeReporter = path.join(__dirname, 'jestPipeReporter.js');
+  const config = {
+    rootDir: workDir,
+    testEnvironment: 'node',
+    cacheDirectory: '/tmp/jest-cache',
+    runner: workerRunner,
+    reporters: ['default', [pipeReporter, { fd: REPORT_FD }]],
+    // Enkel de ingebouwde preset: een babel config van de student kan de tests niet herschrijven
+    transform: {
+      '\\.[jt]sx?$': [require.resolve('babel-jest', { paths: [path.dirname(jestBin)] }), { babelrc: false, configFile: false }]
+    }
+  };
+
+  return {
+    command: 'prlimit',
+    args: [
+      `--data=${memoryMb * 1024 * 1024}`,
+      '--',
+      process.execPath,
+      jestBin,
+      '--ci',
+      '--maxWorkers=1',
+      '--config', JSON.stringify(config),
+      '--watchman=false',
+      '--forceExit',
+      '--runTestsByPath',
+      ...testPaths
+    ],
+    env: {
+      NODE_ENV: 'test',
+      NODE_OPTIONS: `--max-old-space-size=${memoryMb} --require=${blockNetwork}`
+    },
+    readOnlyPaths: [path.dirname(path.dirname(process.execPath)), getJestModulesDir(), blockNetwork, workerRunner, pipeReporter]
+  };
+}
+
+/**
+ * Maak Jest output leesbaar voor studenten: zonder ANSI kleurcodes, stack traces en
+ * code frames (die tonen de broncode van de verborgen tests)
+ * @param {string} text - Output of foutmelding
+ * @returns {string}
+ */
+function cleanOutput(text) {
+  return String(text || '')
+    .replace(/\x1b\[[0-9;]*m/g, '')
+    .split('\n')
+    .filter(line => !/^\s+at /.test(line) && !/^\s*>?\s*\d*\s+\|/.test(line))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Klopt het rapport met zijn eigen tellingen? Een rapport dat de tests zelf in elkaar zetten,
+ * mist die samenhang doorgaans.
+ * @param {object} report - Inhoud van het rapport
+ * @returns {boolean}
+ */
+function isConsistentReport(report) {
+  if (!report || !Array.isArray(report.testResults)) return false;
+  const assertions = report.testResults.flatMap(fileResult => fileResult.assertionResults || []);
+  const failed = assertions.filter(assertion => assertion.status === 'failed').length;
+  const failedFiles = report.testResults.filter(fileResult => fileResult.status === 'failed').length;
+
+  return report.numTotalTests === assertions.length &&
+    report.numFailedTests === failed &&
+    report.success === (failed === 0 && failedFiles === 0 && report.numRuntimeErrorTestSuites === 0);
+}
+
+/**
+ * Zet het JSON rapport van Jest om naar resultaten per test
+ * Een testbestand dat niet kon draaien (bv. syntaxfout, module niet gevonden) telt als één gefaalde test.
+ * @param {object} report - Inhoud van het --json rapport
+ * @param {string} workDir - Werkmap (om paden relatief te maken)
+ * @returns {Array<{name: string, file: string, status: string, duration_ms: number|null, message: string|null}>}
+ */
+function parseReport(report, workDir) {
+  const tests = [];
+
+  for (const fileResult of report?.testResults || []) {
+    const file = path.relative(workDir, fileResult.name || fileResult.testFilePath || '');
+    const assertions = fileResult.assertionResults || [];
+
+    if (assertions.length === 0 && fileResult.status === 'failed') {
+      tests.push({ name: file, file, status: 'failed', duration_ms: null, message: cleanOutput(fileResult.message) || null });
+      continue;
+    }
+
+    for (const assertion of assertions) {
+      tests.push({
+        name: assertion.fullName || assertion.title,
+        file,
+        status: assertion.status === 'passed' || assertion.status === 'failed' ? assertion.status : 'skipped',
+        duration_ms: assertion.duration ?? null,
+        message: assertion.failureMessages?.length ? cleanOutput(assertion.failureMessages.join('\n')) || null : null
+      });
+    }
+  }
+
+  return tests;
+}
+
+/**
+ * Lees de resultaten van een test run
+ * @param {object} options
+ * @param {string} options.workDir - Werkmap
+ * @param {string|null} options.report - Rapport van de reporter
+ * @returns {Promise<Array|null>} - Resultaten per test of null als er geen (geldig) rapport is
+ */
+async function parseResults({ workDir, report }) {
+  if (!report) return null;
+
+  try {
+    const parsed = JSON.parse(report);
+    return isConsistentReport(parsed) ? parseReport(parsed, workDir) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  name,
+  isAvailable,
+  isProtectedPath,
+  buildCommand,
+  parseResults,
+  parseReport,
+  isConsistentReport,
+  cleanOutput
+};
@@ -0,0 +1,19 @@
+/**
+ * Jest test runner die elk testbestand in een worker proces uitvoert
+ *
+ * Jest voert een enkel testbestand normaal in het hoofdproces uit. Daar draait ook de reporter
+ * die het rapport naar de server schrijft (zie jestPipeReporter): code van de student (exit hooks,
+ * gepatchte fs functies) mag daar niet bij kunnen. Deze runner forceert daarom altijd een worker.
+ * Wordt in de sandbox door Jest geladen; jest-runner komt uit de Jest installatie die draait.
+ */
+const path = require('path');
+
+const { default: TestRunner } = require(require.resolve('jest-runner', { paths: [path.dirname(require.main.filename)] }));
+
+class JestWorkerRunner extends TestRunner {
+  async runTests(tests, watcher, options) {
+    return super.runTests(tests, watcher, { ...options, serial: false });
+  }
+}
+
+module.exports = JestWorkerRunner;
@@ -0,0 +1,224 @@
+/**
+ * Pytest runner voor Python test suites
+ *
+ * De resultaten komen uit een JUnit XML rapport. Pytest draait met een eigen ini (-c, read-only in
+ * de sandbox) en een vaste rootdir; conftest.py en pytest configuratie van de student worden niet
+ * in de snapshot gezet, een conftest.py van de docent wel. Python draait geïsoleerd (-I): de
+ * repository van de student staat pas op het pad (ini optie pythonpath) nadat pytest geladen is.
+ * Het geheugen wordt begrensd via prlimit.
+ * Pytest start via een launcher (read-only in de sandbox) die het JUnit XML rapport naar de server
+ * stuurt zodra pytest klaar is en het proces daarna stopt zonder exit hooks van de student uit te
+ * voeren. De tests draaien wel in hetzelfde proces als pytest: het rapport moet kloppen met zijn
+ * eigen tellingen en met de exit code.
+ * Tracebacks worden op één regel gehouden (--tb=line), zodat de output geen code van de tests toont.
+ * Python en pytest (7 of nieuwer) moeten geïnstalleerd zijn op de server (AUTOGRADER_PYTHON,
+ * standaard python3).
+ */
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { REPORT_FD } = require('./sandbox');
+
+const name = 'pytest';
+
+const CONFIG_FILE = 'pytest.ini';
+const LAUNCHER_FILE = 'run_pytest.py';
+
+/**
+ * Launcher: rapport in de private /tmp van de sandbox, daarna naar REPORT_FD en os._exit
+ * (atexit handlers van de student lopen niet meer)
+ */
+const LAUNCHER = `import os
+import sys
+
+import pytest
+
+REPORT_PATH = '/tmp/pytest-results.xml'
+
+code = int(pytest.main(sys.argv[1:] + ['--junitxml=' + REPORT_PATH]))
+try:
+    with open(REPORT_PATH, 'rb') as report:
+        data = report.read()
+    while data:
+        data = data[os.write(${REPORT_FD}, data):]
+    os.close(${REPORT_FD})
+finally:
+    sys.stdout.flush()
+    sys.stderr.flush()
+    os._exit(code)
+`;
+
+/**
+ * Bestanden van de student die pytest zou laden (hooks, opties) of die Python bij het opstarten uitvoert
+ */
+const PROTECTED_FILE_NAMES = ['conftest.py', 'pytest.ini', '.pytest.ini', 'pyproject.toml', 'setup.cfg', 'tox.ini', 'sitecustomize.py', 'usercustomize.py'];
+
+let available;
+let pythonInstall;
+
+/**
+ * @returns {string} - Python interpreter
+ */
+function getPython() {
+  return process.env.AUTOGRADER_PYTHON || 'python3';
+}
+
+/**
+ * @returns {boolean} - Of pytest en prlimit beschikbaar zijn (eenmalig gecontroleerd)
+ */
+function isAvailable() {
+  if (available === undefined) {
+    try {
+      execFileSync(getPython(), ['-I', '-m', 'pytest', '--version'], { stdio: 'ignore', timeout: 10000 });
+      execFileSync('prlimit', ['--version'], { stdio: 'ignore', timeout: 5000 });
+      // Het volledige pad van de interpreter en de installatie (bv. een virtualenv buiten /usr)
+      // zijn nodig in de sandbox, waar PATH enkel de systeemmappen bevat
+      const [executable, ...prefixes] = execFileSync(getPython(), ['-I', '-c', 'import sys; print(sys.executable); print(sys.prefix); print(sys.base_prefix)'], { encoding: 'utf8', timeout: 10000 })
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+      pythonInstall = { executable, prefixes: [...new Set(prefixes)] };
+      available = true;
+    } catch (error) {
+      available = false;
+    }
+  }
+  return available;
+}
+
+/**
+ * Negeert de autograder dit bestand van de student?
+ * @param {string} filePath - Relatief pad
+ * @returns {boolean}
+ */
+function isProtectedPath(filePath) {
+  return PROTECTED_FILE_NAMES.includes(path.posix.basename(filePath));
+}
+
+/**
+ * Bouw het commando voor een test run
+ * @param {object} options
+ * @param {string} options.workDir - Snapshot van de repository, met de testbestanden erin (pad in de sandbox)
+ * @param {string} options.configDir - Read-only map voor de ini en de launcher (pad in de sandbox)
+ * @param {Array<string>} options.testPaths - Relatieve paden van de testbestanden
+ * @param {number} options.memoryMb - Geheugenlimiet
+ * @returns {{command: string, args: Array<string>, env: object, readOnlyPaths: Array<string>, configFiles: Array<{path: string, content: string}>}}
+ */
+function buildCommand({ workDir, configDir, testPaths, memoryMb }) {
+  return {
+    command: 'prlimit',
+    args: [
+      `--as=${memoryMb * 1024 * 1024}`,
+      '--',
+      pythonInstall?.executable || getPython(),
+      '-I',
+      '-B',
+      path.posix.join(configDir, LAUNCHER_FILE),
+      '-c', path.posix.join(configDir, CONFIG_FILE),
+      `--rootdir=${workDir}`,
+      '-q',
+      '-p', 'no:cacheprovider',
+      '--tb=line',
+      ...testPaths
+    ],
+    env: {},
+    readOnlyPaths: (pythonInstall?.prefixes || []).filter(prefix => !/^\/usr(\/|$)/.test(prefix)),
+    configFiles: [
+      { path: CONFIG_FILE, content: `[pytest]\npythonpath = ${workDir}\n` },
+      { path: LAUNCHER_FILE, content: LAUNCHER }
+    ]
+  };
+}
+
+/**
+ * Decodeer de XML entities in een attribuut of tekst
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXml(text) {
+  return String(text || '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Lees de attributen van een XML tag
+ * @param {string} tag - Openingstag
+ * @returns {object}
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  for (const match of tag.matchAll(/(\w+)="([^"]*)"/g)) {
+    attributes[match[1]] = decodeXml(match[2]);
+  }
+  return attributes;
+}
+
+/**
+ * Zet een JUnit XML rapport om naar resultaten per test
+ * @param {string} xml - Inhoud van het rapport
+ * @returns {Array<{name: string, file: string|null, status: string, duration_ms: number|null, message: string|null}>}
+ */
+function parseJUnitXml(xml) {
+  const tests = [];
+
+  for (const match of String(xml || '').matchAll(/<testcase\b([^>]*?)(\/>|>([\s\S]*?)<\/testcase>)/g)) {
+    const attributes = parseAttributes(match[1]);
+    const body = match[3] || '';
+    const failure = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+    const skipped = /<skipped\b/.test(body);
+
+    tests.push({
+      name: attributes.classname ? `${attributes.classname}::${attributes.name}` : attributes.name,
+      file: attributes.file || null,
+      status: failure ? 'failed' : (skipped ? 'skipped' : 'passed'),
+      duration_ms: attributes.time ? Math.round(parseFloat(attributes.time) * 1000) : null,
+      // Het message attribuut bevat de assertion, de body de traceback (met code van de verborgen tests)
+      message: failure ? (parseAttributes(failure[2]).message || decodeXml(failure[3])).trim() || null : null
+    });
+  }
+
+  return tests;
+}
+
+/**
+ * Klopt het rapport met zijn eigen tellingen? Exact één testsuite, met evenveel testcases als
+ * het tests attribuut en enkel gefaalde tests als er failures of errors gemeld worden.
+ * @param {string} xml - Inhoud van het rapport
+ * @param {Array} tests - Resultaten van parseJUnitXml
+ * @returns {boolean}
+ */
+function isConsistentReport(xml, tests) {
+  const suites = [...String(xml || '').matchAll(/<testsuite\b([^>]*)>/g)];
+  if (suites.length !== 1) return false;
+
+  const attributes = parseAttributes(suites[0][1]);
+  const problems = parseInt(attributes.failures, 10) + parseInt(attributes.errors, 10);
+  return parseInt(attributes.tests, 10) === tests.length &&
+    (problems > 0) === tests.some(test => test.status === 'failed');
+}
+
+/**
+ * Lees de resultaten van een test run
+ * @param {object} options
+ * @param {string|null} options.report - JUnit XML rapport van de launcher
+ * @returns {Promise<Array|null>} - Resultaten per test of null als er geen (geldig) rapport is
+ */
+async function parseResults({ report }) {
+  if (!report) return null;
+  const tests = parseJUnitXml(report);
+  return isConsistentReport(report, tests) ? tests : null;
+}
+
+module.exports = {
+  name,
+  isAvailable,
+  isProtectedPath,
+  buildCommand,
+  parseResults,
+  parseJUnitXml,
+  isConsistentReport
+};
@@ -0,0 +1,198 @@
+const { spawn, execFileSync } = require('child_process');
+
+/**
+ * Sandbox voor het uitvoeren van student code met de tests van de docent
+ *
+ * De tests draaien altijd in bubblewrap (bwrap, of AUTOGRADER_BWRAP_BIN); zonder bwrap voert de
+ * autograder niets uit.
+ * - Namespaces: eigen user, PID, network, IPC en UTS namespace. Het proces ziet enkel zijn eigen
+ *   processen (een eigen /proc), heeft geen netwerk en draait als uid/gid 65534 (nobody).
+ * - Bestandssysteem: geen root van de server, enkel de systeemmappen en de paden van de runner
+ *   (read-only). De app, .env en de home map bestaan niet in de sandbox. Schrijfbaar zijn enkel
+ *   de snapshot (/sandbox/work) en een lege /tmp; de configuratie van de runner (/sandbox/config)
+ *   is read-only.
+ * - Rapport: de runner schrijft zijn rapport naar file descriptor 3 (een pipe naar de server),
+ *   niet naar een bestand. Er is dus geen rapport in de sandbox dat de tests achteraf kunnen
+ *   overschrijven.
+ * - Tijd: na de timeout wordt de volledige process group gekilld; met de PID namespace stopt
+ *   alles in de sandbox zodra het hoofdproces stopt.
+ * - Geheugen: per runner via prlimit.
+ * - Omgeving: enkel wat de sandbox en de runner meegeven, geen secrets van de server.
+ */
+
+const SANDBOX_WORK_DIR = '/sandbox/work';
+const SANDBOX_CONFIG_DIR = '/sandbox/config';
+
+/**
+ * File descriptor waarop de runner zijn rapport schrijft
+ */
+const REPORT_FD = 3;
+
+/**
+ * nobody: geen eigenaar van bestanden in de sandbox
+ */
+const SANDBOX_UID = 65534;
+
+/**
+ * Systeemmappen die read-only in de sandbox staan (enkel als ze bestaan)
+ */
+const SYSTEM_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/etc/alternatives', '/etc/ld.so.cache', '/etc/localtime'];
+
+const SANDBOX_PATH = '/usr/local/bin:/usr/bin:/bin';
+
+/**
+ * Maximum aantal tekens stdout/stderr dat bijgehouden wordt
+ */
+const MAX_OUTPUT_CHARS = 64 * 1024;
+
+/**
+ * Maximum grootte van het rapport; een groter rapport wordt genegeerd
+ */
+const MAX_REPORT_BYTES = 8 * 1024 * 1024;
+
+let available;
+
+/**
+ * @returns {string} - Pad naar bubblewrap
+ */
+function getBwrapBin() {
+  return process.env.AUTOGRADER_BWRAP_BIN || 'bwrap';
+}
+
+/**
+ * Bouw de argumenten voor bubblewrap
+ * @param {object} options
+ * @param {string} options.workDir - Snapshot van de repository (schrijfbaar, /sandbox/work)
+ * @param {string} options.configDir - Configuratie van de runner (read-only, /sandbox/config)
+ * @param {Array<string>} options.readOnlyPaths - Extra read-only paden (bv. de Node installatie)
+ * @returns {Array<string>}
+ */
+function buildSandboxArgs({ workDir, configDir, readOnlyPaths = [] }) {
+  return [
+    '--die-with-parent',
+    '--new-session',
+    '--unshare-all',
+    '--uid', String(SANDBOX_UID),
+    '--gid', String(SANDBOX_UID),
+    ...SYSTEM_PATHS.flatMap(systemPath => ['--ro-bind-try', systemPath, systemPath]),
+    ...readOnlyPaths.flatMap(readOnlyPath => ['--ro-bind', readOnlyPath, readOnlyPath]),
+    '--proc', '/proc',
+    '--dev', '/dev',
+    '--tmpfs', '/tmp',
+    '--bind', workDir, SANDBOX_WORK_DIR,
+    '--ro-bind', configDir, SANDBOX_CONFIG_DIR,
+    '--chdir', SANDBOX_WORK_DIR,
+    '--'
+  ];
+}
+
+/**
+ * Kan de sandbox gestart worden? (eenmalig gecontroleerd met een lege run)
+ * @returns {boolean}
+ */
+function isSandboxAvailable() {
+  if (available === undefined) {
+    try {
+      execFileSync(getBwrapBin(), [
+        '--unshare-all',
+        '--uid', String(SANDBOX_UID),
+        '--gid', String(SANDBOX_UID),
+        ...SYSTEM_PATHS.flatMap(systemPath => ['--ro-bind-try', systemPath, systemPath]),
+        '--proc', '/proc',
+        '--',
+        'true'
+      ], { stdio: 'ignore', timeout: 10000 });
+      available = true;
+    } catch (error) {
+      available = false;
+    }
+  }
+  return available;
+}
+
+/**
+ * Voeg tekst toe aan een buffer tot het maximum
+ * @param {string} buffer - Huidige tekst
+ * @param {Buffer} chunk - Nieuwe data
+ * @returns {string}
+ */
+function appendOutput(buffer, chunk) {
+  if (buffer.length >= MAX_OUTPUT_CHARS) return buffer;
+  return (buffer + chunk.toString('utf8')).slice(0, MAX_OUTPUT_CHARS);
+}
+
+/**
+ * Voer een commando uit in de sandbox
+ * Resolve pas als het proces gestopt is: het rapport is dan volledig.
+ * @param {object} options
+ * @param {string} options.command - Uitvoerbaar bestand (pad in de sandbox)
+ * @param {Array<string>} options.args - Argumenten
+ * @param {string} options.workDir - Snapshot van de repository op de server
+ * @param {string} options.configDir - Configuratie van de runner op de server
+ * @param {Array<string>} options.readOnlyPaths - Extra read-only paden
+ * @param {object} options.env - Extra omgevingsvariabelen
+ * @param {number} options.timeoutMs - Maximale looptijd
+ * @returns {Promise<{exitCode: number|null, signal: string|null, timedOut: boolean, stdout: string, stderr: string, report: string|null, durationMs: number}>}
+ *   report: wat de runner op REPORT_FD schreef (null als er niets kwam of het te groot was)
+ */
+function runSandboxed({ command, args = [], workDir, configDir, readOnlyPaths = [], env = {}, timeoutMs }) {
+  return new Promise((resolve) => {
+    const startedAt = Date.now();
+    let stdout = '';
+    let stderr = '';
+    const reportChunks = [];
+    let reportBytes = 0;
+    let timedOut = false;
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve({
+        stdout,
+        stderr,
+        timedOut,
+        report: reportBytes > 0 && reportBytes <= MAX_REPORT_BYTES ? Buffer.concat(reportChunks).toString('utf8') : null,
+        durationMs: Date.now() - startedAt,
+        ...result
+      });
+    };
+
+    const child = spawn(getBwrapBin(), [...buildSandboxArgs({ workDir, configDir, readOnlyPaths }), command, ...args], {
+      env: { PATH: SANDBOX_PATH, HOME: '/tmp', LANG: 'C.UTF-8', CI: 'true', ...env },
+      stdio: ['ignore', 'pipe', 'pipe', 'pipe'],
+      // Eigen process group, zodat de timeout ook kindprocessen van de tests stopt
+      detached: true
+    });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        child.kill('SIGKILL');
+      }
+    }, timeoutMs);
+
+    child.stdout.on('data', chunk => { stdout = appendOutput(stdout, chunk); });
+    child.stderr.on('data', chunk => { stderr = appendOutput(stderr, chunk); });
+    child.stdio[REPORT_FD].on('data', (chunk) => {
+      reportBytes += chunk.length;
+      if (reportBytes <= MAX_REPORT_BYTES) reportChunks.push(chunk);
+    });
+    child.on('error', (error) => finish({ exitCode: null, signal: null, error: error.message }));
+    child.on('close', (exitCode, signal) => finish({ exitCode, signal }));
+  });
+}
+
+module.exports = {
+  runSandboxed,
+  buildSandboxArgs,
+  isSandboxAvailable,
+  SANDBOX_WORK_DIR,
+  SANDBOX_CONFIG_DIR,
+  SANDBOX_UID,
+  REPORT_FD,
+  MAX_OUTPUT_CHARS
+};
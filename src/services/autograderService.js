@@ -0,0 +1,259 @@
+const db = require('../config/db');
+const { getRunnerNames, isSafeRelativePath } = require('./autograder');
+const { t } = require('../utils/i18n');
+
+/**
+ * Autograder - verborgen test suites per opdracht
+ *
+ * Een docent bewaart per opdracht een test suite (Jest of pytest). Na elke analyse draait de
+ * suite op de snapshot van de repository (zie services/autograder); het resultaat wordt op de
+ * submission bewaard, gefaalde tests worden feedback met reviewer 'autograder' en het
+ * percentage geslaagde tests telt mee in de score volgens het gewicht van de suite.
+ * De testbestanden zelf worden nooit aan studenten getoond.
+ */
+
+const MAX_SUITE_FILES = 50;
+const MAX_FILE_SIZE = 200 * 1024;
+const MAX_TOTAL_SIZE = 1024 * 1024;
+
+const DEFAULT_TIMEOUT_SECONDS = 60;
+const MIN_TIMEOUT_SECONDS = 5;
+const MAX_TIMEOUT_SECONDS = 300;
+
+const DEFAULT_MEMORY_MB = 512;
+const MIN_MEMORY_MB = 128;
+const MAX_MEMORY_MB = 2048;
+
+/**
+ * Maximum aantal gefaalde tests dat als apart feedback item getoond wordt
+ */
+const MAX_TEST_FEEDBACK_ITEMS = 10;
+const MAX_SUGGESTION_CHARS = 1000;
+
+/**
+ * Controleer een optioneel geheel getal binnen grenzen
+ * @returns {boolean}
+ */
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Valideer een test suite uit de request body
+ * @param {object} input
+ * @param {string} input.runner - 'jest' of 'pytest'
+ * @param {Array<{path: string, content: string}>} input.files - Testbestanden (paden relatief aan de project root)
+ * @param {number} input.weight - Aandeel in de score (0-100, standaard 0)
+ * @param {number} input.timeoutSeconds - Maximale looptijd (standaard 60)
+ * @param {number} input.memoryMb - Geheugenlimiet (standaard 512)
+ * @returns {{valid: boolean, errors: Array<string>, suite: object|null}}
+ */
+function validateTestSuite(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: ['Test suite moet een object zijn'], suite: null };
+  }
+
+  const errors = [];
+  const runners = getRunnerNames();
+
+  if (!runners.includes(input.runner)) {
+    errors.push(`runner moet een van ${runners.join(', ')} zijn`);
+  }
+
+  if (!Array.isArray(input.files) || input.files.length === 0 || input.files.length > MAX_SUITE_FILES) {
+    errors.push(`files moet een array van 1 tot ${MAX_SUITE_FILES} bestanden zijn`);
+  } else {
+    const seen = new Set();
+    let totalSize = 0;
+
+    input.files.forEach((file, index) => {
+      if (!file || typeof file !== 'object' || !isSafeRelativePath(file.path)) {
+        errors.push(`files[${index}].path moet een relatief pad binnen het project zijn`);
+        return;
+      }
+      if (seen.has(file.path)) {
+        errors.push(`files[${index}].path komt meerdere keren voor: ${file.path}`);
+      }
+      seen.add(file.path);
+
+      if (typeof file.content !== 'string') {
+        errors.push(`files[${index}].content moet een string zijn`);
+        return;
+      }
+      const size = Buffer.byteLength(file.content, 'utf8');
+      if (size > MAX_FILE_SIZE) {
+        errors.push(`files[${index}] is groter dan ${MAX_FILE_SIZE / 1024}KB`);
+      }
+      totalSize += size;
+    });
+
+    if (totalSize > MAX_TOTAL_SIZE) {
+      errors.push(`De testbestanden zijn samen groter dan ${MAX_TOTAL_SIZE / 1024}KB`);
+    }
+  }
+
+  if (input.weight !== undefined && !isIntegerInRange(input.weight, 0, 100)) {
+    errors.push('weight moet een geheel getal tussen 0 en 100 zijn');
+  }
+  if (input.timeoutSeconds !== undefined && !isIntegerInRange(input.timeoutSeconds, MIN_TIMEOUT_SECONDS, MAX_TIMEOUT_SECONDS)) {
+    errors.push(`timeoutSeconds moet een geheel getal tussen ${MIN_TIMEOUT_SECONDS} en ${MAX_TIMEOUT_SECONDS} zijn`);
+  }
+  if (input.memoryMb !== undefined && !isIntegerInRange(input.memoryMb, MIN_MEMORY_MB, MAX_MEMORY_MB)) {
+    errors.push(`memoryMb moet een geheel getal tussen ${MIN_MEMORY_MB} en ${MAX_MEMORY_MB} zijn`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, suite: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    suite: {
+      runner: input.runner,
+      files: input.files.map(file => ({ path: file.path, content: file.content })),
+      weight: input.weight ?? 0,
+      timeout_seconds: input.timeoutSeconds ?? DEFAULT_TIMEOUT_SECONDS,
+      memory_mb: input.memoryMb ?? DEFAULT_MEMORY_MB
+    }
+  };
+}
+
+/**
+ * Haal de test suite van een opdracht op
+ * @param {number} assignmentId - Opdracht ID
+ * @returns {Promise<object|null>} - null als de opdracht geen test suite heeft
+ */
+async function getTestSuite(assignmentId) {
+  const result = await db.query(
+    `SELECT id, assignment_id, runner, files, weight, timeout_seconds, memory_mb, updated_by, created_at, updated_at
+     FROM assignment_test_suite
+     WHERE assignment_id = $1`,
+    [assignmentId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Bewaar (of vervang) de test suite van een opdracht
+ * @param {number} assignmentId - Opdracht ID
+ * @param {object} suite - Gevalideerde suite (zie validateTestSuite)
+ * @param {number} updatedBy - Gebruiker ID
+ * @returns {Promise<object>}
+ */
+async function saveTestSuite(assignmentId, suite, updatedBy) {
+  const result = await db.query(
+    `INSERT INTO assignment_test_suite (assignment_id, runner, files, weight, timeout_seconds, memory_mb, updated_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (assignment_id) DO UPDATE
+     SET runner = EXCLUDED.runner, files = EXCLUDED.files, weight = EXCLUDED.weight,
+         timeout_seconds = EXCLUDED.timeout_seconds, memory_mb = EXCLUDED.memory_mb,
+         updated_by = EXCLUDED.updated_by, updated_at = NOW()
+     RETURNING id, assignment_id, runner, files, weight, timeout_seconds, memory_mb, updated_by, created_at, updated_at`,
+    [assignmentId, suite.runner, JSON.stringify(suite.files), suite.weight, suite.timeout_seconds, suite.memory_mb, updatedBy]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Verwijder de test suite van een opdracht
+ * @param {number} assignmentId - Opdracht ID
+ * @returns {Promise<boolean>} - false als er geen test suite was
+ */
+async function deleteTestSuite(assignmentId) {
+  const result = await db.query('DELETE FROM assignment_test_suite WHERE assignment_id = $1', [assignmentId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Zet het resultaat van een test run om naar feedback items
+ * Een run die niet kon starten door de server (runner niet beschikbaar) geeft geen feedback:
+ * daar kan de student niets aan doen.
+ * @param {object} result - Resultaat van runTestSuite
+ * @param {object} suite - Test suite (voor de timeout)
+ * @param {string|null} language - Feedback taal
+ * @returns {Array} - Feedback items met reviewer 'autograder'
+ */
+function buildTestFeedback(result, suite, language) {
+  if (!result || result.runner_unavailable) return [];
+
+  const base = { reviewer: 'autograder', type: 'tests', file_path: null, line_number: null, end_line: null, criterion_id: null };
+  const truncate = (text) => (text && text.length > MAX_SUGGESTION_CHARS ? `${text.slice(0, MAX_SUGGESTION_CHARS)}…` : text || null);
+
+  if (result.status === 'timeout') {
+    return [{
+      ...base,
+      severity: 'critical',
+      content: t('autograder.timeout', language, { seconds: suite.timeout_seconds }),
+      suggestion: truncate(result.output)
+    }];
+  }
+
+  if (result.status === 'error') {
+    return [{
+      ...base,
+      severity: 'critical',
+      content: t('autograder.error', language),
+      suggestion: truncate(result.output)
+    }];
+  }
+
+  const failed = result.tests.filter(test => test.status === 'failed');
+  const items = failed.slice(0, MAX_TEST_FEEDBACK_ITEMS).map(test => ({
+    ...base,
+    severity: 'high',
+    content: t('autograder.testFailed', language, { name: test.name }),
+    suggestion: truncate(test.message)
+  }));
+
+  if (failed.length > MAX_TEST_FEEDBACK_ITEMS) {
+    items.push({
+      ...base,
+      severity: 'high',
+      content: t('autograder.moreTestsFailed', language, { count: failed.length - MAX_TEST_FEEDBACK_ITEMS }),
+      suggestion: null
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Bereken het test percentage van een run
+ * @param {object} result - Resultaat van runTestSuite
+ * Een timeout (meestal een oneindige lus in de code van de student) telt als 0.
+ * @returns {number|null} - 0-100, null als de run niet meetelt (geen resultaten of enkel overgeslagen tests)
+ */
+function calculateTestScore(result) {
+  if (!result || result.runner_unavailable) return null;
+  if (result.status === 'timeout') return 0;
+
+  const counted = result.passed + result.failed;
+  return counted > 0 ? Math.round((result.passed / counted) * 100) : null;
+}
+
+/**
+ * Combineer de AI score met het test resultaat
+ * @param {number|null} aiScore - Score uit de AI analyse (null = onvolledige analyse)
+ * @param {number|null} testScore - Zie calculateTestScore
+ * @param {number} weight - Aandeel van de tests in de score (0-100)
+ * @returns {number|null}
+ */
+function combineScores(aiScore, testScore, weight) {
+  if (aiScore === null || aiScore === undefined) return null;
+  if (testScore === null || testScore === undefined || !weight) return aiScore;
+  return Math.round(aiScore * (1 - weight / 100) + testScore * (weight / 100));
+}
+
+module.exports = {
+  validateTestSuite,
+  getTestSuite,
+  saveTestSuite,
+  deleteTestSuite,
+  buildTestFeedback,
+  calculateTestScore,
+  combineScores,
+  MAX_TEST_FEEDBACK_ITEMS
+};
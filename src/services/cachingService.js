@@ -69,6 +69,16 @@ function invalidateAssignmentCache(assignmentId) {
   }
 }
 
+/**
+ * Invalidate a single cache entry
+ * @param {string} key - Cache key
+ */
+function invalidateCacheKey(key) {
+  if (statsCache.delete(key)) {
+    console.log(`🗑️  Invalidated cache entry ${key}`);
+  }
+}
+
 /**
  * Clear all cache entries
  */
@@ -109,6 +119,7 @@ module.exports = {
   setCachedData,
   invalidateCourseCache,
   invalidateAssignmentCache,
+  invalidateCacheKey,
   clearAllCache,
   getCacheStats
 };
@@ -0,0 +1,311 @@
+/**
+ * Chunking service - token schatting en opsplitsen van grote bestanden
+ *
+ * Grote bestanden worden opgesplitst op functie/klasse grenzen met een kleine overlap,
+ * zodat elk fragment binnen het token budget van één AI request past.
+ * Regelnummers in de fragmenten worden teruggezet naar het originele bestand.
+ */
+
+const DEFAULT_CHUNK_TOKENS = parseInt(process.env.AI_CHUNK_TOKENS) || 6000;
+const DEFAULT_OVERLAP_LINES = 10;
+const DEFAULT_MAX_CHUNKS = parseInt(process.env.AI_MAX_CHUNKS_PER_FILE) || 6;
+
+/**
+ * Gemiddeld aantal tekens per token voor broncode (ruwe schatting, provider-onafhankelijk)
+ */
+const CHARS_PER_TOKEN = 3.5;
+
+/**
+ * Regels die het begin van een functie of klasse markeren, per taal
+ */
+const BOUNDARY_PATTERNS = {
+  javascript: [
+    /^\s{0,2}(export\s+)?(default\s+)?(async\s+)?function\b/,
+    /^\s{0,2}(export\s+)?(default\s+)?class\b/,
+    /^\s{0,2}(export\s+)?(const|let|var)\s+[\w$]+\s*=\s*(async\s+)?(function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/,
+    /^\s{2,4}(static\s+)?(async\s+)?[\w$]+\s*\([^)]*\)\s*\{\s*$/, // class methodes
+    /^\s{0,2}(module\.)?exports\.[\w$]+\s*=/,
+    /^\s{0,2}router\.(get|post|put|patch|delete)\(/
+  ],
+  python: [
+    /^\s{0,4}(async\s+)?def\s+\w+/,
+    /^\s{0,4}class\s+\w+/,
+    /^\s{0,4}@\w+/
+  ],
+  java: [
+    /^\s{0,4}(public|private|protected|static|final|abstract|\s)*\s*(class|interface|enum|record)\s+\w+/,
+    /^\s{0,4}(public|private|protected|static|final|synchronized|abstract|\s)+[\w<>[\],\s]+\s+\w+\s*\([^;]*$/
+  ],
+  c: [
+    /^[\w*][\w\s*<>:,]*\s+[\w:~*]+\s*\([^;]*\)\s*(const)?\s*\{?\s*$/,
+    /^\s{0,4}(class|struct|namespace)\s+\w+/
+  ],
+  go: [
+    /^func\s/,
+    /^type\s+\w+\s+(struct|interface)/
+  ],
+  ruby: [
+    /^\s{0,4}(def|class|module)\s+/
+  ],
+  php: [
+    /^\s{0,4}((public|private|protected|static|abstract|final)\s+)*function\s+\w+/,
+    /^\s{0,4}((abstract|final)\s+)?class\s+\w+/
+  ]
+};
+
+const LANGUAGE_FAMILY = {
+  typescript: 'javascript',
+  csharp: 'java',
+  kotlin: 'java',
+  scala: 'java',
+  swift: 'java',
+  cpp: 'c',
+  rust: 'c'
+};
+
+/**
+ * Schat het aantal tokens van een tekst
+ * @param {string} text - Tekst
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Bepaal of een regel een functie/klasse grens is
+ * @param {string} line - Regel code
+ * @param {string} previousLine - Vorige regel
+ * @param {Array<RegExp>} patterns - Grens patronen voor de taal
+ * @returns {boolean}
+ */
+function isBoundary(line, previousLine, patterns) {
+  if (patterns.some(pattern => pattern.test(line))) {
+    return true;
+  }
+
+  // Generieke fallback: niet-ingesprongen code na een lege regel
+  return previousLine !== undefined && previousLine.trim() === '' && /^\S/.test(line) && !/^[})\]]/.test(line);
+}
+
+/**
+ * Splits bestandsinhoud op in fragmenten die binnen het token budget passen
+ * @param {string} content - Bestandsinhoud
+ * @param {object} options - Opties
+ * @param {string} options.language - Programmeertaal
+ * @param {number} options.maxTokens - Maximum aantal tokens per fragment
+ * @param {number} options.overlapLines - Aantal regels overlap tussen fragmenten
+ * @param {number} options.maxChunks - Maximum aantal fragmenten per bestand (rest wordt weggelaten)
+ * @returns {{chunks: Array<{index: number, startLine: number, endLine: number, content: string}>, trimmed: boolean, totalLines: number, analyzedLines: number}}
+ */
+function chunkContent(content, options = {}) {
+  const {
+    language = 'unknown',
+    maxTokens = DEFAULT_CHUNK_TOKENS,
+    overlapLines = DEFAULT_OVERLAP_LINES,
+    maxChunks = DEFAULT_MAX_CHUNKS
+  } = options;
+
+  const text = String(content || '');
+  const lines = text.split('\n');
+  const totalLines = lines.length;
+
+  if (estimateTokens(text) <= maxTokens) {
+    return {
+      chunks: [{ index: 0, startLine: 1, endLine: totalLines, content: text }],
+      trimmed: false,
+      totalLines,
+      analyzedLines: totalLines
+    };
+  }
+
+  const patterns = BOUNDARY_PATTERNS[LANGUAGE_FAMILY[language] || language] || [];
+  const boundaries = new Set();
+  lines.forEach((line, index) => {
+    if (index > 0 && isBoundary(line, lines[index - 1], patterns)) {
+      boundaries.add(index);
+    }
+  });
+
+  // Cumulatieve token telling per regel (inclusief newline)
+  const cumulative = [0];
+  for (const line of lines) {
+    cumulative.push(cumulative[cumulative.length - 1] + (line.length + 1) / CHARS_PER_TOKEN);
+  }
+  const tokensBetween = (start, end) => cumulative[end] - cumulative[start];
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < totalLines && chunks.length < maxChunks) {
+    // Verste regel die nog binnen het budget past
+    let hardEnd = start + 1;
+    while (hardEnd < totalLines && tokensBetween(start, hardEnd + 1) <= maxTokens) {
+      hardEnd++;
+    }
+
+    let end = hardEnd;
+    if (hardEnd < totalLines) {
+      // Knip liefst op de laatste functie/klasse grens, maar niet in de eerste helft van het fragment
+      const minEnd = start + Math.max(1, Math.floor((hardEnd - start) / 2));
+      for (let candidate = hardEnd; candidate > minEnd; candidate--) {
+        if (boundaries.has(candidate)) {
+          end = candidate;
+          break;
+        }
+      }
+    }
+
+    chunks.push({
+      index: chunks.length,
+      startLine: start + 1,
+      endLine: end,
+      content: lines.slice(start, end).join('\n')
+    });
+
+    if (end >= totalLines) break;
+
+    // Overlap zodat context rond de grens niet verloren gaat
+    start = Math.max(end - overlapLines, start + 1);
+  }
+
+  const analyzedLines = chunks[chunks.length - 1].endLine;
+
+  return {
+    chunks,
+    trimmed: analyzedLines < totalLines,
+    totalLines,
+    analyzedLines
+  };
+}
+
+/**
+ * Zet een regelnummer relatief aan een fragment om naar het originele bestand
+ * @param {number|null} lineNumber - Regelnummer in het fragment (1 = eerste regel van het fragment)
+ * @param {object} chunk - Fragment
+ * @returns {number|null}
+ */
+function mapLineNumber(lineNumber, chunk) {
+  if (typeof lineNumber !== 'number') return null;
+
+  const chunkLength = chunk.endLine - chunk.startLine + 1;
+  if (lineNumber < 1 || lineNumber > chunkLength) {
+    return null;
+  }
+
+  return chunk.startLine + lineNumber - 1;
+}
+
+/**
+ * Maximum aantal declaraties in een bestandssamenvatting
+ */
+const MAX_SUMMARY_DECLARATIONS = 20;
+
+/**
+ * Haal de naam van een functie/klasse uit een grens regel
+ * @param {string} line - Regel code
+ * @returns {string|null}
+ */
+function extractDeclarationName(line) {
+  const routeMatch = line.match(/router\.(get|post|put|patch|delete)\(\s*['"`]([^'"`]+)/);
+  if (routeMatch) return `${routeMatch[1].toUpperCase()} ${routeMatch[2]}`;
+
+  const keywordMatch = line.match(/\b(?:function|class|interface|enum|record|struct|namespace|module|def|func|type)\s+\*?\s*([A-Za-z_$][\w$]*)/);
+  if (keywordMatch) return keywordMatch[1];
+
+  const assignmentMatch = line.match(/\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=/) || line.match(/exports\.([\w$]+)\s*=/);
+  if (assignmentMatch) return assignmentMatch[1];
+
+  const callMatch = line.match(/([A-Za-z_$][\w$]*)\s*\(/);
+  return callMatch && !['if', 'for', 'while', 'switch', 'catch', 'return'].includes(callMatch[1]) ? callMatch[1] : null;
+}
+
+/**
+ * Maak een korte structurele samenvatting van een bestand (voor de architectuur review)
+ * @param {string} content - Bestandsinhoud
+ * @param {string} language - Programmeertaal
+ * @returns {{lines: number, declarations: Array<string>}}
+ */
+function summarizeContent(content, language = 'unknown') {
+  const lines = String(content || '').split('\n');
+  const patterns = BOUNDARY_PATTERNS[LANGUAGE_FAMILY[language] || language] || [];
+  const declarations = [];
+
+  for (const line of lines) {
+    if (declarations.length >= MAX_SUMMARY_DECLARATIONS) break;
+    if (!patterns.some(pattern => pattern.test(line))) continue;
+
+    const name = extractDeclarationName(line);
+    if (name && !declarations.includes(name)) {
+      declarations.push(name);
+    }
+  }
+
+  return { lines: lines.length, declarations };
+}
+
+const SEVERITY_RANK = { critical: 4, high: 3, medium: 2, low: 1 };
+
+/**
+ * Normaliseer feedback tekst voor duplicaat detectie
+ * @param {string} text - Feedback tekst
+ * @returns {string}
+ */
+function normalizeContent(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Voeg feedback van meerdere fragmenten samen en verwijder duplicaten
+ * Duplicaten (zelfde type en regel, of zelfde type en tekst) ontstaan door de overlap
+ * of doordat het model dezelfde opmerking voor elk fragment herhaalt.
+ * @param {Array} items - Feedback items (regelnummers al omgezet naar het originele bestand)
+ * @returns {Array}
+ */
+function mergeChunkFeedback(items) {
+  const merged = [];
+
+  for (const item of items) {
+    const duplicate = merged.find(existing =>
+      existing.type === item.type && (
+        (item.line_number !== null && existing.line_number === item.line_number) ||
+        normalizeContent(existing.content) === normalizeContent(item.content)
+      )
+    );
+
+    if (!duplicate) {
+      merged.push({ ...item });
+      continue;
+    }
+
+    // Behoud de hoogste severity en vul ontbrekende velden aan
+    if ((SEVERITY_RANK[item.severity] || 0) > (SEVERITY_RANK[duplicate.severity] || 0)) {
+      duplicate.severity = item.severity;
+    }
+    if (duplicate.line_number === null && item.line_number !== null) {
+      duplicate.line_number = item.line_number;
+      if ('end_line' in item) {
+        duplicate.end_line = item.end_line;
+      }
+      // Het regelnummer van het andere fragment is wel bruikbaar
+      delete duplicate.line_status;
+    }
+    if (!duplicate.suggestion && item.suggestion) {
+      duplicate.suggestion = item.suggestion;
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  estimateTokens,
+  chunkContent,
+  mapLineNumber,
+  mergeChunkFeedback,
+  summarizeContent,
+  DEFAULT_CHUNK_TOKENS,
+  DEFAULT_OVERLAP_LINES,
+  DEFAULT_MAX_CHUNKS
+};
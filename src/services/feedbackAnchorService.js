@@ -0,0 +1,155 @@
+/**
+ * Feedback anchor service - regelnummers van AI feedback controleren tegen het bestand
+ *
+ * Het model kan regelnummers teruggeven die niet (meer) in het bestand bestaan. Elk item met
+ * een regelnummer krijgt een gecontroleerd bereik (line_number t.e.m. end_line), een korte
+ * code excerpt rond die regels en een line_status:
+ * - valid: het bereik ligt binnen het bestand
+ * - reanchored: het regelnummer lag buiten het bestand, maar de code uit de feedback tekst
+ *   werd teruggevonden en het item wijst nu naar die regel
+ * - out_of_range: het regelnummer lag buiten het bestand en kon niet hersteld worden,
+ *   het item wordt als feedback over het hele bestand getoond
+ */
+
+/**
+ * Aantal regels context voor en na het bereik in de excerpt
+ */
+const EXCERPT_CONTEXT_LINES = 2;
+
+/**
+ * Maximum aantal regels in een excerpt (lange bereiken worden afgekapt)
+ */
+const MAX_EXCERPT_LINES = 12;
+
+/**
+ * Maximum lengte van één regel in een excerpt
+ */
+const MAX_EXCERPT_LINE_LENGTH = 200;
+
+/**
+ * Minimum lengte van een code fragment uit de feedback tekst om op te her-ankeren
+ * (korte fragmenten zoals 'x' komen op te veel regels voor)
+ */
+const MIN_ANCHOR_LENGTH = 3;
+
+const LINE_STATUSES = ['valid', 'reanchored', 'out_of_range'];
+
+/**
+ * Haal code fragmenten tussen backticks of enkele quotes uit een tekst
+ * @param {string|null} text - Feedback tekst of suggestie
+ * @returns {Array<string>}
+ */
+function extractCodeFragments(text) {
+  if (!text) return [];
+
+  const fragments = [];
+  for (const match of String(text).matchAll(/`([^`\n]+)`|'([^'\n]+)'/g)) {
+    const fragment = (match[1] || match[2]).trim();
+    if (fragment.length >= MIN_ANCHOR_LENGTH) {
+      fragments.push(fragment);
+    }
+  }
+  return fragments;
+}
+
+/**
+ * Zoek de regel waar een code fragment uit de feedback voorkomt
+ * De fragmenten uit de feedback tekst gaan voor op die uit de suggestie (die bevat vaak nieuwe code).
+ * @param {object} item - Feedback item
+ * @param {Array<string>} lines - Regels van het bestand
+ * @returns {number|null} - Regelnummer (1-based) of null
+ */
+function findAnchorLine(item, lines) {
+  const fragments = [...extractCodeFragments(item.content), ...extractCodeFragments(item.suggestion)];
+
+  for (const fragment of fragments) {
+    const index = lines.findIndex(line => line.includes(fragment));
+    if (index !== -1) {
+      return index + 1;
+    }
+  }
+  return null;
+}
+
+/**
+ * Bouw een code excerpt rond een bereik
+ * @param {Array<string>} lines - Regels van het bestand
+ * @param {number} startLine - Eerste regel van het bereik (1-based)
+ * @param {number} endLine - Laatste regel van het bereik (1-based)
+ * @returns {{code_excerpt: string, excerpt_start_line: number}}
+ */
+function buildExcerpt(lines, startLine, endLine) {
+  const from = Math.max(1, startLine - EXCERPT_CONTEXT_LINES);
+  const to = Math.min(lines.length, endLine + EXCERPT_CONTEXT_LINES, from + MAX_EXCERPT_LINES - 1);
+
+  const excerpt = lines
+    .slice(from - 1, to)
+    .map(line => (line.length > MAX_EXCERPT_LINE_LENGTH ? `${line.slice(0, MAX_EXCERPT_LINE_LENGTH)}…` : line));
+
+  return { code_excerpt: excerpt.join('\n'), excerpt_start_line: from };
+}
+
+/**
+ * Controleer het regelbereik van één feedback item en voeg de excerpt toe
+ * Een item dat al als out_of_range gemarkeerd is (bv. buiten zijn fragment bij chunking)
+ * wordt opnieuw geprobeerd te her-ankeren.
+ * @param {object} item - Feedback item
+ * @param {Array<string>} lines - Regels van het bestand
+ * @returns {object} - Item met line_number, end_line, line_status, code_excerpt en excerpt_start_line
+ */
+function anchorFeedbackItem(item, lines) {
+  const lineNumber = item.line_number;
+  const hasLine = Number.isInteger(lineNumber);
+
+  if (hasLine && lineNumber >= 1 && lineNumber <= lines.length) {
+    const endLine = Number.isInteger(item.end_line) && item.end_line >= lineNumber
+      ? Math.min(item.end_line, lines.length)
+      : lineNumber;
+
+    return {
+      ...item,
+      end_line: endLine,
+      line_status: 'valid',
+      ...buildExcerpt(lines, lineNumber, endLine)
+    };
+  }
+
+  if (!hasLine && item.line_status !== 'out_of_range') {
+    return { ...item, line_number: null, end_line: null, line_status: null, code_excerpt: null, excerpt_start_line: null };
+  }
+
+  const anchorLine = findAnchorLine(item, lines);
+  if (anchorLine) {
+    return {
+      ...item,
+      line_number: anchorLine,
+      end_line: anchorLine,
+      line_status: 'reanchored',
+      ...buildExcerpt(lines, anchorLine, anchorLine)
+    };
+  }
+
+  return { ...item, line_number: null, end_line: null, line_status: 'out_of_range', code_excerpt: null, excerpt_start_line: null };
+}
+
+/**
+ * Controleer de regelnummers van alle feedback items van één bestand
+ * @param {Array} feedback - Feedback items van het bestand
+ * @param {string} content - Inhoud van het bestand
+ * @returns {Array}
+ */
+function anchorFeedback(feedback, content) {
+  // Een afsluitende newline is geen extra regel
+  const lines = String(content || '').replace(/\r?\n$/, '').split(/\r?\n/);
+  return feedback.map(item => anchorFeedbackItem(item, lines));
+}
+
+module.exports = {
+  anchorFeedback,
+  anchorFeedbackItem,
+  buildExcerpt,
+  extractCodeFragments,
+  LINE_STATUSES,
+  EXCERPT_CONTEXT_LINES,
+  MAX_EXCERPT_LINES
+};
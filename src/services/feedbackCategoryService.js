@@ -0,0 +1,89 @@
+/**
+ * Feedback categorieën per opdracht
+ *
+ * Standaard geeft de AI feedback in de vaste FEEDBACK_TYPES van aiService. Een docent kan per
+ * opdracht een eigen set categorieën instellen, bijvoorbeeld:
+ * [
+ *   { id: 'recursion', label: 'Recursie', description: 'Correct gebruik van basisgevallen en recursieve stappen' },
+ *   { id: 'sql_injection', label: 'SQL injection', description: 'Queries met ongefilterde gebruikersinvoer' }
+ * ]
+ * De beschrijving komt in de prompt terecht; het id wordt als type opgeslagen bij de feedback.
+ */
+
+const MAX_CATEGORIES = 20;
+const MAX_LABEL_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const ID_PATTERN = /^[a-z0-9_-]{1,64}$/i;
+
+/**
+ * Categorieën die door het systeem zelf gebruikt worden en niet herdefinieerd mogen worden
+ */
+const RESERVED_CATEGORY_IDS = ['architecture'];
+
+/**
+ * Valideer en normaliseer feedback categorieën
+ * @param {Array} categories - Categorieën zoals aangeleverd door de docent
+ * @returns {{valid: boolean, errors: Array<string>, categories: Array|null}}
+ */
+function validateFeedbackCategories(categories) {
+  const errors = [];
+
+  if (!Array.isArray(categories) || categories.length === 0) {
+    return { valid: false, errors: ['Er moet minstens één categorie opgegeven worden'], categories: null };
+  }
+
+  if (categories.length > MAX_CATEGORIES) {
+    return { valid: false, errors: [`Maximaal ${MAX_CATEGORIES} categorieën toegestaan`], categories: null };
+  }
+
+  const categoryIds = new Set();
+  const normalized = categories.map((category, index) => {
+    const label = `Categorie ${index + 1}`;
+
+    if (!category || typeof category !== 'object') {
+      errors.push(`${label}: moet een object zijn`);
+      return null;
+    }
+
+    const id = typeof category.id === 'string' ? category.id.trim().toLowerCase() : category.id;
+
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      errors.push(`${label}: id is verplicht (letters, cijfers, _ of -)`);
+    } else if (RESERVED_CATEGORY_IDS.includes(id)) {
+      errors.push(`${label}: id '${id}' is gereserveerd`);
+    } else if (categoryIds.has(id)) {
+      errors.push(`${label}: id '${id}' komt meerdere keren voor`);
+    } else {
+      categoryIds.add(id);
+    }
+
+    if (category.label !== undefined && category.label !== null &&
+        (typeof category.label !== 'string' || category.label.length > MAX_LABEL_LENGTH)) {
+      errors.push(`${label}: label moet een string van maximaal ${MAX_LABEL_LENGTH} tekens zijn`);
+    }
+
+    if (typeof category.description !== 'string' || category.description.trim().length === 0) {
+      errors.push(`${label}: beschrijving is verplicht`);
+    } else if (category.description.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push(`${label}: beschrijving mag maximaal ${MAX_DESCRIPTION_LENGTH} tekens bevatten`);
+    }
+
+    return {
+      id,
+      label: typeof category.label === 'string' && category.label.trim() ? category.label.trim() : id,
+      description: typeof category.description === 'string' ? category.description.trim() : category.description
+    };
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors, categories: null };
+  }
+
+  return { valid: true, errors: [], categories: normalized };
+}
+
+module.exports = {
+  validateFeedbackCategories,
+  RESERVED_CATEGORY_IDS,
+  MAX_CATEGORIES
+};
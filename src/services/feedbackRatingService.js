@@ -0,0 +1,104 @@
+const db = require('../config/db');
+
+/**
+ * Beoordelingen van AI feedback door studenten
+ *
+ * Een student beoordeelt elk AI feedback item van de eigen submission als nuttig, niet nuttig
+ * of fout, met een optionele opmerking (tabel feedback_rating). Type, severity en prompt versie
+ * van het item worden mee bewaard zodat de statistieken een heranalyse overleven.
+ */
+
+const FEEDBACK_RATINGS = ['helpful', 'not_helpful', 'incorrect'];
+
+const MAX_RATING_COMMENT_LENGTH = 1000;
+
+/**
+ * Kolommen waarop de statistieken gegroepeerd kunnen worden
+ */
+const GROUP_COLUMNS = {
+  type: "COALESCE(fr.feedback_type, 'uncategorized')",
+  prompt_version: "COALESCE(fr.prompt_version, 'unknown')"
+};
+
+/**
+ * Zet een rij met tellingen om naar een samenvatting
+ * @param {object} row - Rij met total, helpful, not_helpful en incorrect
+ * @returns {{total: number, helpful: number, not_helpful: number, incorrect: number, helpful_rate: number|null}}
+ */
+function toRatingSummary(row) {
+  const total = parseInt(row?.total) || 0;
+  const helpful = parseInt(row?.helpful) || 0;
+
+  return {
+    total,
+    helpful,
+    not_helpful: parseInt(row?.not_helpful) || 0,
+    incorrect: parseInt(row?.incorrect) || 0,
+    helpful_rate: total > 0 ? Math.round((helpful / total) * 100) / 100 : null
+  };
+}
+
+/**
+ * Tel de beoordelingen, optioneel gegroepeerd
+ * @param {object} filters
+ * @param {number|null} filters.assignmentId - Enkel beoordelingen binnen deze opdracht
+ * @param {Array<string>|null} filters.promptVersions - Enkel deze prompt versies
+ * @param {string|null} filters.groupBy - 'type', 'prompt_version' of null (totaal)
+ * @returns {Promise<Array<object>>} - Samenvatting per groep (met key), of één totaal zonder groupBy
+ */
+async function getFeedbackRatingStats({ assignmentId = null, promptVersions = null, groupBy = null }) {
+  const groupColumn = GROUP_COLUMNS[groupBy] || null;
+
+  const result = await db.query(
+    `SELECT
+       ${groupColumn ? `${groupColumn} as key,` : ''}
+       COUNT(*) as total,
+       COUNT(*) FILTER (WHERE fr.rating = 'helpful') as helpful,
+       COUNT(*) FILTER (WHERE fr.rating = 'not_helpful') as not_helpful,
+       COUNT(*) FILTER (WHERE fr.rating = 'incorrect') as incorrect
+     FROM feedback_rating fr
+     JOIN submission s ON fr.submission_id = s.id
+     WHERE ($1::int IS NULL OR s.assignment_id = $1)
+       AND ($2::text[] IS NULL OR fr.prompt_version = ANY($2))
+     ${groupColumn ? `GROUP BY ${groupColumn} ORDER BY total DESC` : ''}`,
+    [assignmentId, promptVersions]
+  );
+
+  return result.rows.map(row => ({
+    ...(groupColumn ? { key: row.key } : {}),
+    ...toRatingSummary(row)
+  }));
+}
+
+/**
+ * Haal de meest recente negatieve beoordelingen met opmerking op
+ * @param {number} assignmentId - Opdracht ID
+ * @param {number} limit - Maximum aantal
+ * @returns {Promise<Array>}
+ */
+async function getRecentNegativeRatings(assignmentId, limit = 10) {
+  const result = await db.query(
+    `SELECT fr.id, fr.feedback_id, fr.submission_id, fr.rating, fr.comment,
+            fr.feedback_type, fr.feedback_severity, fr.prompt_version, fr.updated_at,
+            f.content, f.file_path, f.line_number
+     FROM feedback_rating fr
+     JOIN submission s ON fr.submission_id = s.id
+     LEFT JOIN feedback f ON fr.feedback_id = f.id
+     WHERE s.assignment_id = $1
+       AND fr.rating IN ('not_helpful', 'incorrect')
+       AND fr.comment IS NOT NULL
+     ORDER BY fr.updated_at DESC
+     LIMIT $2`,
+    [assignmentId, limit]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  toRatingSummary,
+  getFeedbackRatingStats,
+  getRecentNegativeRatings,
+  FEEDBACK_RATINGS,
+  MAX_RATING_COMMENT_LENGTH
+};
@@ -0,0 +1,261 @@
+/**
+ * Bestandsselectie per opdracht
+ *
+ * Bepaalt welke bestanden uit de repository geanalyseerd worden. De docent stelt dit in
+ * via assignment.file_selection:
+ * {
+ *   root: 'packages/api',             // submap als project root (monorepos)
+ *   include: ['src/**', '*.py'],      // enkel deze bestanden (leeg = alle code bestanden)
+ *   exclude: ['*.test.js'],           // deze bestanden nooit
+ *   priority: ['src/**', 'tests/**'], // volgorde waarin bestanden gekozen worden
+ *   max_files: 20                     // maximaal aantal geanalyseerde bestanden
+ * }
+ * Patronen zijn relatief ten opzichte van de root. '**' matcht nul of meer mappen, '*' en '?'
+ * matchen binnen één map. Een patroon zonder '/' matcht de bestandsnaam op elke diepte.
+ * De globale filter (CODE_EXTENSIONS, EXCLUDED_PATHS) blijft altijd van toepassing.
+ */
+
+const { getCodeFileSkipReason, MAX_FILES_PER_COMMIT } = require('./githubService');
+
+const DEFAULT_MAX_FILES = 20;
+const MAX_PATTERNS = 50;
+const MAX_PATTERN_LENGTH = 200;
+
+const DEFAULT_FILE_SELECTION = {
+  root: null,
+  include: [],
+  exclude: [],
+  priority: [],
+  max_files: DEFAULT_MAX_FILES
+};
+
+const PATTERN_FIELDS = ['include', 'exclude', 'priority'];
+
+/**
+ * Redenen waarom een bestand niet geanalyseerd wordt
+ */
+const SKIP_REASONS = {
+  OUTSIDE_ROOT: 'outside_root',
+  EXCLUDED_PATH: 'excluded_path',
+  UNSUPPORTED_EXTENSION: 'unsupported_extension',
+  NOT_INCLUDED: 'not_included',
+  EXCLUDED_BY_PATTERN: 'excluded_by_pattern',
+  MAX_FILES: 'max_files'
+};
+
+/**
+ * Zet een glob patroon om naar een reguliere expressie
+ * @param {string} pattern - Glob patroon (bv. 'src/**', '*.test.js')
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let normalized = pattern.trim().replace(/^\.?\//, '');
+
+  // 'tests/' = alles in de map tests
+  if (normalized.endsWith('/')) {
+    normalized += '**';
+  }
+
+  // Zonder '/' matcht het patroon de bestandsnaam op elke diepte
+  if (!normalized.includes('/')) {
+    normalized = `**/${normalized}`;
+  }
+
+  let source = '';
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+
+    if (char === '*' && normalized[i + 1] === '*') {
+      if (normalized[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Normaliseer een root map ('/packages/api/' → 'packages/api')
+ * @param {string|null} root - Root map
+ * @returns {string|null}
+ */
+function normalizeRoot(root) {
+  if (typeof root !== 'string') return null;
+  const trimmed = root.trim().replace(/^\.?\/+/, '').replace(/\/+$/, '');
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+/**
+ * Valideer en normaliseer de bestandsselectie van een opdracht
+ * @param {object} selection - Selectie zoals aangeleverd door de docent
+ * @returns {{valid: boolean, errors: Array<string>, selection: object|null}}
+ */
+function validateFileSelection(selection) {
+  if (!selection || typeof selection !== 'object' || Array.isArray(selection)) {
+    return { valid: false, errors: ['Bestandsselectie moet een object zijn'], selection: null };
+  }
+
+  const errors = [];
+  const allowedFields = ['root', ...PATTERN_FIELDS, 'max_files'];
+
+  for (const field of Object.keys(selection)) {
+    if (!allowedFields.includes(field)) {
+      errors.push(`Onbekend veld '${field}'`);
+    }
+  }
+
+  if (selection.root !== undefined && selection.root !== null) {
+    if (typeof selection.root !== 'string') {
+      errors.push('root moet een string zijn');
+    } else if (selection.root.split('/').includes('..')) {
+      errors.push('root mag geen \'..\' bevatten');
+    }
+  }
+
+  for (const field of PATTERN_FIELDS) {
+    const patterns = selection[field];
+    if (patterns === undefined || patterns === null) continue;
+
+    if (!Array.isArray(patterns)) {
+      errors.push(`${field} moet een array van patronen zijn`);
+      continue;
+    }
+
+    if (patterns.length > MAX_PATTERNS) {
+      errors.push(`${field} mag maximaal ${MAX_PATTERNS} patronen bevatten`);
+    }
+
+    patterns.forEach((pattern, index) => {
+      if (typeof pattern !== 'string' || pattern.trim().length === 0 || pattern.length > MAX_PATTERN_LENGTH) {
+        errors.push(`${field}[${index}]: moet een niet-leeg patroon van maximaal ${MAX_PATTERN_LENGTH} tekens zijn`);
+      }
+    });
+  }
+
+  if (selection.max_files !== undefined && selection.max_files !== null &&
+      (!Number.isInteger(selection.max_files) || selection.max_files < 1 || selection.max_files > MAX_FILES_PER_COMMIT)) {
+    errors.push(`max_files moet een geheel getal tussen 1 en ${MAX_FILES_PER_COMMIT} zijn`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, selection: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    selection: {
+      root: normalizeRoot(selection.root),
+      include: (selection.include || []).map(pattern => pattern.trim()),
+      exclude: (selection.exclude || []).map(pattern => pattern.trim()),
+      priority: (selection.priority || []).map(pattern => pattern.trim()),
+      max_files: selection.max_files ?? DEFAULT_MAX_FILES
+    }
+  };
+}
+
+/**
+ * Beperk een lijst bestanden tot de root map van de selectie
+ * @param {Array<{path: string}>} files - Bestanden uit getRepositoryTree
+ * @param {object|null} selection - Bestandsselectie van de opdracht
+ * @returns {Array<{path: string}>}
+ */
+function filterToRoot(files, selection) {
+  const root = normalizeRoot(selection?.root);
+  if (!root || !Array.isArray(files)) return files || [];
+  return files.filter(file => typeof file?.path === 'string' && file.path.startsWith(`${root}/`));
+}
+
+/**
+ * Maak een pad relatief aan de root map van de selectie (voor een monorepo)
+ * @param {string} filePath - Pad in de repository
+ * @param {object|null} selection - Bestandsselectie van de opdracht
+ * @returns {string}
+ */
+function relativeToRoot(filePath, selection) {
+  const root = normalizeRoot(selection?.root);
+  return root && filePath.startsWith(`${root}/`) ? filePath.slice(root.length + 1) : filePath;
+}
+
+/**
+ * Kies de bestanden die geanalyseerd worden
+ * @param {Array<{path: string, size?: number, sha?: string}>} files - Bestanden uit getRepositoryTree
+ * @param {object|null} selection - Bestandsselectie van de opdracht (null = standaard)
+ * @returns {{selected: Array, skipped: Array<{path: string, reason: string, pattern?: string}>, maxFiles: number}}
+ */
+function selectFiles(files, selection = null) {
+  const config = { ...DEFAULT_FILE_SELECTION, ...(selection || {}) };
+  const root = normalizeRoot(config.root);
+  const rootPrefix = root ? `${root}/` : '';
+  const maxFiles = config.max_files || DEFAULT_MAX_FILES;
+
+  const compile = (patterns) => (patterns || []).map(pattern => ({ pattern, regex: globToRegExp(pattern) }));
+  const include = compile(config.include);
+  const exclude = compile(config.exclude);
+  const priority = compile(config.priority);
+
+  const candidates = [];
+  const skipped = [];
+
+  for (const file of Array.isArray(files) ? files : []) {
+    if (!file || typeof file.path !== 'string' || !file.path) continue;
+
+    if (rootPrefix && !file.path.startsWith(rootPrefix)) {
+      skipped.push({ path: file.path, reason: SKIP_REASONS.OUTSIDE_ROOT });
+      continue;
+    }
+
+    const codeReason = getCodeFileSkipReason(file.path);
+    if (codeReason) {
+      skipped.push({ path: file.path, reason: codeReason });
+      continue;
+    }
+
+    const relativePath = file.path.substring(rootPrefix.length);
+
+    if (include.length > 0 && !include.some(({ regex }) => regex.test(relativePath))) {
+      skipped.push({ path: file.path, reason: SKIP_REASONS.NOT_INCLUDED });
+      continue;
+    }
+
+    const excludedBy = exclude.find(({ regex }) => regex.test(relativePath));
+    if (excludedBy) {
+      skipped.push({ path: file.path, reason: SKIP_REASONS.EXCLUDED_BY_PATTERN, pattern: excludedBy.pattern });
+      continue;
+    }
+
+    // Bestanden zonder priority match komen na alle priority patronen
+    const rank = priority.findIndex(({ regex }) => regex.test(relativePath));
+    candidates.push({ file, rank: rank === -1 ? priority.length : rank, order: candidates.length });
+  }
+
+  candidates.sort((a, b) => a.rank - b.rank || a.order - b.order);
+
+  const selected = candidates.slice(0, maxFiles).map(candidate => candidate.file);
+  for (const candidate of candidates.slice(maxFiles)) {
+    skipped.push({ path: candidate.file.path, reason: SKIP_REASONS.MAX_FILES });
+  }
+
+  return { selected, skipped, maxFiles };
+}
+
+module.exports = {
+  globToRegExp,
+  validateFileSelection,
+  filterToRoot,
+  relativeToRoot,
+  selectFiles,
+  DEFAULT_MAX_FILES,
+  SKIP_REASONS
+};
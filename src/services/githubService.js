@@ -12,6 +12,7 @@ const GITHUB_API_VERSION = '2022-11-28';
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB max per bestand
 const MAX_FILES_PER_COMMIT = 100; // Max bestanden per commit
 const MAX_CONCURRENT_REQUESTS = 20; // Max parallelle requests
+const MAX_HISTORY_COMMITS = 300; // Max commits in de commit geschiedenis
 
 /**
  * Toegestane code bestand extensies
@@ -370,6 +371,30 @@ async function getRepositoryTree(owner, repo, sha) {
   }
 }
 
+/**
+ * Bepaal waarom een bestand geen code bestand is
+ * @param {string} filePath - Bestandspad
+ * @returns {string|null} - 'excluded_path', 'unsupported_extension' of null voor een code bestand
+ */
+function getCodeFileSkipReason(filePath) {
+  const path = filePath.toLowerCase();
+
+  // Check of pad in excluded paths zit
+  for (const excludedPath of EXCLUDED_PATHS) {
+    if (path.startsWith(excludedPath.toLowerCase()) || path.includes('/' + excludedPath.toLowerCase())) {
+      return 'excluded_path';
+    }
+    // Check exacte match voor bestanden zonder /
+    if (!excludedPath.endsWith('/') && path === excludedPath.toLowerCase()) {
+      return 'excluded_path';
+    }
+  }
+
+  // Check of extensie toegestaan is
+  const extension = '.' + path.split('.').pop();
+  return CODE_EXTENSIONS.includes(extension) ? null : 'unsupported_extension';
+}
+
 /**
  * Filter bestanden op code extensies en excluded paths
  * @param {Array} files - Array van file objecten met path property
@@ -384,22 +409,7 @@ function filterCodeFiles(files) {
       return false;
     }
 
-    const path = file.path.toLowerCase();
-
-    // Check of pad in excluded paths zit
-    for (const excludedPath of EXCLUDED_PATHS) {
-      if (path.startsWith(excludedPath.toLowerCase()) || path.includes('/' + excludedPath.toLowerCase())) {
-        return false;
-      }
-      // Check exacte match voor bestanden zonder /
-      if (!excludedPath.endsWith('/') && path === excludedPath.toLowerCase()) {
-        return false;
-      }
-    }
-
-    // Check of extensie toegestaan is
-    const extension = '.' + path.split('.').pop();
-    return CODE_EXTENSIONS.includes(extension);
+    return getCodeFileSkipReason(file.path) === null;
   });
 }
 
@@ -446,6 +456,23 @@ function detectLanguage(filePath) {
   return languageMap[ext] || 'unknown';
 }
 
+/**
+ * Zet de files array van een GitHub commit/compare response om naar ons formaat
+ * @param {Array} files - GitHub files array
+ * @returns {Array}
+ */
+function mapChangedFiles(files) {
+  return (files || []).map(file => ({
+    path: file.filename,
+    previous_path: file.previous_filename || null, // enkel bij renamed
+    status: file.status, // added, modified, removed, renamed
+    additions: file.additions,
+    deletions: file.deletions,
+    changes: file.changes,
+    patch: file.patch || null // diff patch indien beschikbaar
+  }));
+}
+
 /**
  * Haal gewijzigde bestanden op voor een specifieke commit
  * @param {string} owner - Repository owner
@@ -463,14 +490,7 @@ async function getCommitFiles(owner, repo, commitSha) {
       }
     );
 
-    const files = (response.data.files || []).map(file => ({
-      path: file.filename,
-      status: file.status, // added, modified, removed, renamed
-      additions: file.additions,
-      deletions: file.deletions,
-      changes: file.changes,
-      patch: file.patch || null // diff patch indien beschikbaar
-    }));
+    const files = mapChangedFiles(response.data.files);
 
     return {
       success: true,
@@ -513,6 +533,176 @@ async function getCommitFiles(owner, repo, commitSha) {
   }
 }
 
+/**
+ * Vergelijk twee commits en haal de gewijzigde bestanden op (base...head)
+ * Bij één commit verschil is dit hetzelfde als getCommitFiles(head).
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository naam
+ * @param {string} baseSha - Oude commit SHA (bv. laatst geanalyseerde commit)
+ * @param {string} headSha - Nieuwe commit SHA
+ * @returns {Promise<{ success: boolean, files?: Array, truncated?: boolean, status?: string, error?: string, errorCode?: string }>}
+ */
+async function compareCommits(owner, repo, baseSha, headSha) {
+  try {
+    const response = await axios.get(
+      `${GITHUB_API_BASE}/repos/${owner}/${repo}/compare/${baseSha}...${headSha}`,
+      {
+        headers: getGitHubHeadersWithAuth(),
+        timeout: 60000 // 60s timeout voor Dokploy
+      }
+    );
+
+    const files = mapChangedFiles(response.data.files);
+
+    return {
+      success: true,
+      files,
+      // GitHub geeft maximaal 300 bestanden terug, daarboven is de lijst onvolledig
+      truncated: files.length >= 300,
+      status: response.data.status // ahead, behind, diverged, identical
+    };
+  } catch (error) {
+    if (error.response) {
+      const status = error.response.status;
+
+      if (status === 404) {
+        return {
+          success: false,
+          error: 'Commits niet gevonden (mogelijk force push)',
+          errorCode: 'COMMIT_NOT_FOUND'
+        };
+      }
+
+      if (status === 403) {
+        const rateLimitRemaining = error.response.headers['x-ratelimit-remaining'];
+        if (rateLimitRemaining === '0') {
+          return {
+            success: false,
+            error: 'GitHub API limiet bereikt, probeer later opnieuw',
+            errorCode: 'RATE_LIMITED'
+          };
+        }
+      }
+    }
+
+    return {
+      success: false,
+      error: 'Fout bij vergelijken van commits',
+      errorCode: 'GITHUB_ERROR'
+    };
+  }
+}
+
+/**
+ * Haal de commit geschiedenis op tot en met een commit (nieuwste eerst)
+ * De lijst bevat geen stats; zie getMultipleCommitStats voor de grootte van elke commit.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository naam
+ * @param {string} sha - Branch of commit SHA waar de geschiedenis start
+ * @param {number} maxCommits - Maximum aantal commits (per 100 opgehaald)
+ * @returns {Promise<{ success: boolean, commits?: Array, truncated?: boolean, error?: string, errorCode?: string }>}
+ */
+async function getCommitHistory(owner, repo, sha, maxCommits = MAX_HISTORY_COMMITS) {
+  const commits = [];
+
+  try {
+    for (let page = 1; commits.length < maxCommits; page++) {
+      const response = await axios.get(
+        `${GITHUB_API_BASE}/repos/${owner}/${repo}/commits`,
+        {
+          headers: getGitHubHeadersWithAuth(),
+          params: { sha, per_page: 100, page },
+          timeout: 60000 // 60s timeout voor Dokploy
+        }
+      );
+
+      commits.push(...response.data.map(item => ({
+        sha: item.sha,
+        message: item.commit?.message || '',
+        author: item.commit?.author?.name || 'unknown',
+        // Author date: het moment van committen, niet van pushen
+        date: item.commit?.author?.date || item.commit?.committer?.date || null,
+        parents: (item.parents || []).length
+      })));
+
+      if (response.data.length < 100) {
+        return { success: true, commits, truncated: false };
+      }
+    }
+
+    return { success: true, commits: commits.slice(0, maxCommits), truncated: true };
+  } catch (error) {
+    if (error.response) {
+      const status = error.response.status;
+
+      if (status === 404 || status === 422) {
+        return {
+          success: false,
+          error: 'Commit niet gevonden',
+          errorCode: 'COMMIT_NOT_FOUND'
+        };
+      }
+
+      if (status === 409) {
+        return {
+          success: false,
+          error: 'Repository is leeg (geen commits)',
+          errorCode: 'EMPTY_REPO'
+        };
+      }
+
+      if (status === 403) {
+        const rateLimitRemaining = error.response.headers['x-ratelimit-remaining'];
+        if (rateLimitRemaining === '0') {
+          return {
+            success: false,
+            error: 'GitHub API limiet bereikt, probeer later opnieuw',
+            errorCode: 'RATE_LIMITED'
+          };
+        }
+      }
+    }
+
+    return {
+      success: false,
+      error: 'Fout bij ophalen commit geschiedenis',
+      errorCode: 'GITHUB_ERROR'
+    };
+  }
+}
+
+/**
+ * Haal de grootte van meerdere commits op met rate limiting
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository naam
+ * @param {Array<string>} shas - Commit SHA's
+ * @returns {Promise<Array<{ sha: string, additions: number|null, deletions: number|null, files_changed: number|null }>>}
+ *   null waarden als de commit niet opgehaald kon worden
+ */
+async function getMultipleCommitStats(owner, repo, shas) {
+  const results = [];
+  for (let i = 0; i < shas.length; i += MAX_CONCURRENT_REQUESTS) {
+    const batch = shas.slice(i, i + MAX_CONCURRENT_REQUESTS);
+    const batchResults = await Promise.all(
+      batch.map(async (sha) => {
+        const result = await getCommitFiles(owner, repo, sha);
+        if (!result.success) {
+          return { sha, additions: null, deletions: null, files_changed: null };
+        }
+        return {
+          sha,
+          additions: result.files.reduce((sum, file) => sum + (file.additions || 0), 0),
+          deletions: result.files.reduce((sum, file) => sum + (file.deletions || 0), 0),
+          files_changed: result.files.length
+        };
+      })
+    );
+    results.push(...batchResults);
+  }
+
+  return results;
+}
+
 /**
  * Haal de inhoud van een bestand op
  * @param {string} owner - Repository owner
@@ -634,7 +824,8 @@ async function getBlob(owner, repo, sha) {
         return {
           success: true,
           content,
-          size: response.data.size
+          size: response.data.size,
+          sha
         };
       } catch (decodeError) {
         return {
@@ -799,6 +990,7 @@ async function getMultipleFileContents(owner, repo, paths, ref) {
         return {
           path,
           content: result.success ? result.content : null,
+          sha: result.sha || null,
           error: result.error || null,
           language: detectLanguage(path)
         };
@@ -817,8 +1009,12 @@ module.exports = {
   getLatestCommitSha,
   getRepositoryTree,
   filterCodeFiles,
+  getCodeFileSkipReason,
   detectLanguage,
   getCommitFiles,
+  compareCommits,
+  getCommitHistory,
+  getMultipleCommitStats,
   getFileContent,
   getBlob,
   registerWebhook,
@@ -831,5 +1027,6 @@ module.exports = {
   GITHUB_API_VERSION,
   MAX_FILE_SIZE,
   MAX_FILES_PER_COMMIT,
-  MAX_CONCURRENT_REQUESTS
+  MAX_CONCURRENT_REQUESTS,
+  MAX_HISTORY_COMMITS
 };
\ No newline at end of file
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+/**
+ * Incrementele analyse - bepaal welke bestanden opnieuw geanalyseerd moeten worden
+ *
+ * Na een geslaagde analyse bewaren we per submission:
+ * - last_analyzed_sha: de geanalyseerde commit
+ * - analyzed_files: [{ path, status, criteria_scores, notes, outline }] van alle geanalyseerde bestanden
+ * - analysis_settings_hash: hash van de instellingen die de AI output beïnvloeden
+ *
+ * Bij een nieuwe push vergelijken we de nieuwe commit met last_analyzed_sha en analyseren
+ * we enkel toegevoegde/gewijzigde bestanden. Feedback van ongewijzigde bestanden blijft staan.
+ */
+
+/**
+ * Instellingen die de AI output beïnvloeden (wijziging = volledige heranalyse)
+ */
+const SETTINGS_FIELDS = ['rubric', 'rubric_criteria', 'ai_guidelines', 'llm_provider', 'llm_model', 'feedback_language', 'feedback_categories'];
+
+/**
+ * Bereken een hash van de analyse-instellingen
+ * De versie van de actieve prompt template hoort erbij: na het activeren van een andere template
+ * mag feedback van de vorige template niet overgenomen worden.
+ * @param {object} settings - Assignment settings (prompt_template = actieve template, null = ingebouwde prompt)
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashAnalysisSettings(settings) {
+  const relevant = {};
+  for (const field of SETTINGS_FIELDS) {
+    relevant[field] = settings?.[field] ?? null;
+  }
+  relevant.prompt_template_version = settings?.prompt_template?.version ?? null;
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(relevant))
+    .digest('hex');
+}
+
+/**
+ * Bepaal of een volledige of incrementele analyse nodig is
+ * @param {object} params
+ * @param {Array<string>} params.selectedPaths - Bestanden die in deze commit geanalyseerd horen te zijn
+ * @param {string} params.commitSha - Nieuwe commit SHA
+ * @param {string} params.settingsHash - Hash van de huidige instellingen
+ * @param {object|null} params.previous - Vorige analyse (last_analyzed_sha, analyzed_files, analysis_settings_hash, feedback)
+ * @param {object|null} params.comparison - Resultaat van compareCommits (null als niet opgevraagd)
+ * @returns {{mode: string, reason: string, analyzePaths: Array<string>, carryOverPaths: Array<string>}}
+ */
+function planAnalysis({ selectedPaths, commitSha, settingsHash, previous, comparison }) {
+  const full = (reason) => ({ mode: 'full', reason, analyzePaths: [...selectedPaths], carryOverPaths: [] });
+
+  if (!previous?.last_analyzed_sha || !Array.isArray(previous.analyzed_files)) {
+    return full('no_previous_analysis');
+  }
+
+  if (previous.last_analyzed_sha === commitSha) {
+    return full('same_commit');
+  }
+
+  if (previous.analysis_settings_hash !== settingsHash) {
+    return full('settings_changed');
+  }
+
+  // Oude AI feedback zonder bestandspad kunnen we niet aan een bestand koppelen
+  // (architectuur feedback heeft bewust geen pad en wordt bij elke analyse opnieuw bepaald)
+  if ((previous.feedback || []).some(item => !item.file_path && item.type !== 'architecture')) {
+    return full('unanchored_feedback');
+  }
+
+  if (!comparison?.success) {
+    return full('compare_failed');
+  }
+
+  if (comparison.truncated) {
+    return full('too_many_changes');
+  }
+
+  const changedPaths = new Set(
+    comparison.files
+      .filter(file => file.status !== 'removed')
+      .map(file => file.path)
+  );
+  // Bestanden waarvan de vorige analyse onvolledig was, tellen niet als geanalyseerd
+  const previouslyAnalyzed = new Set(
+    previous.analyzed_files
+      .filter(file => file.status !== 'incomplete')
+      .map(file => file.path)
+  );
+
+  const analyzePaths = [];
+  const carryOverPaths = [];
+  for (const path of selectedPaths) {
+    // Gewijzigd, of vorige keer niet geanalyseerd (bv. buiten de bestandslimiet gevallen)
+    if (changedPaths.has(path) || !previouslyAnalyzed.has(path)) {
+      analyzePaths.push(path);
+    } else {
+      carryOverPaths.push(path);
+    }
+  }
+
+  return { mode: 'incremental', reason: 'changed_files', analyzePaths, carryOverPaths };
+}
+
+module.exports = {
+  hashAnalysisSettings,
+  planAnalysis,
+  SETTINGS_FIELDS
+};
@@ -0,0 +1,94 @@
+const { hasActiveJob } = require('./jobQueueService');
+const { JOB_TYPES, enqueueSubmissionAnalysis } = require('./jobTypes');
+const { processSubmission } = require('./submissionProcessingService');
+const { runPromptExperiment } = require('./promptExperimentService');
+const { planRetry } = require('./autoRetryService');
+const { getSubmissionForRetry, logWebhookEvent } = require('../controllers/webhookController');
+
+/**
+ * Job types en hun handlers
+ *
+ * Een handler krijgt de geclaimde job en geeft een resultaat terug dat op de job bewaard wordt.
+ * Een fout die de handler zelf afhandelt (bv. een gefaalde analyse die als 'failed' op de
+ * submission staat) is een afgeronde job; enkel een exception telt als mislukte poging.
+ * Met { defer: seconden } komt de job zonder extra poging terug in de wachtrij.
+ */
+
+/**
+ * Wachttijd als een andere job dezelfde submission nog analyseert
+ */
+const BUSY_DEFER_SECONDS = 30;
+
+/**
+ * Analyseer een submission
+ * @param {object} job - Geclaimde job
+ * @returns {Promise<object>}
+ */
+async function handleAnalyzeSubmission(job) {
+  const { submission_id: submissionId, commit_sha: commitSha, branch, repo_full_name: repoFullName, trigger } = job.payload;
+  const event = trigger || 'push';
+
+  const submission = await getSubmissionForRetry(submissionId);
+  if (!submission) {
+    logWebhookEvent(event, repoFullName, 'skipped', `Submission ${submissionId} no longer exists`);
+    return { skipped: 'Submission not found' };
+  }
+
+  // Enkel een job die nog leeft mag de submission op 'processing' houden; anders is die status
+  // achtergebleven van een gestopte worker en mag deze job de verwerking overnemen
+  const busy = await hasActiveJob(job.dedupe_key, job.id);
+  if (busy) {
+    return { defer: BUSY_DEFER_SECONDS };
+  }
+
+  logWebhookEvent(event, repoFullName, 'processing',
+    `Job ${job.id} (attempt ${job.attempts}/${job.max_attempts}) - Branch: ${branch}, Commit: ${commitSha.substring(0, 7)}`);
+  const result = await processSubmission(submission, commitSha, branch, repoFullName, { takeOver: true });
+
+  // Vervangen door een nieuwere push: die push plande al een job in, maar zonder wachtende job
+  // (bv. een mislukte enqueue) zou de nieuwste commit nooit geanalyseerd worden
+  if (result.superseded) {
+    const followUp = await enqueueSubmissionAnalysis({
+      submissionId,
+      commitSha: result.supersededBy,
+      branch,
+      repoFullName,
+      trigger: 'superseded'
+    });
+    return { ...result, follow_up_job_id: followUp.id };
+  }
+
+  if (event !== 'push') {
+    if (result.success) {
+      logWebhookEvent(event, repoFullName, 'success', `Retry complete - score: ${result.score}`);
+    } else {
+      logWebhookEvent(event, repoFullName, 'failed', result.error);
+    }
+  }
+
+  // Mislukt: volgende automatische poging inplannen (of definitief mislukt melden)
+  if (!result.success && !result.skipped) {
+    const retry = await planRetry(submissionId);
+    return { ...result, retry };
+  }
+
+  return result;
+}
+
+/**
+ * Voer de openstaande runs van een prompt experiment uit (hervat waar een vorige poging stopte)
+ * @param {object} job - Geclaimde job
+ * @returns {Promise<{completed: number, failed: number}>}
+ */
+function handlePromptExperiment(job) {
+  return runPromptExperiment(job.payload.experiment_id);
+}
+
+const JOB_HANDLERS = {
+  [JOB_TYPES.ANALYZE_SUBMISSION]: handleAnalyzeSubmission,
+  [JOB_TYPES.PROMPT_EXPERIMENT]: handlePromptExperiment
+};
+
+module.exports = {
+  JOB_HANDLERS
+};
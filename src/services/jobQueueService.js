@@ -0,0 +1,356 @@
+const db = require('../config/db');
+
+/**
+ * Persistente job queue in Postgres
+ *
+ * Routes plannen werk in met enqueueJob; de worker (zie jobWorker en worker.js) claimt jobs met
+ * SELECT ... FOR UPDATE SKIP LOCKED, zodat meerdere workers naast elkaar kunnen draaien.
+ * Een geclaimde job is onzichtbaar voor andere workers tot locked_until (visibility timeout).
+ * Stopt een worker midden in een job, dan komt die job na de timeout terug in de wachtrij.
+ * Na max_attempts mislukte pogingen gaat een job naar 'dead' (dead-letter) en blijft hij liggen
+ * tot een admin hem opnieuw inplant.
+ */
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+/**
+ * Visibility timeout in seconden (verlengd zolang de worker met de job bezig is)
+ */
+const DEFAULT_VISIBILITY_TIMEOUT = parseInt(process.env.JOB_VISIBILITY_TIMEOUT, 10) || 300;
+
+/**
+ * Wachttijd voor een nieuwe poging na een fout: 30s, 60s, 120s, ... (max 1 uur)
+ */
+const RETRY_BASE_DELAY_SECONDS = 30;
+const RETRY_MAX_DELAY_SECONDS = 3600;
+
+const MAX_ERROR_LENGTH = 2000;
+
+const JOB_COLUMNS = `id, type, payload, status, priority, attempts, max_attempts, run_at, locked_by, locked_until,
+  dedupe_key, result, last_error, created_at, updated_at, completed_at`;
+
+/**
+ * Plan een job in
+ * Met een dedupeKey bestaat er maximaal één wachtende job per key: een tweede enqueue vervangt
+ * de payload van de wachtende job (bv. een nieuwere commit) in plaats van een extra job te maken.
+ * @param {string} type - Job type (zie jobHandlers)
+ * @param {object} payload - Gegevens voor de handler
+ * @param {object} options
+ * @param {string} options.dedupeKey - Optionele dedupe key
+ * @param {boolean} options.replacePayload - false = een wachtende job met dezelfde key ongewijzigd laten
+ * @param {number} options.priority - Hoger = eerder (standaard 0)
+ * @param {number} options.maxAttempts - Maximum aantal pogingen (standaard 3)
+ * @param {number} options.delaySeconds - Pas uitvoeren na deze wachttijd (standaard 0)
+ * @param {boolean} options.debounce - Een wachtende job met dezelfde key opnieuw delaySeconds laten wachten
+ * @param {number} options.maxDelaySeconds - Bij debounce: nooit later dan zoveel seconden na de eerste
+ *   enqueue sinds de job in de wachtrij staat (standaard geen limiet)
+ * @returns {Promise<object>} - De (nieuwe of bijgewerkte) job
+ */
+async function enqueueJob(type, payload = {}, {
+  dedupeKey = null,
+  replacePayload = true,
+  priority = 0,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  delaySeconds = 0,
+  debounce = false,
+  maxDelaySeconds = null
+} = {}) {
+  // De maximale debounce telt vanaf debounce_started_at: een job die teruggezet werd (defer, retry)
+  // en daarna een push krijgt, start een nieuwe debounce in plaats van meteen te lopen.
+  // LEAST negeert NULL: zonder maxDelaySeconds telt enkel de nieuwe wachttijd
+  const result = await db.query(
+    `INSERT INTO job (type, payload, dedupe_key, priority, max_attempts, run_at, debounce_started_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6), NOW())
+     ON CONFLICT (dedupe_key) WHERE status = 'queued' DO UPDATE
+     SET payload = CASE WHEN $7 THEN EXCLUDED.payload ELSE job.payload END,
+         run_at = CASE
+           WHEN $8 THEN LEAST(EXCLUDED.run_at, COALESCE(job.debounce_started_at, NOW()) + make_interval(secs => $9))
+           ELSE job.run_at
+         END,
+         debounce_started_at = COALESCE(job.debounce_started_at, NOW()),
+         priority = GREATEST(job.priority, EXCLUDED.priority), updated_at = NOW()
+     RETURNING ${JOB_COLUMNS}`,
+    [type, JSON.stringify(payload), dedupeKey, priority, maxAttempts, delaySeconds, replacePayload, debounce, maxDelaySeconds]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Claim de volgende job die klaar staat
+ * @param {string} workerId - ID van de worker
+ * @param {object} options
+ * @param {Array<string>} options.types - Enkel deze job types (standaard alle)
+ * @param {number} options.visibilityTimeout - Seconden tot de job weer vrijkomt
+ * @returns {Promise<object|null>} - null als er niets te doen is
+ */
+async function claimJob(workerId, { types = null, visibilityTimeout = DEFAULT_VISIBILITY_TIMEOUT } = {}) {
+  const result = await db.query(
+    `UPDATE job
+     SET status = 'running', attempts = attempts + 1, locked_by = $1,
+         locked_until = NOW() + make_interval(secs => $2), debounce_started_at = NULL, updated_at = NOW()
+     WHERE id = (
+       SELECT id FROM job
+       WHERE status = 'queued' AND run_at <= NOW() AND ($3::text[] IS NULL OR type = ANY($3::text[]))
+       ORDER BY priority DESC, run_at, id
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING ${JOB_COLUMNS}`,
+    [workerId, visibilityTimeout, types]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Verleng de visibility timeout van een lopende job
+ * @param {number} jobId - Job ID
+ * @param {string} workerId - ID van de worker die de job geclaimd heeft
+ * @param {number} visibilityTimeout - Seconden vanaf nu
+ * @returns {Promise<boolean>} - false als de worker de job niet meer heeft
+ */
+async function extendJobLease(jobId, workerId, visibilityTimeout = DEFAULT_VISIBILITY_TIMEOUT) {
+  const result = await db.query(
+    `UPDATE job SET locked_until = NOW() + make_interval(secs => $3), updated_at = NOW()
+     WHERE id = $1 AND locked_by = $2 AND status = 'running'`,
+    [jobId, workerId, visibilityTimeout]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Markeer een job als afgerond
+ * @param {number} jobId - Job ID
+ * @param {string} workerId - ID van de worker die de job geclaimd heeft
+ * @param {object|null} jobResult - Resultaat van de handler
+ * @returns {Promise<boolean>} - false als de worker de job niet meer had
+ */
+async function completeJob(jobId, workerId, jobResult = null) {
+  const result = await db.query(
+    `UPDATE job
+     SET status = 'completed', result = $3, locked_by = NULL, locked_until = NULL,
+         completed_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND locked_by = $2 AND status = 'running'`,
+    [jobId, workerId, jobResult === null ? null : JSON.stringify(jobResult)]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Bereken de wachttijd voor de volgende poging
+ * @param {number} attempts - Aantal pogingen tot nu toe
+ * @returns {number} - Seconden
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY_SECONDS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_SECONDS);
+}
+
+/**
+ * Geef een lopende job vrij: terug naar de wachtrij of naar 'dead'
+ * Staat er intussen een nieuwere job met dezelfde dedupe key in de wachtrij, dan vervangt die
+ * deze job: hij wordt afgerond met { superseded_by } in plaats van een tweede keer te wachten.
+ * @param {number} jobId - Job ID
+ * @param {object} options
+ * @param {string|null} options.workerId - Enkel als deze worker de job heeft (null = elke worker)
+ * @param {boolean} options.dead - Naar 'dead' in plaats van de wachtrij
+ * @param {string|null} options.error - Foutmelding (null = vorige fout behouden)
+ * @param {number} options.delaySeconds - Wachttijd tot de volgende poging
+ * @param {boolean} options.countAttempt - false = de poging telt niet mee
+ * @param {boolean} options.expiredOnly - Enkel als de visibility timeout verlopen is
+ * @returns {Promise<string|null>} - Nieuwe status, null als de job niet (meer) vrijgegeven kon worden
+ */
+async function releaseJob(jobId, { workerId = null, dead = false, error = null, delaySeconds = 0, countAttempt = true, expiredOnly = false }) {
+  const result = await db.query(
+    `UPDATE job
+     SET status = CASE WHEN $3 THEN 'dead' WHEN newer.id IS NULL THEN 'queued' ELSE 'completed' END,
+         result = CASE WHEN NOT $3 AND newer.id IS NOT NULL THEN jsonb_build_object('superseded_by', newer.id) ELSE job.result END,
+         completed_at = CASE WHEN NOT $3 AND newer.id IS NOT NULL THEN NOW() ELSE job.completed_at END,
+         attempts = CASE WHEN $6 THEN job.attempts ELSE job.attempts - 1 END,
+         last_error = COALESCE($4, job.last_error),
+         run_at = NOW() + make_interval(secs => $5),
+         locked_by = NULL, locked_until = NULL, updated_at = NOW()
+     FROM (SELECT $1::bigint as job_id) target
+     LEFT JOIN LATERAL (
+       SELECT queued.id FROM job queued
+       WHERE queued.status = 'queued' AND queued.id <> $1
+         AND queued.dedupe_key = (SELECT dedupe_key FROM job WHERE id = $1)
+       LIMIT 1
+     ) newer ON TRUE
+     WHERE job.id = target.job_id AND job.status = 'running'
+       AND ($2::text IS NULL OR job.locked_by = $2)
+       AND (NOT $7 OR job.locked_until < NOW())
+     RETURNING job.status`,
+    [jobId, workerId, dead, error === null ? null : String(error).slice(0, MAX_ERROR_LENGTH), delaySeconds, countAttempt, expiredOnly]
+  );
+
+  return result.rows[0]?.status || null;
+}
+
+/**
+ * Geef jobs met een verlopen visibility timeout vrij
+ * Zonder resterende pogingen gaat de job naar 'dead'.
+ * @returns {Promise<{requeued: number, dead: number, superseded: number}>}
+ */
+async function releaseExpiredJobs() {
+  // Nieuwste eerst: bij meerdere verlopen jobs met dezelfde dedupe key blijft de nieuwste in de wachtrij
+  const expired = await db.query(
+    `SELECT id, attempts, max_attempts FROM job
+     WHERE status = 'running' AND locked_until < NOW()
+     ORDER BY id DESC`
+  );
+
+  const counts = { requeued: 0, dead: 0, superseded: 0 };
+  for (const job of expired.rows) {
+    const status = await releaseJob(job.id, {
+      dead: job.attempts >= job.max_attempts,
+      error: 'Visibility timeout verlopen (worker gestopt of vastgelopen)',
+      expiredOnly: true
+    });
+    if (status === 'queued') counts.requeued++;
+    if (status === 'dead') counts.dead++;
+    if (status === 'completed') counts.superseded++;
+  }
+
+  return counts;
+}
+
+/**
+ * Registreer een mislukte poging
+ * Met resterende pogingen komt de job terug in de wachtrij (met backoff), anders gaat hij naar 'dead'.
+ * @param {object} job - De geclaimde job
+ * @param {string} workerId - ID van de worker die de job geclaimd heeft
+ * @param {string} error - Foutmelding
+ * @returns {Promise<string|null>} - Nieuwe status, null als de worker de job niet meer had
+ */
+function failJob(job, workerId, error) {
+  return releaseJob(job.id, {
+    workerId,
+    dead: job.attempts >= job.max_attempts,
+    error: String(error || 'Unknown error'),
+    delaySeconds: getRetryDelay(job.attempts)
+  });
+}
+
+/**
+ * Zet een job terug in de wachtrij zonder dat de poging meetelt (bv. de submission is nog bezig)
+ * @param {object} job - De geclaimde job
+ * @param {string} workerId - ID van de worker die de job geclaimd heeft
+ * @param {number} delaySeconds - Wachttijd
+ * @returns {Promise<string|null>} - Nieuwe status, null als de worker de job niet meer had
+ */
+function deferJob(job, workerId, delaySeconds) {
+  return releaseJob(job.id, { workerId, delaySeconds, countAttempt: false });
+}
+
+/**
+ * Plan een dode job opnieuw in met een nieuwe reeks pogingen
+ * @param {number} jobId - Job ID
+ * @returns {Promise<object|null>} - null als de job niet bestaat of niet op 'dead' staat
+ */
+async function requeueDeadJob(jobId) {
+  const result = await db.query(
+    `UPDATE job
+     SET status = 'queued', attempts = 0, run_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'dead'
+       AND NOT EXISTS (
+         SELECT 1 FROM job queued
+         WHERE queued.dedupe_key = job.dedupe_key AND queued.status = 'queued'
+       )
+     RETURNING ${JOB_COLUMNS}`,
+    [jobId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Zoek een job die nog loopt voor dezelfde dedupe key (andere dan de gegeven job)
+ * @param {string} dedupeKey - Dedupe key
+ * @param {number} excludeJobId - Job ID om over te slaan
+ * @returns {Promise<boolean>}
+ */
+async function hasActiveJob(dedupeKey, excludeJobId) {
+  const result = await db.query(
+    `SELECT 1 FROM job
+     WHERE dedupe_key = $1 AND id <> $2 AND status = 'running' AND locked_until > NOW()
+     LIMIT 1`,
+    [dedupeKey, excludeJobId]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Breek de lopende jobs met een dedupe key af (status 'dead')
+ * De worker verliest zo zijn lease: de heartbeat stopt en een nieuwe job voor dezelfde key
+ * hoeft niet langer te wachten.
+ * @param {string} dedupeKey - Dedupe key
+ * @param {string} error - Reden, bewaard als last_error
+ * @returns {Promise<Array<number>>} - IDs van de afgebroken jobs
+ */
+async function abandonRunningJobs(dedupeKey, error) {
+  const result = await db.query(
+    `UPDATE job
+     SET status = 'dead', last_error = $2, locked_by = NULL, locked_until = NULL, updated_at = NOW()
+     WHERE dedupe_key = $1 AND status = 'running'
+     RETURNING id`,
+    [dedupeKey, String(error).slice(0, MAX_ERROR_LENGTH)]
+  );
+
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Lijst van jobs, nieuwste eerst
+ * @param {object} filters
+ * @param {string} filters.status - Enkel jobs met deze status
+ * @param {string} filters.type - Enkel jobs van dit type
+ * @param {number} filters.limit - Maximum aantal (standaard 50)
+ * @returns {Promise<Array>}
+ */
+async function listJobs({ status = null, type = null, limit = 50 } = {}) {
+  const result = await db.query(
+    `SELECT ${JOB_COLUMNS}
+     FROM job
+     WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR type = $2)
+     ORDER BY updated_at DESC, id DESC
+     LIMIT $3`,
+    [status, type, limit]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Aantal jobs per status
+ * @returns {Promise<object>} - { queued, running, completed, dead }
+ */
+async function getJobCounts() {
+  const result = await db.query('SELECT status, COUNT(*)::int as count FROM job GROUP BY status');
+  const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+  result.rows.forEach(row => { counts[row.status] = row.count; });
+  return counts;
+}
+
+module.exports = {
+  enqueueJob,
+  releaseExpiredJobs,
+  claimJob,
+  extendJobLease,
+  completeJob,
+  failJob,
+  deferJob,
+  requeueDeadJob,
+  hasActiveJob,
+  abandonRunningJobs,
+  listJobs,
+  getJobCounts,
+  getRetryDelay,
+  JOB_STATUSES,
+  DEFAULT_VISIBILITY_TIMEOUT
+};
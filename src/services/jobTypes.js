@@ -0,0 +1,91 @@
+const { enqueueJob, abandonRunningJobs } = require('./jobQueueService');
+
+/**
+ * Job types en het inplannen ervan
+ *
+ * Los van jobHandlers, zodat services die werk inplannen (watchdog, automatische retry) niet
+ * afhangen van de handlers die dat werk uitvoeren.
+ */
+
+const JOB_TYPES = {
+  ANALYZE_SUBMISSION: 'analyze_submission',
+  PROMPT_EXPERIMENT: 'prompt_experiment'
+};
+
+/**
+ * Debounce van pushes: een analyse start pas PUSH_DEBOUNCE_SECONDS na de laatste push, zodat een
+ * reeks snelle commits één analyse oplevert, maar nooit later dan PUSH_DEBOUNCE_MAX_SECONDS na de
+ * eerste push van de reeks
+ */
+const PUSH_DEBOUNCE_SECONDS = isNaN(parseInt(process.env.PUSH_DEBOUNCE_SECONDS, 10))
+  ? 15
+  : parseInt(process.env.PUSH_DEBOUNCE_SECONDS, 10);
+const PUSH_DEBOUNCE_MAX_SECONDS = parseInt(process.env.PUSH_DEBOUNCE_MAX_SECONDS, 10) || 120;
+
+/**
+ * @param {number} submissionId - Submission ID
+ * @returns {string} - Dedupe key van de analyses van een submission
+ */
+function getSubmissionDedupeKey(submissionId) {
+  return `submission:${submissionId}`;
+}
+
+/**
+ * Plan de analyse van een submission in
+ * Een push vervangt de commit van een analyse die nog in de wachtrij staat en schuift de start op
+ * (debounce); een retry, herstel door de watchdog of vervolg op een vervangen analyse laat een
+ * wachtende analyse ongemoeid (die analyseert al een even recente of nieuwere commit).
+ * @param {object} options
+ * @param {number} options.submissionId - Submission ID
+ * @param {string} options.commitSha - Te analyseren commit
+ * @param {string} options.branch - Branch naam
+ * @param {string} options.repoFullName - Repository full name
+ * @param {string} options.trigger - 'push', 'retry', 'watchdog', 'auto_retry' of 'superseded'
+ * @returns {Promise<object>} - De job
+ */
+function enqueueSubmissionAnalysis({ submissionId, commitSha, branch, repoFullName, trigger }) {
+  const isPush = trigger === 'push';
+  return enqueueJob(
+    JOB_TYPES.ANALYZE_SUBMISSION,
+    { submission_id: submissionId, commit_sha: commitSha, branch, repo_full_name: repoFullName, trigger },
+    {
+      dedupeKey: getSubmissionDedupeKey(submissionId),
+      replacePayload: isPush,
+      delaySeconds: isPush ? PUSH_DEBOUNCE_SECONDS : 0,
+      debounce: isPush,
+      maxDelaySeconds: isPush ? PUSH_DEBOUNCE_MAX_SECONDS : null
+    }
+  );
+}
+
+/**
+ * Breek de lopende analyse van een submission af (bv. als de watchdog ze als vastgelopen markeert)
+ * @param {number} submissionId - Submission ID
+ * @param {string} reason - Reden
+ * @returns {Promise<Array<number>>} - IDs van de afgebroken jobs
+ */
+function abandonSubmissionAnalysis(submissionId, reason) {
+  return abandonRunningJobs(getSubmissionDedupeKey(submissionId), reason);
+}
+
+/**
+ * Plan de runs van een prompt experiment in
+ * @param {number} experimentId - Experiment ID
+ * @returns {Promise<object>} - De job
+ */
+function enqueuePromptExperiment(experimentId) {
+  return enqueueJob(
+    JOB_TYPES.PROMPT_EXPERIMENT,
+    { experiment_id: experimentId },
+    { dedupeKey: `prompt_experiment:${experimentId}` }
+  );
+}
+
+module.exports = {
+  enqueueSubmissionAnalysis,
+  abandonSubmissionAnalysis,
+  enqueuePromptExperiment,
+  JOB_TYPES,
+  PUSH_DEBOUNCE_SECONDS,
+  PUSH_DEBOUNCE_MAX_SECONDS
+};
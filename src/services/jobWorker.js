@@ -0,0 +1,193 @@
+const os = require('os');
+const {
+  claimJob,
+  completeJob,
+  failJob,
+  deferJob,
+  extendJobLease,
+  releaseExpiredJobs,
+  DEFAULT_VISIBILITY_TIMEOUT
+} = require('./jobQueueService');
+const { JOB_HANDLERS } = require('./jobHandlers');
+const logger = require('../utils/logger');
+
+/**
+ * Job worker
+ *
+ * Claimt jobs uit de queue en voert de handler van het job type uit (zie jobHandlers).
+ * Zolang een handler bezig is, verlengt de worker de visibility timeout van de job (heartbeat);
+ * stopt het proces, dan komt de job na de timeout terug vrij voor een andere worker.
+ * Een handler die blijft hangen, houdt de job niet eeuwig vast: na JOB_MAX_RUNTIME_SECONDS stopt
+ * de heartbeat en telt de job als mislukte poging. Raakt de worker de lease kwijt (bv. omdat de
+ * watchdog de job afbrak), dan stopt de heartbeat en wacht de worker niet langer op de handler.
+ *
+ * Configuratie:
+ * - JOB_WORKER_CONCURRENCY: aantal jobs tegelijk (standaard 8); de AI calls van die jobs
+ *   worden door de aiScheduler beperkt en op prioriteit gezet, dus meer jobs dan AI_MAX_CONCURRENT
+ *   laat de scheduler kiezen welke analyse eerst gaat
+ * - JOB_POLL_INTERVAL_MS: wachttijd als de queue leeg is (standaard 2000)
+ * - JOB_VISIBILITY_TIMEOUT: visibility timeout in seconden (standaard 300)
+ * - JOB_MAX_RUNTIME_SECONDS: maximale looptijd van een job in seconden (standaard 1800)
+ */
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.JOB_WORKER_CONCURRENCY, 10) || 8;
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+const DEFAULT_MAX_RUNTIME = parseInt(process.env.JOB_MAX_RUNTIME_SECONDS, 10) || 1800;
+
+/**
+ * Hoe vaak verlopen jobs vrijgegeven worden
+ */
+const RELEASE_INTERVAL_MS = 30000;
+
+/**
+ * Unieke naam voor een worker (zichtbaar in job.locked_by)
+ * @returns {string}
+ */
+function createWorkerId() {
+  return `${os.hostname()}:${process.pid}:${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Claim en verwerk één job
+ * @param {string} workerId - ID van de worker
+ * @param {object} options
+ * @param {object} options.handlers - Handlers per job type (standaard JOB_HANDLERS)
+ * @param {number} options.visibilityTimeout - Visibility timeout in seconden
+ * @param {number} options.maxRuntime - Maximale looptijd van de handler in seconden
+ * @returns {Promise<{job: object, status: string|null}|null>} - null als er geen job klaar stond
+ */
+async function runNextJob(workerId, {
+  handlers = JOB_HANDLERS,
+  visibilityTimeout = DEFAULT_VISIBILITY_TIMEOUT,
+  maxRuntime = DEFAULT_MAX_RUNTIME
+} = {}) {
+  const job = await claimJob(workerId, { types: Object.keys(handlers), visibilityTimeout });
+  if (!job) return null;
+
+  const label = `job ${job.id} (${job.type}, attempt ${job.attempts}/${job.max_attempts})`;
+  logger.info('WORKER', `Start ${label}`);
+
+  // Afgebroken (te lang bezig of lease kwijt): de handler kan niet gestopt worden, maar de job
+  // wordt vrijgegeven en deze worker gaat verder met de volgende
+  let abandon;
+  const abandoned = new Promise((resolve, reject) => { abandon = reject; });
+  abandoned.catch(() => {});
+
+  const runtimeTimer = setTimeout(() => {
+    clearInterval(heartbeat);
+    abandon(new Error(`Job duurde langer dan ${maxRuntime} seconden en werd afgebroken`));
+  }, maxRuntime * 1000);
+
+  // Heartbeat: de lease verlengen op een derde van de timeout
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await extendJobLease(job.id, workerId, visibilityTimeout))) {
+        logger.warn('WORKER', `Lost the lease of ${label}`);
+        clearInterval(heartbeat);
+        abandon(new Error('Lease van de job verloren (afgebroken of overgenomen)'));
+      }
+    } catch (error) {
+      logger.warn('WORKER', `Heartbeat failed for ${label}: ${error.message}`);
+    }
+  }, Math.max(visibilityTimeout * 1000 / 3, 1000));
+
+  try {
+    const result = await Promise.race([handlers[job.type](job), abandoned]);
+
+    if (result && result.defer) {
+      const status = await deferJob(job, workerId, result.defer);
+      logger.info('WORKER', `Deferred ${label} by ${result.defer}s (${status})`);
+      return { job, status };
+    }
+
+    const completed = await completeJob(job.id, workerId, result ?? null);
+    logger.success('WORKER', `Completed ${label}${completed ? '' : ' (lease was lost, result not stored)'}`);
+    return { job, status: completed ? 'completed' : null };
+  } catch (error) {
+    const status = await failJob(job, workerId, error.message);
+    logger.error('WORKER', `Failed ${label}: ${error.message} → ${status || 'lease lost'}`);
+    return { job, status };
+  } finally {
+    clearInterval(heartbeat);
+    clearTimeout(runtimeTimer);
+  }
+}
+
+/**
+ * Start een worker die blijft pollen tot stop() aangeroepen wordt
+ * @param {object} options
+ * @param {string} options.workerId - ID van de worker (standaard hostname:pid:random)
+ * @param {number} options.concurrency - Aantal jobs tegelijk
+ * @param {number} options.pollInterval - Wachttijd (ms) als de queue leeg is
+ * @param {object} options.handlers - Handlers per job type
+ * @param {number} options.visibilityTimeout - Visibility timeout in seconden
+ * @param {number} options.maxRuntime - Maximale looptijd van een job in seconden
+ * @returns {{workerId: string, stop: Function}} - stop() wacht tot de lopende jobs klaar zijn
+ */
+function startWorker({
+  workerId = createWorkerId(),
+  concurrency = DEFAULT_CONCURRENCY,
+  pollInterval = DEFAULT_POLL_INTERVAL_MS,
+  handlers = JOB_HANDLERS,
+  visibilityTimeout = DEFAULT_VISIBILITY_TIMEOUT,
+  maxRuntime = DEFAULT_MAX_RUNTIME
+} = {}) {
+  let stopping = false;
+  const sleeping = new Set();
+  const sleep = (ms) => new Promise(resolve => {
+    const wakeUp = () => {
+      clearTimeout(timer);
+      sleeping.delete(wakeUp);
+      resolve();
+    };
+    const timer = setTimeout(wakeUp, ms);
+    sleeping.add(wakeUp);
+  });
+
+  const releaseExpired = async () => {
+    try {
+      const released = await releaseExpiredJobs();
+      if (released.requeued + released.dead + released.superseded > 0) {
+        logger.warn('WORKER', `Expired jobs released: ${released.requeued} requeued, ${released.dead} dead, ${released.superseded} superseded`);
+      }
+    } catch (error) {
+      logger.error('WORKER', `Could not release expired jobs: ${error.message}`);
+    }
+  };
+  releaseExpired();
+  const releaseTimer = setInterval(releaseExpired, RELEASE_INTERVAL_MS);
+
+  const loop = async () => {
+    while (!stopping) {
+      let ran = null;
+      try {
+        ran = await runNextJob(workerId, { handlers, visibilityTimeout, maxRuntime });
+      } catch (error) {
+        logger.error('WORKER', `Queue error: ${error.message}`);
+      }
+      if (!ran && !stopping) {
+        await sleep(pollInterval);
+      }
+    }
+  };
+
+  logger.info('WORKER', `Worker ${workerId} started (concurrency ${concurrency}, types: ${Object.keys(handlers).join(', ')})`);
+  const loops = Array.from({ length: concurrency }, loop);
+
+  return {
+    workerId,
+    stop: async () => {
+      stopping = true;
+      clearInterval(releaseTimer);
+      sleeping.forEach(wakeUp => wakeUp());
+      await Promise.all(loops);
+      logger.info('WORKER', `Worker ${workerId} stopped`);
+    }
+  };
+}
+
+module.exports = {
+  runNextJob,
+  startWorker,
+  createWorkerId
+};
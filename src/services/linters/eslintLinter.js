@@ -0,0 +1,156 @@
+/**
+ * ESLint linter voor JavaScript en TypeScript
+ *
+ * Gebruikt een vaste, kleine regelset met objectieve problemen (geen stijlregels zoals
+ * quotes of indentatie). Per regel ligt vast in welke feedback categorie en met welke
+ * severity een bevinding terechtkomt. TypeScript wordt geparsed met @typescript-eslint/parser.
+ */
+const name = 'eslint';
+
+/**
+ * Versie van de regelset - verhoog bij elke wijziging aan RULES
+ * (de bevindingen komen in de AI prompt en dus in de cache key)
+ */
+const version = '1';
+
+const languages = ['javascript', 'typescript'];
+
+/**
+ * Regelset: ESLint regel → opties, feedback type en severity
+ */
+const RULES = {
+  'no-dupe-keys': { type: 'code_quality', severity: 'high' },
+  'no-duplicate-case': { type: 'code_quality', severity: 'high' },
+  'no-const-assign': { type: 'code_quality', severity: 'high' },
+  'no-func-assign': { type: 'code_quality', severity: 'high' },
+  'use-isnan': { type: 'code_quality', severity: 'high' },
+  'valid-typeof': { type: 'code_quality', severity: 'high' },
+  'no-unreachable': { type: 'code_quality', severity: 'medium' },
+  'no-fallthrough': { type: 'code_quality', severity: 'medium' },
+  'no-self-compare': { type: 'code_quality', severity: 'medium' },
+  'no-debugger': { type: 'code_quality', severity: 'medium' },
+  'no-unused-vars': { type: 'code_quality', severity: 'low', options: [{ args: 'none', caughtErrors: 'none' }] },
+  'no-empty': { type: 'error_handling', severity: 'medium' },
+  'no-eval': { type: 'security', severity: 'high' },
+  'no-implied-eval': { type: 'security', severity: 'high' },
+  'no-new-func': { type: 'security', severity: 'high' },
+  eqeqeq: { type: 'best_practices', severity: 'low', options: ['smart'] },
+  'no-var': { type: 'best_practices', severity: 'low' },
+  'prefer-const': { type: 'best_practices', severity: 'low' },
+  complexity: { type: 'maintainability', severity: 'medium', options: [15] },
+  'max-depth': { type: 'maintainability', severity: 'low', options: [4] }
+};
+
+let linterInstance = null;
+let typescriptParser;
+
+/**
+ * Laad ESLint pas bij het eerste gebruik (zwaar om te laden, en enkel nodig voor JS/TS bestanden)
+ * @returns {object|null} - ESLint Linter instantie of null als ESLint niet geïnstalleerd is
+ */
+function getLinter() {
+  if (linterInstance === null) {
+    try {
+      const { Linter } = require('eslint');
+      linterInstance = new Linter({ configType: 'flat' });
+    } catch (error) {
+      linterInstance = false;
+    }
+  }
+  return linterInstance || null;
+}
+
+/**
+ * @returns {object|null} - @typescript-eslint/parser of null als het niet geïnstalleerd is
+ */
+function getTypescriptParser() {
+  if (typescriptParser === undefined) {
+    try {
+      typescriptParser = require('@typescript-eslint/parser');
+    } catch (error) {
+      typescriptParser = null;
+    }
+  }
+  return typescriptParser;
+}
+
+/**
+ * Controleer of de linter gebruikt kan worden voor een taal
+ * @param {string} language - Programmeertaal
+ * @returns {boolean}
+ */
+function isAvailable(language) {
+  if (!getLinter()) return false;
+  return language !== 'typescript' || getTypescriptParser() !== null;
+}
+
+/**
+ * Bouw de flat config voor een bestand
+ * @param {string} filePath - Bestandspad
+ * @param {string} language - Programmeertaal
+ * @returns {object}
+ */
+function buildConfig(filePath, language) {
+  const rules = Object.fromEntries(
+    Object.entries(RULES).map(([rule, { options = [] }]) => [rule, ['warn', ...options]])
+  );
+
+  const languageOptions = {
+    ecmaVersion: 'latest',
+    sourceType: filePath.endsWith('.cjs') ? 'commonjs' : 'module',
+    parserOptions: { ecmaFeatures: { jsx: true } }
+  };
+
+  if (language === 'typescript') {
+    languageOptions.parser = getTypescriptParser();
+    // Types die enkel in signaturen gebruikt worden ziet de core regel als ongebruikt
+    delete rules['no-unused-vars'];
+  }
+
+  // Een patroon als **/* laat ESLint niet toe als enige match, dus de extensies expliciet
+  return { files: ['**/*.{js,jsx,mjs,cjs,ts,tsx,mts,cts}'], languageOptions, rules };
+}
+
+/**
+ * Lint een bestand
+ * Een syntaxfout levert één bevinding op (de rest van het bestand kan dan niet gecontroleerd worden).
+ * @param {{path: string, content: string, language: string}} file - Bestand
+ * @returns {Array<{rule: string|null, type: string, severity: string, line_number: number|null, end_line: number|null, content: string}>}
+ */
+function lint(file) {
+  const linter = getLinter();
+  const messages = linter.verify(file.content, buildConfig(file.path, file.language), { filename: file.path });
+
+  // Meldingen zonder regel en zonder fatal zijn configuratie meldingen, geen bevindingen
+  return messages.filter(message => message.fatal || message.ruleId).map(message => {
+    if (message.fatal) {
+      return {
+        rule: null,
+        type: 'code_quality',
+        severity: 'high',
+        line_number: message.line || null,
+        end_line: message.line || null,
+        content: message.message
+      };
+    }
+
+    const rule = RULES[message.ruleId] || { type: 'code_quality', severity: 'low' };
+    return {
+      rule: message.ruleId,
+      type: rule.type,
+      severity: rule.severity,
+      line_number: message.line || null,
+      end_line: message.endLine || message.line || null,
+      content: `${message.message} (${message.ruleId})`
+    };
+  });
+}
+
+module.exports = {
+  name,
+  version,
+  languages,
+  isAvailable,
+  lint,
+  RULES
+};
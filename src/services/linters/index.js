@@ -0,0 +1,139 @@
+/**
+ * Linter laag - deterministische statische analyse vóór de AI analyse
+ *
+ * Elke linter exporteert:
+ * - name: unieke naam
+ * - version: versie van de regelset (de bevindingen komen in de AI prompt en dus in de cache key)
+ * - languages: talen (zoals bepaald door githubService) die de linter controleert
+ * - isAvailable(language) => boolean
+ * - lint({ path, content, language }) => [{ rule, type, severity, line_number, end_line, content }]
+ *
+ * Bevindingen krijgen reviewer 'linter' en worden samen met de AI feedback opgeslagen.
+ * Uitschakelen voor de hele deployment kan met STATIC_ANALYSIS_ENABLED=false.
+ */
+const eslintLinter = require('./eslintLinter');
+
+const LINTERS = [eslintLinter];
+
+/**
+ * Maximum aantal bevindingen per bestand en per regel
+ * (een regel die overal faalt, bv. no-var, mag de feedback niet overspoelen)
+ */
+const MAX_FINDINGS_PER_FILE = 10;
+const MAX_FINDINGS_PER_RULE = 3;
+
+const SEVERITY_ORDER = { critical: 4, high: 3, medium: 2, low: 1 };
+
+/**
+ * Voeg een linter toe (bv. voor een extra taal)
+ * @param {object} linter - Linter volgens de interface hierboven
+ */
+function registerLinter(linter) {
+  if (!linter?.name || !linter.version || !Array.isArray(linter.languages) || typeof linter.lint !== 'function') {
+    throw new Error('Ongeldige linter: name, version, languages en lint zijn verplicht');
+  }
+  const existing = LINTERS.findIndex(l => l.name === linter.name);
+  if (existing !== -1) {
+    LINTERS.splice(existing, 1, linter);
+  } else {
+    LINTERS.push(linter);
+  }
+}
+
+/**
+ * @returns {boolean} - Of statische analyse aan staat voor deze deployment
+ */
+function isStaticAnalysisEnabled() {
+  return process.env.STATIC_ANALYSIS_ENABLED !== 'false';
+}
+
+/**
+ * Haal de beschikbare linters voor een taal op
+ * @param {string} language - Programmeertaal
+ * @returns {Array<object>}
+ */
+function getLintersForLanguage(language) {
+  return LINTERS.filter(linter =>
+    linter.languages.includes(language) && (!linter.isAvailable || linter.isAvailable(language))
+  );
+}
+
+/**
+ * Lint een bestand met alle linters voor zijn taal
+ * Een falende linter wordt gelogd en overgeslagen: statische analyse mag de AI analyse nooit blokkeren.
+ * @param {{path: string, content: string, language: string}} file - Bestand
+ * @param {object} options - Opties
+ * @param {Array<string>} options.feedbackTypes - Toegelaten feedback types; andere types gaan naar fallbackType
+ * @param {string} options.fallbackType - Type voor bevindingen in een categorie die de opdracht niet kent
+ * @returns {{findings: Array, version: string|null}} - Genormaliseerde feedback items en de versie van de gebruikte regelsets
+ */
+function lintFile(file, { feedbackTypes = null, fallbackType = 'code_quality' } = {}) {
+  if (!isStaticAnalysisEnabled() || !file.content) {
+    return { findings: [], version: null };
+  }
+
+  const linters = getLintersForLanguage(file.language);
+  const findings = [];
+
+  for (const linter of linters) {
+    try {
+      const perRule = {};
+      for (const finding of linter.lint(file)) {
+        const ruleKey = finding.rule || '';
+        perRule[ruleKey] = (perRule[ruleKey] || 0) + 1;
+        if (perRule[ruleKey] > MAX_FINDINGS_PER_RULE) continue;
+
+        findings.push({
+          file_path: file.path,
+          reviewer: 'linter',
+          type: !feedbackTypes || feedbackTypes.includes(finding.type) ? finding.type : fallbackType,
+          severity: finding.severity,
+          line_number: finding.line_number ?? null,
+          end_line: finding.end_line ?? null,
+          content: finding.content,
+          suggestion: finding.suggestion || null,
+          criterion_id: null
+        });
+      }
+    } catch (error) {
+      console.error(`[API] Linter ${linter.name} failed for ${file.path}:`, error.message);
+    }
+  }
+
+  return {
+    findings: findings
+      .sort((a, b) => (SEVERITY_ORDER[b.severity] || 0) - (SEVERITY_ORDER[a.severity] || 0))
+      .slice(0, MAX_FINDINGS_PER_FILE),
+    version: linters.length > 0 ? linters.map(linter => `${linter.name}@${linter.version}`).join('+') : null
+  };
+}
+
+/**
+ * Verwijder AI items die een linter bevinding herhalen
+ * Een AI item is een duplicaat als het hetzelfde type heeft en naar een regel binnen de bevinding wijst.
+ * @param {Array} aiFeedback - AI feedback items van een bestand
+ * @param {Array} findings - Linter bevindingen van hetzelfde bestand
+ * @returns {{feedback: Array, removed: number}}
+ */
+function dedupeAgainstFindings(aiFeedback, findings) {
+  const feedback = aiFeedback.filter(item =>
+    !findings.some(finding =>
+      finding.type === item.type &&
+      Number.isInteger(item.line_number) && Number.isInteger(finding.line_number) &&
+      item.line_number >= finding.line_number &&
+      item.line_number <= (finding.end_line || finding.line_number)
+    )
+  );
+
+  return { feedback, removed: aiFeedback.length - feedback.length };
+}
+
+module.exports = {
+  registerLinter,
+  getLintersForLanguage,
+  isStaticAnalysisEnabled,
+  lintFile,
+  dedupeAgainstFindings,
+  MAX_FINDINGS_PER_FILE,
+  MAX_FINDINGS_PER_RULE
+};
@@ -0,0 +1,98 @@
+const axios = require('axios');
+
+/**
+ * Anthropic API configuratie
+ */
+const ANTHROPIC_API_BASE = 'https://api.anthropic.com/v1';
+const ANTHROPIC_API_VERSION = '2023-06-01';
+const ANTHROPIC_MODEL = process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5';
+const ANTHROPIC_TIMEOUT = 120000;
+const ANTHROPIC_MAX_TOKENS = 8192;
+
+/**
+ * Maak Anthropic API headers
+ * @returns {object}
+ */
+function getAnthropicHeaders() {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+
+  if (!apiKey) {
+    throw new Error('ANTHROPIC_API_KEY is niet geconfigureerd');
+  }
+
+  return {
+    'Content-Type': 'application/json',
+    'x-api-key': apiKey,
+    'anthropic-version': ANTHROPIC_API_VERSION
+  };
+}
+
+/**
+ * Vraag een message completion op bij Anthropic
+ * @param {object} request - Provider request
+ * @param {string} request.systemPrompt - System prompt
+ * @param {string} request.userPrompt - User prompt
+ * @param {string} request.model - Model naam
+ * @param {object} request.responseSchema - JSON schema voor structured output ({ name, schema }, optioneel)
+ * @returns {Promise<{content: string|null, model: string, usage: object|null}>}
+ */
+async function complete({ systemPrompt, userPrompt, model, responseSchema = null }) {
+  const body = {
+    model,
+    system: systemPrompt,
+    messages: [
+      { role: 'user', content: userPrompt }
+    ],
+    max_tokens: ANTHROPIC_MAX_TOKENS
+  };
+
+  // Structured output via een verplichte tool call: de tool input volgt het schema
+  if (responseSchema) {
+    body.tools = [{
+      name: responseSchema.name,
+      description: 'Geef het resultaat van de code analyse terug',
+      input_schema: responseSchema.schema
+    }];
+    body.tool_choice = { type: 'tool', name: responseSchema.name };
+  }
+
+  const response = await axios.post(
+    `${ANTHROPIC_API_BASE}/messages`,
+    body,
+    {
+      headers: getAnthropicHeaders(),
+      timeout: ANTHROPIC_TIMEOUT
+    }
+  );
+
+  const blocks = response.data?.content || [];
+  const toolUse = blocks.find(block => block.type === 'tool_use');
+
+  // Anthropic geeft een array van content blocks terug: de tool input of anders de tekst
+  const text = toolUse
+    ? JSON.stringify(toolUse.input)
+    : blocks
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+  const usage = response.data?.usage;
+
+  return {
+    content: text || null,
+    model: response.data?.model || model,
+    // Zelfde vorm als OpenAI zodat de rest van de code provider-onafhankelijk blijft
+    usage: usage ? {
+      prompt_tokens: usage.input_tokens,
+      completion_tokens: usage.output_tokens,
+      total_tokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+    } : null
+  };
+}
+
+module.exports = {
+  name: 'anthropic',
+  defaultModel: ANTHROPIC_MODEL,
+  supportsStructuredOutput: true,
+  complete
+};
@@ -0,0 +1,92 @@
+/**
+ * LLM provider laag
+ *
+ * Elke provider exporteert:
+ * - name: unieke naam
+ * - defaultModel: model dat gebruikt wordt als er geen model is opgegeven
+ * - supportsStructuredOutput: of de provider een JSON schema kan afdwingen
+ * - complete({ systemPrompt, userPrompt, model, responseSchema, context }) => { content, model, usage }
+ *
+ * Selectie (hoogste prioriteit eerst): opdracht → cursus → deployment (LLM_PROVIDER / LLM_MODEL).
+ * De mock provider geeft geen echte feedback en is enkel beschikbaar in tests (NODE_ENV=test)
+ * of met LLM_ALLOW_MOCK=true.
+ * Requests gaan via de aiScheduler, die concurrency en tokens per minuut over het proces beperkt.
+ */
+const openaiProvider = require('./openaiProvider');
+const anthropicProvider = require('./anthropicProvider');
+const localProvider = require('./localProvider');
+const mockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+  [openaiProvider.name]: openaiProvider,
+  [anthropicProvider.name]: anthropicProvider,
+  [localProvider.name]: localProvider,
+  [mockProvider.name]: mockProvider
+};
+
+const DEFAULT_PROVIDER = 'openai';
+
+/**
+ * Mag de mock provider gebruikt worden?
+ * @returns {boolean}
+ */
+function isMockAllowed() {
+  return process.env.NODE_ENV === 'test' || process.env.LLM_ALLOW_MOCK === 'true';
+}
+
+/**
+ * Namen van de providers die in deze omgeving gekozen mogen worden
+ * @returns {Array<string>}
+ */
+function getProviderNames() {
+  return Object.keys(PROVIDERS).filter(name => name !== mockProvider.name || isMockAllowed());
+}
+
+/**
+ * Controleer of een provider naam bestaat en in deze omgeving gekozen mag worden
+ * @param {string} name - Provider naam
+ * @returns {boolean}
+ */
+function isKnownProvider(name) {
+  return typeof name === 'string' && getProviderNames().includes(name);
+}
+
+/**
+ * Haal een provider op via naam
+ * @param {string} name - Provider naam
+ * @returns {object}
+ */
+function getProvider(name) {
+  if (name === mockProvider.name && !isMockAllowed()) {
+    throw new Error('De mock LLM provider is enkel beschikbaar in tests of met LLM_ALLOW_MOCK=true');
+  }
+  if (!isKnownProvider(name)) {
+    throw new Error(`Onbekende LLM provider: ${name}`);
+  }
+  return PROVIDERS[name];
+}
+
+/**
+ * Bepaal welke provider en welk model gebruikt worden voor een analyse
+ * @param {object} settings - Assignment settings (llm_provider en llm_model zijn al samengevoegd met de cursus)
+ * @returns {{provider: object, model: string}}
+ */
+function resolveProvider(settings) {
+  const deploymentProvider = process.env.LLM_PROVIDER || DEFAULT_PROVIDER;
+  const providerName = settings?.llm_provider || deploymentProvider;
+  const provider = getProvider(providerName);
+
+  // LLM_MODEL hoort bij de deployment provider, niet bij een provider die per cursus/opdracht gekozen is
+  const deploymentModel = providerName === deploymentProvider ? process.env.LLM_MODEL : null;
+  const model = settings?.llm_model || deploymentModel || provider.defaultModel;
+
+  return { provider, model };
+}
+
+module.exports = {
+  getProvider,
+  resolveProvider,
+  isKnownProvider,
+  getProviderNames,
+  DEFAULT_PROVIDER
+};
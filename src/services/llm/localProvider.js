@@ -0,0 +1,75 @@
+const axios = require('axios');
+
+/**
+ * Configuratie voor een lokale OpenAI-compatibele server (Ollama, vLLM, ...)
+ */
+const LOCAL_API_BASE = process.env.LLM_LOCAL_BASE_URL || 'http://localhost:11434/v1';
+const LOCAL_MODEL = process.env.LLM_LOCAL_MODEL || 'llama3.1';
+const LOCAL_TIMEOUT = 300000; // Lokale modellen zijn trager, 5 minuten timeout
+// Niet elke lokale server ondersteunt response_format met een JSON schema, dus opt-in
+const LOCAL_STRUCTURED_OUTPUT = process.env.LLM_LOCAL_STRUCTURED_OUTPUT === 'true';
+
+/**
+ * Maak headers voor de lokale server (API key is optioneel)
+ * @returns {object}
+ */
+function getLocalHeaders() {
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (process.env.LLM_LOCAL_API_KEY) {
+    headers['Authorization'] = `Bearer ${process.env.LLM_LOCAL_API_KEY}`;
+  }
+
+  return headers;
+}
+
+/**
+ * Vraag een chat completion op bij een OpenAI-compatibele server
+ * @param {object} request - Provider request
+ * @param {string} request.systemPrompt - System prompt
+ * @param {string} request.userPrompt - User prompt
+ * @param {string} request.model - Model naam
+ * @param {object} request.responseSchema - JSON schema voor structured output ({ name, schema }, optioneel)
+ * @returns {Promise<{content: string|null, model: string, usage: object|null}>}
+ */
+async function complete({ systemPrompt, userPrompt, model, responseSchema = null }) {
+  const body = {
+    model,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ],
+    // De meeste lokale servers kennen max_completion_tokens niet
+    max_tokens: 8192,
+    temperature: 0.2
+  };
+
+  if (responseSchema) {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: responseSchema.name, strict: true, schema: responseSchema.schema }
+    };
+  }
+
+  const response = await axios.post(
+    `${LOCAL_API_BASE.replace(/\/$/, '')}/chat/completions`,
+    body,
+    {
+      headers: getLocalHeaders(),
+      timeout: LOCAL_TIMEOUT
+    }
+  );
+
+  return {
+    content: response.data?.choices?.[0]?.message?.content || null,
+    model: response.data?.model || model,
+    usage: response.data?.usage || null
+  };
+}
+
+module.exports = {
+  name: 'local',
+  defaultModel: LOCAL_MODEL,
+  supportsStructuredOutput: LOCAL_STRUCTURED_OUTPUT,
+  complete
+};
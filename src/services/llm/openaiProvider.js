@@ -0,0 +1,86 @@
+const axios = require('axios');
+
+/**
+ * OpenAI API configuratie
+ */
+const OPENAI_API_BASE = 'https://api.openai.com/v1';
+const OPENAI_MODEL = 'gpt-5-mini'; // GPT-5 mini model
+const OPENAI_TIMEOUT = 120000; // 120s timeout voor Dokploy
+
+/**
+ * Maak OpenAI API headers
+ * @returns {object}
+ */
+function getOpenAIHeaders() {
+  const apiKey = process.env.OPENAI_API_KEY;
+
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY is niet geconfigureerd');
+  }
+
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${apiKey}`
+  };
+}
+
+/**
+ * Vraag een chat completion op bij OpenAI
+ * @param {object} request - Provider request
+ * @param {string} request.systemPrompt - System prompt
+ * @param {string} request.userPrompt - User prompt
+ * @param {string} request.model - Model naam
+ * @param {object} request.responseSchema - JSON schema voor structured output ({ name, schema }, optioneel)
+ * @returns {Promise<{content: string|null, model: string, usage: object|null}>}
+ */
+async function complete({ systemPrompt, userPrompt, model, responseSchema = null }) {
+  const body = {
+    model,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ],
+    max_completion_tokens: 16000  // GPT-5 mini gebruikt reasoning tokens, dus we hebben meer nodig
+  };
+
+  if (responseSchema) {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: responseSchema.name, strict: true, schema: responseSchema.schema }
+    };
+  }
+
+  const response = await axios.post(
+    `${OPENAI_API_BASE}/chat/completions`,
+    body,
+    {
+      headers: getOpenAIHeaders(),
+      timeout: OPENAI_TIMEOUT
+    }
+  );
+
+  // Log de volledige response structuur voor debugging
+  console.log(`[API] AI response structure:`, JSON.stringify({
+    hasData: !!response.data,
+    hasChoices: !!response.data?.choices,
+    choicesLength: response.data?.choices?.length,
+    firstChoice: response.data?.choices?.[0],
+    usage: response.data?.usage
+  }, null, 2));
+
+  return {
+    content: response.data?.choices?.[0]?.message?.content || null,
+    model: response.data?.model || model,
+    usage: response.data?.usage || null
+  };
+}
+
+module.exports = {
+  name: 'openai',
+  defaultModel: OPENAI_MODEL,
+  supportsStructuredOutput: true,
+  complete,
+  OPENAI_API_BASE,
+  OPENAI_MODEL,
+  OPENAI_TIMEOUT
+};
@@ -149,7 +149,7 @@ class NotificationService extends EventEmitter {
         studentId: data.studentId,
         assignmentId: data.assignmentId,
         aiScore: data.aiScore,
-        status: 'analyzed'
+        status: data.status || 'analyzed'
       }
     };
 
@@ -157,6 +157,31 @@ class NotificationService extends EventEmitter {
     this.emit('submission:analyzed', eventData);
   }
 
+  /**
+   * Emit a submission failed event (analysis failed for good, no more automatic retries)
+   * @param {number} courseId - The course ID
+   * @param {object} data - Submission data with the error
+   */
+  emitSubmissionFailed(courseId, data) {
+    const eventData = {
+      id: Date.now(),
+      timestamp: new Date().toISOString(),
+      courseId: parseInt(courseId),
+      type: 'submission:failed',
+      data: {
+        submissionId: data.submissionId,
+        studentId: data.studentId,
+        assignmentId: data.assignmentId,
+        errorCode: data.errorCode || null,
+        errorMessage: data.errorMessage || null,
+        attempts: data.attempts ?? null
+      }
+    };
+
+    this.sendEventToCourse(courseId, eventData);
+    this.emit('submission:failed', eventData);
+  }
+
   /**
    * Emit a feedback added event
    * @param {number} courseId - The course ID
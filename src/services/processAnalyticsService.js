@@ -0,0 +1,308 @@
+const db = require('../config/db');
+const { getCommitHistory, getMultipleCommitStats } = require('./githubService');
+
+/**
+ * Procesanalyse - hoe kwam de code tot stand?
+ *
+ * Na elke analyse wordt de commit geschiedenis van de geanalyseerde commit opgehaald en op de
+ * submission bewaard (submission.commit_history). De grootte van een commit wordt één keer
+ * opgehaald; bij een volgende push worden enkel de nieuwe commits bevraagd.
+ * De statistieken (frequentie, grootte, tijdstip, last-minute werk, kwaliteit van de commit
+ * messages) worden bij het opvragen berekend, zodat een gewijzigde deadline meteen meetelt.
+ */
+
+/**
+ * Maximum aantal commits waarvan per analyse de grootte opgehaald wordt (1 request per commit)
+ */
+const MAX_STATS_PER_RUN = 100;
+
+const MAX_MESSAGE_LENGTH = 200;
+
+/**
+ * Tijdzone voor tijdstippen en actieve dagen (GitHub geeft UTC terug)
+ */
+const DEFAULT_TIMEZONE = 'Europe/Brussels';
+
+/**
+ * Grenzen (in gewijzigde regels) van de commit grootte verdeling
+ */
+const SIZE_BUCKETS = [
+  { name: 'small', max: 10 },
+  { name: 'medium', max: 100 },
+  { name: 'large', max: 500 },
+  { name: 'very_large', max: Infinity }
+];
+
+const TIME_OF_DAY_BUCKETS = [
+  { name: 'night', from: 0 },
+  { name: 'morning', from: 6 },
+  { name: 'afternoon', from: 12 },
+  { name: 'evening', from: 18 }
+];
+
+/**
+ * Venster voor last-minute werk voor de deadline
+ */
+const LAST_MINUTE_HOURS = 24;
+
+/**
+ * Commit messages die niets zeggen over de wijziging (na lowercase en zonder leestekens)
+ */
+const GENERIC_MESSAGES = new Set([
+  'update', 'updates', 'updated', 'fix', 'fixes', 'fixed', 'change', 'changes', 'changed',
+  'commit', 'wip', 'stuff', 'test', 'tests', 'done', 'final', 'asdf', 'temp', 'misc', 'more',
+  'aanpassing', 'aanpassingen', 'wijziging', 'wijzigingen', 'klaar', 'nieuw', 'werkt',
+  'modification', 'modifications', 'correction', 'fini',
+  'add files via upload'
+]);
+
+/**
+ * Standaard messages van de GitHub web editor ("Update README.md", "Create app.js")
+ */
+const EDITOR_MESSAGE_PATTERN = /^(update|create|delete|add|rename)\s+\S+\.\w+$/i;
+
+const MIN_MESSAGE_CHARS = 12;
+const MAX_SUBJECT_CHARS = 72;
+const MAX_MESSAGE_EXAMPLES = 5;
+
+function getTimeZone() {
+  return process.env.PROCESS_ANALYTICS_TIMEZONE || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Haal de commit geschiedenis op en bewaar ze op de submission
+ * @param {number} submissionId - Submission ID
+ * @param {{owner: string, repo: string}} repoInfo - Repository
+ * @param {string} commitSha - Geanalyseerde commit
+ * @returns {Promise<{success: boolean, commits?: number, error?: string}>}
+ */
+async function refreshCommitHistory(submissionId, repoInfo, commitSha) {
+  const history = await getCommitHistory(repoInfo.owner, repoInfo.repo, commitSha);
+  if (!history.success) {
+    return { success: false, error: history.error };
+  }
+
+  const previousResult = await db.query('SELECT commit_history FROM submission WHERE id = $1', [submissionId]);
+  const known = new Map(
+    (previousResult.rows[0]?.commit_history?.commits || [])
+      .filter(commit => commit.additions !== null)
+      .map(commit => [commit.sha, commit])
+  );
+
+  // Merge commits krijgen geen grootte: hun diff bevat het werk van de andere branch
+  const missing = history.commits
+    .filter(commit => commit.parents <= 1 && !known.has(commit.sha))
+    .slice(0, MAX_STATS_PER_RUN)
+    .map(commit => commit.sha);
+  const stats = new Map(
+    (await getMultipleCommitStats(repoInfo.owner, repoInfo.repo, missing)).map(stat => [stat.sha, stat])
+  );
+
+  const commits = history.commits.map(commit => {
+    const stat = known.get(commit.sha) || stats.get(commit.sha);
+    return {
+      sha: commit.sha,
+      date: commit.date,
+      message: commit.message.trim().slice(0, MAX_MESSAGE_LENGTH),
+      merge: commit.parents > 1,
+      additions: stat ? stat.additions : null,
+      deletions: stat ? stat.deletions : null,
+      files_changed: stat ? stat.files_changed : null
+    };
+  });
+
+  const commitHistory = {
+    head_sha: commitSha,
+    truncated: history.truncated,
+    fetched_at: new Date().toISOString(),
+    commits
+  };
+
+  await db.query('UPDATE submission SET commit_history = $1 WHERE id = $2', [JSON.stringify(commitHistory), submissionId]);
+
+  return { success: true, commits: commits.length };
+}
+
+/**
+ * Uur (0-23) en datum (YYYY-MM-DD) van een tijdstip in de gegeven tijdzone
+ * @returns {{hour: number, day: string}}
+ */
+function localTime(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return { hour: parseInt(parts.hour, 10), day: `${parts.year}-${parts.month}-${parts.day}` };
+}
+
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Beoordeel één commit message
+ * @param {string} message - Volledige commit message
+ * @returns {Array<string>} - Problemen: 'too_short', 'generic', 'too_long' (leeg = goede message)
+ */
+function assessCommitMessage(message) {
+  const subject = String(message || '').split('\n')[0].trim();
+  const normalized = subject.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+  const issues = [];
+
+  if (GENERIC_MESSAGES.has(normalized) || EDITOR_MESSAGE_PATTERN.test(subject)) {
+    issues.push('generic');
+  } else if (subject.length < MIN_MESSAGE_CHARS || !normalized.includes(' ')) {
+    issues.push('too_short');
+  }
+  if (subject.length > MAX_SUBJECT_CHARS) {
+    issues.push('too_long');
+  }
+
+  return issues;
+}
+
+/**
+ * Bereken de procesanalyse van een commit geschiedenis
+ * Merge commits tellen enkel mee in merge_commits.
+ * @param {object|null} commitHistory - submission.commit_history
+ * @param {Date|string|null} dueDate - Deadline van de opdracht
+ * @param {object} options
+ * @param {string} options.timeZone - Tijdzone (standaard PROCESS_ANALYTICS_TIMEZONE of Europe/Brussels)
+ * @returns {object|null} - null zonder commit geschiedenis
+ */
+function calculateProcessAnalytics(commitHistory, dueDate, { timeZone = getTimeZone() } = {}) {
+  if (!commitHistory || !Array.isArray(commitHistory.commits)) return null;
+
+  const commits = commitHistory.commits
+    .filter(commit => !commit.merge && commit.date)
+    .map(commit => ({ ...commit, time: new Date(commit.date) }))
+    .sort((a, b) => a.time - b.time);
+
+  const analytics = {
+    head_sha: commitHistory.head_sha,
+    truncated: !!commitHistory.truncated,
+    time_zone: timeZone,
+    frequency: null,
+    size: null,
+    time_of_day: null,
+    last_minute: null,
+    message_quality: null
+  };
+
+  if (commits.length === 0) {
+    analytics.frequency = { total_commits: 0, merge_commits: commitHistory.commits.length };
+    return analytics;
+  }
+
+  // Frequentie
+  const first = commits[0].time;
+  const last = commits[commits.length - 1].time;
+  const local = commits.map(commit => localTime(commit.time, timeZone));
+  const activeDays = new Set(local.map(time => time.day)).size;
+  let longestGap = 0;
+  for (let i = 1; i < commits.length; i++) {
+    longestGap = Math.max(longestGap, commits[i].time - commits[i - 1].time);
+  }
+
+  analytics.frequency = {
+    total_commits: commits.length,
+    merge_commits: commitHistory.commits.length - commits.length,
+    first_commit_at: first.toISOString(),
+    last_commit_at: last.toISOString(),
+    active_days: activeDays,
+    span_days: round((last - first) / 86400000, 1),
+    commits_per_active_day: round(commits.length / activeDays),
+    longest_gap_days: round(longestGap / 86400000, 1)
+  };
+
+  // Grootte (gewijzigde regels per commit)
+  const sizes = commits
+    .filter(commit => commit.additions !== null && commit.additions !== undefined)
+    .map(commit => commit.additions + commit.deletions);
+  if (sizes.length > 0) {
+    const distribution = Object.fromEntries(SIZE_BUCKETS.map(bucket => [bucket.name, 0]));
+    for (const size of sizes) {
+      distribution[SIZE_BUCKETS.find(bucket => size <= bucket.max).name]++;
+    }
+    analytics.size = {
+      measured_commits: sizes.length,
+      median_lines: median(sizes),
+      average_lines: round(sizes.reduce((sum, size) => sum + size, 0) / sizes.length),
+      max_lines: Math.max(...sizes),
+      distribution
+    };
+  }
+
+  // Tijdstip
+  const byHour = new Array(24).fill(0);
+  local.forEach(time => byHour[time.hour]++);
+  const periods = Object.fromEntries(TIME_OF_DAY_BUCKETS.map(bucket => [bucket.name, 0]));
+  byHour.forEach((count, hour) => {
+    const bucket = [...TIME_OF_DAY_BUCKETS].reverse().find(b => hour >= b.from);
+    periods[bucket.name] += count;
+  });
+  analytics.time_of_day = { ...periods, by_hour: byHour };
+
+  // Last-minute werk
+  const due = dueDate ? new Date(dueDate) : null;
+  if (due && !isNaN(due)) {
+    const windowStart = due.getTime() - LAST_MINUTE_HOURS * 3600000;
+    const beforeDue = commits.filter(commit => commit.time <= due);
+    const lastMinute = beforeDue.filter(commit => commit.time >= windowStart);
+    const linesOf = (list) => list.reduce((sum, commit) => sum + (commit.additions ?? 0) + (commit.deletions ?? 0), 0);
+    const totalLines = linesOf(beforeDue);
+
+    analytics.last_minute = {
+      due_date: due.toISOString(),
+      window_hours: LAST_MINUTE_HOURS,
+      commits: lastMinute.length,
+      commit_share: beforeDue.length > 0 ? round(lastMinute.length / beforeDue.length) : null,
+      lines: linesOf(lastMinute),
+      line_share: totalLines > 0 ? round(linesOf(lastMinute) / totalLines) : null,
+      commits_after_due: commits.length - beforeDue.length
+    };
+  }
+
+  // Kwaliteit van de commit messages
+  const issues = { too_short: 0, generic: 0, too_long: 0 };
+  const examples = [];
+  let good = 0;
+  for (const commit of commits) {
+    const found = assessCommitMessage(commit.message);
+    found.forEach(issue => issues[issue]++);
+    if (found.length === 0) {
+      good++;
+    } else if (examples.length < MAX_MESSAGE_EXAMPLES) {
+      examples.push({ sha: commit.sha, message: commit.message.split('\n')[0], issues: found });
+    }
+  }
+  analytics.message_quality = {
+    score: Math.round((good / commits.length) * 100),
+    good,
+    ...issues,
+    examples
+  };
+
+  return analytics;
+}
+
+module.exports = {
+  refreshCommitHistory,
+  calculateProcessAnalytics,
+  assessCommitMessage,
+  MAX_STATS_PER_RUN
+};
@@ -0,0 +1,232 @@
+const db = require('../config/db');
+const { parseGitHubUrl } = require('./githubService');
+const { enqueueSubmissionAnalysis, abandonSubmissionAnalysis } = require('./jobTypes');
+const { planRetry } = require('./autoRetryService');
+const logger = require('../utils/logger');
+
+/**
+ * Watchdog voor vastgelopen analyses
+ *
+ * Een submission die langer dan PROCESSING_TIMEOUT_MINUTES op 'processing' staat (bv. omdat het
+ * proces midden in de analyse stopte) blokkeert elke nieuwe analyse. De watchdog zet zo'n
+ * submission op 'failed' met error code TIMEOUT en plant de analyse opnieuw in, maximaal
+ * WATCHDOG_MAX_RECOVERIES keer per commit. Elke ingreep komt in processing_recovery_log.
+ * Geeft de watchdog op, dan is de submission definitief mislukt (zie autoRetryService).
+ *
+ * Een job die nog voor de submission loopt, breekt de watchdog af: de worker verliest de lease
+ * en stopt de heartbeat, en de nieuwe job hoeft niet op de vastgelopen job te wachten.
+ */
+
+const DEFAULT_TIMEOUT_MINUTES = parseInt(process.env.PROCESSING_TIMEOUT_MINUTES, 10) || 30;
+const DEFAULT_MAX_RECOVERIES = isNaN(parseInt(process.env.WATCHDOG_MAX_RECOVERIES, 10))
+  ? 2
+  : parseInt(process.env.WATCHDOG_MAX_RECOVERIES, 10);
+
+/**
+ * Hoe vaak de watchdog controleert
+ */
+const WATCHDOG_INTERVAL_MS = 60000;
+
+/**
+ * Maximum aantal submissions per ronde
+ */
+const MAX_PER_RUN = 100;
+
+/**
+ * Zoek submissions die te lang op 'processing' staan
+ * Oudere submissions zonder processing_started_at vallen terug op updated_at.
+ * @param {number} timeoutMinutes - Drempel in minuten
+ * @returns {Promise<Array>}
+ */
+async function findStuckSubmissions(timeoutMinutes = DEFAULT_TIMEOUT_MINUTES) {
+  const result = await db.query(
+    `SELECT id, commit_sha, branch, github_url,
+            COALESCE(processing_started_at, updated_at) as processing_since,
+            FLOOR(EXTRACT(EPOCH FROM NOW() - COALESCE(processing_started_at, updated_at)) / 60)::int as stuck_minutes
+     FROM submission
+     WHERE status = 'processing'
+       AND COALESCE(processing_started_at, updated_at) < NOW() - make_interval(mins => $1)
+     ORDER BY processing_since
+     LIMIT $2`,
+    [timeoutMinutes, MAX_PER_RUN]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Schrijf een ingreep van de watchdog weg
+ * @param {object} entry
+ * @returns {Promise<object>}
+ */
+async function logRecovery({ submissionId, commitSha, action, processingSince, stuckMinutes, recoveryAttempt, jobId = null, message }) {
+  const result = await db.query(
+    `INSERT INTO processing_recovery_log
+       (submission_id, commit_sha, action, processing_since, stuck_minutes, recovery_attempt, job_id, message)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id, submission_id, commit_sha, action, processing_since, stuck_minutes, recovery_attempt, job_id, message, created_at`,
+    [submissionId, commitSha, action, processingSince, stuckMinutes, recoveryAttempt, jobId, message]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Herstel één vastgelopen submission
+ * @param {object} stuck - Rij uit findStuckSubmissions
+ * @param {object} options
+ * @param {number} options.timeoutMinutes - Drempel in minuten
+ * @param {number} options.maxRecoveries - Maximum aantal keer opnieuw inplannen per commit
+ * @returns {Promise<object|null>} - De log rij, null als de submission intussen niet meer vastzat
+ */
+async function recoverSubmission(stuck, { timeoutMinutes = DEFAULT_TIMEOUT_MINUTES, maxRecoveries = DEFAULT_MAX_RECOVERIES } = {}) {
+  const errorMessage = `Analyse na ${stuck.stuck_minutes} minuten afgebroken (vastgelopen op 'processing')`;
+
+  // Opnieuw controleren: een analyse die intussen afrondde of herstartte blijft ongemoeid,
+  // en van meerdere watchdogs tegelijk herstelt er maar één
+  const failed = await db.query(
+    `UPDATE submission
+     SET status = 'failed', error_code = 'TIMEOUT', error_message = $2, updated_at = NOW()
+     WHERE id = $1 AND status = 'processing'
+       AND COALESCE(processing_started_at, updated_at) < NOW() - make_interval(mins => $3)
+     RETURNING id`,
+    [stuck.id, errorMessage, timeoutMinutes]
+  );
+  if (failed.rows.length === 0) {
+    return null;
+  }
+  await abandonSubmissionAnalysis(stuck.id, errorMessage);
+
+  const previous = await db.query(
+    `SELECT COUNT(*)::int as count FROM processing_recovery_log
+     WHERE submission_id = $1 AND commit_sha IS NOT DISTINCT FROM $2 AND action = 'requeued'`,
+    [stuck.id, stuck.commit_sha]
+  );
+  const recoveryAttempt = previous.rows[0].count + 1;
+  const entry = {
+    submissionId: stuck.id,
+    commitSha: stuck.commit_sha,
+    processingSince: stuck.processing_since,
+    stuckMinutes: stuck.stuck_minutes,
+    recoveryAttempt
+  };
+
+  const repoInfo = stuck.github_url ? parseGitHubUrl(stuck.github_url) : null;
+  let giveUpReason = null;
+  if (!repoInfo || !stuck.commit_sha) {
+    giveUpReason = 'geen geldige repository of commit om opnieuw te analyseren';
+  } else if (recoveryAttempt > maxRecoveries) {
+    giveUpReason = `herstelbudget van ${maxRecoveries} pogingen op`;
+  }
+
+  if (giveUpReason) {
+    const logged = await logRecovery({ ...entry, action: 'gave_up', message: `${errorMessage}; ${giveUpReason}` });
+    await planRetry(stuck.id);
+    return logged;
+  }
+
+  const job = await enqueueSubmissionAnalysis({
+    submissionId: stuck.id,
+    commitSha: stuck.commit_sha,
+    branch: stuck.branch,
+    repoFullName: `${repoInfo.owner}/${repoInfo.repo}`,
+    trigger: 'watchdog'
+  });
+
+  return logRecovery({
+    ...entry,
+    action: 'requeued',
+    jobId: job.id,
+    message: `${errorMessage}; opnieuw ingepland (poging ${recoveryAttempt}/${maxRecoveries})`
+  });
+}
+
+/**
+ * Eén ronde van de watchdog
+ * @param {object} options
+ * @param {number} options.timeoutMinutes - Drempel in minuten
+ * @param {number} options.maxRecoveries - Maximum aantal keer opnieuw inplannen per commit
+ * @returns {Promise<{requeued: number, gave_up: number}>}
+ */
+async function runWatchdog({ timeoutMinutes = DEFAULT_TIMEOUT_MINUTES, maxRecoveries = DEFAULT_MAX_RECOVERIES } = {}) {
+  const stuck = await findStuckSubmissions(timeoutMinutes);
+  const counts = { requeued: 0, gave_up: 0 };
+
+  for (const submission of stuck) {
+    try {
+      const entry = await recoverSubmission(submission, { timeoutMinutes, maxRecoveries });
+      if (!entry) continue;
+      counts[entry.action]++;
+      logger.warn('WATCHDOG', `Submission ${submission.id}: ${entry.message}`);
+    } catch (error) {
+      logger.error('WATCHDOG', `Could not recover submission ${submission.id}`, error);
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Start de watchdog (periodiek)
+ * Meerdere processen mogen tegelijk een watchdog draaien: een submission wordt maar één keer hersteld.
+ * @param {object} options - Zie runWatchdog, plus interval (ms)
+ * @returns {{stop: Function}}
+ */
+function startWatchdog({ interval = WATCHDOG_INTERVAL_MS, ...options } = {}) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runWatchdog(options);
+    } catch (error) {
+      logger.error('WATCHDOG', 'Watchdog run failed', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  logger.info('WATCHDOG', `Watchdog started (timeout ${options.timeoutMinutes || DEFAULT_TIMEOUT_MINUTES} min, max ${options.maxRecoveries ?? DEFAULT_MAX_RECOVERIES} recoveries per commit)`);
+  tick();
+  const timer = setInterval(tick, interval);
+
+  return {
+    stop: () => clearInterval(timer)
+  };
+}
+
+/**
+ * Laatste ingrepen van de watchdog, nieuwste eerst
+ * @param {object} filters
+ * @param {string} filters.action - Enkel 'requeued' of 'gave_up'
+ * @param {number} filters.limit - Maximum aantal (standaard 50)
+ * @returns {Promise<Array>}
+ */
+async function listRecoveries({ action = null, limit = 50 } = {}) {
+  const result = await db.query(
+    `SELECT r.id, r.submission_id, r.commit_sha, r.action, r.processing_since, r.stuck_minutes,
+            r.recovery_attempt, r.job_id, r.message, r.created_at,
+            s.status as submission_status, s.assignment_id, a.title as assignment_title,
+            u.id as student_id, u.name as student_name
+     FROM processing_recovery_log r
+     JOIN submission s ON s.id = r.submission_id
+     JOIN assignment a ON a.id = s.assignment_id
+     JOIN "user" u ON u.id = s.user_id
+     WHERE ($1::text IS NULL OR r.action = $1)
+     ORDER BY r.created_at DESC, r.id DESC
+     LIMIT $2`,
+    [action, limit]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  findStuckSubmissions,
+  recoverSubmission,
+  runWatchdog,
+  startWatchdog,
+  listRecoveries,
+  DEFAULT_TIMEOUT_MINUTES,
+  DEFAULT_MAX_RECOVERIES
+};
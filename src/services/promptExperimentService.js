@@ -0,0 +1,379 @@
+const db = require('../config/db');
+const { parseGitHubUrl, getRepositoryTree, getMultipleFileContents } = require('./githubService');
+const { selectFiles } = require('./fileSelectionService');
+const { analyzeFiles, calculateScore } = require('./aiService');
+const { calculateRubricScore } = require('./rubricService');
+const { resolvePromptVersion } = require('./promptTemplateService');
+const { getFeedbackRatingStats, toRatingSummary } = require('./feedbackRatingService');
+const { getAssignmentSettings } = require('../controllers/webhookController');
+
+/**
+ * A/B experimenten met prompt versies
+ *
+ * Een experiment analyseert een willekeurige steekproef van reeds geanalyseerde submissions
+ * met twee prompt versies naast elkaar. Beide versies krijgen exact dezelfde bestanden
+ * (zelfde commit, zelfde bestandsselectie). De resultaten komen in prompt_experiment_run
+ * en overschrijven nooit de feedback die studenten zien.
+ */
+
+const DEFAULT_SAMPLE_SIZE = 10;
+const MAX_SAMPLE_SIZE = 50;
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+/**
+ * Maak een experiment aan met een steekproef van submissions
+ * @param {object} params
+ * @param {string} params.versionA - Prompt versie A ('builtin-3', 'template-2', ...)
+ * @param {string} params.versionB - Prompt versie B
+ * @param {number|null} params.assignmentId - Enkel submissions van deze opdracht (optioneel)
+ * @param {number} params.sampleSize - Gewenst aantal submissions
+ * @param {number} params.createdBy - Admin ID
+ * @returns {Promise<object|null>} - Experiment, of null als er geen geschikte submissions zijn
+ */
+async function createPromptExperiment({ versionA, versionB, assignmentId = null, sampleSize = DEFAULT_SAMPLE_SIZE, createdBy }) {
+  const sample = await db.query(
+    `SELECT s.id
+     FROM submission s
+     WHERE s.github_url IS NOT NULL
+       AND s.commit_sha IS NOT NULL
+       AND s.status IN ('analyzed', 'analysis_incomplete')
+       AND ($1::int IS NULL OR s.assignment_id = $1)
+     ORDER BY RANDOM()
+     LIMIT $2`,
+    [assignmentId, sampleSize]
+  );
+
+  if (sample.rows.length === 0) {
+    return null;
+  }
+
+  const submissionIds = sample.rows.map(row => row.id);
+
+  const experimentResult = await db.query(
+    `INSERT INTO prompt_experiment (version_a, version_b, assignment_id, sample_size, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, version_a, version_b, assignment_id, sample_size, status, created_by, created_at, completed_at`,
+    [versionA, versionB, assignmentId, submissionIds.length, createdBy]
+  );
+  const experiment = experimentResult.rows[0];
+
+  await db.query(
+    `INSERT INTO prompt_experiment_run (experiment_id, submission_id, prompt_version)
+     SELECT $1, s.id, v.version
+     FROM unnest($2::int[]) AS s(id)
+     CROSS JOIN unnest($3::text[]) AS v(version)`,
+    [experiment.id, submissionIds, [versionA, versionB]]
+  );
+
+  return { ...experiment, submission_ids: submissionIds };
+}
+
+/**
+ * Haal de bestanden van een submission op zoals de webhook ze zou analyseren
+ * @param {object} submission - Submission met github_url en commit_sha
+ * @param {object|null} settings - Assignment settings (voor de bestandsselectie)
+ * @returns {Promise<Array>} - Bestanden met inhoud
+ */
+async function fetchSubmissionFiles(submission, settings) {
+  const repoInfo = parseGitHubUrl(submission.github_url);
+  if (!repoInfo) {
+    throw new Error('Could not parse repository URL');
+  }
+
+  const treeResult = await getRepositoryTree(repoInfo.owner, repoInfo.repo, submission.commit_sha);
+  if (!treeResult.success) {
+    throw new Error(treeResult.error || 'GitHub API error');
+  }
+
+  const { selected } = selectFiles(treeResult.files, settings?.file_selection);
+  if (selected.length === 0) {
+    return [];
+  }
+
+  const contents = await getMultipleFileContents(
+    repoInfo.owner,
+    repoInfo.repo,
+    selected.map(file => file.path),
+    submission.commit_sha
+  );
+
+  return contents.filter(file => file.content !== null && file.content !== undefined);
+}
+
+/**
+ * Sla het resultaat van één run op
+ * @param {number} runId - Run ID
+ * @param {object} result - {status, feedback, score, error}
+ * @returns {Promise<void>}
+ */
+async function completeRun(runId, { status, feedback = null, score = null, error = null }) {
+  await db.query(
+    `UPDATE prompt_experiment_run
+     SET status = $1, feedback = $2, feedback_count = $3, score = $4, error = $5, completed_at = NOW()
+     WHERE id = $6`,
+    [
+      status,
+      feedback ? JSON.stringify(feedback) : null,
+      feedback ? feedback.length : null,
+      score,
+      error,
+      runId
+    ]
+  );
+}
+
+/**
+ * Voer de openstaande runs van een experiment uit
+ * Loopt op de achtergrond; fouten per submission worden op de run bewaard.
+ * @param {number} experimentId - Experiment ID
+ * @returns {Promise<{completed: number, failed: number}>}
+ */
+async function runPromptExperiment(experimentId) {
+  const counts = { completed: 0, failed: 0 };
+
+  try {
+    const experimentResult = await db.query(
+      `UPDATE prompt_experiment SET status = 'running'
+       WHERE id = $1
+       RETURNING id, version_a, version_b`,
+      [experimentId]
+    );
+    const experiment = experimentResult.rows[0];
+    if (!experiment) {
+      return counts;
+    }
+
+    // Een template kan intussen niet verdwijnen (onveranderlijk), maar toch expliciet controleren
+    const templates = {};
+    for (const version of [experiment.version_a, experiment.version_b]) {
+      const resolved = await resolvePromptVersion(version);
+      if (!resolved) {
+        throw new Error(`Unknown prompt version: ${version}`);
+      }
+      templates[version] = resolved.template;
+    }
+
+    const runsResult = await db.query(
+      `SELECT r.id, r.submission_id, r.prompt_version, s.github_url, s.commit_sha, s.assignment_id
+       FROM prompt_experiment_run r
+       JOIN submission s ON r.submission_id = s.id
+       WHERE r.experiment_id = $1 AND r.status = 'pending'
+       ORDER BY r.submission_id, r.id`,
+      [experimentId]
+    );
+
+    const runsBySubmission = new Map();
+    for (const run of runsResult.rows) {
+      if (!runsBySubmission.has(run.submission_id)) {
+        runsBySubmission.set(run.submission_id, []);
+      }
+      runsBySubmission.get(run.submission_id).push(run);
+    }
+
+    for (const [submissionId, runs] of runsBySubmission) {
+      const settings = await getAssignmentSettings(runs[0].assignment_id);
+
+      // Bestanden één keer ophalen: beide versies analyseren exact dezelfde inhoud
+      let files;
+      try {
+        files = await fetchSubmissionFiles(runs[0], settings);
+      } catch (error) {
+        console.error(`[API] Prompt experiment ${experimentId}: could not fetch files for submission ${submissionId}:`, error.message);
+        for (const run of runs) {
+          await completeRun(run.id, { status: 'failed', error: error.message });
+          counts.failed++;
+        }
+        continue;
+      }
+
+      for (const run of runs) {
+        try {
+          const analysis = await analyzeFiles(
+            files,
+            { ...settings, prompt_template: templates[run.prompt_version] },
+            { submissionId, priority: 'background' }
+          );
+
+          // Zelfde score berekening als de webhook: rubric score indien mogelijk, anders op basis van de feedback
+          const rubricScores = analysis.criteria_scores?.length > 0 ? analysis.criteria_scores : null;
+          const score = analysis.incomplete
+            ? null
+            : (rubricScores && calculateRubricScore(rubricScores, settings?.rubric_criteria)) ?? calculateScore(analysis.feedback);
+
+          await completeRun(run.id, {
+            status: analysis.incomplete ? 'incomplete' : 'completed',
+            feedback: analysis.feedback,
+            score
+          });
+          counts.completed++;
+        } catch (error) {
+          console.error(`[API] Prompt experiment ${experimentId}: run ${run.id} failed:`, error.message);
+          await completeRun(run.id, { status: 'failed', error: error.message });
+          counts.failed++;
+        }
+      }
+    }
+
+    await db.query(
+      `UPDATE prompt_experiment SET status = 'completed', completed_at = NOW() WHERE id = $1`,
+      [experimentId]
+    );
+    console.log(`[API] Prompt experiment ${experimentId} completed: ${counts.completed} runs, ${counts.failed} failed`);
+  } catch (error) {
+    console.error(`[API] Prompt experiment ${experimentId} failed:`, error.message);
+    await db.query(
+      `UPDATE prompt_experiment SET status = 'failed', completed_at = NOW() WHERE id = $1`,
+      [experimentId]
+    ).catch(() => {});
+  }
+
+  return counts;
+}
+
+/**
+ * Lijst alle experimenten, nieuwste eerst
+ * @returns {Promise<Array>}
+ */
+async function listPromptExperiments() {
+  const result = await db.query(
+    `SELECT e.id, e.version_a, e.version_b, e.assignment_id, a.title as assignment_title,
+            e.sample_size, e.status, e.created_by, e.created_at, e.completed_at,
+            COUNT(r.id) FILTER (WHERE r.status <> 'pending') as finished_runs,
+            COUNT(r.id) as total_runs
+     FROM prompt_experiment e
+     LEFT JOIN assignment a ON e.assignment_id = a.id
+     LEFT JOIN prompt_experiment_run r ON r.experiment_id = e.id
+     GROUP BY e.id, a.title
+     ORDER BY e.created_at DESC`
+  );
+
+  return result.rows.map(row => ({
+    ...row,
+    finished_runs: parseInt(row.finished_runs) || 0,
+    total_runs: parseInt(row.total_runs) || 0
+  }));
+}
+
+/**
+ * Vat de runs van één versie samen
+ * @param {Array} runs - Runs van het experiment voor deze versie
+ * @returns {object}
+ */
+function summarizeRuns(runs) {
+  const finished = runs.filter(run => run.status === 'completed' || run.status === 'incomplete');
+  const bySeverity = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+  const byType = {};
+  let feedbackCount = 0;
+
+  for (const run of finished) {
+    for (const item of run.feedback || []) {
+      feedbackCount++;
+      bySeverity[item.severity] = (bySeverity[item.severity] || 0) + 1;
+      byType[item.type] = (byType[item.type] || 0) + 1;
+    }
+  }
+
+  const scores = finished.map(run => run.score).filter(score => score !== null && score !== undefined);
+
+  return {
+    runs: runs.length,
+    completed: runs.filter(run => run.status === 'completed').length,
+    incomplete: runs.filter(run => run.status === 'incomplete').length,
+    failed: runs.filter(run => run.status === 'failed').length,
+    pending: runs.filter(run => run.status === 'pending').length,
+    feedback_count: feedbackCount,
+    avg_feedback_per_submission: finished.length > 0 ? Math.round((feedbackCount / finished.length) * 10) / 10 : null,
+    avg_score: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+    by_severity: bySeverity,
+    by_type: byType
+  };
+}
+
+/**
+ * Vergelijk de twee versies van een experiment
+ * Per versie: de resultaten op de steekproef en de feedback die studenten met die versie kregen,
+ * met hun beoordelingen. De steekproef zelf wordt nooit aan studenten getoond en heeft dus geen beoordelingen.
+ * @param {number} experimentId - Experiment ID
+ * @returns {Promise<object|null>} - null als het experiment niet bestaat
+ */
+async function getPromptExperimentComparison(experimentId) {
+  const experimentResult = await db.query(
+    `SELECT e.id, e.version_a, e.version_b, e.assignment_id, a.title as assignment_title,
+            e.sample_size, e.status, e.created_by, e.created_at, e.completed_at
+     FROM prompt_experiment e
+     LEFT JOIN assignment a ON e.assignment_id = a.id
+     WHERE e.id = $1`,
+    [experimentId]
+  );
+
+  if (experimentResult.rows.length === 0) {
+    return null;
+  }
+
+  const experiment = experimentResult.rows[0];
+  const versions = [experiment.version_a, experiment.version_b];
+
+  const [runsResult, productionResult, submissionsResult, ratingsByVersion] = await Promise.all([
+    db.query(
+      `SELECT prompt_version, status, feedback, score
+       FROM prompt_experiment_run
+       WHERE experiment_id = $1`,
+      [experimentId]
+    ),
+    db.query(
+      `SELECT f.prompt_version,
+              COUNT(*) as feedback_count,
+              COUNT(*) FILTER (WHERE f.severity = 'critical') as critical,
+              COUNT(*) FILTER (WHERE f.severity = 'high') as high,
+              COUNT(*) FILTER (WHERE f.severity = 'medium') as medium,
+              COUNT(*) FILTER (WHERE f.severity = 'low') as low
+       FROM feedback f
+       JOIN submission s ON f.submission_id = s.id
+       WHERE f.prompt_version = ANY($1) AND ($2::int IS NULL OR s.assignment_id = $2)
+       GROUP BY f.prompt_version`,
+      [versions, experiment.assignment_id]
+    ),
+    db.query(
+      `SELECT s.prompt_version, COUNT(*) as submissions, ROUND(AVG(s.ai_score)) as avg_score
+       FROM submission s
+       WHERE s.prompt_version = ANY($1) AND ($2::int IS NULL OR s.assignment_id = $2)
+       GROUP BY s.prompt_version`,
+      [versions, experiment.assignment_id]
+    ),
+    getFeedbackRatingStats({ assignmentId: experiment.assignment_id, promptVersions: versions, groupBy: 'prompt_version' })
+  ]);
+
+  return {
+    experiment,
+    versions: versions.map(version => {
+      const production = productionResult.rows.find(row => row.prompt_version === version) || {};
+      const submissions = submissionsResult.rows.find(row => row.prompt_version === version) || {};
+      const submissionCount = parseInt(submissions.submissions) || 0;
+      const feedbackCount = parseInt(production.feedback_count) || 0;
+
+      return {
+        prompt_version: version,
+        experiment: summarizeRuns(runsResult.rows.filter(run => run.prompt_version === version)),
+        production: {
+          submissions: submissionCount,
+          feedback_count: feedbackCount,
+          avg_feedback_per_submission: submissionCount > 0 ? Math.round((feedbackCount / submissionCount) * 10) / 10 : null,
+          avg_score: submissions.avg_score !== undefined && submissions.avg_score !== null ? parseInt(submissions.avg_score) : null,
+          by_severity: Object.fromEntries(SEVERITIES.map(severity => [severity, parseInt(production[severity]) || 0])),
+          ratings: toRatingSummary(ratingsByVersion.find(row => row.key === version))
+        }
+      };
+    })
+  };
+}
+
+module.exports = {
+  createPromptExperiment,
+  runPromptExperiment,
+  listPromptExperiments,
+  getPromptExperimentComparison,
+  summarizeRuns,
+  DEFAULT_SAMPLE_SIZE,
+  MAX_SAMPLE_SIZE
+};
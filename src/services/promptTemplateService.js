@@ -0,0 +1,250 @@
+const db = require('../config/db');
+const { getPromptVersion } = require('./aiService');
+const { SYSTEM_PLACEHOLDERS, USER_PLACEHOLDERS, findPlaceholders } = require('./promptTemplates');
+
+/**
+ * Geversioneerde prompt templates
+ *
+ * Admins bewaren prompt templates in de database (tabel prompt_template). Een template is
+ * onveranderlijk: een aanpassing wordt een nieuwe versie. Er is maximaal één actieve template;
+ * zonder actieve template gebruikt de analyse de ingebouwde prompt van aiService.
+ * Elke analyse run bewaart zijn prompt versie ('builtin-3', 'template-2', ...) op de
+ * submission en op de feedback, zodat versies achteraf vergeleken kunnen worden.
+ */
+
+const MAX_TEMPLATE_LENGTH = 20000;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * Placeholders die elke template moet bevatten: zonder respons format kan de output niet
+ * gevalideerd worden, zonder code is er niets te analyseren
+ */
+const REQUIRED_PLACEHOLDERS = {
+  system_prompt: ['response_format'],
+  user_prompt: ['code']
+};
+
+const ALLOWED_PLACEHOLDERS = {
+  system_prompt: SYSTEM_PLACEHOLDERS,
+  user_prompt: USER_PLACEHOLDERS
+};
+
+/**
+ * Valideer een nieuwe prompt template
+ * @param {object} input
+ * @param {string} input.system_prompt - System prompt met {{placeholders}}
+ * @param {string} input.user_prompt - User prompt met {{placeholders}}
+ * @param {string} input.description - Omschrijving (optioneel)
+ * @returns {{valid: boolean, errors: Array<string>, template: object|null}}
+ */
+function validatePromptTemplate(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: ['Template moet een object zijn'], template: null };
+  }
+
+  const errors = [];
+
+  for (const field of ['system_prompt', 'user_prompt']) {
+    const text = input[field];
+
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      errors.push(`${field} is verplicht`);
+      continue;
+    }
+
+    if (text.length > MAX_TEMPLATE_LENGTH) {
+      errors.push(`${field} mag maximaal ${MAX_TEMPLATE_LENGTH} tekens bevatten`);
+    }
+
+    const placeholders = findPlaceholders(text);
+    for (const required of REQUIRED_PLACEHOLDERS[field]) {
+      if (!placeholders.includes(required)) {
+        errors.push(`${field} moet de placeholder {{${required}}} bevatten`);
+      }
+    }
+
+    for (const placeholder of placeholders) {
+      if (!ALLOWED_PLACEHOLDERS[field].includes(placeholder)) {
+        errors.push(`${field}: onbekende placeholder {{${placeholder}}}. Toegestaan: ${ALLOWED_PLACEHOLDERS[field].join(', ')}`);
+      }
+    }
+  }
+
+  if (input.description !== undefined && input.description !== null &&
+      (typeof input.description !== 'string' || input.description.length > MAX_DESCRIPTION_LENGTH)) {
+    errors.push(`description moet een string van maximaal ${MAX_DESCRIPTION_LENGTH} tekens zijn`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, template: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    template: {
+      system_prompt: input.system_prompt.trim(),
+      user_prompt: input.user_prompt.trim(),
+      description: input.description?.trim() || null
+    }
+  };
+}
+
+/**
+ * Voeg het prompt versie label toe aan een template rij
+ * @param {object} row - Rij uit prompt_template
+ * @returns {object}
+ */
+function withPromptVersion(row) {
+  return { ...row, prompt_version: getPromptVersion({ prompt_template: row }) };
+}
+
+/**
+ * Lijst alle templates (zonder de prompt teksten), nieuwste versie eerst
+ * @returns {Promise<{builtin_version: string, active_version: string, templates: Array}>}
+ */
+async function listPromptTemplates() {
+  const result = await db.query(
+    `SELECT pt.id, pt.version, pt.description, pt.is_active, pt.created_by, pt.created_at,
+            u.name as created_by_name
+     FROM prompt_template pt
+     LEFT JOIN "user" u ON pt.created_by = u.id
+     ORDER BY pt.version DESC`
+  );
+
+  const templates = result.rows.map(withPromptVersion);
+  const active = templates.find(template => template.is_active);
+
+  return {
+    builtin_version: getPromptVersion(null),
+    active_version: active ? active.prompt_version : getPromptVersion(null),
+    templates
+  };
+}
+
+/**
+ * Haal een template op
+ * @param {number} version - Template versie
+ * @returns {Promise<object|null>}
+ */
+async function getPromptTemplateByVersion(version) {
+  const result = await db.query(
+    `SELECT id, version, description, system_prompt, user_prompt, is_active, created_by, created_at
+     FROM prompt_template
+     WHERE version = $1`,
+    [version]
+  );
+
+  return result.rows.length > 0 ? withPromptVersion(result.rows[0]) : null;
+}
+
+/**
+ * Bewaar een nieuwe template als volgende versie
+ * @param {object} template - Gevalideerde template (zie validatePromptTemplate)
+ * @param {number} createdBy - Admin ID
+ * @returns {Promise<object>}
+ */
+async function createPromptTemplate(template, createdBy) {
+  const result = await db.query(
+    `INSERT INTO prompt_template (version, description, system_prompt, user_prompt, created_by)
+     VALUES ((SELECT COALESCE(MAX(version), 0) + 1 FROM prompt_template), $1, $2, $3, $4)
+     RETURNING id, version, description, system_prompt, user_prompt, is_active, created_by, created_at`,
+    [template.description, template.system_prompt, template.user_prompt, createdBy]
+  );
+
+  return withPromptVersion(result.rows[0]);
+}
+
+/**
+ * Maak een template actief voor alle nieuwe analyses
+ * @param {number|null} version - Template versie, null = terug naar de ingebouwde prompt
+ * @returns {Promise<string|null>} - Actieve prompt versie, null als de template niet bestaat
+ */
+async function activatePromptTemplate(version) {
+  let client;
+  try {
+    client = await db.connect();
+    await client.query('BEGIN');
+
+    if (version !== null) {
+      const exists = await client.query('SELECT id FROM prompt_template WHERE version = $1', [version]);
+      if (exists.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+    }
+
+    // Eerst deactiveren: de unieke index laat maar één actieve template toe
+    await client.query('UPDATE prompt_template SET is_active = FALSE WHERE is_active');
+    if (version !== null) {
+      await client.query('UPDATE prompt_template SET is_active = TRUE WHERE version = $1', [version]);
+    }
+
+    await client.query('COMMIT');
+    return version === null ? getPromptVersion(null) : getPromptVersion({ prompt_template: { version } });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK').catch(() => {});
+    }
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+}
+
+/**
+ * Haal de actieve template op voor een analyse
+ * Bij een fout valt de analyse terug op de ingebouwde prompt: een template mag een analyse niet laten falen.
+ * @returns {Promise<{version: number, system_prompt: string, user_prompt: string}|null>} - null = ingebouwde prompt
+ */
+async function getActivePromptTemplate() {
+  try {
+    const result = await db.query(
+      'SELECT version, system_prompt, user_prompt FROM prompt_template WHERE is_active LIMIT 1'
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('[API] Error fetching active prompt template, using builtin prompt:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Zoek de template bij een prompt versie label
+ * @param {string} promptVersion - 'builtin-<versie>' of 'template-<versie>'
+ * @returns {Promise<{promptVersion: string, template: object|null}|null>} - null als de versie niet bestaat
+ */
+async function resolvePromptVersion(promptVersion) {
+  if (promptVersion === getPromptVersion(null)) {
+    return { promptVersion, template: null };
+  }
+
+  const match = /^template-(\d+)$/.exec(String(promptVersion || ''));
+  if (!match) {
+    return null;
+  }
+
+  const template = await getPromptTemplateByVersion(parseInt(match[1]));
+  if (!template) {
+    return null;
+  }
+
+  return {
+    promptVersion,
+    template: { version: template.version, system_prompt: template.system_prompt, user_prompt: template.user_prompt }
+  };
+}
+
+module.exports = {
+  validatePromptTemplate,
+  listPromptTemplates,
+  getPromptTemplateByVersion,
+  createPromptTemplate,
+  activatePromptTemplate,
+  getActivePromptTemplate,
+  resolvePromptVersion,
+  REQUIRED_PLACEHOLDERS,
+  MAX_TEMPLATE_LENGTH
+};
@@ -0,0 +1,275 @@
+/**
+ * Rubric service - gestructureerde beoordelingsrubrics met gewogen criteria
+ *
+ * Een rubric is een array van criteria:
+ * [
+ *   {
+ *     id: 'readability',
+ *     title: 'Leesbaarheid',
+ *     description: 'Code is makkelijk te lezen en te volgen',
+ *     weight: 30,
+ *     levels: [
+ *       { id: 'excellent', label: 'Uitstekend', score: 100, descriptor: 'Duidelijke namen, korte functies' },
+ *       { id: 'insufficient', label: 'Onvoldoende', score: 0, descriptor: 'Moeilijk te volgen' }
+ *     ]
+ *   }
+ * ]
+ */
+
+const MAX_CRITERIA = 20;
+const MAX_LEVELS = 10;
+const ID_PATTERN = /^[a-z0-9_-]{1,64}$/i;
+
+/**
+ * Valideer en normaliseer rubric criteria
+ * @param {Array} criteria - Criteria zoals aangeleverd door de docent
+ * @returns {{valid: boolean, errors: Array<string>, criteria: Array|null}}
+ */
+function validateRubricCriteria(criteria) {
+  const errors = [];
+
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    return { valid: false, errors: ['Rubric moet minstens één criterium bevatten'], criteria: null };
+  }
+
+  if (criteria.length > MAX_CRITERIA) {
+    return { valid: false, errors: [`Rubric mag maximaal ${MAX_CRITERIA} criteria bevatten`], criteria: null };
+  }
+
+  const criterionIds = new Set();
+  const normalized = criteria.map((criterion, index) => {
+    const label = `Criterium ${index + 1}`;
+
+    if (!criterion || typeof criterion !== 'object') {
+      errors.push(`${label}: moet een object zijn`);
+      return null;
+    }
+
+    if (typeof criterion.id !== 'string' || !ID_PATTERN.test(criterion.id)) {
+      errors.push(`${label}: id is verplicht (letters, cijfers, _ of -)`);
+    } else if (criterionIds.has(criterion.id)) {
+      errors.push(`${label}: id '${criterion.id}' komt meerdere keren voor`);
+    } else {
+      criterionIds.add(criterion.id);
+    }
+
+    if (typeof criterion.title !== 'string' || criterion.title.trim().length === 0) {
+      errors.push(`${label}: titel is verplicht`);
+    }
+
+    if (typeof criterion.weight !== 'number' || !Number.isFinite(criterion.weight) || criterion.weight <= 0) {
+      errors.push(`${label}: gewicht moet een positief getal zijn`);
+    }
+
+    if (!Array.isArray(criterion.levels) || criterion.levels.length < 2 || criterion.levels.length > MAX_LEVELS) {
+      errors.push(`${label}: moet tussen 2 en ${MAX_LEVELS} niveaus bevatten`);
+      return null;
+    }
+
+    const levelIds = new Set();
+    const levels = criterion.levels.map((level, levelIndex) => {
+      const levelLabel = `${label}, niveau ${levelIndex + 1}`;
+
+      if (!level || typeof level !== 'object') {
+        errors.push(`${levelLabel}: moet een object zijn`);
+        return null;
+      }
+
+      if (typeof level.id !== 'string' || !ID_PATTERN.test(level.id)) {
+        errors.push(`${levelLabel}: id is verplicht (letters, cijfers, _ of -)`);
+      } else if (levelIds.has(level.id)) {
+        errors.push(`${levelLabel}: id '${level.id}' komt meerdere keren voor`);
+      } else {
+        levelIds.add(level.id);
+      }
+
+      if (typeof level.label !== 'string' || level.label.trim().length === 0) {
+        errors.push(`${levelLabel}: label is verplicht`);
+      }
+
+      if (typeof level.score !== 'number' || level.score < 0 || level.score > 100) {
+        errors.push(`${levelLabel}: score moet tussen 0 en 100 liggen`);
+      }
+
+      if (level.descriptor !== undefined && level.descriptor !== null && typeof level.descriptor !== 'string') {
+        errors.push(`${levelLabel}: descriptor moet een string zijn`);
+      }
+
+      return {
+        id: level.id,
+        label: typeof level.label === 'string' ? level.label.trim() : level.label,
+        score: level.score,
+        descriptor: level.descriptor || null
+      };
+    });
+
+    return {
+      id: criterion.id,
+      title: typeof criterion.title === 'string' ? criterion.title.trim() : criterion.title,
+      description: typeof criterion.description === 'string' ? criterion.description : null,
+      weight: criterion.weight,
+      // Niveaus altijd van hoog naar laag voor de prompt
+      levels: levels.filter(Boolean).sort((a, b) => b.score - a.score)
+    };
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors, criteria: null };
+  }
+
+  return { valid: true, errors: [], criteria: normalized };
+}
+
+/**
+ * Labels in de rubric sectie van de prompt (vertaald via promptTemplates)
+ */
+const DEFAULT_RUBRIC_LABELS = { weight: 'gewicht', levels: 'Niveaus', points: 'punten' };
+
+/**
+ * Bouw de rubric sectie voor de system prompt
+ * @param {Array} criteria - Gevalideerde rubric criteria
+ * @param {object} labels - Vertaalde labels (weight, levels, points)
+ * @returns {string}
+ */
+function buildRubricPrompt(criteria, labels = DEFAULT_RUBRIC_LABELS) {
+  const totalWeight = criteria.reduce((sum, c) => sum + c.weight, 0);
+
+  const lines = criteria.map(criterion => {
+    const percentage = Math.round((criterion.weight / totalWeight) * 100);
+    const levels = criterion.levels
+      .map(level => `    - ${level.id} (${level.label}, ${level.score} ${labels.points})${level.descriptor ? `: ${level.descriptor}` : ''}`)
+      .join('\n');
+
+    return `- ${criterion.id}: ${criterion.title} (${labels.weight} ${percentage}%)${criterion.description ? `\n  ${criterion.description}` : ''}
+  ${labels.levels}:
+${levels}`;
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Zoek het niveau dat het dichtst bij een score ligt
+ * @param {object} criterion - Rubric criterium
+ * @param {number} score - Score (0-100)
+ * @returns {object} - Niveau
+ */
+function closestLevel(criterion, score) {
+  return criterion.levels.reduce((best, level) =>
+    Math.abs(level.score - score) < Math.abs(best.score - score) ? level : best
+  );
+}
+
+/**
+ * Parse en valideer de criterium beoordelingen uit een AI response object
+ * @param {Array} rawScores - criteria_scores array uit de AI response
+ * @param {Array} criteria - Rubric criteria
+ * @returns {Array<{criterion_id: string, level: string, score: number, justification: string}>}
+ */
+function parseCriteriaScores(rawScores, criteria) {
+  if (!Array.isArray(rawScores) || !Array.isArray(criteria)) {
+    return [];
+  }
+
+  const results = [];
+  for (const raw of rawScores) {
+    if (!raw || typeof raw !== 'object') continue;
+
+    const criterion = criteria.find(c => c.id === raw.criterion_id);
+    if (!criterion) continue;
+
+    const level = criterion.levels.find(l => l.id === raw.level);
+    if (!level) continue;
+
+    // Eén beoordeling per criterium
+    if (results.some(r => r.criterion_id === criterion.id)) continue;
+
+    results.push({
+      criterion_id: criterion.id,
+      level: level.id,
+      score: level.score,
+      justification: raw.justification ? String(raw.justification) : ''
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Voeg criterium beoordelingen van meerdere bestanden samen tot één beoordeling per criterium
+ * De score is het gemiddelde over de bestanden, het niveau het niveau dat daar het dichtst bij ligt.
+ * @param {Array<{file_path: string, scores: Array}>} perFile - Beoordelingen per bestand
+ * @param {Array} criteria - Rubric criteria
+ * @returns {Array<{criterion_id: string, level: string, score: number, justification: string}>}
+ */
+function aggregateCriteriaScores(perFile, criteria) {
+  if (!Array.isArray(criteria)) return [];
+
+  const aggregated = [];
+  for (const criterion of criteria) {
+    const assessments = [];
+    for (const file of perFile) {
+      const assessment = file.scores.find(s => s.criterion_id === criterion.id);
+      if (assessment) {
+        assessments.push({ ...assessment, file_path: file.file_path });
+      }
+    }
+
+    if (assessments.length === 0) continue;
+
+    const score = Math.round(assessments.reduce((sum, a) => sum + a.score, 0) / assessments.length);
+    const justification = assessments
+      .filter(a => a.justification)
+      .map(a => `${a.file_path}: ${a.justification}`)
+      .join('\n');
+
+    aggregated.push({
+      criterion_id: criterion.id,
+      level: closestLevel(criterion, score).id,
+      score,
+      justification
+    });
+  }
+
+  return aggregated;
+}
+
+/**
+ * Bereken de gewogen rubric score
+ * Criteria zonder beoordeling tellen niet mee in de weging.
+ * @param {Array} criteriaScores - Beoordelingen per criterium
+ * @param {Array} criteria - Rubric criteria
+ * @returns {number|null} - Score tussen 0 en 100, of null als er geen beoordelingen zijn
+ */
+function calculateRubricScore(criteriaScores, criteria) {
+  if (!Array.isArray(criteriaScores) || criteriaScores.length === 0 || !Array.isArray(criteria)) {
+    return null;
+  }
+
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  for (const criterion of criteria) {
+    const assessment = criteriaScores.find(s => s.criterion_id === criterion.id);
+    if (!assessment) continue;
+
+    weightedSum += assessment.score * criterion.weight;
+    totalWeight += criterion.weight;
+  }
+
+  if (totalWeight === 0) {
+    return null;
+  }
+
+  return Math.round(Math.max(0, Math.min(100, weightedSum / totalWeight)));
+}
+
+module.exports = {
+  validateRubricCriteria,
+  buildRubricPrompt,
+  parseCriteriaScores,
+  aggregateCriteriaScores,
+  calculateRubricScore,
+  MAX_CRITERIA,
+  MAX_LEVELS
+};
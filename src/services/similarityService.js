@@ -0,0 +1,549 @@
+const db = require('../config/db');
+const {
+  parseGitHubUrl,
+  getLatestCommitSha,
+  getRepositoryTree,
+  getMultipleFileContents,
+  filterCodeFiles,
+  detectLanguage
+} = require('./githubService');
+
+/**
+ * Similarity detectie tussen de submissions van een opdracht (winnowing, zoals MOSS)
+ *
+ * Na elke analyse worden de code bestanden van een submission getokeniseerd en omgezet naar
+ * fingerprints: identifiers, strings en getallen worden genormaliseerd (hernoemen helpt niet),
+ * commentaar en witruimte vallen weg. Van elke k-gram tokens wordt een hash berekend en per
+ * venster van W hashes blijft de kleinste over. Twee bestanden met een gemeenschappelijk stuk
+ * code van minstens K + W - 1 tokens delen dus gegarandeerd een fingerprint.
+ *
+ * Fingerprints die ook in de startcode van de docent voorkomen tellen niet mee, net als code die in
+ * de meerderheid van de submissions voorkomt (zoals MOSS).
+ * De similarity van een paar is het aandeel gedeelde fingerprints van de kleinste submission.
+ */
+
+const K = 10;
+const WINDOW = 5;
+
+/**
+ * Versie van de tokenizer en parameters: fingerprints van een andere versie zijn niet vergelijkbaar
+ */
+const FINGERPRINT_VERSION = 1;
+
+/**
+ * Talen die vergeleken worden (data, opmaak en documentatie niet)
+ */
+const FINGERPRINT_LANGUAGES = [
+  'javascript', 'typescript', 'python', 'java', 'kotlin', 'c', 'cpp', 'csharp', 'go',
+  'rust', 'php', 'ruby', 'swift', 'shell', 'sql', 'vue', 'svelte'
+];
+
+/**
+ * Talen met # als regelcommentaar (de andere gebruiken // en /* *\/)
+ */
+const HASH_COMMENT_LANGUAGES = ['python', 'ruby', 'shell'];
+
+/**
+ * Keywords blijven behouden bij het normaliseren; alle andere identifiers worden 'V'
+ */
+const KEYWORDS = new Set([
+  'if', 'else', 'elif', 'for', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue',
+  'return', 'function', 'def', 'class', 'new', 'try', 'catch', 'except', 'finally', 'throw', 'raise',
+  'import', 'from', 'export', 'const', 'let', 'var', 'async', 'await', 'yield', 'in', 'of', 'not',
+  'and', 'or', 'is', 'lambda', 'with', 'as', 'pass', 'public', 'private', 'protected', 'static',
+  'void', 'int', 'float', 'double', 'char', 'bool', 'boolean', 'string', 'struct', 'enum',
+  'interface', 'extends', 'implements', 'this', 'self', 'super', 'null', 'None', 'nil',
+  'true', 'false', 'True', 'False', 'typeof', 'instanceof', 'fn', 'func', 'go', 'defer', 'match'
+]);
+
+/**
+ * Minimum aantal gedeelde fingerprints voor een verdacht paar (kleine bestanden geven anders ruis)
+ */
+const MIN_MATCHED_FINGERPRINTS = 5;
+const DEFAULT_MIN_SIMILARITY = 0.3;
+
+/**
+ * Code die in meer dan dit aandeel van de submissions voorkomt (vanaf MIN_SUBMISSIONS_FOR_COMMON
+ * submissions) geldt als gemeenschappelijke code, bv. boilerplate van een framework, en telt niet mee
+ */
+const MAX_COMMON_SHARE = 0.5;
+const MIN_SUBMISSIONS_FOR_COMMON = 4;
+
+/**
+ * Maximum aantal overeenkomende regio's per paar en voorkomens per hash (bv. herhaalde code)
+ */
+const MAX_REGIONS_PER_PAIR = 10;
+const MAX_OCCURRENCES_PER_HASH = 3;
+
+/**
+ * Limieten voor de startcode
+ */
+const MAX_STARTER_FILES = 100;
+const MAX_STARTER_SIZE = 1024 * 1024;
+
+/**
+ * Regio's in hetzelfde bestandspaar die hooguit zoveel regels uit elkaar liggen worden samengevoegd
+ */
+const REGION_MERGE_GAP = 2;
+
+/**
+ * Bouw de tokenizer regex voor een taal
+ * @param {string} language - Programmeertaal
+ * @returns {RegExp}
+ */
+function buildTokenPattern(language) {
+  const comment = HASH_COMMENT_LANGUAGES.includes(language)
+    ? '#[^\\n]*'
+    : '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+  const strings = '"""[\\s\\S]*?"""|\'\'\'[\\s\\S]*?\'\'\'|"(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\'|`(?:\\\\.|[^`\\\\])*`';
+
+  return new RegExp(`(${comment})|(${strings})|(\\d[\\w.]*)|([A-Za-z_$][\\w$]*)|(\\s+)|([^\\s\\w])`, 'g');
+}
+
+/**
+ * Tokeniseer code tot genormaliseerde tokens met hun regelnummer
+ * @param {string} content - Broncode
+ * @param {string} language - Programmeertaal
+ * @returns {Array<{token: string, line: number}>}
+ */
+function tokenize(content, language) {
+  const tokens = [];
+  let line = 1;
+
+  for (const match of String(content || '').matchAll(buildTokenPattern(language))) {
+    const [text, comment, string, number, identifier, whitespace] = match;
+    const startLine = line;
+    line += (text.match(/\n/g) || []).length;
+
+    if (comment || whitespace) continue;
+    if (string) {
+      tokens.push({ token: 'S', line: startLine });
+    } else if (number) {
+      tokens.push({ token: 'N', line: startLine });
+    } else if (identifier) {
+      tokens.push({ token: KEYWORDS.has(identifier) ? identifier : 'V', line: startLine });
+    } else {
+      tokens.push({ token: text, line: startLine });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text
+ * @returns {number}
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Bereken de fingerprints van een bestand
+ * @param {string} content - Broncode
+ * @param {string} language - Programmeertaal
+ * @returns {Array<[number, number, number]>} - [hash, eerste regel, laatste regel] per fingerprint
+ */
+function fingerprint(content, language) {
+  const tokens = tokenize(content, language);
+  if (tokens.length < K) return [];
+
+  const grams = [];
+  for (let i = 0; i + K <= tokens.length; i++) {
+    const gram = tokens.slice(i, i + K);
+    grams.push({ hash: hashString(gram.map(t => t.token).join('\u0001')), start: gram[0].line, end: gram[K - 1].line });
+  }
+
+  // Winnowing: per venster de kleinste hash (bij gelijke hashes de meest rechtse), elke positie één keer
+  const fingerprints = [];
+  const windowSize = Math.min(WINDOW, grams.length);
+  let selected = -1;
+  for (let start = 0; start + windowSize <= grams.length; start++) {
+    let min = start;
+    for (let i = start + 1; i < start + windowSize; i++) {
+      if (grams[i].hash <= grams[min].hash) min = i;
+    }
+    if (min !== selected) {
+      selected = min;
+      fingerprints.push([grams[min].hash, grams[min].start, grams[min].end]);
+    }
+  }
+
+  return fingerprints;
+}
+
+/**
+ * Bereken de fingerprints van alle vergelijkbare bestanden
+ * @param {Array<{path: string, content: string, language?: string}>} files - Bestanden
+ * @returns {Array<{path: string, fingerprints: Array}>} - Enkel bestanden met fingerprints
+ */
+function fingerprintFiles(files) {
+  return (files || [])
+    .map(file => {
+      const language = file.language || detectLanguage(file.path);
+      return FINGERPRINT_LANGUAGES.includes(language) && typeof file.content === 'string'
+        ? { path: file.path, fingerprints: fingerprint(file.content, language) }
+        : null;
+    })
+    .filter(file => file && file.fingerprints.length > 0);
+}
+
+/**
+ * Vergelijk submissions twee aan twee
+ * @param {Array<{id: number, files: Array<{path: string, fingerprints: Array}>}>} submissions - Fingerprints per submission
+ * @param {object} options
+ * @param {Set<number>} options.ignoreHashes - Hashes van de startcode
+ * @param {number} options.minSimilarity - Minimum similarity (0-1)
+ * @returns {Array<{a: number, b: number, similarity: number, matched: number, coverage_a: number, coverage_b: number, regions: Array}>}
+ *   Gesorteerd van hoogste naar laagste similarity
+ */
+function comparePairs(submissions, { ignoreHashes = new Set(), minSimilarity = DEFAULT_MIN_SIMILARITY } = {}) {
+  // Per submission: hash => voorkomens (bestand en regels)
+  const indexed = submissions.map(submission => {
+    const occurrences = new Map();
+    for (const file of submission.files) {
+      for (const [hash, start, end] of file.fingerprints) {
+        if (ignoreHashes.has(hash)) continue;
+        const list = occurrences.get(hash) || [];
+        if (list.length < MAX_OCCURRENCES_PER_HASH) list.push({ path: file.path, start, end });
+        occurrences.set(hash, list);
+      }
+    }
+    return { id: submission.id, occurrences };
+  });
+
+  // Inverted index: enkel hashes die in meerdere submissions voorkomen leveren paren op
+  const holders = new Map();
+  indexed.forEach((submission, index) => {
+    for (const hash of submission.occurrences.keys()) {
+      const list = holders.get(hash) || [];
+      list.push(index);
+      holders.set(hash, list);
+    }
+  });
+
+  const maxHolders = indexed.length >= MIN_SUBMISSIONS_FOR_COMMON
+    ? Math.floor(indexed.length * MAX_COMMON_SHARE)
+    : indexed.length;
+  const common = new Set();
+  const shared = new Map();
+  for (const [hash, list] of holders) {
+    if (list.length > maxHolders) {
+      common.add(hash);
+      continue;
+    }
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const key = `${list[i]}:${list[j]}`;
+        shared.set(key, (shared.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  // Gemeenschappelijke code telt ook niet mee in de grootte van een submission
+  const size = (submission) => [...submission.occurrences.keys()].filter(hash => !common.has(hash)).length;
+
+  const pairs = [];
+  for (const [key, count] of shared) {
+    if (count < MIN_MATCHED_FINGERPRINTS) continue;
+
+    const [i, j] = key.split(':').map(Number);
+    const a = indexed[i];
+    const b = indexed[j];
+    a.size = a.size ?? size(a);
+    b.size = b.size ?? size(b);
+    const similarity = count / Math.min(a.size, b.size);
+    if (similarity < minSimilarity) continue;
+
+    const hashes = [...a.occurrences.keys()].filter(hash => b.occurrences.has(hash) && !common.has(hash));
+    pairs.push({
+      a: a.id,
+      b: b.id,
+      similarity: Math.round(similarity * 1000) / 1000,
+      matched: hashes.length,
+      coverage_a: Math.round((hashes.length / a.size) * 1000) / 1000,
+      coverage_b: Math.round((hashes.length / b.size) * 1000) / 1000,
+      regions: findMatchingRegions(hashes, a.occurrences, b.occurrences)
+    });
+  }
+
+  return pairs.sort((x, y) => y.similarity - x.similarity || y.matched - x.matched);
+}
+
+/**
+ * Voeg de gedeelde fingerprints van een paar samen tot overeenkomende regio's per bestandspaar
+ * @param {Array<number>} hashes - Gedeelde hashes
+ * @param {Map} occurrencesA - hash => voorkomens in submission A
+ * @param {Map} occurrencesB - hash => voorkomens in submission B
+ * @returns {Array<{a: {path, start_line, end_line}, b: {path, start_line, end_line}, fingerprints: number}>}
+ */
+function findMatchingRegions(hashes, occurrencesA, occurrencesB) {
+  const byFilePair = new Map();
+  for (const hash of hashes) {
+    for (const a of occurrencesA.get(hash)) {
+      for (const b of occurrencesB.get(hash)) {
+        const key = `${a.path}\u0000${b.path}`;
+        const matches = byFilePair.get(key) || [];
+        matches.push({ a, b });
+        byFilePair.set(key, matches);
+      }
+    }
+  }
+
+  const regions = [];
+  for (const matches of byFilePair.values()) {
+    matches.sort((x, y) => x.a.start - y.a.start || x.b.start - y.b.start);
+    let current = null;
+
+    for (const { a, b } of matches) {
+      const continues = current &&
+        a.start <= current.a.end_line + REGION_MERGE_GAP &&
+        b.start <= current.b.end_line + REGION_MERGE_GAP &&
+        b.end >= current.b.start_line - REGION_MERGE_GAP;
+
+      if (continues) {
+        current.a.end_line = Math.max(current.a.end_line, a.end);
+        current.b.start_line = Math.min(current.b.start_line, b.start);
+        current.b.end_line = Math.max(current.b.end_line, b.end);
+        current.fingerprints++;
+      } else {
+        current = {
+          a: { path: a.path, start_line: a.start, end_line: a.end },
+          b: { path: b.path, start_line: b.start, end_line: b.end },
+          fingerprints: 1
+        };
+        regions.push(current);
+      }
+    }
+  }
+
+  return regions
+    .sort((x, y) => y.fingerprints - x.fingerprints)
+    .slice(0, MAX_REGIONS_PER_PAIR);
+}
+
+/**
+ * Bewaar de fingerprints van een submission na een analyse
+ * Bestanden die niet meer geselecteerd zijn verdwijnen; bestanden die niet opnieuw opgehaald
+ * werden (incrementele analyse) behouden hun fingerprints.
+ * @param {number} submissionId - Submission ID
+ * @param {Array<{path: string, content: string, language?: string}>} files - Opgehaalde bestanden
+ * @param {Array<string>} selectedPaths - Alle geselecteerde bestanden van deze analyse
+ * @returns {Promise<number>} - Aantal bestanden met fingerprints
+ */
+async function saveSubmissionFingerprints(submissionId, files, selectedPaths) {
+  const fingerprinted = fingerprintFiles(files);
+  const fetchedPaths = (files || []).map(file => file.path);
+
+  await db.query(
+    `DELETE FROM submission_fingerprint
+     WHERE submission_id = $1 AND (NOT (file_path = ANY($2::text[])) OR file_path = ANY($3::text[]))`,
+    [submissionId, selectedPaths, fetchedPaths]
+  );
+
+  for (const file of fingerprinted) {
+    await db.query(
+      `INSERT INTO submission_fingerprint (submission_id, file_path, fingerprints, fingerprint_version)
+       VALUES ($1, $2, $3, $4)`,
+      [submissionId, file.path, JSON.stringify(file.fingerprints), FINGERPRINT_VERSION]
+    );
+  }
+
+  return fingerprinted.length;
+}
+
+/**
+ * Valideer geüploade startcode
+ * @param {Array<{path: string, content: string}>} files - Bestanden
+ * @returns {{valid: boolean, errors: Array<string>, files: Array|null}}
+ */
+function validateStarterFiles(files) {
+  if (!Array.isArray(files) || files.length === 0 || files.length > MAX_STARTER_FILES) {
+    return { valid: false, errors: [`files moet een array van 1 tot ${MAX_STARTER_FILES} bestanden zijn`], files: null };
+  }
+
+  const errors = [];
+  let totalSize = 0;
+  files.forEach((file, index) => {
+    if (!file || typeof file.path !== 'string' || file.path.trim().length === 0) {
+      errors.push(`files[${index}].path is verplicht`);
+    } else if (typeof file.content !== 'string') {
+      errors.push(`files[${index}].content moet een string zijn`);
+    } else {
+      totalSize += Buffer.byteLength(file.content, 'utf8');
+    }
+  });
+
+  if (totalSize > MAX_STARTER_SIZE) {
+    errors.push(`De startcode is groter dan ${MAX_STARTER_SIZE / 1024}KB`);
+  }
+
+  return errors.length > 0
+    ? { valid: false, errors, files: null }
+    : { valid: true, errors: [], files: files.map(file => ({ path: file.path.trim(), content: file.content })) };
+}
+
+/**
+ * Haal de startcode op uit een GitHub repository (de laatste commit van de default branch)
+ * @param {string} githubUrl - URL van de startcode repository
+ * @returns {Promise<{success: boolean, files?: Array<{path: string, content: string}>, error?: string, errorCode?: string}>}
+ */
+async function fetchStarterCodeFromGitHub(githubUrl) {
+  const repoInfo = parseGitHubUrl(githubUrl);
+  if (!repoInfo) {
+    return { success: false, error: 'Ongeldige GitHub URL', errorCode: 'INVALID_URL' };
+  }
+
+  const commit = await getLatestCommitSha(repoInfo.owner, repoInfo.repo);
+  if (!commit.success) return commit;
+
+  const tree = await getRepositoryTree(repoInfo.owner, repoInfo.repo, commit.sha);
+  if (!tree.success) return tree;
+
+  const paths = filterCodeFiles(tree.files)
+    .filter(file => FINGERPRINT_LANGUAGES.includes(detectLanguage(file.path)))
+    .slice(0, MAX_STARTER_FILES)
+    .map(file => file.path);
+  const contents = await getMultipleFileContents(repoInfo.owner, repoInfo.repo, paths, commit.sha);
+  const files = contents
+    .filter(file => file.content !== null)
+    .map(file => ({ path: file.path, content: file.content }));
+
+  if (files.length === 0) {
+    return { success: false, error: 'Repository bevat geen code bestanden', errorCode: 'NO_FILES' };
+  }
+
+  return { success: true, files };
+}
+
+/**
+ * Haal de startcode van een opdracht op
+ * @param {number} assignmentId - Opdracht ID
+ * @returns {Promise<object|null>}
+ */
+async function getStarterCode(assignmentId) {
+  const result = await db.query(
+    `SELECT assignment_id, source, files, fingerprints, fingerprint_version, updated_by, updated_at
+     FROM assignment_starter_code
+     WHERE assignment_id = $1`,
+    [assignmentId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Bewaar (of vervang) de startcode van een opdracht
+ * @param {number} assignmentId - Opdracht ID
+ * @param {object} starterCode
+ * @param {string} starterCode.source - GitHub URL of 'upload'
+ * @param {Array<{path: string, content: string}>} starterCode.files - Bestanden
+ * @param {number} updatedBy - Gebruiker ID
+ * @returns {Promise<object>}
+ */
+async function saveStarterCode(assignmentId, { source, files }, updatedBy) {
+  const hashes = [...new Set(fingerprintFiles(files).flatMap(file => file.fingerprints.map(([hash]) => hash)))];
+
+  const result = await db.query(
+    `INSERT INTO assignment_starter_code (assignment_id, source, files, fingerprints, fingerprint_version, updated_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (assignment_id) DO UPDATE
+     SET source = EXCLUDED.source, files = EXCLUDED.files, fingerprints = EXCLUDED.fingerprints,
+         fingerprint_version = EXCLUDED.fingerprint_version, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+     RETURNING assignment_id, source, files, fingerprints, fingerprint_version, updated_by, updated_at`,
+    [assignmentId, source, JSON.stringify(files), JSON.stringify(hashes), FINGERPRINT_VERSION, updatedBy]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Verwijder de startcode van een opdracht
+ * @param {number} assignmentId - Opdracht ID
+ * @returns {Promise<boolean>} - false als er geen startcode was
+ */
+async function deleteStarterCode(assignmentId) {
+  const result = await db.query('DELETE FROM assignment_starter_code WHERE assignment_id = $1', [assignmentId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Zoek verdachte paren tussen de submissions van een opdracht
+ * Per student telt enkel de meest recente submission.
+ * @param {number} assignmentId - Opdracht ID
+ * @param {object} options
+ * @param {number} options.minSimilarity - Minimum similarity (0-1)
+ * @param {number} options.limit - Maximum aantal paren
+ * @returns {Promise<{submissions_compared: number, starter_fingerprints: number, pairs: Array}>}
+ *   Elk paar bevat student_a en student_b: { submission_id, user_id, name, coverage }
+ */
+async function findSimilarSubmissions(assignmentId, { minSimilarity = DEFAULT_MIN_SIMILARITY, limit = 50 } = {}) {
+  const [fingerprintResult, starterCode] = await Promise.all([
+    db.query(
+      `SELECT latest.id as submission_id, latest.user_id, u.name, sf.file_path, sf.fingerprints
+       FROM (
+         SELECT DISTINCT ON (user_id) id, user_id
+         FROM submission
+         WHERE assignment_id = $1
+         ORDER BY user_id, created_at DESC
+       ) latest
+       JOIN "user" u ON u.id = latest.user_id
+       JOIN submission_fingerprint sf ON sf.submission_id = latest.id AND sf.fingerprint_version = $2`,
+      [assignmentId, FINGERPRINT_VERSION]
+    ),
+    getStarterCode(assignmentId)
+  ]);
+
+  const submissions = new Map();
+  for (const row of fingerprintResult.rows) {
+    const submission = submissions.get(row.submission_id) ||
+      { id: row.submission_id, user_id: row.user_id, name: row.name, files: [] };
+    submission.files.push({ path: row.file_path, fingerprints: row.fingerprints });
+    submissions.set(row.submission_id, submission);
+  }
+
+  // Startcode van een oudere fingerprint versie is niet vergelijkbaar: opnieuw berekenen
+  const starterHashes = !starterCode ? [] : starterCode.fingerprint_version === FINGERPRINT_VERSION
+    ? starterCode.fingerprints
+    : [...new Set(fingerprintFiles(starterCode.files).flatMap(file => file.fingerprints.map(([hash]) => hash)))];
+
+  const pairs = comparePairs([...submissions.values()], { ignoreHashes: new Set(starterHashes), minSimilarity });
+  const student = (id, coverage) => {
+    const submission = submissions.get(id);
+    return { submission_id: id, user_id: submission.user_id, name: submission.name, coverage };
+  };
+
+  return {
+    submissions_compared: submissions.size,
+    starter_fingerprints: starterHashes.length,
+    pairs: pairs.slice(0, limit).map(pair => ({
+      similarity: pair.similarity,
+      matched_fingerprints: pair.matched,
+      student_a: student(pair.a, pair.coverage_a),
+      student_b: student(pair.b, pair.coverage_b),
+      regions: pair.regions
+    }))
+  };
+}
+
+module.exports = {
+  tokenize,
+  fingerprint,
+  fingerprintFiles,
+  comparePairs,
+  saveSubmissionFingerprints,
+  validateStarterFiles,
+  fetchStarterCodeFromGitHub,
+  getStarterCode,
+  saveStarterCode,
+  deleteStarterCode,
+  findSimilarSubmissions,
+  FINGERPRINT_VERSION,
+  DEFAULT_MIN_SIMILARITY
+};
@@ -0,0 +1,495 @@
+const sseManager = require('./sseManager');
+const {
+  updateSubmissionStatus,
+  tryStartProcessing,
+  getSupersedingCommit,
+  getAssignmentSettings,
+  logWebhookEvent,
+  saveFeedback,
+  updateSubmissionWithScore,
+  getPreviousAnalysis,
+  markSubmissionFailed
+} = require('../controllers/webhookController');
+const {
+  parseGitHubUrl,
+  getRepositoryTree,
+  getMultipleFileContents,
+  filterCodeFiles,
+  compareCommits,
+  getFileContent
+} = require('./githubService');
+const {
+  analyzeFiles,
+  calculateScore,
+  logAIEvent
+} = require('./aiService');
+const { calculateRubricScore, aggregateCriteriaScores } = require('./rubricService');
+const { hashAnalysisSettings, planAnalysis } = require('./incrementalAnalysisService');
+const { reviewArchitecture, findReadmePath } = require('./architectureReviewService');
+const { getCourseBudgetStatus } = require('./usageService');
+const { getActivePromptTemplate } = require('./promptTemplateService');
+const { selectFiles, filterToRoot, relativeToRoot, SKIP_REASONS } = require('./fileSelectionService');
+const { runTestSuite } = require('./autograder');
+const { getTestSuite, buildTestFeedback, calculateTestScore, combineScores } = require('./autograderService');
+const { saveSubmissionFingerprints } = require('./similarityService');
+const { refreshCommitHistory } = require('./processAnalyticsService');
+const { getAnalysisPriority } = require('./aiScheduler');
+const { t } = require('../utils/i18n');
+const {
+  withRetry,
+  isGitHubRetryable,
+  isOpenAIRetryable
+} = require('../utils/retry');
+
+/**
+ * Verwerking van een submission: bestanden ophalen, AI analyse, autograder, feedback en score
+ * Draait in de job worker (zie jobQueueService); de webhook en retry routes plannen enkel een job in.
+ *
+ * Een push tijdens de verwerking zet een nieuwere commit klaar (recordPendingCommit). De lopende
+ * analyse controleert dat tussen de stappen en tussen de bestanden van de AI analyse, en stopt dan
+ * zonder resultaten op te slaan: de feedback hoort altijd bij de nieuwste commit.
+ */
+
+/**
+ * Hoe vaak een lopende analyse hoogstens nagaat of een nieuwere push ze vervangt (tussen de bestanden)
+ */
+const SUPERSEDED_CHECK_INTERVAL_MS = 5000;
+
+/**
+ * Maak een controle of een nieuwere commit de analyse vervangt
+ * Tussen de bestanden van de AI analyse hoogstens één query per SUPERSEDED_CHECK_INTERVAL_MS;
+ * met force altijd (tussen de stappen). Eens vervangen blijft het antwoord hetzelfde.
+ * @param {number} submissionId - Submission ID
+ * @param {string} commitSha - Commit van deze analyse
+ * @returns {Function} - async ({ force }) => nieuwere commit SHA of null
+ */
+function createSupersededCheck(submissionId, commitSha) {
+  let supersededBy = null;
+  let checkedAt = 0;
+
+  return async ({ force = false } = {}) => {
+    if (supersededBy) return supersededBy;
+    const now = Date.now();
+    if (!force && now - checkedAt < SUPERSEDED_CHECK_INTERVAL_MS) return null;
+    checkedAt = now;
+    supersededBy = await getSupersedingCommit(submissionId, commitSha);
+    return supersededBy;
+  };
+}
+
+/**
+ * Voer de verborgen test suite van de opdracht uit op de snapshot van de repository
+ * De snapshot bevat alle code bestanden in de root map van de opdracht (paden relatief aan die root);
+ * bestanden die al voor de analyse opgehaald werden, worden niet opnieuw opgehaald.
+ * Een fout van de autograder laat de analyse nooit falen.
+ * @param {object} options
+ * @param {object} options.suite - Test suite van de opdracht
+ * @param {object} options.repoInfo - { owner, repo }
+ * @param {Array} options.treeFiles - Bestanden uit getRepositoryTree
+ * @param {Array<{path: string, content: string}>} options.fetchedFiles - Reeds opgehaalde bestanden
+ * @param {object|null} options.assignmentSettings - Instellingen van de opdracht
+ * @param {string} options.commitSha - Commit SHA
+ * @param {string} options.repoFullName - Repository full name (voor logging)
+ * @returns {Promise<{results: object, feedback: Array, testScore: number|null}|null>}
+ */
+async function runAutograder({ suite, repoInfo, treeFiles, fetchedFiles, assignmentSettings, commitSha, repoFullName }) {
+  const selection = assignmentSettings?.file_selection;
+  try {
+    const snapshotPaths = filterCodeFiles(filterToRoot(treeFiles, selection)).map(file => file.path);
+    const fetched = new Map(fetchedFiles.map(file => [file.path, file.content]));
+    const missing = snapshotPaths.filter(filePath => !fetched.has(filePath));
+    if (missing.length > 0) {
+      const contents = await getMultipleFileContents(repoInfo.owner, repoInfo.repo, missing, commitSha);
+      contents.filter(file => file.content !== null).forEach(file => fetched.set(file.path, file.content));
+    }
+
+    const files = snapshotPaths
+      .filter(filePath => fetched.has(filePath))
+      .map(filePath => ({ path: relativeToRoot(filePath, selection), content: fetched.get(filePath) }));
+
+    const result = await runTestSuite({ files, suite });
+    const testScore = calculateTestScore(result);
+    logWebhookEvent('push', repoFullName, 'info',
+      `Autograder (${suite.runner}): ${result.status} - ${result.passed}/${result.total} passed${result.error ? ` (${result.error})` : ''}`);
+
+    return {
+      results: { ...result, runner: suite.runner, weight: suite.weight, test_score: testScore, commit_sha: commitSha },
+      feedback: buildTestFeedback(result, suite, assignmentSettings?.feedback_language),
+      testScore
+    };
+  } catch (error) {
+    logWebhookEvent('push', repoFullName, 'error', `Autograder failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Process een submission (herbruikbaar voor webhook en retry)
+ * @param {object} submission - Submission object
+ * @param {string} commitSha - Commit SHA
+ * @param {string} branch - Branch naam
+ * @param {string} repoFullName - Repository full name
+ * @param {object} options
+ * @param {boolean} options.takeOver - Ook starten als de submission op 'processing' staat
+ *   (de vorige verwerking is gestopt zonder af te ronden, bv. een herstart van de worker)
+ * @returns {Promise<{success: boolean, error?: string, superseded?: boolean, supersededBy?: string}>}
+ */
+async function processSubmission(submission, commitSha, branch, repoFullName, { takeOver = false } = {}) {
+  try {
+    // Atomic check: probeer processing te starten (voorkomt race condition)
+    const startResult = await tryStartProcessing(submission.id, commitSha, branch, { takeOver });
+
+    if (!startResult.success) {
+      if (startResult.alreadyProcessing) {
+        logWebhookEvent('push', repoFullName, 'skipped', 'Already processing');
+        return { success: false, error: 'Already processing', skipped: true };
+      }
+      return { success: false, error: 'Could not start processing' };
+    }
+
+    // Haal assignment settings op voor AI context
+    const assignmentSettings = await getAssignmentSettings(submission.assignment_id);
+
+    // Een nieuwere push vervangt deze analyse: stoppen zonder iets op te slaan, de submission blijft
+    // op 'processing' voor de analyse van de nieuwere commit
+    const checkSuperseded = createSupersededCheck(submission.id, commitSha);
+    const stopSuperseded = (supersededBy, stage) => {
+      logWebhookEvent('push', repoFullName, 'superseded',
+        `Commit ${commitSha.substring(0, 7)} superseded by ${supersededBy.substring(0, 7)} during ${stage}, results discarded`);
+      sseManager.broadcast(submission.id, 'analysis_superseded', {
+        status: 'processing',
+        commitSha: supersededBy,
+        message: t('status.analysisSuperseded', assignmentSettings?.feedback_language)
+      });
+      return { success: false, skipped: true, superseded: true, supersededBy, error: 'Superseded by a newer commit' };
+    };
+
+    // Maandelijks token budget van het vak op: niet analyseren, de submission blijft
+    // als 'budget_exceeded' staan en kan via de retry endpoints opnieuw ingepland worden
+    if (assignmentSettings?.course_id) {
+      const budget = await getCourseBudgetStatus(assignmentSettings.course_id);
+      if (budget.exceeded) {
+        await updateSubmissionStatus(submission.id, commitSha, 'budget_exceeded', branch);
+        sseManager.broadcast(submission.id, 'analysis_skipped', {
+          status: 'budget_exceeded',
+          reason: 'BUDGET_EXCEEDED',
+          message: t('status.budgetExceeded', assignmentSettings.feedback_language),
+          budgetResetAt: budget.periodEnd
+        });
+        logWebhookEvent('push', repoFullName, 'skipped', `Course token budget exceeded (${budget.used}/${budget.budget} tokens)`);
+        return { success: false, skipped: true, status: 'budget_exceeded', error: 'Course token budget exceeded' };
+      }
+    }
+
+    // Parse repository info
+    const repoInfo = parseGitHubUrl(`https://github.com/${repoFullName}`);
+    if (!repoInfo) {
+      await markSubmissionFailed(submission.id, commitSha, 'Could not parse repository URL', 'INVALID_URL');
+      return { success: false, error: 'Invalid repository URL' };
+    }
+
+    // Haal alle bestanden op uit repository (niet alleen commit diff)
+    let treeResult;
+    try {
+      treeResult = await withRetry(
+        () => getRepositoryTree(repoInfo.owner, repoInfo.repo, commitSha),
+        {
+          maxRetries: 3,
+          initialDelay: 2000,
+          shouldRetry: (error) => isGitHubRetryable(error),
+          onRetry: (error, attempt, delay) => {
+            logWebhookEvent('push', repoFullName, 'retry', `GitHub API retry ${attempt}, waiting ${delay}ms`);
+          }
+        }
+      );
+    } catch (error) {
+      await markSubmissionFailed(submission.id, commitSha, `GitHub API error: ${error.message}`, 'GITHUB_ERROR');
+      return { success: false, error: 'GitHub API error' };
+    }
+
+    if (!treeResult.success) {
+      await markSubmissionFailed(submission.id, commitSha, treeResult.error, treeResult.errorCode || 'GITHUB_ERROR');
+      return { success: false, error: treeResult.error };
+    }
+
+    // Selecteer de code bestanden volgens de instellingen van de opdracht (root, patronen, prioriteit, max aantal)
+    const fileSelection = selectFiles(treeResult.files, assignmentSettings?.file_selection);
+    const codeFiles = fileSelection.selected;
+
+    if (codeFiles.length === 0) {
+      await updateSubmissionStatus(submission.id, commitSha, 'completed', branch);
+      logWebhookEvent('push', repoFullName, 'info', 'No code files to analyze');
+      return { success: true, message: 'No code files to analyze' };
+    }
+
+    const overLimit = fileSelection.skipped.filter(file => file.reason === SKIP_REASONS.MAX_FILES).length;
+    logWebhookEvent('push', repoFullName, 'info',
+      `Code files to analyze: ${codeFiles.length}${overLimit > 0 ? ` (${overLimit} over the limit of ${fileSelection.maxFiles})` : ''}`);
+
+    // Actieve prompt template (null = ingebouwde prompt); de versie wordt bij de run bewaard
+    // en hoort bij de instellingen: een andere template betekent een volledige heranalyse
+    const analysisSettings = { ...assignmentSettings, prompt_template: await getActivePromptTemplate() };
+
+    // Incrementele analyse: vergelijk met de laatst geanalyseerde commit
+    const selectedPaths = codeFiles.map(f => f.path);
+    const settingsHash = hashAnalysisSettings(analysisSettings);
+    const previousAnalysis = await getPreviousAnalysis(submission.id);
+
+    let comparison = null;
+    const lastAnalyzedSha = previousAnalysis?.last_analyzed_sha;
+    if (lastAnalyzedSha && lastAnalyzedSha !== commitSha && previousAnalysis.analysis_settings_hash === settingsHash) {
+      // Bij een fout valt planAnalysis terug op een volledige analyse
+      comparison = await compareCommits(repoInfo.owner, repoInfo.repo, lastAnalyzedSha, commitSha);
+    }
+
+    const plan = planAnalysis({ selectedPaths, commitSha, settingsHash, previous: previousAnalysis, comparison });
+    logWebhookEvent('push', repoFullName, 'info',
+      `Analysis mode: ${plan.mode} (${plan.reason}) - analyze ${plan.analyzePaths.length}, carry over ${plan.carryOverPaths.length}`);
+
+    // Eerste analyses en opdrachten dicht bij de deadline gaan voor in de AI scheduler
+    const priority = getAnalysisPriority({
+      isFirstAnalysis: !lastAnalyzedSha,
+      dueDate: assignmentSettings?.due_date
+    });
+
+    const supersededBeforeFetch = await checkSuperseded({ force: true });
+    if (supersededBeforeFetch) {
+      return stopSuperseded(supersededBeforeFetch, 'file fetch');
+    }
+
+    // Haal file contents op (met retry)
+    const filesToFetch = plan.analyzePaths;
+    let validFiles = [];
+    if (filesToFetch.length > 0) {
+      let fileContents;
+      try {
+        fileContents = await withRetry(
+          () => getMultipleFileContents(repoInfo.owner, repoInfo.repo, filesToFetch, commitSha),
+          {
+            maxRetries: 2,
+            initialDelay: 1000,
+            shouldRetry: (error) => isGitHubRetryable(error),
+            onRetry: (error, attempt) => {
+              logWebhookEvent('push', repoFullName, 'retry', `File contents retry ${attempt}`);
+            }
+          }
+        );
+      } catch (error) {
+        await markSubmissionFailed(submission.id, commitSha, `Failed to fetch file contents: ${error.message}`, 'FILE_FETCH_ERROR');
+        return { success: false, error: 'Failed to fetch files' };
+      }
+
+      validFiles = fileContents.filter(f => f.content !== null);
+      logWebhookEvent('push', repoFullName, 'info', `Files retrieved: ${validFiles.length}/${filesToFetch.length}`);
+
+      if (validFiles.length === 0) {
+        await markSubmissionFailed(submission.id, commitSha, 'No file contents could be retrieved', 'NO_FILES');
+        return { success: false, error: 'No file contents' };
+      }
+    }
+
+    // AI analyse (met retry)
+    logAIEvent('start', `Analyseer ${validFiles.length} bestanden voor ${repoFullName}`);
+
+    let analysisResult;
+    try {
+      analysisResult = await withRetry(
+        () => analyzeFiles(validFiles, analysisSettings, {
+          submissionId: submission.id,
+          priority,
+          isCancelled: async () => !!(await checkSuperseded())
+        }),
+        {
+          maxRetries: 2,
+          initialDelay: 3000,
+          maxDelay: 15000,
+          // De AI scheduler heeft een rate limit zelf al afgewacht: dat wordt een latere retry
+          shouldRetry: (error) => error.code !== 'RATE_LIMITED' && isOpenAIRetryable(error),
+          onRetry: (error, attempt, delay) => {
+            logAIEvent('retry', `OpenAI retry ${attempt}, waiting ${delay}ms: ${error.message}`);
+          }
+        }
+      );
+    } catch (error) {
+      const errorCode = error.code === 'RATE_LIMITED' ? 'RATE_LIMITED' : 'AI_ERROR';
+      await markSubmissionFailed(submission.id, commitSha, `AI analysis error: ${error.message}`, errorCode);
+      return { success: false, error: 'AI analysis failed' };
+    }
+
+    if (analysisResult.cancelled) {
+      return stopSuperseded(await checkSuperseded(), 'AI analysis');
+    }
+
+    if (!analysisResult.success) {
+      await markSubmissionFailed(submission.id, commitSha, 'AI analysis returned failure', 'AI_ANALYSIS_FAILED');
+      return { success: false, error: 'AI analysis failed' };
+    }
+
+    // Voeg de overgenomen bestanden (ongewijzigd sinds vorige analyse) samen met de nieuwe resultaten
+    const carryOver = new Set(plan.carryOverPaths);
+    const carriedFeedback = (previousAnalysis?.feedback || []).filter(item => carryOver.has(item.file_path));
+    const carriedFiles = (previousAnalysis?.analyzed_files || []).filter(file => carryOver.has(file.path));
+    const fileFeedback = [...carriedFeedback, ...analysisResult.feedback];
+    const analyzedFiles = [...carriedFiles, ...analysisResult.analyzed_files];
+
+    const supersededBeforeReview = await checkSuperseded({ force: true });
+    if (supersededBeforeReview) {
+      return stopSuperseded(supersededBeforeReview, 'architecture review');
+    }
+
+    // Architectuur review op repository niveau (optioneel per opdracht)
+    let architectureFeedback = [];
+    let architectureReview = 'disabled';
+    if (assignmentSettings?.architecture_review) {
+      // Bij een monorepo enkel het project in de root map van de opdracht
+      const projectFiles = filterToRoot(treeResult.files, assignmentSettings?.file_selection);
+      const readmePath = findReadmePath(projectFiles);
+      let readme = null;
+      if (readmePath) {
+        const readmeResult = await getFileContent(repoInfo.owner, repoInfo.repo, readmePath, commitSha);
+        readme = readmeResult.success ? readmeResult.content : null;
+      }
+
+      const review = await reviewArchitecture({
+        treeFiles: projectFiles,
+        analyzedFiles,
+        feedback: fileFeedback,
+        readme,
+        courseSettings: assignmentSettings,
+        submissionId: submission.id,
+        priority
+      });
+      architectureFeedback = review.feedback;
+      architectureReview = review.failed ? 'failed' : 'completed';
+      logAIEvent('architecture', `${architectureReview} - ${architectureFeedback.length} items${review.cached ? ' (cache)' : ''}`);
+    }
+
+    const allFeedback = [...fileFeedback, ...architectureFeedback];
+
+    // Verborgen test suite van de docent (optioneel per opdracht)
+    const testSuite = await getTestSuite(submission.assignment_id);
+    const autograder = testSuite
+      ? await runAutograder({
+        suite: testSuite,
+        repoInfo,
+        treeFiles: treeResult.files,
+        fetchedFiles: validFiles,
+        assignmentSettings,
+        commitSha,
+        repoFullName
+      })
+      : null;
+    const testFeedback = autograder?.feedback || [];
+
+    // Een bestand waarop de AI faalde telt nooit als foutloos: zonder volledige analyse geen score
+    const incompleteFiles = analyzedFiles.filter(file => file.status === 'incomplete').map(file => file.path);
+    const analysisComplete = incompleteFiles.length === 0;
+    const status = analysisComplete ? 'analyzed' : 'analysis_incomplete';
+
+    // Bereken score en sla feedback op
+    // Met een gestructureerde rubric is de score het gewogen gemiddelde van de criteria
+    const rubricCriteria = assignmentSettings?.rubric_criteria;
+    const criteriaScores = analysisComplete && Array.isArray(rubricCriteria) && rubricCriteria.length > 0
+      ? aggregateCriteriaScores(
+        analyzedFiles
+          .filter(file => file.criteria_scores?.length > 0)
+          .map(file => ({ file_path: file.path, scores: file.criteria_scores })),
+        rubricCriteria
+      )
+      : [];
+    const rubricScores = criteriaScores.length > 0 ? criteriaScores : null;
+    const analysisScore = analysisComplete
+      ? (rubricScores && calculateRubricScore(rubricScores, rubricCriteria)) ?? calculateScore(allFeedback)
+      : null;
+    // Het test resultaat telt mee volgens het gewicht van de test suite
+    const aiScore = combineScores(analysisScore, autograder?.testScore ?? null, testSuite?.weight);
+    logAIEvent('complete', `${analysisResult.summary.total_feedback} new + ${carriedFeedback.length} carried + ${architectureFeedback.length} architecture feedback items, score: ${aiScore}`);
+    if (!analysisComplete) {
+      logAIEvent('incomplete', `${incompleteFiles.length} file(s) could not be analyzed: ${incompleteFiles.join(', ')}`);
+    }
+
+    // Laatste controle: resultaten van een achterhaalde commit nooit opslaan
+    const supersededBeforeSave = await checkSuperseded({ force: true });
+    if (supersededBeforeSave) {
+      return stopSuperseded(supersededBeforeSave, 'save');
+    }
+
+    const promptVersion = analysisResult.summary.prompt_version;
+    // Linter bevindingen hangen niet af van de prompt
+    const newFileFeedback = analysisResult.feedback.map(item =>
+      (item.reviewer === 'linter' ? item : { ...item, prompt_version: promptVersion })
+    );
+    const savedFeedback = await saveFeedback(submission.id, [...newFileFeedback, ...architectureFeedback, ...testFeedback], {
+      keepFilePaths: plan.carryOverPaths
+    });
+    logWebhookEvent('push', repoFullName, 'info', `Feedback saved: ${savedFeedback.length} items`);
+
+    // Fingerprints voor de similarity detectie (een fout mag de analyse niet laten falen)
+    try {
+      const fingerprinted = await saveSubmissionFingerprints(submission.id, validFiles, selectedPaths);
+      logWebhookEvent('push', repoFullName, 'info', `Fingerprints saved for ${fingerprinted} files`);
+    } catch (error) {
+      logWebhookEvent('push', repoFullName, 'error', `Fingerprinting failed: ${error.message}`);
+    }
+
+    // Commit geschiedenis voor de procesanalyse (een fout mag de analyse niet laten falen)
+    try {
+      const history = await refreshCommitHistory(submission.id, repoInfo, commitSha);
+      logWebhookEvent('push', repoFullName, history.success ? 'info' : 'error',
+        history.success ? `Commit history saved: ${history.commits} commits` : `Commit history failed: ${history.error}`);
+    } catch (error) {
+      logWebhookEvent('push', repoFullName, 'error', `Commit history failed: ${error.message}`);
+    }
+
+    // Update submission met score
+    await updateSubmissionWithScore(submission.id, commitSha, aiScore, status, {
+      rubricScores,
+      analyzedFiles,
+      settingsHash,
+      promptVersion,
+      testResults: autograder?.results ?? null
+    });
+
+    // Broadcast SSE event naar verbonden clients
+    sseManager.broadcast(submission.id, 'feedback_updated', {
+      status,
+      score: aiScore,
+      feedbackCount: savedFeedback.length + carriedFeedback.length,
+      rubricScores,
+      analysisMode: plan.mode,
+      architectureReview,
+      incompleteFiles,
+      notes: analyzedFiles.flatMap(file => file.notes || []),
+      tests: autograder ? { status: autograder.results.status, passed: autograder.results.passed, total: autograder.results.total } : null
+    });
+    console.log(`[SSE] Broadcast feedback_updated voor submission ${submission.id}`);
+
+    logWebhookEvent('push', repoFullName, analysisComplete ? 'success' : 'incomplete',
+      `Analysis ${analysisComplete ? 'complete' : 'incomplete'} (${plan.mode}) - score: ${aiScore}`);
+    return {
+      success: true,
+      status,
+      score: aiScore,
+      feedbackCount: savedFeedback.length + carriedFeedback.length,
+      analysisMode: plan.mode,
+      analyzedFiles: plan.analyzePaths.length,
+      carriedOverFiles: plan.carryOverPaths.length,
+      incompleteFiles,
+      architectureReview,
+      tests: autograder?.results.status || null
+    };
+
+  } catch (error) {
+    console.error('[API] Process error:', error.message);
+    try {
+      await markSubmissionFailed(submission.id, commitSha, error.message, 'PROCESS_ERROR');
+    } catch (updateError) {
+      console.error('[API] Could not update submission status:', updateError.message);
+    }
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  processSubmission
+};
@@ -0,0 +1,315 @@
+const db = require('../config/db');
+
+/**
+ * AI usage en kostenboekhouding
+ *
+ * Elke LLM call wordt opgeslagen in ai_usage met het aantal tokens en een geschatte kost,
+ * gekoppeld aan vak, opdracht en submission. Per vak kan een maandelijks token budget
+ * ingesteld worden (course.monthly_token_budget, NULL = geen limiet).
+ */
+
+/**
+ * Prijzen in USD per 1 miljoen tokens, per provider/model
+ * Model namen worden op prefix gematcht (bv. 'gpt-5-mini-2025-08-07' → 'gpt-5-mini').
+ * Aan te vullen of te overschrijven via AI_PRICING (JSON met dezelfde vorm).
+ */
+const DEFAULT_PRICING = {
+  'openai/gpt-5': { input: 1.25, output: 10 },
+  'openai/gpt-5-mini': { input: 0.25, output: 2 },
+  'openai/gpt-5-nano': { input: 0.05, output: 0.4 },
+  'openai/gpt-4o': { input: 2.5, output: 10 },
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'anthropic/claude-opus-4-1': { input: 15, output: 75 },
+  'anthropic/claude-sonnet-4-5': { input: 3, output: 15 },
+  'anthropic/claude-haiku-4-5': { input: 1, output: 5 }
+};
+
+/**
+ * Providers die niets kosten per token
+ */
+const FREE_PROVIDERS = ['local', 'mock'];
+
+const VALID_GROUP_BY = ['day', 'week', 'month'];
+
+/**
+ * Haal de prijstabel op (standaard prijzen + AI_PRICING)
+ * @returns {object}
+ */
+function getPricingTable() {
+  if (!process.env.AI_PRICING) {
+    return DEFAULT_PRICING;
+  }
+
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.AI_PRICING) };
+  } catch (error) {
+    console.error('[API] Invalid AI_PRICING, using default pricing:', error.message);
+    return DEFAULT_PRICING;
+  }
+}
+
+/**
+ * Zoek de prijs van een model (langste prefix match)
+ * @param {string} provider - Provider naam
+ * @param {string} model - Model naam
+ * @returns {{input: number, output: number}|null}
+ */
+function getModelPricing(provider, model) {
+  if (FREE_PROVIDERS.includes(provider)) {
+    return { input: 0, output: 0 };
+  }
+
+  const key = `${provider}/${model || ''}`;
+  const match = Object.keys(getPricingTable())
+    .filter(candidate => key === candidate || key.startsWith(`${candidate}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? getPricingTable()[match] : null;
+}
+
+/**
+ * Normaliseer usage naar prompt/completion/total tokens
+ * @param {object|null} usage - Usage zoals teruggegeven door de provider
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number}}
+ */
+function normalizeUsage(usage) {
+  const promptTokens = parseInt(usage?.prompt_tokens) || 0;
+  const completionTokens = parseInt(usage?.completion_tokens) || 0;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: parseInt(usage?.total_tokens) || promptTokens + completionTokens
+  };
+}
+
+/**
+ * Schat de kost van een call
+ * @param {string} provider - Provider naam
+ * @param {string} model - Model naam
+ * @param {object} usage - Genormaliseerde usage
+ * @returns {number|null} - Kost in USD, of null als de prijs onbekend is
+ */
+function estimateCost(provider, model, usage) {
+  const pricing = getModelPricing(provider, model);
+  if (!pricing) return null;
+
+  const cost = (usage.prompt_tokens * pricing.input + usage.completion_tokens * pricing.output) / 1000000;
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+/**
+ * Sla het verbruik van één LLM call op
+ * Fouten worden gelogd maar nooit doorgegeven: boekhouding mag een analyse niet laten falen.
+ * @param {object} entry
+ * @param {number|null} entry.courseId - Vak ID
+ * @param {number|null} entry.assignmentId - Opdracht ID
+ * @param {number|null} entry.submissionId - Submission ID
+ * @param {string} entry.provider - Provider naam
+ * @param {string} entry.model - Model naam
+ * @param {string} entry.stage - Analyse stap (file, repair, architecture)
+ * @param {string|null} entry.filePath - Bestandspad
+ * @param {object|null} entry.usage - Usage van de provider
+ * @returns {Promise<object|null>} - Opgeslagen usage (tokens en kost) of null
+ */
+async function recordUsage({ courseId = null, assignmentId = null, submissionId = null, provider, model, stage = 'file', filePath = null, usage }) {
+  if (!usage) {
+    return null;
+  }
+
+  const tokens = normalizeUsage(usage);
+  const cost = estimateCost(provider, model, tokens);
+
+  try {
+    await db.query(
+      `INSERT INTO ai_usage (course_id, assignment_id, submission_id, provider, model, stage, file_path,
+                             prompt_tokens, completion_tokens, total_tokens, estimated_cost)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        courseId,
+        assignmentId,
+        submissionId,
+        provider,
+        model,
+        stage,
+        filePath,
+        tokens.prompt_tokens,
+        tokens.completion_tokens,
+        tokens.total_tokens,
+        cost
+      ]
+    );
+  } catch (error) {
+    console.error('[API] Error recording AI usage:', error.message);
+  }
+
+  return { ...tokens, estimated_cost: cost };
+}
+
+/**
+ * Bepaal het token budget van een vak voor de huidige maand
+ * @param {number} courseId - Vak ID
+ * @returns {Promise<{budget: number|null, used: number, remaining: number|null, exceeded: boolean, periodStart: string, periodEnd: string}>}
+ */
+async function getCourseBudgetStatus(courseId) {
+  const result = await db.query(
+    `SELECT
+       c.monthly_token_budget,
+       date_trunc('month', NOW()) as period_start,
+       date_trunc('month', NOW()) + INTERVAL '1 month' as period_end,
+       COALESCE((
+         SELECT SUM(u.total_tokens)
+         FROM ai_usage u
+         WHERE u.course_id = c.id AND u.created_at >= date_trunc('month', NOW())
+       ), 0) as used
+     FROM course c
+     WHERE c.id = $1`,
+    [courseId]
+  );
+
+  const row = result.rows[0];
+  const budget = row?.monthly_token_budget ?? null;
+  const used = parseInt(row?.used) || 0;
+
+  return {
+    budget,
+    used,
+    remaining: budget === null ? null : Math.max(0, budget - used),
+    exceeded: budget !== null && used >= budget,
+    periodStart: row?.period_start || null,
+    periodEnd: row?.period_end || null
+  };
+}
+
+/**
+ * Bepaal de rapportage periode uit query parameters (standaard de laatste 30 dagen)
+ * @param {string|undefined} from - Begindatum (ISO)
+ * @param {string|undefined} to - Einddatum (ISO, exclusief)
+ * @returns {{from: Date, to: Date}|null} - null bij een ongeldige periode
+ */
+function parseUsagePeriod(from, to) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+    return null;
+  }
+
+  return { from: start, to: end };
+}
+
+/**
+ * Rapporteer het verbruik over een periode, gegroepeerd per dag/week/maand
+ * @param {object} filters
+ * @param {Date} filters.from - Begin van de periode
+ * @param {Date} filters.to - Einde van de periode (exclusief)
+ * @param {number|null} filters.courseId - Enkel dit vak (optioneel)
+ * @param {string} filters.groupBy - day, week of month
+ * @returns {Promise<{totals: object, series: Array, byCourse: Array, byAssignment: Array}>}
+ */
+async function getUsageReport({ from, to, courseId = null, groupBy = 'day' }) {
+  const bucket = VALID_GROUP_BY.includes(groupBy) ? groupBy : 'day';
+  const params = [from, to];
+  let courseFilter = '';
+  if (courseId) {
+    params.push(courseId);
+    courseFilter = `AND u.course_id = $${params.length}`;
+  }
+
+  const totalsQuery = `
+    SELECT
+      COUNT(*) as calls,
+      COALESCE(SUM(u.prompt_tokens), 0) as prompt_tokens,
+      COALESCE(SUM(u.completion_tokens), 0) as completion_tokens,
+      COALESCE(SUM(u.total_tokens), 0) as total_tokens,
+      COALESCE(SUM(u.estimated_cost), 0) as estimated_cost,
+      COUNT(*) FILTER (WHERE u.estimated_cost IS NULL) as unpriced_calls
+    FROM ai_usage u
+    WHERE u.created_at >= $1 AND u.created_at < $2 ${courseFilter}`;
+
+  const seriesQuery = `
+    SELECT
+      date_trunc('${bucket}', u.created_at) as period,
+      COUNT(*) as calls,
+      COALESCE(SUM(u.total_tokens), 0) as total_tokens,
+      COALESCE(SUM(u.estimated_cost), 0) as estimated_cost
+    FROM ai_usage u
+    WHERE u.created_at >= $1 AND u.created_at < $2 ${courseFilter}
+    GROUP BY period
+    ORDER BY period ASC`;
+
+  const byCourseQuery = `
+    SELECT
+      u.course_id,
+      c.title as course_title,
+      c.monthly_token_budget,
+      COUNT(*) as calls,
+      COALESCE(SUM(u.total_tokens), 0) as total_tokens,
+      COALESCE(SUM(u.estimated_cost), 0) as estimated_cost
+    FROM ai_usage u
+    LEFT JOIN course c ON u.course_id = c.id
+    WHERE u.created_at >= $1 AND u.created_at < $2 ${courseFilter}
+    GROUP BY u.course_id, c.title, c.monthly_token_budget
+    ORDER BY total_tokens DESC`;
+
+  const byAssignmentQuery = `
+    SELECT
+      u.assignment_id,
+      a.title as assignment_title,
+      COUNT(*) as calls,
+      COALESCE(SUM(u.total_tokens), 0) as total_tokens,
+      COALESCE(SUM(u.estimated_cost), 0) as estimated_cost
+    FROM ai_usage u
+    LEFT JOIN assignment a ON u.assignment_id = a.id
+    WHERE u.created_at >= $1 AND u.created_at < $2 ${courseFilter}
+    GROUP BY u.assignment_id, a.title
+    ORDER BY total_tokens DESC`;
+
+  const [totals, series, byCourse, byAssignment] = await Promise.all([
+    db.query(totalsQuery, params),
+    db.query(seriesQuery, params),
+    db.query(byCourseQuery, params),
+    db.query(byAssignmentQuery, params)
+  ]);
+
+  const toNumbers = (row) => ({
+    calls: parseInt(row.calls) || 0,
+    total_tokens: parseInt(row.total_tokens) || 0,
+    estimated_cost: parseFloat(row.estimated_cost) || 0
+  });
+
+  const totalsRow = totals.rows[0] || {};
+
+  return {
+    totals: {
+      ...toNumbers(totalsRow),
+      prompt_tokens: parseInt(totalsRow.prompt_tokens) || 0,
+      completion_tokens: parseInt(totalsRow.completion_tokens) || 0,
+      unpriced_calls: parseInt(totalsRow.unpriced_calls) || 0
+    },
+    series: series.rows.map(row => ({ period: row.period, ...toNumbers(row) })),
+    byCourse: byCourse.rows.map(row => ({
+      course_id: row.course_id,
+      course_title: row.course_title,
+      monthly_token_budget: row.monthly_token_budget,
+      ...toNumbers(row)
+    })),
+    byAssignment: byAssignment.rows.map(row => ({
+      assignment_id: row.assignment_id,
+      assignment_title: row.assignment_title,
+      ...toNumbers(row)
+    }))
+  };
+}
+
+module.exports = {
+  getModelPricing,
+  normalizeUsage,
+  estimateCost,
+  recordUsage,
+  getCourseBudgetStatus,
+  parseUsagePeriod,
+  getUsageReport,
+  DEFAULT_PRICING,
+  VALID_GROUP_BY
+};
@@ -0,0 +1,299 @@
+/**
+ * Vertalingen voor status teksten en API berichten
+ *
+ * De feedback taal wordt ingesteld per vak (course.feedback_language) en kan per opdracht
+ * overschreven worden (assignment.feedback_language). Voor API berichten heeft de voorkeur
+ * van de gebruiker (?lang= of de Accept-Language header) voorrang.
+ * De prompt templates voor de AI staan in services/promptTemplates.js.
+ */
+
+const SUPPORTED_LANGUAGES = ['nl', 'en', 'fr'];
+const DEFAULT_LANGUAGE = 'nl';
+
+const MESSAGES = {
+  nl: {
+    'status.notSubmitted': 'Nog niet ingediend',
+    'status.inProgress': 'In behandeling',
+    'status.actionRequired': 'Actie vereist',
+    'status.needsImprovement': 'Verbeteringen nodig',
+    'status.onTrack': 'Goed op weg',
+    'status.excellent': 'Uitstekend',
+    'status.budgetExceeded': 'Het maandelijkse AI budget van dit vak is opgebruikt. Je code wordt geanalyseerd zodra er opnieuw budget is (volgende maand of na verhoging door een beheerder).',
+    'status.analysisFailed': 'De analyse van je code is definitief mislukt ({code}). Controleer je repository en push opnieuw, of vraag je docent om hulp.',
+    'status.analysisSuperseded': 'Je hebt een nieuwere versie gepusht. De analyse van de vorige versie is gestopt, je nieuwste code wordt nu geanalyseerd.',
+    'api.authRequired': 'Authenticatie vereist',
+    'api.studentIdRequired': 'studentId query parameter is verplicht en moet een geldig positief getal zijn',
+    'api.invalidSubmissionId': 'Ongeldig submission ID',
+    'api.invalidAssignmentId': 'Ongeldig opdracht ID',
+    'api.invalidCourseId': 'Ongeldig cursus ID',
+    'api.submissionNotFound': 'Submission niet gevonden',
+    'api.assignmentNotFound': 'Opdracht niet gevonden',
+    'api.noSubmissionForAssignment': 'Geen submission gevonden voor deze opdracht. Dien eerst een repository in.',
+    'api.noSubmissionAccess': 'Je hebt geen toegang tot deze submission',
+    'api.noFeedbackAccess': 'Je hebt geen toegang tot deze feedback',
+    'api.invalidFeedbackId': 'Ongeldig feedback ID',
+    'api.feedbackNotFound': 'Feedback niet gevonden',
+    'api.invalidRating': 'Ongeldige beoordeling. Toegestaan: {allowed}',
+    'api.ratingCommentTooLong': 'Opmerking mag maximaal {max} tekens bevatten',
+    'api.onlyAiFeedbackRatable': 'Enkel AI feedback kan beoordeeld worden',
+    'api.ratingNotFound': 'Je hebt deze feedback nog niet beoordeeld',
+    'api.feedbackRated': 'Bedankt voor je beoordeling',
+    'api.feedbackRatingRemoved': 'Beoordeling verwijderd',
+    'api.errorRatingFeedback': 'Fout bij beoordelen feedback',
+    'api.notEnrolled': 'Je bent niet ingeschreven voor deze cursus',
+    'api.joinCodeRequired': 'Join code is verplicht',
+    'api.invalidJoinCode': 'Ongeldige join code',
+    'api.alreadyEnrolled': 'Je bent al ingeschreven voor {course}',
+    'api.enrolled': 'Succesvol ingeschreven voor {course}',
+    'api.githubUrlRequired': 'GitHub URL is verplicht',
+    'api.alreadySubmitted': 'Je hebt al een inzending voor deze opdracht',
+    'api.noCodeFiles': 'Repository bevat geen code bestanden',
+    'api.noMatchingFiles': 'Geen enkel bestand in de repository voldoet aan de bestandsselectie van deze opdracht',
+    'files.outside_root': 'Valt buiten de projectmap van de opdracht',
+    'files.excluded_path': 'Map of bestand wordt nooit geanalyseerd (bv. node_modules, build output of lock files)',
+    'files.unsupported_extension': 'Geen ondersteund code bestand',
+    'files.not_included': 'Valt niet onder de bestanden die de opdracht analyseert',
+    'files.excluded_by_pattern': 'Uitgesloten door de opdracht ({pattern})',
+    'files.max_files': 'Maximum aantal bestanden ({max}) bereikt',
+    'autograder.testFailed': 'Test gefaald: {name}',
+    'autograder.moreTestsFailed': 'Nog {count} andere tests faalden',
+    'autograder.timeout': 'De tests zijn gestopt na {seconds} seconden. Controleer je code op oneindige lussen of erg trage code.',
+    'autograder.error': 'De tests van de opdracht konden niet uitgevoerd worden op je code. Bekijk de output voor de oorzaak.',
+    'api.alreadyUnlinked': 'Deze submission heeft al geen repository gekoppeld',
+    'api.unlinked': 'Repository succesvol ontkoppeld',
+    'api.coursesFound': '{count} cursussen gevonden',
+    'api.assignmentsFound': '{count} opdrachten gevonden',
+    'api.submissionsFound': '{count} submissions gevonden',
+    'api.feedbackFound': '{count} feedback items gevonden',
+    'api.submissionDetailFetched': 'Submission detail opgehaald',
+    'api.assignmentFetched': 'Opdracht opgehaald',
+    'api.errorFetchingCourses': 'Fout bij ophalen cursussen',
+    'api.errorFetchingAssignments': 'Fout bij ophalen opdrachten',
+    'api.errorFetchingAssignment': 'Fout bij ophalen opdracht',
+    'api.errorFetchingSubmissions': 'Fout bij ophalen submissions',
+    'api.errorFetchingSubmissionDetail': 'Fout bij ophalen submission detail',
+    'api.errorFetchingFeedback': 'Fout bij ophalen feedback',
+    'api.errorEnrolling': 'Fout bij inschrijven',
+    'api.errorCreatingSubmission': 'Fout bij aanmaken inzending',
+    'api.errorUpdatingRepository': 'Fout bij wijzigen repository',
+    'api.errorUnlinkingRepository': 'Fout bij ontkoppelen repository',
+    'api.errorRealtime': 'Fout bij opzetten real-time connectie',
+    'api.unexpectedError': 'Onverwachte fout bij ophalen opdracht'
+  },
+  en: {
+    'status.notSubmitted': 'Not submitted yet',
+    'status.inProgress': 'In progress',
+    'status.actionRequired': 'Action required',
+    'status.needsImprovement': 'Needs improvement',
+    'status.onTrack': 'On track',
+    'status.excellent': 'Excellent',
+    'status.budgetExceeded': 'The monthly AI budget for this course has been used up. Your code will be analyzed as soon as budget is available again (next month or after an administrator raises it).',
+    'status.analysisFailed': 'The analysis of your code has failed for good ({code}). Check your repository and push again, or ask your teacher for help.',
+    'status.analysisSuperseded': 'You pushed a newer version. The analysis of the previous version was stopped, your latest code is being analyzed now.',
+    'api.authRequired': 'Authentication required',
+    'api.studentIdRequired': 'studentId query parameter is required and must be a valid positive number',
+    'api.invalidSubmissionId': 'Invalid submission ID',
+    'api.invalidAssignmentId': 'Invalid assignment ID',
+    'api.invalidCourseId': 'Invalid course ID',
+    'api.submissionNotFound': 'Submission not found',
+    'api.assignmentNotFound': 'Assignment not found',
+    'api.noSubmissionForAssignment': 'No submission found for this assignment. Submit a repository first.',
+    'api.noSubmissionAccess': 'You do not have access to this submission',
+    'api.noFeedbackAccess': 'You do not have access to this feedback',
+    'api.invalidFeedbackId': 'Invalid feedback ID',
+    'api.feedbackNotFound': 'Feedback not found',
+    'api.invalidRating': 'Invalid rating. Allowed: {allowed}',
+    'api.ratingCommentTooLong': 'Comment may contain at most {max} characters',
+    'api.onlyAiFeedbackRatable': 'Only AI feedback can be rated',
+    'api.ratingNotFound': 'You have not rated this feedback yet',
+    'api.feedbackRated': 'Thank you for your rating',
+    'api.feedbackRatingRemoved': 'Rating removed',
+    'api.errorRatingFeedback': 'Error rating feedback',
+    'api.notEnrolled': 'You are not enrolled in this course',
+    'api.joinCodeRequired': 'Join code is required',
+    'api.invalidJoinCode': 'Invalid join code',
+    'api.alreadyEnrolled': 'You are already enrolled in {course}',
+    'api.enrolled': 'Successfully enrolled in {course}',
+    'api.githubUrlRequired': 'GitHub URL is required',
+    'api.alreadySubmitted': 'You already have a submission for this assignment',
+    'api.noCodeFiles': 'Repository contains no code files',
+    'api.noMatchingFiles': 'No file in the repository matches the file selection of this assignment',
+    'files.outside_root': 'Outside the project folder of the assignment',
+    'files.excluded_path': 'Folder or file is never analyzed (e.g. node_modules, build output or lock files)',
+    'files.unsupported_extension': 'Not a supported code file',
+    'files.not_included': 'Not among the files analyzed for this assignment',
+    'files.excluded_by_pattern': 'Excluded by the assignment ({pattern})',
+    'files.max_files': 'Maximum number of files ({max}) reached',
+    'autograder.testFailed': 'Test failed: {name}',
+    'autograder.moreTestsFailed': '{count} more tests failed',
+    'autograder.timeout': 'The tests were stopped after {seconds} seconds. Check your code for infinite loops or very slow code.',
+    'autograder.error': 'The assignment tests could not be run against your code. Check the output for the cause.',
+    'api.alreadyUnlinked': 'This submission has no linked repository',
+    'api.unlinked': 'Repository successfully unlinked',
+    'api.coursesFound': '{count} courses found',
+    'api.assignmentsFound': '{count} assignments found',
+    'api.submissionsFound': '{count} submissions found',
+    'api.feedbackFound': '{count} feedback items found',
+    'api.submissionDetailFetched': 'Submission detail retrieved',
+    'api.assignmentFetched': 'Assignment retrieved',
+    'api.errorFetchingCourses': 'Error retrieving courses',
+    'api.errorFetchingAssignments': 'Error retrieving assignments',
+    'api.errorFetchingAssignment': 'Error retrieving assignment',
+    'api.errorFetchingSubmissions': 'Error retrieving submissions',
+    'api.errorFetchingSubmissionDetail': 'Error retrieving submission detail',
+    'api.errorFetchingFeedback': 'Error retrieving feedback',
+    'api.errorEnrolling': 'Error while enrolling',
+    'api.errorCreatingSubmission': 'Error creating submission',
+    'api.errorUpdatingRepository': 'Error updating repository',
+    'api.errorUnlinkingRepository': 'Error unlinking repository',
+    'api.errorRealtime': 'Error setting up real-time connection',
+    'api.unexpectedError': 'Unexpected error while retrieving assignment'
+  },
+  fr: {
+    'status.notSubmitted': 'Pas encore remis',
+    'status.inProgress': 'En cours de traitement',
+    'status.actionRequired': 'Action requise',
+    'status.needsImprovement': 'Améliorations nécessaires',
+    'status.onTrack': 'En bonne voie',
+    'status.excellent': 'Excellent',
+    'status.budgetExceeded': 'Le budget IA mensuel de ce cours est épuisé. Ton code sera analysé dès que du budget sera à nouveau disponible (le mois prochain ou après une augmentation par un administrateur).',
+    'status.analysisFailed': 'L\'analyse de ton code a définitivement échoué ({code}). Vérifie ton dépôt et pousse à nouveau, ou demande de l\'aide à ton enseignant.',
+    'status.analysisSuperseded': 'Tu as poussé une version plus récente. L\'analyse de la version précédente a été arrêtée, ton code le plus récent est en cours d\'analyse.',
+    'api.authRequired': 'Authentification requise',
+    'api.studentIdRequired': 'Le paramètre studentId est obligatoire et doit être un nombre positif valide',
+    'api.invalidSubmissionId': 'ID de remise invalide',
+    'api.invalidAssignmentId': 'ID de devoir invalide',
+    'api.invalidCourseId': 'ID de cours invalide',
+    'api.submissionNotFound': 'Remise introuvable',
+    'api.assignmentNotFound': 'Devoir introuvable',
+    'api.noSubmissionForAssignment': 'Aucune remise trouvée pour ce devoir. Soumets d\'abord un dépôt.',
+    'api.noSubmissionAccess': 'Tu n\'as pas accès à cette remise',
+    'api.noFeedbackAccess': 'Tu n\'as pas accès à ce feedback',
+    'api.invalidFeedbackId': 'ID de feedback invalide',
+    'api.feedbackNotFound': 'Feedback introuvable',
+    'api.invalidRating': 'Évaluation invalide. Valeurs autorisées : {allowed}',
+    'api.ratingCommentTooLong': 'Le commentaire peut contenir au maximum {max} caractères',
+    'api.onlyAiFeedbackRatable': 'Seul le feedback de l\'IA peut être évalué',
+    'api.ratingNotFound': 'Tu n\'as pas encore évalué ce feedback',
+    'api.feedbackRated': 'Merci pour ton évaluation',
+    'api.feedbackRatingRemoved': 'Évaluation supprimée',
+    'api.errorRatingFeedback': 'Erreur lors de l\'évaluation du feedback',
+    'api.notEnrolled': 'Tu n\'es pas inscrit à ce cours',
+    'api.joinCodeRequired': 'Le code d\'inscription est obligatoire',
+    'api.invalidJoinCode': 'Code d\'inscription invalide',
+    'api.alreadyEnrolled': 'Tu es déjà inscrit à {course}',
+    'api.enrolled': 'Inscription réussie à {course}',
+    'api.githubUrlRequired': 'L\'URL GitHub est obligatoire',
+    'api.alreadySubmitted': 'Tu as déjà une remise pour ce devoir',
+    'api.noCodeFiles': 'Le dépôt ne contient aucun fichier de code',
+    'api.noMatchingFiles': 'Aucun fichier du dépôt ne correspond à la sélection de fichiers de ce devoir',
+    'files.outside_root': 'En dehors du dossier du projet du devoir',
+    'files.excluded_path': 'Dossier ou fichier jamais analysé (p. ex. node_modules, fichiers de build ou lock files)',
+    'files.unsupported_extension': 'Pas un fichier de code pris en charge',
+    'files.not_included': 'Ne fait pas partie des fichiers analysés pour ce devoir',
+    'files.excluded_by_pattern': 'Exclu par le devoir ({pattern})',
+    'files.max_files': 'Nombre maximal de fichiers ({max}) atteint',
+    'autograder.testFailed': 'Test échoué : {name}',
+    'autograder.moreTestsFailed': '{count} autres tests ont échoué',
+    'autograder.timeout': 'Les tests ont été arrêtés après {seconds} secondes. Vérifie ton code pour des boucles infinies ou du code très lent.',
+    'autograder.error': 'Les tests du devoir n\'ont pas pu être exécutés sur ton code. Consulte la sortie pour connaître la cause.',
+    'api.alreadyUnlinked': 'Cette remise n\'a déjà plus de dépôt lié',
+    'api.unlinked': 'Dépôt dissocié avec succès',
+    'api.coursesFound': '{count} cours trouvés',
+    'api.assignmentsFound': '{count} devoirs trouvés',
+    'api.submissionsFound': '{count} remises trouvées',
+    'api.feedbackFound': '{count} éléments de feedback trouvés',
+    'api.submissionDetailFetched': 'Détail de la remise récupéré',
+    'api.assignmentFetched': 'Devoir récupéré',
+    'api.errorFetchingCourses': 'Erreur lors de la récupération des cours',
+    'api.errorFetchingAssignments': 'Erreur lors de la récupération des devoirs',
+    'api.errorFetchingAssignment': 'Erreur lors de la récupération du devoir',
+    'api.errorFetchingSubmissions': 'Erreur lors de la récupération des remises',
+    'api.errorFetchingSubmissionDetail': 'Erreur lors de la récupération du détail de la remise',
+    'api.errorFetchingFeedback': 'Erreur lors de la récupération du feedback',
+    'api.errorEnrolling': 'Erreur lors de l\'inscription',
+    'api.errorCreatingSubmission': 'Erreur lors de la création de la remise',
+    'api.errorUpdatingRepository': 'Erreur lors de la modification du dépôt',
+    'api.errorUnlinkingRepository': 'Erreur lors de la dissociation du dépôt',
+    'api.errorRealtime': 'Erreur lors de l\'ouverture de la connexion en temps réel',
+    'api.unexpectedError': 'Erreur inattendue lors de la récupération du devoir'
+  }
+};
+
+/**
+ * Normaliseer een taalcode naar een ondersteunde taal (bv. 'en-GB' → 'en')
+ * @param {string|null|undefined} value - Taalcode
+ * @returns {string|null} - Ondersteunde taal of null
+ */
+function normalizeLanguage(value) {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+}
+
+/**
+ * Kies de eerste ondersteunde taal uit een lijst kandidaten
+ * @param {...string} candidates - Taalcodes in volgorde van voorrang
+ * @returns {string} - Ondersteunde taal (standaard DEFAULT_LANGUAGE)
+ */
+function resolveLanguage(...candidates) {
+  for (const candidate of candidates) {
+    const language = normalizeLanguage(candidate);
+    if (language) return language;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Haal de voorkeurstaal uit een Accept-Language header (hoogste q-waarde eerst)
+ * @param {string|undefined} header - Accept-Language header
+ * @returns {string|null}
+ */
+function parseAcceptLanguage(header) {
+  if (typeof header !== 'string' || header.length === 0) return null;
+
+  const ranked = header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().substring(2)) : 1;
+      return { language: normalizeLanguage(tag), quality: isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(entry => entry.language && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  return ranked[0]?.language || null;
+}
+
+/**
+ * Bepaal de voorkeurstaal van de gebruiker voor een request (?lang= gaat voor Accept-Language)
+ * @param {object} req - Express request
+ * @returns {string|null} - null als de gebruiker geen (ondersteunde) voorkeur heeft
+ */
+function getRequestLanguage(req) {
+  return normalizeLanguage(req?.query?.lang) || parseAcceptLanguage(req?.headers?.['accept-language']);
+}
+
+/**
+ * Vertaal een bericht
+ * @param {string} key - Bericht sleutel
+ * @param {string|null} language - Taal (valt terug op DEFAULT_LANGUAGE)
+ * @param {object} params - Waarden voor {placeholders}
+ * @returns {string}
+ */
+function t(key, language, params = {}) {
+  const catalog = MESSAGES[normalizeLanguage(language) || DEFAULT_LANGUAGE];
+  const template = catalog[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  resolveLanguage,
+  parseAcceptLanguage,
+  getRequestLanguage,
+  t
+};
@@ -0,0 +1,93 @@
+/**
+ * Minimale JSON Schema validator
+ *
+ * Ondersteunt de subset die we voor AI responses gebruiken (en die ook door de
+ * structured output modes van de LLM providers ondersteund wordt):
+ * type (ook als array, bv. ['integer', 'null']), enum, properties, required,
+ * additionalProperties: false en items.
+ */
+
+/**
+ * Beschrijf het JSON type van een waarde
+ * @param {any} value - Waarde
+ * @returns {string}
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Controleer of een waarde van een JSON Schema type is
+ * @param {any} value - Waarde
+ * @param {string} type - JSON Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Valideer een waarde tegen een schema
+ * @param {any} value - Te valideren waarde
+ * @param {object} schema - JSON Schema
+ * @param {string} path - Pad van de waarde (voor foutmeldingen)
+ * @returns {Array<string>} - Foutmeldingen (leeg = geldig)
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  const types = schema.type ? [].concat(schema.type) : null;
+
+  if (types && !types.some(type => matchesType(value, type))) {
+    errors.push(`${path}: verwacht ${types.join(' of ')}, kreeg ${describeType(value)}`);
+    return errors;
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    const allowed = schema.enum.map(option => JSON.stringify(option)).join(', ');
+    errors.push(`${path}: ongeldige waarde ${JSON.stringify(value)} (toegelaten: ${allowed})`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  if (matchesType(value, 'object') && schema.properties) {
+    for (const field of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, field)) {
+        errors.push(`${path}.${field}: verplicht veld ontbreekt`);
+      }
+    }
+
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (schema.properties[field]) {
+        errors.push(...validateSchema(fieldValue, schema.properties[field], `${path}.${field}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${field}: onbekend veld`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateSchema
+};
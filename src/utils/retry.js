@@ -107,6 +107,29 @@ function isOpenAIRetryable(error) {
   ); // Gateway timeout
 }
 
+/**
+ * Netwerk fouten die vanzelf kunnen verdwijnen (axios timeout, verbroken verbinding, DNS)
+ */
+const TRANSIENT_NETWORK_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'ERR_NETWORK'];
+
+/**
+ * Bepaal of een fout van een AI provider tijdelijk is (rate limit, 5xx, timeout of netwerk)
+ * Een RATE_LIMITED fout van de AI scheduler (provider blijft terugduwen) telt ook als tijdelijk.
+ * Strenger dan isOpenAIRetryable: een fout zonder response telt enkel als het een netwerk fout is,
+ * niet bv. een ontbrekende API key of een programmeerfout.
+ * @param {Error} error - De error
+ * @returns {boolean}
+ */
+function isTransientAIError(error) {
+  if (error?.code === 'RATE_LIMITED') {
+    return true;
+  }
+  if (error?.response) {
+    return isOpenAIRetryable(error);
+  }
+  return TRANSIENT_NETWORK_CODES.includes(error?.code);
+}
+
 /**
  * Haal retry-after header op indien beschikbaar
  * @param {Error} error - De error met response
@@ -138,5 +161,6 @@ module.exports = {
   sleep,
   isGitHubRetryable,
   isOpenAIRetryable,
+  isTransientAIError,
   getRetryAfter,
 };
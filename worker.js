@@ -0,0 +1,32 @@
+console.log('================================');
+console.log('[STARTUP] STUREFLECT JOB WORKER');
+console.log('================================');
+console.log(`[STARTUP] Start tijd: ${new Date().toISOString()}`);
+console.log(`[STARTUP] Omgeving: ${process.env.NODE_ENV || 'development'}`);
+console.log(`[STARTUP] Node versie: ${process.version}`);
+console.log('================================\n');
+
+const db = require('./src/config/db');
+const { startWorker } = require('./src/services/jobWorker');
+const { startWatchdog } = require('./src/services/processingWatchdog');
+const { startAutoRetry } = require('./src/services/autoRetryService');
+
+const worker = startWorker();
+const watchdog = startWatchdog();
+const autoRetry = startAutoRetry();
+
+// Graceful shutdown: lopende jobs afwerken; een job die niet afraakt komt na de visibility timeout vrij
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`[WORKER] ${signal} ontvangen, lopende jobs afwerken...`);
+  watchdog.stop();
+  autoRetry.stop();
+  await worker.stop();
+  await db.end();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));